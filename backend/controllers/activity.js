@@ -0,0 +1,47 @@
+/**
+ * controllers/activity.js
+ * -----------------------------
+ * Controller functions for the activity log of a list.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole } from '../services/listAccess.js';
+import { getActivityPage } from '../services/activity.js';
+
+// Entries per page when `pageSize` is not given
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Retrieve the activity (who changed what) of a list, newest first
+ *
+ * Method: GET
+ * Path: /api/lists/:id/activity
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query:
+ *   - page (number, optional) → 1-based page number (default: 1)
+ *   - pageSize (number, optional) → entries per page, 1-100 (default: 20)
+ * Body: none
+ *
+ * Response:
+ *   200: {
+ *     activity: [{ id, action, entityType, entityId, before, after, createdAt, listId, userId, actor: { id, name } }],
+ *     page, pageSize, total, hasMore
+ *   }
+ *   400: Invalid ID or pagination
+ *   404: List not found
+ */
+export const getListActivity = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id);
+
+  const page = Number(req.query.page) || 1;
+  const pageSize = Number(req.query.pageSize) || DEFAULT_PAGE_SIZE;
+  res.status(200).json(await getActivityPage(id, { page, pageSize }));
+});
@@ -0,0 +1,86 @@
+/**
+ * controllers/auth.js
+ * -----------------------------
+ * Controller functions for user accounts and authentication.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import * as authService from '../services/auth.js';
+
+/**
+ * Register a new user
+ *
+ * Method: POST
+ * Path: /api/auth/signup
+ *
+ * Params: none
+ * Query: none
+ * Body:
+ *   - name (string, required)
+ *   - email (string, required)
+ *   - password (string, required)
+ *
+ * Response:
+ *   201: { token, user: { id, email, name, createdAt } }
+ *   409: Email is already registered
+ */
+export const signup = asyncHandler(async (req, res) => {
+  const name = req.body.name.trim();
+  const email = req.body.email.trim().toLowerCase();
+
+  const existing = await prisma.user.findUnique({ where: { email } });
+  if (existing) throw Object.assign(new Error('Email is already registered'), { statusCode: 409 });
+
+  const passwordHash = await authService.hashPassword(req.body.password);
+  const user = await prisma.user.create({ data: { name, email, passwordHash } });
+
+  res.status(201).json({ token: authService.signToken(user), user: authService.toPublicUser(user) });
+});
+
+/**
+ * Log in with email and password
+ *
+ * Method: POST
+ * Path: /api/auth/login
+ *
+ * Params: none
+ * Query: none
+ * Body:
+ *   - email (string, required)
+ *   - password (string, required)
+ *
+ * Response:
+ *   200: { token, user: { id, email, name, createdAt } }
+ *   401: Invalid email or password
+ */
+export const login = asyncHandler(async (req, res) => {
+  const email = req.body.email.trim().toLowerCase();
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  const isValid = user && (await authService.verifyPassword(req.body.password, user.passwordHash));
+  if (!isValid) throw Object.assign(new Error('Invalid email or password'), { statusCode: 401 });
+
+  res.status(200).json({ token: authService.signToken(user), user: authService.toPublicUser(user) });
+});
+
+/**
+ * Retrieve the currently authenticated user
+ *
+ * Method: GET
+ * Path: /api/auth/me
+ *
+ * Params: none
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: { id, email, name, createdAt }
+ *   401: Missing or invalid token
+ */
+export const getCurrentUser = asyncHandler(async (req, res) => {
+  res.status(200).json(req.user);
+});
@@ -0,0 +1,77 @@
+/**
+ * controllers/import.js
+ * -----------------------------
+ * Controller functions for importing a plain-text list (one item per line) into a list.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole, CAN_EDIT } from '../services/listAccess.js';
+import { previewImport, importItems } from '../services/itemImport.js';
+
+/**
+ * Parse and classify a pasted list, without creating anything
+ *
+ * Method: POST
+ * Path: /api/lists/:id/import
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Body:
+ *   - text (string, required) → one item per line, e.g. "2 ק\"ג עגבניות"; bullets,
+ *     numbering and WhatsApp "[time] name:" prefixes are ignored
+ *
+ * Response:
+ *   200: [{ line, name, quantity, unitId, unit, brand, categoryId, category, categorySource }]
+ *        categorySource: 'history' | 'keyword' | 'default'
+ *   400: Invalid ID or text
+ *   403: Caller is a viewer of the list
+ *   404: List not found
+ */
+export const previewListImport = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id, CAN_EDIT);
+  res.status(200).json(await previewImport(req.body.text, req.user.id));
+});
+
+/**
+ * Create the confirmed items of an import, in one transaction
+ *
+ * Method: POST
+ * Path: /api/lists/:id/import/confirm
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Body:
+ *   - items (array, required) → [{ name, quantity, unitId, categoryId, brand? }] (the edited preview)
+ *
+ * Response:
+ *   201: Array of created items
+ *   400: Invalid ID or items, or an unknown unit / category
+ *   403: Caller is a viewer of the list
+ *   404: List not found
+ */
+export const importListItems = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id, CAN_EDIT);
+
+  const { items } = req.body;
+  const unitIds = [...new Set(items.map(item => Number(item.unitId)))];
+  const categoryIds = [...new Set(items.map(item => Number(item.categoryId)))];
+  const [unitCount, categoryCount] = await Promise.all([
+    prisma.unit.count({ where: { id: { in: unitIds } } }),
+    prisma.category.count({ where: { id: { in: categoryIds } } }),
+  ]);
+  if (unitCount !== unitIds.length || categoryCount !== categoryIds.length) {
+    throw Object.assign(new Error('Unknown unit or category'), { statusCode: 400 });
+  }
+
+  res.status(201).json(await importItems(id, req.user.id, items));
+});
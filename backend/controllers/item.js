@@ -5,13 +5,30 @@
  *
  * Each function is wrapped with `asyncHandler` to forward errors
  * to the global error handler middleware.
+ * Every change is recorded in the activity log of the item's list.
  */
 
 import prisma from '../prisma/client.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole, requireItemRole, CAN_VIEW, CAN_EDIT } from '../services/listAccess.js';
+import { buildItemsWhere, buildItemsOrderBy } from '../services/itemQuery.js';
+import { recordActivity } from '../services/activity.js';
+import { applyBoughtToPantry } from '../services/pantry.js';
+import { recordProductUsage } from '../services/productCatalog.js';
+import { parseItem } from '../services/itemParser.js';
+import { updateIfVersion, NEXT_VERSION } from '../services/concurrency.js';
+import { publishItemChange, publishBoughtNotice } from '../services/realtime.js';
+
+/**
+ * Normalize an optional price from the request body
+ * @param {number|string|null} value
+ * @returns {number|null} The price, or null when it was cleared
+ */
+const toPrice = (value) => (value === null || value === '' ? null : Number(value));
 
 /**
  * Add an item to a specific list and category
+ * The item name is also recorded in the caller's product catalog (autocomplete).
  *
  * Method: POST
  * Path: /api/lists/:listId/categories/:categoryId/items
@@ -25,19 +42,25 @@ import { asyncHandler } from '../middleware/asyncHandler.js';
  *   - brand (string, optional)
  *   - unitId (number, required)
  *   - comments (string, optional)
+ *   - unitPrice (number, optional) → Estimated price per unit
+ *   - paidPrice (number, optional) → Actual price paid for the whole quantity
  *
  * Response:
  *   201: Created item object
  *   400: Missing required fields
+ *   403: Caller is a viewer of the list
+ *   404: List not found
  */
 export const addItemToCategory = asyncHandler(async (req, res) => {
   const { listId, categoryId } = req.params;
-  const { name, quantity, brand, unitId, comments } = req.body;
+  const { name, quantity, brand, unitId, comments, unitPrice, paidPrice } = req.body;
 
   if (!name || !quantity || !unitId) {
     throw Object.assign(new Error('Missing required fields: name, quantity or unitId'), { statusCode: 400 });
   }
 
+  await requireListRole(Number(listId), req.user.id, CAN_EDIT);
+
   const newItem = await prisma.item.create({
     data: {
       name: name.trim(),
@@ -47,14 +70,27 @@ export const addItemToCategory = asyncHandler(async (req, res) => {
       listId: Number(listId),
       categoryId: Number(categoryId),
       comments: comments?.trim() || null,
+      unitPrice: unitPrice === undefined ? null : toPrice(unitPrice),
+      paidPrice: paidPrice === undefined ? null : toPrice(paidPrice),
     },
   });
+  await recordActivity({
+    listId: newItem.listId,
+    userId: req.user.id,
+    entityType: 'ITEM',
+    entityId: newItem.id,
+    action: 'CREATE',
+    after: newItem,
+  });
+  // The item is saved either way, so a failed catalog update is only logged
+  await recordProductUsage(req.user.id, newItem).catch(err => console.error('Product catalog update failed:', err));
 
+  publishItemChange('INSERT', newItem);
   res.status(201).json(newItem);
 });
 
 /**
- * Retrieve items by list and category
+ * Retrieve items by list and category, sorted and filtered
  *
  * Method: GET
  * Path: /api/lists/:listId/categories/:categoryId/items
@@ -62,19 +98,27 @@ export const addItemToCategory = asyncHandler(async (req, res) => {
  * Params:
  *   - listId (number, required)
  *   - categoryId (number, required)
- * Query: none
+ * Query:
+ *   - sortBy (string, optional) → name | addedAt | quantity | brand | bought (default: name)
+ *   - order (string, optional) → asc | desc (default: asc)
+ *   - bought (string, optional) → "true" | "false"; omitted returns both
+ *   - search (string, optional) → case-insensitive match on the item name
  * Body: none
  *
  * Response:
  *   200: Array of item objects including unit details
+ *   400: Invalid query parameters
+ *   404: List not found
  */
 export const getItemsByListAndCategory = asyncHandler(async (req, res) => {
   const { listId, categoryId } = req.params;
+  const { sortBy, order, bought, search } = req.query;
+  await requireListRole(Number(listId), req.user.id, CAN_VIEW);
 
   const items = await prisma.item.findMany({
-    where: { listId: Number(listId), categoryId: Number(categoryId) },
+    where: { ...buildItemsWhere(Number(listId), { bought, search }), categoryId: Number(categoryId) },
     include: { unit: true },
-    orderBy: { name: 'asc' },
+    orderBy: buildItemsOrderBy(sortBy, order),
   });
 
   res.status(200).json(items);
@@ -82,6 +126,7 @@ export const getItemsByListAndCategory = asyncHandler(async (req, res) => {
 
 /**
  * Update an existing item
+ * A change of `bought` is also applied to the caller's pantry and announced to the list's viewers (as with PATCH).
  *
  * Method: PUT
  * Path: /api/items/:id
@@ -89,35 +134,58 @@ export const getItemsByListAndCategory = asyncHandler(async (req, res) => {
  * Params:
  *   - id (number, required)
  * Body:
- *   - name, quantity, brand, unitId, comments, bought (all optional)
+ *   - version (number, required) → version of the item the change is based on
+ *   - name, quantity, brand, unitId, comments, unitPrice, paidPrice, bought (all optional)
+ *     unitPrice / paidPrice may be null to clear them
  *
  * Response:
- *   200: Updated item object
+ *   200: Updated item object (with the incremented version)
  *   400: Invalid ID or no valid fields provided
+ *   403: Caller is a viewer of the list
+ *   404: Item not found
+ *   409: { error, current } → the item was changed by someone else; `current` is the item as stored now
  */
 export const updateItem = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) throw Object.assign(new Error('Invalid item ID'), { statusCode: 400 });
 
-  const { name, quantity, brand, unitId, comments, bought } = req.body;
+  const { name, quantity, brand, unitId, comments, unitPrice, paidPrice, bought, version } = req.body;
   const dataToUpdate = {};
   if (name !== undefined) dataToUpdate.name = name;
   if (quantity !== undefined) dataToUpdate.quantity = quantity;
   if (brand !== undefined) dataToUpdate.brand = brand;
   if (unitId !== undefined) dataToUpdate.unitId = unitId;
   if (comments !== undefined) dataToUpdate.comments = comments;
+  if (unitPrice !== undefined) dataToUpdate.unitPrice = toPrice(unitPrice);
+  if (paidPrice !== undefined) dataToUpdate.paidPrice = toPrice(paidPrice);
   if (bought !== undefined) dataToUpdate.bought = bought;
 
   if (Object.keys(dataToUpdate).length === 0) {
     throw Object.assign(new Error('No valid fields provided to update'), { statusCode: 400 });
   }
 
-  const updatedItem = await prisma.item.update({ where: { id }, data: dataToUpdate });
+  const item = await requireItemRole(id, req.user.id, CAN_EDIT);
+  if (bought !== undefined && item.bought !== bought) dataToUpdate.boughtAt = bought ? new Date() : null;
+  const updatedItem = await updateIfVersion(prisma.item, id, version, dataToUpdate);
+  if (bought !== undefined && item.bought !== bought) await applyBoughtToPantry(req.user.id, item, updatedItem);
+  await recordActivity({
+    listId: item.listId,
+    userId: req.user.id,
+    entityType: 'ITEM',
+    entityId: id,
+    action: 'UPDATE',
+    before: item,
+    after: updatedItem,
+  });
+  publishItemChange('UPDATE', updatedItem);
+  if (bought !== undefined && item.bought !== bought) publishBoughtNotice(updatedItem, req.user);
   res.status(200).json(updatedItem);
 });
 
 /**
  * Update the "bought" status of an item
+ * The change is also applied to the caller's pantry (bought → added, un-bought → taken back out)
+ * and announced to the other users viewing the list (presence `message`).
  *
  * Method: PATCH
  * Path: /api/items/:id
@@ -126,24 +194,45 @@ export const updateItem = asyncHandler(async (req, res) => {
  *   - id (number, required)
  * Body:
  *   - bought (boolean, required)
+ *   - version (number, optional) → when given, the item must not have changed since that version
  *
  * Response:
  *   200: Updated item object
  *   400: Invalid ID or invalid bought value
+ *   403: Caller is a viewer of the list
+ *   404: Item not found
+ *   409: { error, current } → the item was changed by someone else
  */
 export const updateBoughtStatus = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const { bought } = req.body;
+  const { bought, version } = req.body;
 
   if (isNaN(id)) throw Object.assign(new Error('Invalid item ID'), { statusCode: 400 });
   if (typeof bought !== 'boolean') throw Object.assign(new Error("'bought' must be boolean"), { statusCode: 400 });
 
-  const updatedItem = await prisma.item.update({ where: { id }, data: { bought } });
+  const item = await requireItemRole(id, req.user.id, CAN_EDIT);
+  const updatedItem = await updateIfVersion(prisma.item, id, version, {
+    bought,
+    ...(item.bought !== bought && { boughtAt: bought ? new Date() : null }),
+  });
+  if (item.bought !== bought) await applyBoughtToPantry(req.user.id, item, updatedItem);
+  await recordActivity({
+    listId: item.listId,
+    userId: req.user.id,
+    entityType: 'ITEM',
+    entityId: id,
+    action: 'UPDATE',
+    before: item,
+    after: updatedItem,
+  });
+  publishItemChange('UPDATE', updatedItem);
+  if (item.bought !== bought) publishBoughtNotice(updatedItem, req.user);
   res.status(200).json(updatedItem);
 });
 
 /**
- * Delete an item
+ * Move an item to the trash
+ * The item can be restored through /api/trash until it is purged.
  *
  * Method: DELETE
  * Path: /api/items/:id
@@ -152,13 +241,49 @@ export const updateBoughtStatus = asyncHandler(async (req, res) => {
  *   - id (number, required)
  *
  * Response:
- *   204: Deleted successfully
+ *   204: Moved to the trash
  *   400: Invalid ID
+ *   403: Caller is a viewer of the list
+ *   404: Item not found
  */
 export const deleteItem = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) throw Object.assign(new Error('Invalid item ID'), { statusCode: 400 });
 
-  await prisma.item.delete({ where: { id } });
+  const item = await requireItemRole(id, req.user.id, CAN_EDIT);
+  const deletedItem = await prisma.item.update({ where: { id }, data: { deletedAt: new Date(), ...NEXT_VERSION } });
+  await recordActivity({
+    listId: item.listId,
+    userId: req.user.id,
+    entityType: 'ITEM',
+    entityId: id,
+    action: 'DELETE',
+    before: item,
+  });
+  publishItemChange('UPDATE', deletedItem);
   res.sendStatus(204);
 });
+
+/**
+ * Parse a free-text item line ("2 ק\"ג עגבניות שרי") without adding it
+ * See services/itemParser.js for the grammar.
+ *
+ * Method: POST
+ * Path: /api/items/parse
+ *
+ * Params: none
+ * Body:
+ *   - text (string, required)
+ *
+ * Response:
+ *   200: { name, quantity, unitId, unit, brand, categoryId, category, categorySource }
+ *        categorySource: 'history' (product catalog) | 'keyword' (keyword rules) | null (category unknown)
+ *   400: Missing or too long text, no item name in the text, or a quantity of 0
+ */
+export const parseItemLine = asyncHandler(async (req, res) => {
+  const parsed = await parseItem(req.body.text, req.user.id);
+  if (!parsed.name) throw Object.assign(new Error('The text has no item name'), { statusCode: 400 });
+  if (parsed.quantity <= 0) throw Object.assign(new Error('Quantity must be greater than 0'), { statusCode: 400 });
+
+  res.status(200).json(parsed);
+});
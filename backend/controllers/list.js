@@ -5,13 +5,27 @@
  *
  * Each function is wrapped with `asyncHandler` to automatically
  * forward errors to the global error handler middleware.
+ * Every change is recorded in the activity log of the list.
  */
 
 import prisma from '../prisma/client.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  requireListRole,
+  accessibleListsWhere,
+  toListResponse,
+  MEMBERS_INCLUDE,
+  CAN_EDIT,
+  OWNER_ONLY,
+} from '../services/listAccess.js';
+import { getListTotals } from '../services/budget.js';
+import { parseInclude, getListDetails } from '../services/listDetails.js';
+import { recordActivity } from '../services/activity.js';
+import { updateIfVersion, NEXT_VERSION } from '../services/concurrency.js';
+import { publishListChange, closeListStreams } from '../services/realtime.js';
 
 /**
- * Create a new list
+ * Create a new list owned by the authenticated user
  *
  * Method: POST
  * Path: /api/lists
@@ -22,19 +36,28 @@ import { asyncHandler } from '../middleware/asyncHandler.js';
  *   - name (string, required)
  *
  * Response:
- *   201: Created list object { id, name, createdAt }
+ *   201: Created list object { id, name, createdAt, userId, role, members }
  *   400: Name is missing
  */
 export const createList = asyncHandler(async (req, res) => {
   const { name } = req.body;
   if (!name) throw Object.assign(new Error('Name is required'), { statusCode: 400 });
 
-  const newList = await prisma.list.create({ data: { name } });
-  res.status(201).json(newList);
+  const newList = await prisma.list.create({ data: { name, userId: req.user.id }, include: MEMBERS_INCLUDE });
+  await recordActivity({
+    listId: newList.id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: newList.id,
+    action: 'CREATE',
+    after: newList,
+  });
+  publishListChange('INSERT', newList);
+  res.status(201).json(toListResponse(newList, req.user.id));
 });
 
 /**
- * Retrieve all lists
+ * Retrieve all lists the authenticated user owns or is a member of
  *
  * Method: GET
  * Path: /api/lists
@@ -44,11 +67,52 @@ export const createList = asyncHandler(async (req, res) => {
  * Body: none
  *
  * Response:
- *   200: Array of lists [{ id, name, createdAt }]
+ *   200: Array of lists [{ id, name, createdAt, userId, role, members: [{ userId, name, role }] }]
  */
 export const getAllLists = asyncHandler(async (req, res) => {
-  const lists = await prisma.list.findMany({ orderBy: { createdAt: 'desc' } });
-  res.status(200).json(lists);
+  const lists = await prisma.list.findMany({
+    where: accessibleListsWhere(req.user.id),
+    include: MEMBERS_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+  res.status(200).json(lists.map(list => toListResponse(list, req.user.id)));
+});
+
+/**
+ * Retrieve a single list with its items grouped by category
+ *
+ * Method: GET
+ * Path: /api/lists/:id
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query:
+ *   - include (string, optional) → comma-separated: items, categories, units
+ *       items      → each category carries its items (with unit details)
+ *       categories → every category is returned, including those without items
+ *       units      → all units, e.g. for editing items without another request
+ *   - sortBy, order, bought, search (optional) → same as the items endpoint;
+ *     applied to the returned items and counts
+ * Body: none
+ *
+ * Response:
+ *   200: { id, name, createdAt, userId, budget, role, members, itemCount, boughtCount,
+ *          categories: [{ id, name, iconName, itemCount, boughtCount, items? }], units? }
+ *   400: Invalid ID or query parameters
+ *   404: List not found
+ */
+export const getListById = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id);
+  const { include, sortBy, order, bought, search } = req.query;
+
+  const [list, details] = await Promise.all([
+    prisma.list.findUnique({ where: { id }, include: MEMBERS_INCLUDE }),
+    getListDetails(id, parseInclude(include), { sortBy, order, bought, search }),
+  ]);
+  res.status(200).json({ ...toListResponse(list, req.user.id), ...details });
 });
 
 /**
@@ -62,24 +126,105 @@ export const getAllLists = asyncHandler(async (req, res) => {
  * Query: none
  * Body:
  *   - name (string, required)
+ *   - version (number, required) → version of the list the change is based on
  *
  * Response:
- *   200: Updated list object { id, name, createdAt }
+ *   200: Updated list object { id, name, createdAt, userId, role, members, version }
  *   400: Invalid ID or missing name
+ *   403: Caller is a viewer of the list
+ *   404: List not found
+ *   409: { error, current } → the list was changed by someone else; `current` is the list as stored now
  */
 export const updateListName = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
 
-  const { name } = req.body;
+  const { name, version } = req.body;
   if (!name) throw Object.assign(new Error('Name is required'), { statusCode: 400 });
 
-  const updatedList = await prisma.list.update({ where: { id }, data: { name } });
-  res.status(200).json(updatedList);
+  const { list } = await requireListRole(id, req.user.id, CAN_EDIT);
+  const updatedList = await updateIfVersion(prisma.list, id, version, { name }, { include: MEMBERS_INCLUDE });
+  await recordActivity({
+    listId: id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: id,
+    action: 'UPDATE',
+    before: list,
+    after: updatedList,
+  });
+  publishListChange('UPDATE', updatedList);
+  res.status(200).json(toListResponse(updatedList, req.user.id));
+});
+
+/**
+ * Set or clear the budget of a list
+ *
+ * Method: PUT
+ * Path: /api/lists/:id/budget
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query: none
+ * Body:
+ *   - budget (number | null, required) → null clears the budget
+ *   - version (number, optional) → when given, the list must not have changed since that version
+ *
+ * Response:
+ *   200: Spend totals of the list { estimated, actual, budget, remaining, overBudget, unpricedItems }
+ *   400: Invalid ID or budget
+ *   403: Caller is a viewer of the list
+ *   404: List not found
+ *   409: { error, current } → the list was changed by someone else
+ */
+export const updateListBudget = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  const budget = req.body.budget === null ? null : Number(req.body.budget);
+
+  const { list } = await requireListRole(id, req.user.id, CAN_EDIT);
+  const updatedList = await updateIfVersion(prisma.list, id, req.body.version, { budget });
+  await recordActivity({
+    listId: id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: id,
+    action: 'UPDATE',
+    before: list,
+    after: updatedList,
+  });
+  publishListChange('UPDATE', updatedList);
+  res.status(200).json(await getListTotals(updatedList));
 });
 
 /**
- * Delete a list and its related items
+ * Retrieve the estimated and actual spend of a list compared to its budget
+ *
+ * Method: GET
+ * Path: /api/lists/:id/totals
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: { estimated, actual, budget, remaining, overBudget, unpricedItems }
+ *   400: Invalid ID
+ *   404: List not found
+ */
+export const getListSpendTotals = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  const { list } = await requireListRole(id, req.user.id);
+  res.status(200).json(await getListTotals(list));
+});
+
+/**
+ * Move a list, with its items, to the trash (owner only)
+ * The list can be restored through /api/trash until it is purged.
  *
  * Method: DELETE
  * Path: /api/lists/:id
@@ -90,15 +235,90 @@ export const updateListName = asyncHandler(async (req, res) => {
  * Body: none
  *
  * Response:
- *   204: Deleted successfully
+ *   204: Moved to the trash
  *   400: Invalid ID
+ *   403: Caller is not the owner of the list
+ *   404: List not found
  */
 export const deleteList = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
 
-  await prisma.item.deleteMany({ where: { listId: id } });
-  await prisma.list.delete({ where: { id } });
+  const { list } = await requireListRole(id, req.user.id, OWNER_ONLY);
+  const deletedList = await prisma.list.update({ where: { id }, data: { deletedAt: new Date(), ...NEXT_VERSION } });
+  await recordActivity({
+    listId: id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: id,
+    action: 'DELETE',
+    before: list,
+  });
+  publishListChange('UPDATE', deletedList);
+  closeListStreams(id);
 
   res.sendStatus(204);
 });
+
+/**
+ * Duplicate a list with its items (the copy is owned by the caller)
+ *
+ * Method: POST
+ * Path: /api/lists/:id/duplicate
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query: none
+ * Body:
+ *   - name (string, optional) → name of the copy (default: "<name> (עותק)")
+ *   - resetBought (boolean, optional) → copied items start as not bought, without a paid price
+ *   - onlyUnbought (boolean, optional) → copy only the items that were not bought
+ *
+ * Response:
+ *   201: Created list object { id, name, createdAt, userId, role, members }
+ *   400: Invalid ID or body
+ *   404: List not found
+ */
+export const duplicateList = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  const { list } = await requireListRole(id, req.user.id);
+  const { resetBought = false, onlyUnbought = false } = req.body;
+  const name = req.body.name?.trim() || `${list.name} (עותק)`.slice(0, 50);
+
+  // The list and its items are copied together, so a failure leaves no partial copy behind
+  const newList = await prisma.$transaction(async (tx) => {
+    const items = await tx.item.findMany({
+      where: { listId: id, deletedAt: null, ...(onlyUnbought && { bought: false }) },
+    });
+    const created = await tx.list.create({ data: { name, budget: list.budget, userId: req.user.id } });
+    await tx.item.createMany({
+      data: items.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        brand: item.brand,
+        comments: item.comments,
+        unitPrice: item.unitPrice,
+        paidPrice: resetBought ? null : item.paidPrice,
+        bought: resetBought ? false : item.bought,
+        boughtAt: resetBought ? null : item.boughtAt,
+        categoryId: item.categoryId,
+        unitId: item.unitId,
+        listId: created.id,
+      })),
+    });
+    return tx.list.findUnique({ where: { id: created.id }, include: MEMBERS_INCLUDE });
+  });
+  await recordActivity({
+    listId: newList.id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: newList.id,
+    action: 'CREATE',
+    after: newList,
+  });
+  publishListChange('INSERT', newList);
+
+  res.status(201).json(toListResponse(newList, req.user.id));
+});
@@ -0,0 +1,133 @@
+/**
+ * controllers/listFile.js
+ * -----------------------------
+ * Controller functions for exporting lists to CSV / JSON files and importing them back,
+ * and for exporting a list as a text message to share.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole } from '../services/listAccess.js';
+import {
+  loadExportLists,
+  toJsonExport,
+  toCsvExport,
+  toTextExport,
+  readListFile,
+  importListFile,
+} from '../services/listFile.js';
+
+/**
+ * Send lists as a downloadable file
+ * @param {Object} res - Express response
+ * @param {Array<Object>} lists - As returned by loadExportLists
+ * @param {'csv'|'json'} format
+ * @param {string} filename - Without extension
+ */
+const sendListFile = (res, lists, format, filename) => {
+  res.attachment(`${filename}.${format}`);
+  if (format === 'csv') res.type('text/csv; charset=utf-8').send(toCsvExport(lists));
+  else res.json(toJsonExport(lists));
+};
+
+/**
+ * Export a list with its items
+ *
+ * Method: GET
+ * Path: /api/lists/:id/export
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query:
+ *   - format (string, optional) → csv | json (default: json)
+ * Body: none
+ *
+ * Response:
+ *   200: File download (Content-Disposition: attachment)
+ *        json: { version, exportedAt, lists: [{ name, budget, items: [{ name, quantity, unit, category, brand, comments, unitPrice, paidPrice, bought }] }] }
+ *        csv: one row per item – list, budget, category, name, quantity, unit, brand, comments, unitPrice, paidPrice, bought
+ *   400: Invalid ID or format
+ *   404: List not found
+ */
+export const exportList = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  const { list } = await requireListRole(id, req.user.id);
+  const lists = await loadExportLists(req.user.id, id);
+  sendListFile(res, lists, req.query.format ?? 'json', list.name);
+});
+
+/**
+ * Export a list as a formatted text message (grouped by category, WhatsApp markup)
+ *
+ * Method: GET
+ * Path: /api/lists/:id/export.txt
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query:
+ *   - boughtItems (string, optional) → strike | omit (default: strike)
+ * Body: none
+ *
+ * Response:
+ *   200: text/plain – the list name, then "*category*" titles with "• quantity unit name (brand) – comments" lines;
+ *        bought items are wrapped in ~ ~ (strike) or left out (omit)
+ *   400: Invalid ID or boughtItems
+ *   404: List not found
+ */
+export const exportListText = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id);
+  const [list] = await loadExportLists(req.user.id, id);
+  res.type('text/plain; charset=utf-8').send(toTextExport(list, { boughtItems: req.query.boughtItems }));
+});
+
+/**
+ * Export every list the authenticated user owns or is a member of
+ *
+ * Method: GET
+ * Path: /api/lists/export
+ *
+ * Params: none
+ * Query:
+ *   - format (string, optional) → csv | json (default: json)
+ * Body: none
+ *
+ * Response:
+ *   200: File download, same format as /api/lists/:id/export
+ *   400: Invalid format
+ */
+export const exportAllLists = asyncHandler(async (req, res) => {
+  const lists = await loadExportLists(req.user.id);
+  sendListFile(res, lists, req.query.format ?? 'json', 'shopping-lists');
+});
+
+/**
+ * Recreate lists from an exported CSV / JSON file (the caller owns the new lists)
+ * Items whose category or unit name is unknown are skipped and reported.
+ *
+ * Method: POST
+ * Path: /api/lists/import
+ *
+ * Params: none
+ * Body:
+ *   - format (string, required) → csv | json
+ *   - content (string, required) → the file content
+ *
+ * Response:
+ *   201: {
+ *     lists: [{ id, name, createdAt, userId, role, members }] → created lists
+ *     unresolved: [{ list, row, name, category, unit, reason }] → skipped items; reason: invalid | category | unit
+ *   }
+ *   400: Invalid format or unreadable file
+ */
+export const importLists = asyncHandler(async (req, res) => {
+  const { format, content } = req.body;
+  const fileLists = readListFile(format, content);
+  res.status(201).json(await importListFile(req.user.id, fileLists));
+});
@@ -0,0 +1,194 @@
+/**
+ * controllers/member.js
+ * -----------------------------
+ * Controller functions for sharing lists: members and invite codes.
+ *
+ * Roles:
+ * - OWNER  → the user who created the list; manages members and invites
+ * - EDITOR → may add, edit and delete items and rename the list
+ * - VIEWER → read-only access
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole, toListResponse, MEMBERS_INCLUDE, OWNER_ONLY } from '../services/listAccess.js';
+import { publishListAccessRevoked } from '../services/realtime.js';
+
+// Invite codes are valid for 7 days
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Retrieve the owner and members of a list
+ *
+ * Method: GET
+ * Path: /api/lists/:id/members
+ *
+ * Params:
+ *   - id (number, required) → List ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: Array of members [{ userId, name, role }] (owner first)
+ *   400: Invalid ID
+ *   404: List not found
+ */
+export const getMembers = asyncHandler(async (req, res) => {
+  const id = Number(req.params.id);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+  await requireListRole(id, req.user.id);
+
+  const list = await prisma.list.findUnique({ where: { id }, include: MEMBERS_INCLUDE });
+  res.status(200).json(toListResponse(list, req.user.id).members);
+});
+
+/**
+ * Create an invite code for a list (owner only)
+ *
+ * Method: POST
+ * Path: /api/lists/:id/members/invite
+ *
+ * Params:
+ *   - id (number, required) → List ID
+ * Query: none
+ * Body:
+ *   - role (string, required) → EDITOR | VIEWER
+ *
+ * Response:
+ *   201: Invite { code, role, expiresAt }
+ *   400: Invalid ID or role
+ *   403: Caller is not the owner of the list
+ *   404: List not found
+ */
+export const createInvite = asyncHandler(async (req, res) => {
+  const id = Number(req.params.id);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+  await requireListRole(id, req.user.id, OWNER_ONLY);
+
+  const invite = await prisma.listInvite.create({
+    data: {
+      code: crypto.randomBytes(4).toString('hex').toUpperCase(),
+      role: req.body.role,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+      listId: id,
+    },
+  });
+  res.status(201).json({ code: invite.code, role: invite.role, expiresAt: invite.expiresAt });
+});
+
+/**
+ * Join a list using an invite code
+ *
+ * Method: POST
+ * Path: /api/lists/join
+ *
+ * Params: none
+ * Query: none
+ * Body:
+ *   - code (string, required)
+ *
+ * Response:
+ *   201: Joined list object { id, name, createdAt, userId, role, members }
+ *   400: Code is missing
+ *   404: Invite not found or expired, or the list is in the trash
+ *   409: Caller already has access to the list
+ */
+export const joinList = asyncHandler(async (req, res) => {
+  const code = req.body.code.trim().toUpperCase();
+  const invite = await prisma.listInvite.findUnique({
+    where: { code },
+    include: { list: { include: { members: true } } },
+  });
+  if (!invite || invite.expiresAt < new Date() || invite.list.deletedAt) {
+    throw Object.assign(new Error('Invite not found or expired'), { statusCode: 404 });
+  }
+
+  const { list } = invite;
+  if (list.userId === req.user.id || list.members.some(m => m.userId === req.user.id)) {
+    throw Object.assign(new Error('You are already a member of this list'), { statusCode: 409 });
+  }
+
+  await prisma.listMember.create({ data: { listId: list.id, userId: req.user.id, role: invite.role } });
+
+  const joined = await prisma.list.findUnique({ where: { id: list.id }, include: MEMBERS_INCLUDE });
+  res.status(201).json(toListResponse(joined, req.user.id));
+});
+
+/**
+ * Change the role of a member (owner only)
+ *
+ * Method: PUT
+ * Path: /api/lists/:id/members/:userId
+ *
+ * Params:
+ *   - id (number, required) → List ID
+ *   - userId (number, required) → Member user ID
+ * Query: none
+ * Body:
+ *   - role (string, required) → EDITOR | VIEWER
+ *
+ * Response:
+ *   200: Updated member { userId, name, role }
+ *   400: Invalid ID or role
+ *   403: Caller is not the owner of the list
+ *   404: List or member not found
+ */
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const id = Number(req.params.id);
+  const userId = Number(req.params.userId);
+  if (isNaN(id) || isNaN(userId)) throw Object.assign(new Error('Invalid ID'), { statusCode: 400 });
+  const { list } = await requireListRole(id, req.user.id, OWNER_ONLY);
+
+  if (!list.members.some(m => m.userId === userId)) {
+    throw Object.assign(new Error('Member not found'), { statusCode: 404 });
+  }
+
+  const member = await prisma.listMember.update({
+    where: { listId_userId: { listId: id, userId } },
+    data: { role: req.body.role },
+    include: { user: { select: { name: true } } },
+  });
+  res.status(200).json({ userId: member.userId, name: member.user.name, role: member.role });
+});
+
+/**
+ * Remove a member from a list
+ * The owner may remove anyone; a member may remove themselves (leave the list).
+ * The removed member's realtime streams drop the list (a DELETE on their lists stream).
+ *
+ * Method: DELETE
+ * Path: /api/lists/:id/members/:userId
+ *
+ * Params:
+ *   - id (number, required) → List ID
+ *   - userId (number, required) → Member user ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   204: Removed successfully
+ *   400: Invalid ID
+ *   403: Caller may not remove this member
+ *   404: List or member not found
+ */
+export const removeMember = asyncHandler(async (req, res) => {
+  const id = Number(req.params.id);
+  const userId = Number(req.params.userId);
+  if (isNaN(id) || isNaN(userId)) throw Object.assign(new Error('Invalid ID'), { statusCode: 400 });
+  const { list, role } = await requireListRole(id, req.user.id);
+
+  if (role !== 'OWNER' && userId !== req.user.id) {
+    throw Object.assign(new Error('You do not have permission to perform this action'), { statusCode: 403 });
+  }
+  if (!list.members.some(m => m.userId === userId)) {
+    throw Object.assign(new Error('Member not found'), { statusCode: 404 });
+  }
+
+  await prisma.listMember.delete({ where: { listId_userId: { listId: id, userId } } });
+  publishListAccessRevoked(list, userId);
+  res.status(204).send();
+});
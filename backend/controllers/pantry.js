@@ -0,0 +1,175 @@
+/**
+ * controllers/pantry.js
+ * -----------------------------
+ * Controller functions for "PantryItem" resource (home inventory).
+ *
+ * The pantry is private to each user. Besides the CRUD below, it is updated
+ * automatically when the user marks list items as bought (see services/pantry.js).
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { isLowStock, toPantryResponse, getExpiringPantry, DEFAULT_EXPIRING_DAYS } from '../services/pantry.js';
+
+/**
+ * Pick the editable fields of a pantry product from a request body
+ * @param {Object} body
+ * @returns {Object}
+ */
+const toPantryData = ({ name, quantity, minQuantity, categoryId, unitId, expiresAt }) => ({
+  name: name.trim(),
+  quantity: Number(quantity),
+  ...(minQuantity !== undefined && { minQuantity: Number(minQuantity) }),
+  categoryId: Number(categoryId),
+  unitId: Number(unitId),
+  expiresAt: expiresAt ? new Date(expiresAt) : null,
+});
+
+/**
+ * Fetch a pantry product owned by the user
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ * @throws {Error} 404 if the product does not exist or belongs to another user
+ */
+const requirePantryItem = async (id, userId) => {
+  const pantryItem = await prisma.pantryItem.findUnique({ where: { id } });
+  if (!pantryItem || pantryItem.userId !== userId) {
+    throw Object.assign(new Error('Pantry item not found'), { statusCode: 404 });
+  }
+  return pantryItem;
+};
+
+/**
+ * Retrieve the pantry of the authenticated user
+ *
+ * Method: GET
+ * Path: /api/pantry
+ *
+ * Params: none
+ * Query:
+ *   - lowStock ("true" | "false", optional) → only products that are / are not running low
+ * Body: none
+ *
+ * Response:
+ *   200: Array of products [{ id, name, quantity, minQuantity, expiresAt, lowStock, category, unit, ... }]
+ */
+export const getPantry = asyncHandler(async (req, res) => {
+  const pantry = await prisma.pantryItem.findMany({
+    where: { userId: req.user.id },
+    include: { category: true, unit: true },
+    orderBy: [{ categoryId: 'asc' }, { name: 'asc' }],
+  });
+
+  const { lowStock } = req.query;
+  const filtered = lowStock === undefined
+    ? pantry
+    : pantry.filter(pantryItem => isLowStock(pantryItem) === (lowStock === 'true'));
+
+  res.status(200).json(filtered.map(toPantryResponse));
+});
+
+/**
+ * Retrieve the products that expire soon (or already expired)
+ *
+ * Method: GET
+ * Path: /api/pantry/expiring
+ *
+ * Params: none
+ * Query:
+ *   - days (number, optional) → look-ahead in days (default: 3)
+ * Body: none
+ *
+ * Response:
+ *   200: Array of products, soonest first [{ ...product, expired, daysLeft }]
+ *   400: Invalid days
+ */
+export const getExpiringPantryItems = asyncHandler(async (req, res) => {
+  const days = req.query.days === undefined ? DEFAULT_EXPIRING_DAYS : Number(req.query.days);
+  res.status(200).json(await getExpiringPantry(req.user.id, days));
+});
+
+/**
+ * Add a product to the pantry
+ *
+ * Method: POST
+ * Path: /api/pantry
+ *
+ * Params: none
+ * Query: none
+ * Body:
+ *   - name (string, required)
+ *   - quantity (number, required) → quantity on hand
+ *   - minQuantity (number, optional) → low-stock threshold (default: 0)
+ *   - categoryId (number, required)
+ *   - unitId (number, required)
+ *   - expiresAt (date string, optional)
+ *
+ * Response:
+ *   201: Created product including category and unit
+ *   400: Invalid body
+ */
+export const createPantryItem = asyncHandler(async (req, res) => {
+  const pantryItem = await prisma.pantryItem.create({
+    data: { ...toPantryData(req.body), userId: req.user.id },
+    include: { category: true, unit: true },
+  });
+  res.status(201).json(toPantryResponse(pantryItem));
+});
+
+/**
+ * Update a pantry product
+ *
+ * Method: PUT
+ * Path: /api/pantry/:id
+ *
+ * Params:
+ *   - id (number, required) → pantry product ID
+ * Query: none
+ * Body: as in create
+ *
+ * Response:
+ *   200: Updated product including category and unit
+ *   400: Invalid ID or body
+ *   404: Product not found
+ */
+export const updatePantryItem = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid pantry item ID'), { statusCode: 400 });
+
+  await requirePantryItem(id, req.user.id);
+  const pantryItem = await prisma.pantryItem.update({
+    where: { id },
+    data: toPantryData(req.body),
+    include: { category: true, unit: true },
+  });
+  res.status(200).json(toPantryResponse(pantryItem));
+});
+
+/**
+ * Remove a product from the pantry
+ *
+ * Method: DELETE
+ * Path: /api/pantry/:id
+ *
+ * Params:
+ *   - id (number, required) → pantry product ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   204: Deleted successfully
+ *   400: Invalid ID
+ *   404: Product not found
+ */
+export const deletePantryItem = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid pantry item ID'), { statusCode: 400 });
+
+  await requirePantryItem(id, req.user.id);
+  await prisma.pantryItem.delete({ where: { id } });
+  res.sendStatus(204);
+});
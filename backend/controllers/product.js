@@ -0,0 +1,34 @@
+/**
+ * controllers/product.js
+ * -----------------------------
+ * Controller functions for the product catalog (autocomplete of item names).
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { suggestProducts } from '../services/productCatalog.js';
+
+const DEFAULT_SUGGESTIONS = 8;
+
+/**
+ * Suggest products of the caller's catalog whose name (or one of its words / aliases) starts with the typed text
+ *
+ * Method: GET
+ * Path: /api/products/suggest
+ *
+ * Params: none
+ * Query:
+ *   - q (string, required) → typed text; niqqud, geresh and final letters are ignored
+ *   - limit (number, optional) → max suggestions (default: 8, max: 20)
+ * Body: none
+ *
+ * Response:
+ *   200: [{ id, name, aliases, brand, usageCount, categoryId, unitId, category, unit }]
+ *   400: Invalid query
+ */
+export const getProductSuggestions = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_SUGGESTIONS : Number(req.query.limit);
+  res.status(200).json(await suggestProducts(req.user.id, req.query.q, limit));
+});
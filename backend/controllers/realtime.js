@@ -0,0 +1,122 @@
+/**
+ * controllers/realtime.js
+ * -----------------------------
+ * Controller functions for the built-in realtime event streams (Server-Sent Events).
+ * Clients use them instead of Supabase Realtime when the frontend is configured
+ * with the "server" realtime provider; see services/realtime.js for the messages.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole } from '../services/listAccess.js';
+import {
+  openEventStream,
+  openPresenceStream,
+  updatePresence,
+  listsTopic,
+  itemsTopic,
+} from '../services/realtime.js';
+
+/**
+ * Stream changes to the lists the authenticated user owns or is a member of
+ *
+ * Method: GET
+ * Path: /api/realtime/lists
+ *
+ * Params: none
+ * Query:
+ *   - access_token (string, required) → access token (EventSource cannot send headers)
+ * Body: none
+ *
+ * Response:
+ *   200: text/event-stream of `change` events { table: 'List', eventType, new, old }
+ *   401: Missing or invalid token
+ */
+export const streamLists = asyncHandler(async (req, res) => {
+  openEventStream(req, res, [listsTopic(req.user.id)]);
+});
+
+/**
+ * Stream changes to the items of one or more lists
+ *
+ * Method: GET
+ * Path: /api/realtime/items
+ *
+ * Params: none
+ * Query:
+ *   - access_token (string, required) → access token (EventSource cannot send headers)
+ *   - listIds (string, required) → comma-separated IDs of lists the caller can view
+ * Body: none
+ *
+ * Response:
+ *   200: text/event-stream of `change` events { table: 'Item', eventType, new, old }
+ *   400: Invalid list IDs
+ *   401: Missing or invalid token
+ *   404: A list was not found (or is not shared with the caller)
+ */
+export const streamItems = asyncHandler(async (req, res) => {
+  const listIds = [...new Set(req.query.listIds.split(',').map(Number))];
+
+  for (const listId of listIds) {
+    await requireListRole(listId, req.user.id);
+  }
+  openEventStream(req, res, listIds.map(itemsTopic));
+});
+
+/**
+ * Join the viewers of a list and stream who is viewing it
+ *
+ * Method: GET
+ * Path: /api/realtime/presence/:listId
+ *
+ * Params:
+ *   - listId (number, required) → list ID
+ * Query:
+ *   - access_token (string, required) → access token (EventSource cannot send headers)
+ * Body: none
+ *
+ * Response:
+ *   200: text/event-stream of
+ *        `joined` events { connectionId } → the ID of this stream, for PUT /api/lists/:id/presence
+ *        `presence` events { viewers: [{ connectionId, userId, name, editingItemId }] }
+ *        `message` events { type: 'bought', itemId, itemName, bought, user: { id, name } } → another user (un)marked an item as bought
+ *   400: Invalid ID
+ *   401: Missing or invalid token
+ *   404: List not found (or is not shared with the caller)
+ */
+export const streamPresence = asyncHandler(async (req, res) => {
+  const listId = parseInt(req.params.listId, 10);
+  if (isNaN(listId)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(listId, req.user.id);
+  openPresenceStream(req, res, listId, req.user);
+});
+
+/**
+ * Set the item the caller is editing in a list
+ *
+ * Method: PUT
+ * Path: /api/lists/:id/presence
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query: none
+ * Body:
+ *   - connectionId (string, required) → ID of the caller's presence stream
+ *   - editingItemId (number|null, required) → item being edited (null when done)
+ *
+ * Response:
+ *   200: The viewer { connectionId, userId, name, editingItemId }
+ *   400: Invalid ID or validation errors
+ *   404: List not found, or the presence stream is not open
+ */
+export const updateListPresence = asyncHandler(async (req, res) => {
+  const listId = parseInt(req.params.id, 10);
+  if (isNaN(listId)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(listId, req.user.id);
+  const viewer = updatePresence(listId, req.body.connectionId, req.user.id, req.body.editingItemId);
+  res.status(200).json(viewer);
+});
@@ -0,0 +1,181 @@
+/**
+ * controllers/recurrence.js
+ * -----------------------------
+ * Controller functions for "ListRecurrence" resource.
+ *
+ * A recurrence generates a new list on a weekly, biweekly or monthly schedule
+ * from a source list or a template (see services/recurrence.js).
+ * Recurrences are private to the user who created them.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole } from '../services/listAccess.js';
+import { getNextRunDate } from '../services/recurrence.js';
+
+/**
+ * Prisma `include` that adds the name of the recurrence's source
+ */
+const SOURCE_INCLUDE = {
+  sourceList: { select: { id: true, name: true } },
+  template: { select: { id: true, name: true } },
+};
+
+/**
+ * Pick the schedule fields of a request body
+ * The day that does not apply to the frequency is cleared.
+ * @param {Object} body
+ * @returns {{ frequency: string, dayOfWeek: number|null, dayOfMonth: number|null }}
+ */
+const toSchedule = ({ frequency, dayOfWeek, dayOfMonth }) => ({
+  frequency,
+  dayOfWeek: frequency === 'MONTHLY' ? null : dayOfWeek,
+  dayOfMonth: frequency === 'MONTHLY' ? dayOfMonth : null,
+});
+
+/**
+ * Fetch a recurrence owned by the user
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ * @throws {Error} 404 if the recurrence does not exist or belongs to another user
+ */
+const requireRecurrence = async (id, userId) => {
+  const recurrence = await prisma.listRecurrence.findUnique({ where: { id } });
+  if (!recurrence || recurrence.userId !== userId) {
+    throw Object.assign(new Error('Recurrence not found'), { statusCode: 404 });
+  }
+  return recurrence;
+};
+
+/**
+ * Retrieve the recurrences of the authenticated user
+ *
+ * Method: GET
+ * Path: /api/recurrences
+ *
+ * Params: none
+ * Query:
+ *   - sourceListId (number, optional) → only the recurrences copying this list
+ * Body: none
+ *
+ * Response:
+ *   200: Array of recurrences [{ id, frequency, dayOfWeek, dayOfMonth, nextRunAt, lastRunAt, sourceList, template }]
+ *   400: Invalid sourceListId
+ */
+export const getRecurrences = asyncHandler(async (req, res) => {
+  const where = { userId: req.user.id };
+  if (req.query.sourceListId !== undefined) {
+    where.sourceListId = parseInt(req.query.sourceListId, 10);
+    if (isNaN(where.sourceListId)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+  }
+
+  const recurrences = await prisma.listRecurrence.findMany({
+    where,
+    include: SOURCE_INCLUDE,
+    orderBy: { nextRunAt: 'asc' },
+  });
+  res.status(200).json(recurrences);
+});
+
+/**
+ * Create a recurrence
+ *
+ * Method: POST
+ * Path: /api/recurrences
+ *
+ * Params: none
+ * Query: none
+ * Body:
+ *   - frequency ('WEEKLY'|'BIWEEKLY'|'MONTHLY', required)
+ *   - dayOfWeek (number 0–6, required for WEEKLY / BIWEEKLY)
+ *   - dayOfMonth (number 1–28, required for MONTHLY)
+ *   - sourceListId (number) | templateId (number) → exactly one, the source of the items
+ *
+ * Response:
+ *   201: Created recurrence
+ *   400: Invalid body
+ *   404: Source list or template not found
+ *   409: The source already has a recurrence
+ */
+export const createRecurrence = asyncHandler(async (req, res) => {
+  const { sourceListId, templateId } = req.body;
+  const userId = req.user.id;
+
+  if (sourceListId) {
+    await requireListRole(sourceListId, userId);
+  } else {
+    const template = await prisma.listTemplate.findFirst({ where: { id: templateId, userId } });
+    if (!template) throw Object.assign(new Error('Template not found'), { statusCode: 404 });
+  }
+
+  const source = sourceListId ? { sourceListId } : { templateId };
+  const existing = await prisma.listRecurrence.findFirst({ where: { userId, ...source } });
+  if (existing) throw Object.assign(new Error('A recurrence already exists for this source'), { statusCode: 409 });
+
+  const schedule = toSchedule(req.body);
+  const recurrence = await prisma.listRecurrence.create({
+    data: { ...schedule, ...source, userId, nextRunAt: getNextRunDate(schedule) },
+    include: SOURCE_INCLUDE,
+  });
+  res.status(201).json(recurrence);
+});
+
+/**
+ * Change the schedule of a recurrence (the next run is recalculated from now)
+ *
+ * Method: PUT
+ * Path: /api/recurrences/:id
+ *
+ * Params:
+ *   - id (number, required) → recurrence ID
+ * Query: none
+ * Body:
+ *   - frequency, dayOfWeek, dayOfMonth → as in create
+ *
+ * Response:
+ *   200: Updated recurrence
+ *   400: Invalid ID or body
+ *   404: Recurrence not found
+ */
+export const updateRecurrence = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid recurrence ID'), { statusCode: 400 });
+
+  await requireRecurrence(id, req.user.id);
+  const schedule = toSchedule(req.body);
+  const recurrence = await prisma.listRecurrence.update({
+    where: { id },
+    data: { ...schedule, nextRunAt: getNextRunDate(schedule) },
+    include: SOURCE_INCLUDE,
+  });
+  res.status(200).json(recurrence);
+});
+
+/**
+ * Delete a recurrence (lists it generated are kept)
+ *
+ * Method: DELETE
+ * Path: /api/recurrences/:id
+ *
+ * Params:
+ *   - id (number, required) → recurrence ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   204: Deleted successfully
+ *   400: Invalid ID
+ *   404: Recurrence not found
+ */
+export const deleteRecurrence = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid recurrence ID'), { statusCode: 400 });
+
+  await requireRecurrence(id, req.user.id);
+  await prisma.listRecurrence.delete({ where: { id } });
+  res.sendStatus(204);
+});
@@ -12,11 +12,13 @@
  * to the global error handler middleware.
  */
 
+import prisma from '../prisma/client.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 import * as statsService from '../services/statistic.js';
+import { requireListRole } from '../services/listAccess.js';
 
 /**
- * Retrieve monthly statistics for all lists created within a specified month.
+ * Retrieve monthly statistics for all lists accessible to the authenticated user created within a specified month.
  *
  * HTTP Method: GET
  * Path: /api/statistics/monthly
@@ -33,13 +35,19 @@ import * as statsService from '../services/statistic.js';
  *         id: number,
  *         name: string,
  *         createdAt: string (ISO date),
- *         totalQuantity: number,
+ *         totalQuantity: number,   // number of items
+ *         totalUnits: number,      // sum of item quantities
+ *         totalSpend: number,      // money spent (paid, or estimated when not paid)
  *         categories: [
  *           {
  *             categoryId: number,
  *             categoryName: string,
- *             quantity: number,
- *             percent: number
+ *             quantity: number,    // number of items
+ *             percent: number,
+ *             units: number,
+ *             unitsPercent: number,
+ *             spend: number,
+ *             spendPercent: number
  *           }
  *         ]
  *       }
@@ -50,12 +58,12 @@ import * as statsService from '../services/statistic.js';
  *   - Parses the `month` query parameter using `statsService.parseMonth`.
  *   - Retrieves lists created in that month via `statsService.getListsInRange`.
  *   - If no lists exist, returns an empty array.
- *   - Retrieves items for those lists and computes category breakdown.
+ *   - Retrieves items for those lists and computes totals and category breakdown (count, units and spend).
  */
 export const getMonthlyStats = asyncHandler(async (req, res) => {
   const { start, end } = statsService.parseMonth(req.query.month);
 
-  const lists = await statsService.getListsInRange(start, end);
+  const lists = await statsService.getListsInRange(start, end, req.user.id);
   if (lists.length === 0) return res.json({ month: req.query.month, lists: [] });
 
   const items = await statsService.getItemsForLists(lists.map(l => l.id));
@@ -64,7 +72,7 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
 
   const result = lists.map(list => ({
     ...list,
-    totalQuantity: (itemsGrouped[list.id] || []).length,
+    ...statsService.computeTotals(itemsGrouped[list.id] || []),
     categories: statsService.computeCategoriesBreakdown(itemsGrouped[list.id] || [], categoryMap),
   }));
 
@@ -86,36 +94,42 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
  *     id: number,
  *     name: string,
  *     createdAt: string (ISO date),
- *     totalQuantity: number,
+ *     totalQuantity: number,   // number of items
+ *     totalUnits: number,      // sum of item quantities
+ *     totalSpend: number,      // money spent (paid, or estimated when not paid)
  *     categories: [
  *       {
  *         categoryId: number,
  *         categoryName: string,
- *         quantity: number,
- *         percent: number
+ *         quantity: number,    // number of items
+ *         percent: number,
+ *         units: number,
+ *         unitsPercent: number,
+ *         spend: number,
+ *         spendPercent: number
  *       }
  *     ]
  *   }
  *
  * Errors:
  *   - 400 Bad Request → if the `id` parameter is not a valid number
- *   - 404 Not Found → if no list exists with the provided ID
+ *   - 404 Not Found → if no list accessible to the authenticated user exists with the provided ID
  *
  * Behavior:
  *   - Retrieves the list from the database.
  *   - Retrieves all items associated with the list.
- *   - Computes category breakdown using `statsService`.
+ *   - Computes totals and category breakdown (count, units and spend) using `statsService`.
  */
 export const getStatsByList = asyncHandler(async (req, res) => {
   const listId = Number(req.params.id);
   if (isNaN(listId)) throw Object.assign(new Error("listId must be a number"), { statusCode: 400 });
 
-  const list = await prisma.list.findUnique({ where: { id: listId }, select: { id: true, name: true, createdAt: true } });
-  if (!list) throw Object.assign(new Error("List not found"), { statusCode: 404 });
+  const { list: { id, name, createdAt } } = await requireListRole(listId, req.user.id);
+  const list = { id, name, createdAt };
 
-  const items = await prisma.item.findMany({ where: { listId }, select: { categoryId: true } });
+  const items = await prisma.item.findMany({ where: { listId, deletedAt: null }, select: statsService.STATS_ITEM_SELECT });
   const categoryMap = await statsService.getCategoryMap(items);
   const categories = statsService.computeCategoriesBreakdown(items, categoryMap);
 
-  res.json({ ...list, totalQuantity: items.length, categories });
+  res.json({ ...list, ...statsService.computeTotals(items), categories });
 });
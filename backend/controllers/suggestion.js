@@ -0,0 +1,42 @@
+/**
+ * controllers/suggestion.js
+ * -----------------------------
+ * Controller functions for the "you usually buy these" suggestions of a list.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole } from '../services/listAccess.js';
+import { getListSuggestions as findListSuggestions } from '../services/suggestion.js';
+
+const DEFAULT_SUGGESTIONS = 10;
+
+/**
+ * Retrieve the products the caller usually buys that are due and not on the list yet
+ *
+ * Method: GET
+ * Path: /api/lists/:id/suggestions
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query:
+ *   - limit (number, optional) → max suggestions, 1-30 (default: 10)
+ * Body: none
+ *
+ * Response:
+ *   200: [{ name, brand, quantity, categoryId, unitId, category, unit, timesBought, intervalDays, lastBoughtAt, dueAt }]
+ *        most overdue first
+ *   400: Invalid ID or limit
+ *   404: List not found
+ */
+export const getListSuggestions = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id);
+
+  const limit = req.query.limit === undefined ? DEFAULT_SUGGESTIONS : Number(req.query.limit);
+  res.status(200).json(await findListSuggestions(id, req.user.id, { limit }));
+});
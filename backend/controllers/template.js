@@ -0,0 +1,215 @@
+/**
+ * controllers/template.js
+ * -----------------------------
+ * Controller functions for "ListTemplate" resource.
+ *
+ * A template is a named set of items (category, unit, default quantity, brand)
+ * saved from an existing list, from which new lists can be created.
+ * Templates are private to the user who saved them.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { requireListRole, toListResponse, MEMBERS_INCLUDE } from '../services/listAccess.js';
+import { buildItemsWhere, buildItemsOrderBy } from '../services/itemQuery.js';
+import { recordActivity } from '../services/activity.js';
+import { publishListChange } from '../services/realtime.js';
+
+/**
+ * Prisma `include` that loads the items of a template with their category and unit
+ */
+const TEMPLATE_ITEMS_INCLUDE = {
+  items: { include: { category: true, unit: true }, orderBy: [{ categoryId: 'asc' }, { name: 'asc' }] },
+};
+
+/**
+ * Copy the template fields of an item (list item → template item, or template item → list item)
+ * @param {{ name: string, quantity: number, brand: string|null, comments: string|null, categoryId: number, unitId: number }} item
+ * @returns {Object}
+ */
+const copyItemFields = ({ name, quantity, brand, comments, categoryId, unitId }) => ({
+  name,
+  quantity,
+  brand,
+  comments,
+  categoryId,
+  unitId,
+});
+
+/**
+ * Fetch a template owned by the user
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<Object>} The template including its items
+ * @throws {Error} 404 if the template does not exist or belongs to another user
+ */
+const requireTemplate = async (id, userId) => {
+  const template = await prisma.listTemplate.findUnique({ where: { id }, include: TEMPLATE_ITEMS_INCLUDE });
+  if (!template || template.userId !== userId) {
+    throw Object.assign(new Error('Template not found'), { statusCode: 404 });
+  }
+  return template;
+};
+
+/**
+ * Retrieve the templates of the authenticated user
+ *
+ * Method: GET
+ * Path: /api/templates
+ *
+ * Params: none
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: Array of templates [{ id, name, createdAt, itemCount }]
+ */
+export const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await prisma.listTemplate.findMany({
+    where: { userId: req.user.id },
+    include: { _count: { select: { items: true } } },
+    orderBy: { createdAt: 'desc' },
+  });
+  res.status(200).json(
+    templates.map(({ _count, userId, ...template }) => ({ ...template, itemCount: _count.items }))
+  );
+});
+
+/**
+ * Retrieve a template with its items
+ *
+ * Method: GET
+ * Path: /api/templates/:id
+ *
+ * Params:
+ *   - id (number, required) → template ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: Template { id, name, createdAt, userId, items: [{ id, name, quantity, brand, comments, category, unit }] }
+ *   400: Invalid ID
+ *   404: Template not found
+ */
+export const getTemplateById = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid template ID'), { statusCode: 400 });
+
+  res.status(200).json(await requireTemplate(id, req.user.id));
+});
+
+/**
+ * Save the items of an existing list as a new template
+ *
+ * Method: POST
+ * Path: /api/templates
+ *
+ * Params: none
+ * Query: none
+ * Body:
+ *   - listId (number, required) → list to copy the items from (any list the caller can view)
+ *   - name (string, required) → template name
+ *
+ * Response:
+ *   201: Created template including its items
+ *   400: Invalid body or the list has no items
+ *   404: List not found
+ */
+export const createTemplate = asyncHandler(async (req, res) => {
+  const listId = Number(req.body.listId);
+  await requireListRole(listId, req.user.id);
+
+  const items = await prisma.item.findMany({ where: buildItemsWhere(listId), orderBy: buildItemsOrderBy() });
+  if (items.length === 0) {
+    throw Object.assign(new Error('Cannot create a template from an empty list'), { statusCode: 400 });
+  }
+
+  const template = await prisma.listTemplate.create({
+    data: {
+      name: req.body.name.trim(),
+      userId: req.user.id,
+      items: { create: items.map(copyItemFields) },
+    },
+    include: TEMPLATE_ITEMS_INCLUDE,
+  });
+  res.status(201).json(template);
+});
+
+/**
+ * Create a new list (owned by the caller) with the items of a template
+ *
+ * Method: POST
+ * Path: /api/templates/:id/lists
+ *
+ * Params:
+ *   - id (number, required) → template ID
+ * Query: none
+ * Body:
+ *   - name (string, optional) → name of the new list (default: the template name)
+ *
+ * Response:
+ *   201: Created list object { id, name, createdAt, userId, role, members }
+ *   400: Invalid ID or name
+ *   404: Template not found
+ */
+export const createListFromTemplate = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid template ID'), { statusCode: 400 });
+
+  const template = await requireTemplate(id, req.user.id);
+  const name = req.body.name?.trim() || template.name;
+
+  const newList = await prisma.list.create({
+    data: {
+      name,
+      userId: req.user.id,
+      items: { create: template.items.map(copyItemFields) },
+    },
+    include: MEMBERS_INCLUDE,
+  });
+  await recordActivity({
+    listId: newList.id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: newList.id,
+    action: 'CREATE',
+    after: newList,
+  });
+  publishListChange('INSERT', newList);
+
+  res.status(201).json(toListResponse(newList, req.user.id));
+});
+
+/**
+ * Delete a template
+ * A template that recurrences still copy from is not deleted (409): those recurrences
+ * have to be stopped first, so no schedule disappears along with its template.
+ *
+ * Method: DELETE
+ * Path: /api/templates/:id
+ *
+ * Params:
+ *   - id (number, required) → template ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   204: Deleted successfully
+ *   400: Invalid ID
+ *   404: Template not found
+ *   409: Recurrences still generate lists from the template
+ */
+export const deleteTemplate = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid template ID'), { statusCode: 400 });
+
+  await requireTemplate(id, req.user.id);
+  if (await prisma.listRecurrence.count({ where: { templateId: id } })) {
+    throw Object.assign(new Error('The template is used by recurring lists; stop them first'), { statusCode: 409 });
+  }
+  await prisma.listTemplate.delete({ where: { id } });
+  res.sendStatus(204);
+});
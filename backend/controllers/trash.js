@@ -0,0 +1,156 @@
+/**
+ * controllers/trash.js
+ * -----------------------------
+ * Controller functions for the trash bin.
+ *
+ * Deleted lists and items stay in the trash (with `deletedAt` set) until they are
+ * restored or purged after the retention period.
+ *
+ * Each function is wrapped with `asyncHandler` to automatically
+ * forward errors to the global error handler middleware.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  requireListRole,
+  requireItemRole,
+  toListResponse,
+  MEMBERS_INCLUDE,
+  CAN_EDIT,
+  OWNER_ONLY,
+} from '../services/listAccess.js';
+import { getPurgeDate, TRASH_RETENTION_DAYS } from '../services/trash.js';
+import { recordActivity } from '../services/activity.js';
+import { NEXT_VERSION } from '../services/concurrency.js';
+import { publishListChange, publishItemChange } from '../services/realtime.js';
+
+/**
+ * Retrieve the trash of the authenticated user
+ *
+ * Method: GET
+ * Path: /api/trash
+ *
+ * Params: none
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: {
+ *     retentionDays,
+ *     lists: [{ id, name, createdAt, deletedAt, purgeAt, itemCount }] → deleted lists the caller owns
+ *     items: [{ ...item, unit, category, list: { id, name }, purgeAt }] → deleted items of active lists the caller may edit
+ *   }
+ */
+export const getTrash = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const [lists, items] = await Promise.all([
+    prisma.list.findMany({
+      where: { userId, deletedAt: { not: null } },
+      select: {
+        id: true,
+        name: true,
+        createdAt: true,
+        deletedAt: true,
+        _count: { select: { items: { where: { deletedAt: null } } } },
+      },
+      orderBy: { deletedAt: 'desc' },
+    }),
+    prisma.item.findMany({
+      where: {
+        deletedAt: { not: null },
+        list: {
+          deletedAt: null,
+          OR: [{ userId }, { members: { some: { userId, role: 'EDITOR' } } }],
+        },
+      },
+      include: {
+        unit: true,
+        category: true,
+        list: { select: { id: true, name: true } },
+      },
+      orderBy: { deletedAt: 'desc' },
+    }),
+  ]);
+
+  res.status(200).json({
+    retentionDays: TRASH_RETENTION_DAYS,
+    lists: lists.map(({ _count, ...list }) => ({
+      ...list,
+      purgeAt: getPurgeDate(list.deletedAt),
+      itemCount: _count.items,
+    })),
+    items: items.map(item => ({ ...item, purgeAt: getPurgeDate(item.deletedAt) })),
+  });
+});
+
+/**
+ * Restore a deleted list, together with its items (owner only)
+ *
+ * Method: POST
+ * Path: /api/trash/lists/:id/restore
+ *
+ * Params:
+ *   - id (number, required) → list ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: Restored list object { id, name, createdAt, userId, role, members }
+ *   400: Invalid ID
+ *   403: Caller is not the owner of the list
+ *   404: List not found in trash
+ */
+export const restoreList = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid list ID'), { statusCode: 400 });
+
+  await requireListRole(id, req.user.id, OWNER_ONLY, { inTrash: true });
+  const restored = await prisma.list.update({ where: { id }, data: { deletedAt: null, ...NEXT_VERSION }, include: MEMBERS_INCLUDE });
+  await recordActivity({
+    listId: id,
+    userId: req.user.id,
+    entityType: 'LIST',
+    entityId: id,
+    action: 'RESTORE',
+    after: restored,
+  });
+  publishListChange('UPDATE', restored);
+  res.status(200).json(toListResponse(restored, req.user.id));
+});
+
+/**
+ * Restore a deleted item
+ *
+ * Method: POST
+ * Path: /api/trash/items/:id/restore
+ *
+ * Params:
+ *   - id (number, required) → item ID
+ * Query: none
+ * Body: none
+ *
+ * Response:
+ *   200: Restored item object including unit details
+ *   400: Invalid ID
+ *   403: Caller is a viewer of the list
+ *   404: Item not found in trash (or its list is deleted)
+ */
+export const restoreItem = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) throw Object.assign(new Error('Invalid item ID'), { statusCode: 400 });
+
+  const item = await requireItemRole(id, req.user.id, CAN_EDIT, { inTrash: true });
+  const restored = await prisma.item.update({ where: { id }, data: { deletedAt: null, ...NEXT_VERSION }, include: { unit: true } });
+  await recordActivity({
+    listId: item.listId,
+    userId: req.user.id,
+    entityType: 'ITEM',
+    entityId: id,
+    action: 'RESTORE',
+    after: restored,
+  });
+  publishItemChange('UPDATE', restored);
+  res.status(200).json(restored);
+});
@@ -0,0 +1,55 @@
+/**
+ * middleware/authenticate.js
+ * -----------------------------
+ * Express middleware that protects routes with a signed access token.
+ *
+ * Expects an `Authorization: Bearer <token>` header, verifies the token
+ * and loads the matching user. On success the user is attached to the
+ * request as `req.user` ({ id, email, name, createdAt }).
+ *
+ * Event streams (see routes/realtime.js) are opened with the browser `EventSource`,
+ * which cannot send headers, so `authenticateEventStream` reads the token from the
+ * `access_token` query parameter instead.
+ *
+ * Usage:
+ *   app.use('/api/lists', authenticate, listRoutes);
+ *   app.use('/api/realtime', authenticateEventStream, realtimeRoutes);
+ *
+ * Behavior:
+ *   - Missing, invalid or expired token → 401 forwarded to `errorHandler`.
+ *   - Token of a user that no longer exists → 401.
+ *   - Otherwise the request continues to the next middleware/controller.
+ */
+
+import prisma from '../prisma/client.js';
+import { asyncHandler } from './asyncHandler.js';
+import { verifyToken, toPublicUser } from '../services/auth.js';
+
+/**
+ * Verify an access token and load its user
+ * @param {string|undefined} token
+ * @returns {Promise<Object>} Public user { id, email, name, createdAt }
+ * @throws 401 if the token is missing, invalid or expired, or its user no longer exists
+ */
+const loadTokenUser = async (token) => {
+  if (!token) throw Object.assign(new Error('Authentication required'), { statusCode: 401 });
+
+  const userId = verifyToken(token);
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) throw Object.assign(new Error('User not found'), { statusCode: 401 });
+
+  return toPublicUser(user);
+};
+
+export const authenticate = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  req.user = await loadTokenUser(scheme === 'Bearer' ? token : undefined);
+  next();
+});
+
+export const authenticateEventStream = asyncHandler(async (req, res, next) => {
+  req.user = await loadTokenUser(req.query.access_token);
+  next();
+});
@@ -10,6 +10,7 @@
  * Notes:
  *   - Logs the error (can be extended to send to Sentry or another logging service)
  *   - Returns HTTP status code and error message in JSON
+ *   - Version conflicts (409) also return the current row as `current`
  *
  * @param {Error} err - The error object
  * @param {Request} req - Express request
@@ -24,5 +25,5 @@ export const errorHandler = (err, req, res, next) => {
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal server error';
 
-  res.status(statusCode).json({ error: message });
+  res.status(statusCode).json({ error: message, ...(err.current && { current: err.current }) });
 };
\ No newline at end of file
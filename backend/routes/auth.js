@@ -0,0 +1,56 @@
+/**
+ * routes/auth.js
+ * -----------------------------
+ * Express router for user accounts and authentication.
+ *
+ * Base path: /api/auth
+ *
+ * Routes:
+ * - POST /api/auth/signup → Register a new user and receive a token
+ * - POST /api/auth/login  → Log in and receive a token
+ * - GET  /api/auth/me     → Retrieve the authenticated user
+ */
+
+import express from 'express';
+import * as authController from '../controllers/auth.js';
+import { validateSignup, validateLogin } from "../validators/auth.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+import { authenticate } from "../middleware/authenticate.js";
+
+const router = express.Router();
+
+/* ======================
+   Auth Routes
+   ====================== */
+
+/**
+ * Register a new user
+ */
+router.post(
+  "/signup",
+  validateRequest(validateSignup, (req) => ({
+    name: req.body.name,
+    email: req.body.email,
+    password: req.body.password,
+  })),
+  authController.signup
+);
+
+/**
+ * Log in
+ */
+router.post(
+  "/login",
+  validateRequest(validateLogin, (req) => ({
+    email: req.body.email,
+    password: req.body.password,
+  })),
+  authController.login
+);
+
+/**
+ * Retrieve the authenticated user
+ */
+router.get("/me", authenticate, authController.getCurrentUser);
+
+export default router;
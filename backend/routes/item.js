@@ -6,14 +6,16 @@
  * Base path: /api/items
  *
  * Routes:
+ * - POST   /parse  → Parse a free-text item line (quantity, unit, name, brand)
  * - PUT    /:id    → Update an existing item
  * - PATCH  /:id    → Update the "bought" status of an item
- * - DELETE /:id    → Delete an item
+ * - DELETE /:id    → Move an item to the trash
  */
 
 import express from "express";
 import * as itemController from "../controllers/item.js";
-import { validateItemUpdate } from "../validators/item.js";
+import { validateItemUpdate, validateItemText } from "../validators/item.js";
+import { validateVersion, validateOptionalVersion } from "../validators/version.js";
 import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
@@ -22,6 +24,15 @@ const router = express.Router();
    Item Routes
    ====================== */
 
+/**
+ * Parse a free-text item line without adding it
+ */
+router.post(
+  "/parse",
+  validateRequest(validateItemText, (req) => ({ text: req.body.text })),
+  itemController.parseItemLine
+);
+
 /**
  * Update an existing item
  */
@@ -33,17 +44,24 @@ router.put(
     brand: req.body.brand,
     unitId: req.body.unitId,
     comments: req.body.comments,
+    unitPrice: req.body.unitPrice,
+    paidPrice: req.body.paidPrice,
   })),
+  validateRequest(validateVersion, (req) => ({ version: req.body.version })),
   itemController.updateItem
 );
 
 /**
  * Update the "bought" status of an item
  */
-router.patch("/:id", itemController.updateBoughtStatus);
+router.patch(
+  "/:id",
+  validateRequest(validateOptionalVersion, (req) => ({ version: req.body.version })),
+  itemController.updateBoughtStatus
+);
 
 /**
- * Delete an item
+ * Move an item to the trash
  */
 router.delete("/:id", itemController.deleteItem);
 
@@ -8,17 +8,47 @@
  * Routes:
  * - POST   /api/lists                              → Create a new list
  * - GET    /api/lists                              → Retrieve all lists
+ * - GET    /api/lists/export                       → Export all lists as a CSV / JSON file
+ * - POST   /api/lists/import                       → Recreate lists from an exported CSV / JSON file
+ * - GET    /api/lists/:id                          → Retrieve a list with its items grouped by category
  * - PUT    /api/lists/:id                          → Update list name
- * - DELETE /api/lists/:id                          → Delete a list and its items
+ * - DELETE /api/lists/:id                          → Move a list and its items to the trash
+ * - POST   /api/lists/:id/duplicate                → Copy a list and its items
+ * - GET    /api/lists/:id/export                   → Export a list as a CSV / JSON file
+ * - GET    /api/lists/:id/export.txt               → Export a list as a text message to share
+ * - PUT    /api/lists/:id/budget                   → Set or clear the list budget
+ * - GET    /api/lists/:id/totals                   → Estimated / actual spend vs. budget
+ * - GET    /api/lists/:id/activity                 → Activity log of the list (paginated)
+ * - GET    /api/lists/:id/suggestions              → Products usually bought that are due and not on the list
+ * - POST   /api/lists/:id/import                   → Preview a pasted plain-text list (parsed & classified)
+ * - POST   /api/lists/:id/import/confirm           → Create the confirmed items of an import
+ * - POST   /api/lists/join                         → Join a shared list with an invite code
+ * - GET    /api/lists/:id/members                  → Retrieve the members of a list
+ * - POST   /api/lists/:id/members/invite           → Create an invite code (owner only)
+ * - PUT    /api/lists/:id/members/:userId          → Change a member's role (owner only)
+ * - DELETE /api/lists/:id/members/:userId          → Remove a member / leave the list
+ * - PUT    /api/lists/:id/presence                 → Set the item the caller is editing
  * - POST   /api/lists/:listId/categories/:categoryId/items → Add item to list/category
- * - GET    /api/lists/:listId/categories/:categoryId/items → Get items by list and category
+ * - GET    /api/lists/:listId/categories/:categoryId/items → Get items by list and category (sorted & filtered)
  */
 
 import express from 'express';
 import * as listController from '../controllers/list.js';
 import * as itemController from '../controllers/item.js';
-import { validateListCreation, validateListUpdate } from "../validators/list.js";
-import { validateItemAddition } from "../validators/item.js";
+import * as memberController from '../controllers/member.js';
+import * as activityController from '../controllers/activity.js';
+import * as suggestionController from '../controllers/suggestion.js';
+import * as importController from '../controllers/import.js';
+import * as listFileController from '../controllers/listFile.js';
+import * as realtimeController from '../controllers/realtime.js';
+import { validateListCreation, validateListUpdate, validateListBudget, validateListInclude, validateListDuplicate, validateListExport, validateListTextExport, validateListFileImport } from "../validators/list.js";
+import { validateMemberRole, validateJoin } from "../validators/member.js";
+import { validateItemAddition, validateItemQuery } from "../validators/item.js";
+import { validateActivityQuery } from "../validators/activity.js";
+import { validateSuggestionQuery } from "../validators/suggestion.js";
+import { validateImportText, validateImportItems } from "../validators/import.js";
+import { validateVersion, validateOptionalVersion } from "../validators/version.js";
+import { validatePresenceUpdate } from "../validators/realtime.js";
 import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
@@ -41,20 +71,220 @@ router.post(
  */
 router.get("/", listController.getAllLists);
 
+/**
+ * Export all lists as a file
+ * Supports ?format=csv|json
+ * (registered before "/:id" so "export" is not taken for a list ID)
+ */
+router.get(
+  "/export",
+  validateRequest(validateListExport, (req) => ({ format: req.query.format })),
+  listFileController.exportAllLists
+);
+
+/**
+ * Recreate lists from an exported file
+ */
+router.post(
+  "/import",
+  validateRequest(validateListFileImport, (req) => ({ format: req.body.format, content: req.body.content })),
+  listFileController.importLists
+);
+
+/**
+ * Retrieve a single list with its items grouped by category
+ * Supports ?include=items,categories,units and the items' ?sortBy=&order=&bought=&search=
+ */
+router.get(
+  "/:id",
+  validateRequest(validateListInclude, (req) => ({ include: req.query.include })),
+  validateRequest(validateItemQuery, (req) => ({
+    sortBy: req.query.sortBy,
+    order: req.query.order,
+    bought: req.query.bought,
+    search: req.query.search,
+  })),
+  listController.getListById
+);
+
 /**
  * Update list name
  */
 router.put(
   "/:id",
   validateRequest(validateListUpdate, (req) => ({ name: req.body.name })),
+  validateRequest(validateVersion, (req) => ({ version: req.body.version })),
   listController.updateListName
 );
 
 /**
- * Delete a list
+ * Move a list to the trash
  */
 router.delete("/:id", listController.deleteList);
 
+/**
+ * Copy a list and its items
+ */
+router.post(
+  "/:id/duplicate",
+  validateRequest(validateListDuplicate, (req) => ({
+    name: req.body.name,
+    resetBought: req.body.resetBought,
+    onlyUnbought: req.body.onlyUnbought,
+  })),
+  listController.duplicateList
+);
+
+/**
+ * Export a list as a file
+ * Supports ?format=csv|json
+ */
+router.get(
+  "/:id/export",
+  validateRequest(validateListExport, (req) => ({ format: req.query.format })),
+  listFileController.exportList
+);
+
+/**
+ * Export a list as a text message to share (e.g. on WhatsApp)
+ * Supports ?boughtItems=strike|omit
+ */
+router.get(
+  "/:id/export.txt",
+  validateRequest(validateListTextExport, (req) => ({ boughtItems: req.query.boughtItems })),
+  listFileController.exportListText
+);
+
+/* ======================
+   Budget & Totals
+   ====================== */
+
+/**
+ * Set or clear the list budget
+ */
+router.put(
+  "/:id/budget",
+  validateRequest(validateListBudget, (req) => ({ budget: req.body.budget })),
+  validateRequest(validateOptionalVersion, (req) => ({ version: req.body.version })),
+  listController.updateListBudget
+);
+
+/**
+ * Get estimated / actual spend compared to the budget
+ */
+router.get("/:id/totals", listController.getListSpendTotals);
+
+/* ======================
+   Activity Log
+   ====================== */
+
+/**
+ * Get the activity log of a list
+ * Supports ?page=&pageSize=
+ */
+router.get(
+  "/:id/activity",
+  validateRequest(validateActivityQuery, (req) => ({
+    page: req.query.page,
+    pageSize: req.query.pageSize,
+  })),
+  activityController.getListActivity
+);
+
+/* ======================
+   Suggestions
+   ====================== */
+
+/**
+ * Get the products usually bought that are due and not on the list yet
+ * Supports ?limit=
+ */
+router.get(
+  "/:id/suggestions",
+  validateRequest(validateSuggestionQuery, (req) => ({ limit: req.query.limit })),
+  suggestionController.getListSuggestions
+);
+
+/* ======================
+   Import
+   ====================== */
+
+/**
+ * Preview a pasted plain-text list (nothing is created)
+ */
+router.post(
+  "/:id/import",
+  validateRequest(validateImportText, (req) => ({ text: req.body.text })),
+  importController.previewListImport
+);
+
+/**
+ * Create the confirmed items of an import
+ */
+router.post(
+  "/:id/import/confirm",
+  validateRequest(validateImportItems, (req) => ({ items: req.body.items })),
+  importController.importListItems
+);
+
+/* ======================
+   Members & Invites
+   ====================== */
+
+/**
+ * Join a shared list with an invite code
+ */
+router.post(
+  "/join",
+  validateRequest(validateJoin, (req) => ({ code: req.body.code })),
+  memberController.joinList
+);
+
+/**
+ * Retrieve the members of a list
+ */
+router.get("/:id/members", memberController.getMembers);
+
+/**
+ * Create an invite code for a list
+ */
+router.post(
+  "/:id/members/invite",
+  validateRequest(validateMemberRole, (req) => ({ role: req.body.role })),
+  memberController.createInvite
+);
+
+/**
+ * Change a member's role
+ */
+router.put(
+  "/:id/members/:userId",
+  validateRequest(validateMemberRole, (req) => ({ role: req.body.role })),
+  memberController.updateMemberRole
+);
+
+/**
+ * Remove a member from a list
+ */
+router.delete("/:id/members/:userId", memberController.removeMember);
+
+/* ======================
+   Presence
+   ====================== */
+
+/**
+ * Set (or clear) the item the caller is editing
+ * The caller must have a presence stream open (GET /api/realtime/presence/:listId)
+ */
+router.put(
+  "/:id/presence",
+  validateRequest(validatePresenceUpdate, (req) => ({
+    connectionId: req.body.connectionId,
+    editingItemId: req.body.editingItemId,
+  })),
+  realtimeController.updateListPresence
+);
+
 /* ======================
    Items within List/Category
    ====================== */
@@ -70,15 +300,24 @@ router.post(
     brand: req.body.brand,
     unitId: req.body.unitId,
     comments: req.body.comments,
+    unitPrice: req.body.unitPrice,
+    paidPrice: req.body.paidPrice,
   })),
   itemController.addItemToCategory
 );
 
 /**
  * Get items by list and category
+ * Supports ?sortBy=&order=&bought=&search=
  */
 router.get(
   "/:listId/categories/:categoryId/items",
+  validateRequest(validateItemQuery, (req) => ({
+    sortBy: req.query.sortBy,
+    order: req.query.order,
+    bought: req.query.bought,
+    search: req.query.search,
+  })),
   itemController.getItemsByListAndCategory
 );
 
@@ -0,0 +1,74 @@
+/**
+ * routes/pantry.js
+ * -----------------------------
+ * Express router for handling "PantryItem" resource endpoints.
+ *
+ * Base path: /api/pantry
+ *
+ * Routes:
+ * - GET    /api/pantry          → Retrieve the caller's pantry (supports ?lowStock=)
+ * - GET    /api/pantry/expiring → Products expiring within ?days= (default 3)
+ * - POST   /api/pantry          → Add a product to the pantry
+ * - PUT    /api/pantry/:id      → Update a pantry product
+ * - DELETE /api/pantry/:id      → Remove a product from the pantry
+ */
+
+import express from 'express';
+import * as pantryController from '../controllers/pantry.js';
+import { validatePantryItem, validatePantryQuery, validateExpiringQuery } from "../validators/pantry.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/**
+ * Map the pantry fields of a request body for validation
+ */
+const pantryFields = (req) => ({
+  name: req.body.name,
+  quantity: req.body.quantity,
+  minQuantity: req.body.minQuantity,
+  categoryId: req.body.categoryId,
+  unitId: req.body.unitId,
+  expiresAt: req.body.expiresAt,
+});
+
+/* ======================
+   Pantry Routes
+   ====================== */
+
+/**
+ * Retrieve the caller's pantry
+ * Supports ?lowStock=true|false
+ */
+router.get(
+  "/",
+  validateRequest(validatePantryQuery, (req) => ({ lowStock: req.query.lowStock })),
+  pantryController.getPantry
+);
+
+/**
+ * Retrieve the products expiring soon
+ * Supports ?days=
+ */
+router.get(
+  "/expiring",
+  validateRequest(validateExpiringQuery, (req) => ({ days: req.query.days })),
+  pantryController.getExpiringPantryItems
+);
+
+/**
+ * Add a product to the pantry
+ */
+router.post("/", validateRequest(validatePantryItem, pantryFields), pantryController.createPantryItem);
+
+/**
+ * Update a pantry product
+ */
+router.put("/:id", validateRequest(validatePantryItem, pantryFields), pantryController.updatePantryItem);
+
+/**
+ * Remove a product from the pantry
+ */
+router.delete("/:id", pantryController.deletePantryItem);
+
+export default router;
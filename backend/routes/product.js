@@ -0,0 +1,33 @@
+/**
+ * routes/product.js
+ * -----------------------------
+ * Express router for handling the product catalog endpoints.
+ *
+ * Base path: /api/products
+ *
+ * Routes:
+ * - GET /api/products/suggest → Autocomplete item names (?q=, ?limit=)
+ */
+
+import express from 'express';
+import * as productController from '../controllers/product.js';
+import { validateProductSuggestQuery } from "../validators/product.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/* ======================
+   Product Routes
+   ====================== */
+
+/**
+ * Suggest catalog products for the typed text
+ * Supports ?q= and ?limit=
+ */
+router.get(
+  "/suggest",
+  validateRequest(validateProductSuggestQuery, (req) => ({ q: req.query.q, limit: req.query.limit })),
+  productController.getProductSuggestions
+);
+
+export default router;
@@ -0,0 +1,45 @@
+/**
+ * routes/realtime.js
+ * -----------------------------
+ * Express router for the built-in realtime event streams (Server-Sent Events).
+ *
+ * Base path: /api/realtime
+ *
+ * Routes:
+ * - GET /api/realtime/lists    → Stream changes to the lists of the user
+ * - GET /api/realtime/items    → Stream changes to the items of lists (?listIds=1,2)
+ * - GET /api/realtime/presence/:listId → Join the viewers of a list and stream who is viewing it
+ */
+
+import express from 'express';
+import * as realtimeController from '../controllers/realtime.js';
+import { validateItemsStreamQuery } from "../validators/realtime.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/* ======================
+   Realtime Routes
+   ====================== */
+
+/**
+ * Stream changes to the lists the user owns or is a member of
+ */
+router.get("/lists", realtimeController.streamLists);
+
+/**
+ * Stream changes to the items of the given lists
+ * Requires ?listIds=1,2
+ */
+router.get(
+  "/items",
+  validateRequest(validateItemsStreamQuery, (req) => ({ listIds: req.query.listIds })),
+  realtimeController.streamItems
+);
+
+/**
+ * Join the viewers of a list and stream the viewers and their messages
+ */
+router.get("/presence/:listId", realtimeController.streamPresence);
+
+export default router;
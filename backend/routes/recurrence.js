@@ -0,0 +1,65 @@
+/**
+ * routes/recurrence.js
+ * -----------------------------
+ * Express router for handling "ListRecurrence" resource endpoints.
+ *
+ * Base path: /api/recurrences
+ *
+ * Routes:
+ * - GET    /api/recurrences        → Retrieve the caller's recurrences (optionally of one source list)
+ * - POST   /api/recurrences        → Create a recurrence from a list or a template
+ * - PUT    /api/recurrences/:id    → Change the schedule of a recurrence
+ * - DELETE /api/recurrences/:id    → Stop a recurrence
+ */
+
+import express from 'express';
+import * as recurrenceController from '../controllers/recurrence.js';
+import { validateRecurrenceCreation, validateRecurrenceSchedule } from "../validators/recurrence.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/* ======================
+   Recurrence Routes
+   ====================== */
+
+/**
+ * Retrieve the caller's recurrences
+ * Supports ?sourceListId=
+ */
+router.get("/", recurrenceController.getRecurrences);
+
+/**
+ * Create a recurrence
+ */
+router.post(
+  "/",
+  validateRequest(validateRecurrenceCreation, (req) => ({
+    frequency: req.body.frequency,
+    dayOfWeek: req.body.dayOfWeek,
+    dayOfMonth: req.body.dayOfMonth,
+    sourceListId: req.body.sourceListId,
+    templateId: req.body.templateId,
+  })),
+  recurrenceController.createRecurrence
+);
+
+/**
+ * Change the schedule of a recurrence
+ */
+router.put(
+  "/:id",
+  validateRequest(validateRecurrenceSchedule, (req) => ({
+    frequency: req.body.frequency,
+    dayOfWeek: req.body.dayOfWeek,
+    dayOfMonth: req.body.dayOfMonth,
+  })),
+  recurrenceController.updateRecurrence
+);
+
+/**
+ * Stop a recurrence
+ */
+router.delete("/:id", recurrenceController.deleteRecurrence);
+
+export default router;
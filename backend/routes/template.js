@@ -0,0 +1,65 @@
+/**
+ * routes/template.js
+ * -----------------------------
+ * Express router for handling "ListTemplate" resource endpoints.
+ *
+ * Base path: /api/templates
+ *
+ * Routes:
+ * - GET    /api/templates               → Retrieve the caller's templates
+ * - POST   /api/templates               → Save an existing list as a template
+ * - GET    /api/templates/:id           → Retrieve a template with its items
+ * - DELETE /api/templates/:id           → Delete a template
+ * - POST   /api/templates/:id/lists     → Create a new list from a template
+ */
+
+import express from 'express';
+import * as templateController from '../controllers/template.js';
+import { validateTemplateCreation } from "../validators/template.js";
+import { validateListCreation } from "../validators/list.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/* ======================
+   Template Routes
+   ====================== */
+
+/**
+ * Retrieve the caller's templates
+ */
+router.get("/", templateController.getTemplates);
+
+/**
+ * Save an existing list as a template
+ */
+router.post(
+  "/",
+  validateRequest(validateTemplateCreation, (req) => ({ listId: req.body.listId, name: req.body.name })),
+  templateController.createTemplate
+);
+
+/**
+ * Retrieve a template with its items
+ */
+router.get("/:id", templateController.getTemplateById);
+
+/**
+ * Delete a template
+ */
+router.delete("/:id", templateController.deleteTemplate);
+
+/* ======================
+   Lists from Templates
+   ====================== */
+
+/**
+ * Create a new list from a template
+ */
+router.post(
+  "/:id/lists",
+  validateRequest(validateListCreation, (req) => ({ name: req.body.name })),
+  templateController.createListFromTemplate
+);
+
+export default router;
@@ -0,0 +1,38 @@
+/**
+ * routes/trash.js
+ * -----------------------------
+ * Express router for handling the trash bin of deleted lists and items.
+ *
+ * Base path: /api/trash
+ *
+ * Routes:
+ * - GET  /api/trash                      → Retrieve deleted lists and items
+ * - POST /api/trash/lists/:id/restore    → Restore a deleted list (owner only)
+ * - POST /api/trash/items/:id/restore    → Restore a deleted item
+ */
+
+import express from 'express';
+import * as trashController from '../controllers/trash.js';
+
+const router = express.Router();
+
+/* ======================
+   Trash Routes
+   ====================== */
+
+/**
+ * Retrieve deleted lists and items
+ */
+router.get("/", trashController.getTrash);
+
+/**
+ * Restore a deleted list with its items
+ */
+router.post("/lists/:id/restore", trashController.restoreList);
+
+/**
+ * Restore a deleted item
+ */
+router.post("/items/:id/restore", trashController.restoreItem);
+
+export default router;
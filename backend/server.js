@@ -9,14 +9,34 @@ import express from 'express';
 import cors from 'cors';
 
 // Import route modules
+import authRoutes from './routes/auth.js';
 import listRoutes from './routes/list.js';
 import categoryRoutes from './routes/category.js';
 import itemRoutes from './routes/item.js';
 import unitRoutes from './routes/unit.js';
 import statsRoutes from './routes/statistic.js';
+import trashRoutes from './routes/trash.js';
+import templateRoutes from './routes/template.js';
+import recurrenceRoutes from './routes/recurrence.js';
+import pantryRoutes from './routes/pantry.js';
+import productRoutes from './routes/product.js';
+import realtimeRoutes from './routes/realtime.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
+import { authenticate, authenticateEventStream } from './middleware/authenticate.js';
+
+// Import scheduled jobs
+import { startTrashPurge } from './services/trash.js';
+import { startRecurrenceScheduler } from './services/recurrence.js';
+import { startProductCatalogSync } from './services/productCatalog.js';
+
+// Import limits
+import { MAX_LIST_FILE_LENGTH } from './validators/list.js';
+
+// Largest JSON body: an imported list file of MAX_LIST_FILE_LENGTH characters, at up to 4 bytes per character
+// (Hebrew takes 2), so the file validation – not the body parser – decides what is too long
+const MAX_JSON_BODY_BYTES = MAX_LIST_FILE_LENGTH * 4;
 
 const app = express();
 
@@ -41,16 +61,27 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());      // Parse incoming JSON requests
+app.use(express.json({ limit: MAX_JSON_BODY_BYTES })); // Parse incoming JSON requests (imported list files can be large)
 
 /* ======================
    API Routes
    ====================== */
-app.use('/api/lists', listRoutes);          // Handles shopping lists
-app.use('/api/categories', categoryRoutes); // Handles item categories
-app.use('/api/items', itemRoutes);          // Handles individual items
-app.use('/api/units', unitRoutes);          // Handles measurement units
-app.use('/api/statistics', statsRoutes);    // Handles statistics and analytics
+app.use('/api/auth', authRoutes);                         // Handles signup, login and current user
+
+// All routes below require a valid access token (sets req.user)
+app.use('/api/lists', authenticate, listRoutes);          // Handles shopping lists
+app.use('/api/categories', authenticate, categoryRoutes); // Handles item categories
+app.use('/api/items', authenticate, itemRoutes);          // Handles individual items
+app.use('/api/units', authenticate, unitRoutes);          // Handles measurement units
+app.use('/api/statistics', authenticate, statsRoutes);    // Handles statistics and analytics
+app.use('/api/trash', authenticate, trashRoutes);         // Handles deleted lists and items
+app.use('/api/templates', authenticate, templateRoutes);  // Handles list templates
+app.use('/api/recurrences', authenticate, recurrenceRoutes); // Handles lists generated on a schedule
+app.use('/api/pantry', authenticate, pantryRoutes);       // Handles the home inventory
+app.use('/api/products', authenticate, productRoutes);    // Handles the product catalog (autocomplete)
+
+// Event streams take the token from the query string (EventSource cannot send headers)
+app.use('/api/realtime', authenticateEventStream, realtimeRoutes); // Streams list & item changes (built-in realtime)
 
 /* ======================
    Error Handling
@@ -62,3 +93,7 @@ app.use(errorHandler); // Catches all errors thrown from controllers or async ha
    ====================== */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+startTrashPurge(); // Permanently remove lists and items past the trash retention period
+startRecurrenceScheduler(); // Generate recurring lists when they are due
+startProductCatalogSync(); // Fill the product catalog from the items added so far
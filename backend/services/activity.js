@@ -0,0 +1,103 @@
+/**
+ * services/activity.js
+ * -----------------------------
+ * Service layer for the activity log of a list.
+ * Records who created, changed, bought, deleted or restored a list or an item,
+ * with a snapshot of the relevant fields before and after the change.
+ */
+
+import prisma from '../prisma/client.js';
+
+/**
+ * Fields kept in the before / after snapshots, per entity type
+ */
+const SNAPSHOT_FIELDS = {
+  LIST: ['name', 'budget'],
+  ITEM: ['name', 'quantity', 'brand', 'comments', 'unitId', 'categoryId', 'unitPrice', 'paidPrice', 'bought'],
+};
+
+/**
+ * Pick the snapshot fields of a list or item
+ * @param {'LIST'|'ITEM'} entityType
+ * @param {Object|null} entity
+ * @returns {Object|null}
+ */
+export const toSnapshot = (entityType, entity) =>
+  entity ? Object.fromEntries(SNAPSHOT_FIELDS[entityType].map(field => [field, entity[field] ?? null])) : null;
+
+/**
+ * Names of the fields that differ between two snapshots
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<string>}
+ */
+export const getChangedFields = (before, after) => Object.keys(after).filter(field => before[field] !== after[field]);
+
+/**
+ * Record a change to a list or one of its items
+ *
+ * - UPDATE without any changed field is not recorded
+ * - UPDATE of an item that only changes `bought` is recorded as BOUGHT
+ *
+ * @param {Object} activity
+ * @param {number} activity.listId
+ * @param {number} activity.userId - The user who made the change
+ * @param {'LIST'|'ITEM'} activity.entityType
+ * @param {number} activity.entityId
+ * @param {'CREATE'|'UPDATE'|'BOUGHT'|'DELETE'|'RESTORE'} activity.action
+ * @param {Object} [activity.before] - The list / item before the change
+ * @param {Object} [activity.after] - The list / item after the change
+ * @param {Object} [db=prisma] - Client to write with (a transaction client to record it with the change)
+ * @returns {Promise<Object|null>} The created activity, or null if nothing changed
+ */
+export const recordActivity = async ({ listId, userId, entityType, entityId, action, before = null, after = null }, db = prisma) => {
+  const beforeSnapshot = toSnapshot(entityType, before);
+  const afterSnapshot = toSnapshot(entityType, after);
+
+  let recordedAction = action;
+  if (action === 'UPDATE') {
+    const changed = getChangedFields(beforeSnapshot, afterSnapshot);
+    if (changed.length === 0) return null;
+    if (entityType === 'ITEM' && changed.length === 1 && changed[0] === 'bought') recordedAction = 'BOUGHT';
+  }
+
+  return db.listActivity.create({
+    data: {
+      listId,
+      userId,
+      entityType,
+      entityId,
+      action: recordedAction,
+      // Nullable JSON columns are left out instead of being set to null
+      ...(beforeSnapshot && { before: beforeSnapshot }),
+      ...(afterSnapshot && { after: afterSnapshot }),
+    },
+  });
+};
+
+/**
+ * Fetch one page of the activity of a list, newest first
+ * @param {number} listId
+ * @param {{ page: number, pageSize: number }} pagination
+ * @returns {Promise<{ activity: Array<Object>, page: number, pageSize: number, total: number, hasMore: boolean }>}
+ */
+export const getActivityPage = async (listId, { page, pageSize }) => {
+  const [total, entries] = await prisma.$transaction([
+    prisma.listActivity.count({ where: { listId } }),
+    prisma.listActivity.findMany({
+      where: { listId },
+      include: { user: { select: { id: true, name: true } } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+  ]);
+
+  return {
+    activity: entries.map(({ user, ...entry }) => ({ ...entry, actor: user })),
+    page,
+    pageSize,
+    total,
+    hasMore: page * pageSize < total,
+  };
+};
@@ -0,0 +1,70 @@
+/**
+ * services/auth.js
+ * -----------------------------
+ * Service layer for authentication-related logic.
+ * Handles password hashing and signing/verifying access tokens.
+ */
+
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+const SALT_ROUNDS = 10;
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+/**
+ * Read the token signing secret from the environment
+ * @returns {string}
+ * @throws {Error} 500 if JWT_SECRET is not configured
+ */
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw Object.assign(new Error('JWT_SECRET is not configured'), { statusCode: 500 });
+  return secret;
+};
+
+/**
+ * Hash a plain-text password
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * Compare a plain-text password against a stored hash
+ * @param {string} password
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+/**
+ * Sign an access token for a user
+ * @param {{ id: number }} user
+ * @returns {string} Signed JWT whose subject is the user ID
+ */
+export const signToken = (user) =>
+  jwt.sign({ sub: String(user.id) }, getSecret(), { expiresIn: TOKEN_EXPIRES_IN });
+
+/**
+ * Verify an access token and extract the user ID
+ * @param {string} token
+ * @returns {number} User ID stored in the token subject
+ * @throws {Error} 401 if the token is invalid or expired, 500 if JWT_SECRET is not configured
+ */
+export const verifyToken = (token) => {
+  // Read outside the try, so a missing secret is reported as a server error and not as a bad token
+  const secret = getSecret();
+  try {
+    const payload = jwt.verify(token, secret);
+    return Number(payload.sub);
+  } catch {
+    throw Object.assign(new Error('Invalid or expired token'), { statusCode: 401 });
+  }
+};
+
+/**
+ * Strip sensitive fields from a user record before sending it to the client
+ * @param {{ id: number, email: string, name: string, createdAt: Date }} user
+ * @returns {{ id: number, email: string, name: string, createdAt: Date }}
+ */
+export const toPublicUser = ({ id, email, name, createdAt }) => ({ id, email, name, createdAt });
@@ -0,0 +1,54 @@
+/**
+ * services/budget.js
+ * -----------------------------
+ * Service layer for list spending.
+ * Computes estimated and actual totals of a list and compares them to its budget.
+ *
+ * - Estimated total = Σ unitPrice × quantity (items with a unit price)
+ * - Actual total    = Σ paidPrice (items with a paid price)
+ */
+
+import prisma from '../prisma/client.js';
+
+/**
+ * Round a money amount to 2 decimal places
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Compute spend totals for an array of items
+ * @param {Array<{ quantity: number, unitPrice: number|null, paidPrice: number|null }>} items
+ * @param {number|null} budget - Budget of the list, or null if none was set
+ * @returns {{ estimated: number, actual: number, budget: number|null, remaining: number|null, overBudget: boolean, unpricedItems: number }}
+ */
+export const computeTotals = (items, budget) => {
+  const estimated = roundMoney(
+    items.reduce((sum, item) => sum + (item.unitPrice != null ? item.unitPrice * item.quantity : 0), 0)
+  );
+  const actual = roundMoney(items.reduce((sum, item) => sum + (item.paidPrice ?? 0), 0));
+  const hasBudget = budget != null;
+
+  return {
+    estimated,
+    actual,
+    budget: hasBudget ? budget : null,
+    remaining: hasBudget ? roundMoney(budget - actual) : null,
+    overBudget: hasBudget && (actual > budget || estimated > budget),
+    unpricedItems: items.filter(item => item.unitPrice == null && item.paidPrice == null).length,
+  };
+};
+
+/**
+ * Fetch the items of a list and compute its spend totals
+ * @param {{ id: number, budget: number|null }} list
+ * @returns {Promise<ReturnType<typeof computeTotals>>}
+ */
+export const getListTotals = async (list) => {
+  const items = await prisma.item.findMany({
+    where: { listId: list.id, deletedAt: null },
+    select: { quantity: true, unitPrice: true, paidPrice: true },
+  });
+  return computeTotals(items, list.budget);
+};
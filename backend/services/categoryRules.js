@@ -0,0 +1,69 @@
+/**
+ * services/categoryRules.js
+ * -----------------------------
+ * Keyword rules that guess the category of a product from its name,
+ * for products that are not in the product catalog yet.
+ *
+ * A keyword matches when a word of the name starts with it ("תפוח" → "תפוחים"); keywords
+ * of several words match consecutive words ("מרכך כביסה"). When several keywords match, the
+ * longest one wins, so "סוכריות" goes to sweets and not to "סוכר".
+ * Rules are keyed by the seeded category names; rules of categories that do not exist are ignored.
+ */
+
+import { normalizeProductName } from './productCatalog.js';
+
+const CATEGORY_KEYWORDS = {
+  'פירות וירקות': [
+    'עגבני', 'מלפפון', 'חסה', 'גזר', 'בצל', 'שום', 'תפוח', 'בננ', 'אבוקדו', 'לימון', 'תפוז', 'פלפל',
+    'כרוב', 'קישוא', 'חציל', 'ענב', 'אבטיח', 'מלון', 'תות', 'פטרוזיליה', 'כוסברה', 'שמיר', 'נענע',
+    'ברוקולי', 'כרובית', 'סלק', 'דלעת', 'בטטה', 'אגס', 'אפרסק', 'שזיף', 'מנגו', 'קלמנטינ', 'פטריות',
+  ],
+  'מוצרי חלב וביצים': ['חלב', 'גבינ', 'קוטג', 'יוגורט', 'שמנת', 'חמאה', 'ביצ', 'לבנה', 'בולגרית', 'מעדנ'],
+  'קטניות ומוצרי יסוד': [
+    'אורז', 'פסטה', 'ספגטי', 'קמח', 'סוכר', 'מלח', 'עדש', 'שעועית', 'גרגרי חומוס', 'קוסקוס', 'בורגול',
+    'פתיתי', 'שמן', 'קינואה',
+  ],
+  'בשר ועוף': ['בשר', 'עוף', 'חזה', 'שניצל', 'כרעיים', 'פרגית', 'קציצות', 'נקניק', 'המבורגר', 'הודו', 'כבד', 'סטייק', 'טחון'],
+  'דגים': ['דג', 'סלמון', 'דניס', 'אמנון', 'בורי', 'לוקוס', 'מוסר'],
+  'קפואים': ['קפוא', 'גלידה', 'ארטיק', 'שלגון', 'בורקס', 'אפונה קפואה'],
+  'סלטים מוכנים': ['סלט', 'חומוס', 'מטבוחה', 'חצילים במיונז'],
+  'מוצרי אפייה': ['שמרים', 'אבקת אפייה', 'תמצית וניל', 'סוכר וניל', 'קקאו', 'סוכר חום', 'פירורי לחם'],
+  'ממרחים ורטבים': ['ריבה', 'דבש', 'ממרח', 'קטשופ', 'מיונז', 'חרדל', 'טחינה', 'רוטב', 'סילאן', 'נוטלה'],
+  'תבלינים וגרעינים': [
+    'תבלין', 'פפריקה', 'כמון', 'כורכום', 'פלפל שחור', 'אורגנו', 'קינמון', 'זעתר', 'גרעינים', 'בוטנים',
+    'שקדים', 'אגוז', 'פיסטוק', 'קשיו',
+  ],
+  'שימורים': ['שימור', 'טונה', 'תירס', 'זית', 'מלפפון חמוץ', 'חמוצים', 'רסק'],
+  'משקאות': ['מים', 'מיץ', 'קולה', 'סודה', 'בירה', 'יין', 'קפה', 'תה', 'שתייה', 'משקה', 'ספרייט', 'פאנטה', 'לימונדה'],
+  'לחמים, עוגות ועוגיות': ['לחם', 'לחמני', 'פית', 'חלה', 'באגט', 'עוג', 'קרואסון', 'בייגל', 'טורטיה', 'קרקר'],
+  'ממתקים וחטיפים': ['במבה', 'ביסלי', 'שוקולד', 'חטיף', 'סוכרי', 'חלבה', 'צ׳יפס', 'מסטיק', 'וופל', 'ופל'],
+  'הגיינה וטיפוח': [
+    'שמפו', 'מרכך שיער', 'סבון', 'משחת שיניים', 'מברשת שיניים', 'דאודורנט', 'נייר טואלט', 'טיטול',
+    'חיתול', 'מגבונים', 'קרם', 'תחבושות', 'סכיני גילוח',
+  ],
+  'ניקיון': [
+    'אקונומיקה', 'נוזל כלים', 'אבקת כביסה', 'מרכך כביסה', 'ג׳ל כביסה', 'ספוג', 'שקיות אשפה', 'מטהר',
+    'נייר סופג', 'כלור', 'מגב', 'סמרטוט', 'נוזל רצפה',
+  ],
+};
+
+// [normalized keyword, category name], longest keyword first
+const KEYWORD_RULES = Object.entries(CATEGORY_KEYWORDS)
+  .flatMap(([categoryName, keywords]) => keywords.map(keyword => [normalizeProductName(keyword), categoryName]))
+  .sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Guess the category of a product from the words of its name
+ * @param {string} name - Product name
+ * @param {Array<{ id: number, name: string }>} categories - Existing categories
+ * @returns {Object|null} The category, or null when no keyword matches
+ */
+export const classifyByKeywords = (name, categories) => {
+  const words = ` ${normalizeProductName(name)}`;
+  for (const [keyword, categoryName] of KEYWORD_RULES) {
+    if (!words.includes(` ${keyword}`)) continue;
+    const category = categories.find(c => c.name === categoryName);
+    if (category) return category;
+  }
+  return null;
+};
@@ -0,0 +1,36 @@
+/**
+ * services/concurrency.js
+ * -----------------------------
+ * Optimistic concurrency for lists and items.
+ *
+ * Every list and item has a `version` that is incremented on each change. Clients send the
+ * version their change is based on; when someone else changed the row meanwhile the update
+ * is refused with 409 and the current row, so the client can merge the two changes.
+ */
+
+// Prisma data fragment that bumps the version of a changed row
+export const NEXT_VERSION = { version: { increment: 1 } };
+
+/**
+ * Update a list or item, unless it changed since the version the client based its change on
+ * @param {Object} delegate - Prisma model delegate (prisma.item / prisma.list)
+ * @param {number} id
+ * @param {number|undefined} version - Version the change is based on; not checked when undefined
+ * @param {Object} data - Fields to update
+ * @param {Object} [options]
+ * @param {Object} [options.include] - Relations to include in the returned row
+ * @returns {Promise<Object>} The updated row
+ * @throws 409 with `current` (the row as stored now) when the version does not match
+ */
+export const updateIfVersion = async (delegate, id, version, data, { include } = {}) => {
+  const { count } = await delegate.updateMany({
+    where: { id, ...(version !== undefined && { version }) },
+    data: { ...data, ...NEXT_VERSION },
+  });
+  const row = await delegate.findUnique({ where: { id }, ...(include && { include }) });
+
+  if (count === 0) {
+    throw Object.assign(new Error('Changed by someone else since it was loaded'), { statusCode: 409, current: row });
+  }
+  return row;
+};
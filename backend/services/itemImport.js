@@ -0,0 +1,94 @@
+/**
+ * services/itemImport.js
+ * -----------------------------
+ * Service layer for importing a plain-text shopping list (e.g. pasted from WhatsApp) into a list.
+ *
+ * Import happens in two steps:
+ * 1. Preview – every line is parsed (services/itemParser.js) and classified into a category;
+ *    nothing is written.
+ * 2. Import – the (possibly edited) preview items are created in one transaction.
+ */
+
+import prisma from '../prisma/client.js';
+import { parseItems } from './itemParser.js';
+import { recordActivity } from './activity.js';
+import { recordProductUsage } from './productCatalog.js';
+import { publishItemChange } from './realtime.js';
+
+// Category of products that neither the catalog nor the keyword rules recognize
+const FALLBACK_CATEGORY_NAME = 'אחר';
+
+// "[12:30, 1/2/2025] Dana: " – prefix of a message copied from WhatsApp
+const WHATSAPP_PREFIX = /^\[[^\]]*\]\s*[^:]{1,40}:\s*/;
+
+// List bullets, checkboxes and numbering: "-", "*", "•", "☐", "✅", "1.", "2)"
+const BULLET = /^(?:[-*•·☐☑✓✔✅]+|\d+[.)])\s*/;
+
+/**
+ * Split pasted text into item lines, without bullets, numbering and chat prefixes
+ * @param {string} text
+ * @returns {Array<string>} Non-empty lines
+ */
+export const splitImportLines = (text) =>
+  text
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(WHATSAPP_PREFIX, '').replace(BULLET, '').trim())
+    .filter(Boolean);
+
+/**
+ * Parse and classify the lines of a pasted list (with the catalog of the user)
+ * Lines that leave no item name (e.g. "," alone) are skipped; a quantity of 0 is kept, and rejected on import.
+ * @param {string} text
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>} One entry per line:
+ *          { line, name, quantity, unitId, unit, brand, categoryId, category, categorySource }
+ *          categorySource: 'history' | 'keyword' | 'default' (the "אחר" category)
+ */
+export const previewImport = async (text, userId) => {
+  const lines = splitImportLines(text);
+  const [parsedLines, fallbackCategory] = await Promise.all([
+    parseItems(lines, userId),
+    prisma.category.findUnique({ where: { name: FALLBACK_CATEGORY_NAME } }),
+  ]);
+
+  return parsedLines
+    .map((parsed, index) => ({
+      line: lines[index],
+      ...parsed,
+      ...(!parsed.category && {
+        categoryId: fallbackCategory?.id ?? null,
+        category: fallbackCategory,
+        categorySource: 'default',
+      }),
+    }))
+    .filter(entry => entry.name);
+};
+
+/**
+ * Create imported items in a list, all or none
+ * @param {number} listId
+ * @param {number} userId - The user importing (recorded in the activity log)
+ * @param {Array<{ name: string, quantity: number, unitId: number, categoryId: number, brand?: string }>} items
+ * @returns {Promise<Array<Object>>} The created items
+ */
+export const importItems = async (listId, userId, items) => {
+  const created = await prisma.$transaction(tx =>
+    tx.item.createManyAndReturn({
+      data: items.map(item => ({
+        name: item.name.trim(),
+        quantity: Number(item.quantity),
+        brand: item.brand?.trim() || null,
+        unitId: Number(item.unitId),
+        categoryId: Number(item.categoryId),
+        listId,
+      })),
+    })
+  );
+
+  for (const item of created) {
+    await recordActivity({ listId, userId, entityType: 'ITEM', entityId: item.id, action: 'CREATE', after: item });
+    await recordProductUsage(userId, item).catch(err => console.error('Product catalog update failed:', err));
+    publishItemChange('INSERT', item);
+  }
+  return created;
+};
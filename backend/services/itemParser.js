@@ -0,0 +1,198 @@
+/**
+ * services/itemParser.js
+ * -----------------------------
+ * Parses a free-text item line ("2 ק\"ג עגבניות שרי", "3 בקבוק חלב תנובה") into an item.
+ * Used by the quick-add input and by imports, so both understand the same grammar:
+ *
+ *   [quantity] [unit] name [brand]
+ *
+ * - quantity: a number ("2", "1.5", "0,5", "1/2") or "חצי" – optionally attached to the unit ("500גרם");
+ *   default 1 (an explicit 0 is kept, for the caller to reject)
+ * - unit: a unit name or one of its common spellings ("קילו", "גר'", "בקבוקים"); when missing,
+ *   the product's usual unit from the catalog, else "יחידה"
+ * - brand: the words after " - " or ",", or trailing words that match a brand already known
+ *   from the product catalog
+ * - name: the rest; the product's usual category comes from the catalog when it is known,
+ *   else from keyword rules
+ */
+
+import prisma from '../prisma/client.js';
+import { normalizeProductName } from './productCatalog.js';
+import { classifyByKeywords } from './categoryRules.js';
+
+// Unit used when neither the text nor the catalog gives one
+const DEFAULT_UNIT_NAME = 'יחידה';
+
+/**
+ * Common spellings of the seeded units
+ */
+const UNIT_SPELLINGS = {
+  'יחידה': ['יח\'', 'יחידות'],
+  'גרם': ['גר\'', 'ג\'', 'גרמים'],
+  'ק"ג': ['קילו', 'קילוגרם', 'קילוגרמים'],
+  'ליטר': ['ל\'', 'ליטרים'],
+  'מיליליטר': ['מ"ל', 'מיליליטרים'],
+  'חבילה': ['חבילות'],
+  'בקבוק': ['בקבוקים'],
+  'קופסה': ['קופסא', 'קופסאות', 'קופסות'],
+  'שקית': ['שקיות'],
+};
+
+// The same spellings, normalized: normalized unit name → normalized spellings
+const UNIT_SPELLING_KEYS = Object.fromEntries(
+  Object.entries(UNIT_SPELLINGS).map(([name, spellings]) => [
+    normalizeProductName(name),
+    spellings.map(normalizeProductName),
+  ])
+);
+
+const FRACTION = /^(\d+)\/(\d+)$/;
+const NUMBER = /^\d+(?:[.,]\d+)?$/;
+const NUMBER_WITH_UNIT = /^(\d+(?:[.,]\d+)?)(\D.*)$/;
+const HALF = 'חצי';
+
+/**
+ * Read a quantity token
+ * @param {string} token
+ * @returns {number|null} The quantity, or null if the token is not one
+ */
+const toQuantity = (token) => {
+  if (token === HALF) return 0.5;
+  const fraction = token.match(FRACTION);
+  if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+  return NUMBER.test(token) ? Number(token.replace(',', '.')) : null;
+};
+
+/**
+ * Find the unit a name stands for (its name or a common spelling)
+ * @param {string} token
+ * @param {Array<{ id: number, name: string }>} units
+ * @returns {Object|undefined}
+ */
+export const findUnit = (token, units) => {
+  const key = normalizeProductName(token);
+  if (!key) return undefined;
+  return units.find(unit => {
+    const unitKey = normalizeProductName(unit.name);
+    return unitKey === key || (UNIT_SPELLING_KEYS[unitKey] ?? []).includes(key);
+  });
+};
+
+/**
+ * Split the trailing brand off a name, if the last words are a known brand
+ * @param {Array<string>} words - Words of the name
+ * @param {Set<string>} brandKeys - Normalized known brands
+ * @returns {{ name: string, brand: string|null }}
+ */
+const splitKnownBrand = (words, brandKeys) => {
+  // Longest brand first, always leaving at least one word for the name
+  for (let start = 1; start < words.length; start++) {
+    const brand = words.slice(start).join(' ');
+    if (brandKeys.has(normalizeProductName(brand))) return { name: words.slice(0, start).join(' '), brand };
+  }
+  return { name: words.join(' '), brand: null };
+};
+
+/**
+ * Parse an item line (pure – no database access)
+ * @param {string} text
+ * @param {Object} context
+ * @param {Array<{ id: number, name: string }>} context.units - Available units
+ * @param {Array<string>} [context.brands] - Known brands
+ * @returns {{ name: string, quantity: number, unit: Object|null, brand: string|null }}
+ *          `unit` is null when the text does not name one; `name` is empty when nothing is left for it
+ */
+export const parseItemText = (text, { units, brands = [] }) => {
+  // A comma between two digits is a decimal point ("0,5"), not a brand separator
+  const [main, ...brandParts] = text.trim().split(/\s+-\s+|\s*,\s*(?!\d)|(?<!\d)\s*,\s*/);
+  const explicitBrand = brandParts.join(' ').trim() || null;
+
+  // "500גרם" → "500", "גרם"
+  const tokens = main.split(/\s+/).filter(Boolean).flatMap(token => {
+    const attached = token.match(NUMBER_WITH_UNIT);
+    return attached && findUnit(attached[2], units) ? [attached[1], attached[2]] : [token];
+  });
+
+  let quantity = null;
+  let unit = null;
+  if (tokens.length > 1) quantity = toQuantity(tokens[0]);
+  if (quantity !== null) tokens.shift();
+  if (tokens.length > 1) unit = findUnit(tokens[0], units) ?? null;
+  if (unit) tokens.shift();
+
+  // "קילו 2 עגבניות" – quantity after the unit
+  if (quantity === null && unit && tokens.length > 1) {
+    quantity = toQuantity(tokens[0]);
+    if (quantity !== null) tokens.shift();
+  }
+
+  const { name, brand } = explicitBrand
+    ? { name: tokens.join(' '), brand: explicitBrand }
+    : splitKnownBrand(tokens, new Set(brands.map(normalizeProductName)));
+
+  return { name, quantity: quantity ?? 1, unit, brand };
+};
+
+/**
+ * Load what parsing depends on: the units, the brands known from the user's catalog and the categories
+ * @param {number} userId
+ * @returns {Promise<{ units: Array<Object>, brands: Array<string>, categories: Array<Object> }>}
+ */
+const loadParserContext = async (userId) => {
+  const [units, brandRows, categories] = await Promise.all([
+    prisma.unit.findMany(),
+    prisma.product.findMany({ where: { userId, brand: { not: null } }, select: { brand: true }, distinct: ['brand'] }),
+    prisma.category.findMany(),
+  ]);
+  return { units, brands: brandRows.map(row => row.brand), categories };
+};
+
+/**
+ * Parse item lines, filling the unit and category each product usually has
+ *
+ * - unit: the one in the text, else the catalog product's, else "יחידה"
+ * - category: the catalog product's (`categorySource: 'history'`), else a keyword rule
+ *   (`'keyword'`, see services/categoryRules.js), else null
+ *
+ * Brands and products come from the catalog of the user.
+ *
+ * @param {Array<string>} lines
+ * @param {number} userId
+ * @returns {Promise<Array<{ name: string, quantity: number, unitId: number|null, unit: Object|null, brand: string|null,
+ *                           categoryId: number|null, category: Object|null, categorySource: 'history'|'keyword'|null }>>}
+ */
+export const parseItems = async (lines, userId) => {
+  const { units, brands, categories } = await loadParserContext(userId);
+  const parsedLines = lines.map(line => parseItemText(line, { units, brands }));
+
+  const products = await prisma.product.findMany({
+    where: { userId, searchKey: { in: parsedLines.map(parsed => normalizeProductName(parsed.name)) } },
+    include: { category: true, unit: true },
+  });
+  const productsByKey = new Map(products.map(product => [product.searchKey, product]));
+  const defaultUnit = units.find(u => u.name === DEFAULT_UNIT_NAME) ?? null;
+
+  return parsedLines.map(parsed => {
+    const product = productsByKey.get(normalizeProductName(parsed.name));
+    const unit = parsed.unit ?? product?.unit ?? defaultUnit;
+    const category = product?.category ?? classifyByKeywords(parsed.name, categories);
+    return {
+      name: parsed.name,
+      quantity: parsed.quantity,
+      unitId: unit?.id ?? null,
+      unit,
+      brand: parsed.brand,
+      categoryId: category?.id ?? null,
+      category,
+      categorySource: product ? 'history' : category ? 'keyword' : null,
+    };
+  });
+};
+
+/**
+ * Parse one item line (see parseItems)
+ * @param {string} text
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+export const parseItem = async (text, userId) => (await parseItems([text], userId))[0];
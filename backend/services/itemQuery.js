@@ -0,0 +1,33 @@
+/**
+ * services/itemQuery.js
+ * -----------------------------
+ * Service layer for item queries.
+ * Builds the Prisma filter and sort order shared by every endpoint that
+ * returns items with the `?sortBy=&order=&bought=&search=` query.
+ */
+
+/**
+ * Build the Prisma `where` filter for the active (not deleted) items of a list
+ * @param {number} listId
+ * @param {{ bought?: string, search?: string }} filters - Query string filters ("true" / "false" for bought)
+ * @returns {Object}
+ */
+export const buildItemsWhere = (listId, { bought, search } = {}) => {
+  const where = { listId, deletedAt: null };
+  if (bought !== undefined) where.bought = bought === 'true';
+  if (search?.trim()) where.name = { contains: search.trim(), mode: 'insensitive' };
+  return where;
+};
+
+/**
+ * Build the Prisma `orderBy` for items
+ * Ties (e.g. same brand or bought status) fall back to name, then id, for a stable order.
+ * @param {string} [sortBy='name']
+ * @param {'asc'|'desc'} [order='asc']
+ * @returns {Array<Object>}
+ */
+export const buildItemsOrderBy = (sortBy = 'name', order = 'asc') => [
+  { [sortBy]: order },
+  ...(sortBy === 'name' ? [] : [{ name: 'asc' }]),
+  { id: 'asc' },
+];
@@ -0,0 +1,124 @@
+/**
+ * services/listAccess.js
+ * -----------------------------
+ * Service layer for list access checks.
+ * Resolves lists and items on behalf of the authenticated user and
+ * enforces the user's role on the list (owner / editor / viewer).
+ *
+ * - The owner of a list is its `userId`.
+ * - Other users gain access through a `ListMember` row (EDITOR or VIEWER).
+ * - Users without access get 404 (the list is not revealed),
+ *   users with an insufficient role get 403.
+ * - Lists and items in the trash (`deletedAt` set) are treated as not found.
+ */
+
+import prisma from '../prisma/client.js';
+
+/**
+ * Role groups used by controllers to express who may perform an action
+ */
+export const CAN_VIEW = ['OWNER', 'EDITOR', 'VIEWER'];
+export const CAN_EDIT = ['OWNER', 'EDITOR'];
+export const OWNER_ONLY = ['OWNER'];
+
+/**
+ * Prisma `where` filter matching every active (not deleted) list the user can access
+ * @param {number} userId
+ * @returns {Object}
+ */
+export const accessibleListsWhere = (userId) => ({
+  deletedAt: null,
+  OR: [{ userId }, { members: { some: { userId } } }],
+});
+
+/**
+ * Resolve the role of a user on a list
+ * @param {{ userId: number, members?: Array<{ userId: number, role: string }> }} list - List including its `members`
+ * @param {number} userId
+ * @returns {'OWNER'|'EDITOR'|'VIEWER'|null} The user's role, or null if the user has no access
+ */
+export const getRole = (list, userId) => {
+  if (list.userId === userId) return 'OWNER';
+  const member = (list.members || []).find(m => m.userId === userId);
+  return member ? member.role : null;
+};
+
+/**
+ * Ensure a role is one of the allowed roles
+ * @param {string|null} role
+ * @param {Array<string>} allowedRoles
+ * @param {string} notFoundMessage - Message used when the user has no access at all
+ * @throws {Error} 404 if the user has no role, 403 if the role is not allowed
+ */
+const assertRole = (role, allowedRoles, notFoundMessage) => {
+  if (!role) throw Object.assign(new Error(notFoundMessage), { statusCode: 404 });
+  if (!allowedRoles.includes(role)) {
+    throw Object.assign(new Error('You do not have permission to perform this action'), { statusCode: 403 });
+  }
+};
+
+/**
+ * Fetch a list the user may access with one of the allowed roles
+ * @param {number} listId
+ * @param {number} userId
+ * @param {Array<string>} [allowedRoles=CAN_VIEW]
+ * @param {Object} [options]
+ * @param {boolean} [options.inTrash=false] - Look for a deleted list (to restore it) instead of an active one
+ * @returns {Promise<{ list: Object, role: string }>} The list (including `members`) and the user's role
+ * @throws {Error} 404 if the list does not exist, is (or with `inTrash` is not) in the trash or is not shared with the user,
+ *                 403 if the role is not allowed
+ */
+export const requireListRole = async (listId, userId, allowedRoles = CAN_VIEW, { inTrash = false } = {}) => {
+  const list = await prisma.list.findUnique({ where: { id: listId }, include: { members: true } });
+  const role = list && Boolean(list.deletedAt) === inTrash ? getRole(list, userId) : null;
+  assertRole(role, allowedRoles, inTrash ? 'List not found in trash' : 'List not found');
+  return { list, role };
+};
+
+/**
+ * Fetch an item whose list the user may access with one of the allowed roles
+ * The list itself must be active; deleted items are only found with `inTrash`.
+ * @param {number} itemId
+ * @param {number} userId
+ * @param {Array<string>} [allowedRoles=CAN_VIEW]
+ * @param {Object} [options]
+ * @param {boolean} [options.inTrash=false] - Look for a deleted item (to restore it) instead of an active one
+ * @returns {Promise<Object>} Item including its `list`
+ * @throws {Error} 404 if the item (or its list) does not exist, is in the trash or is not shared with the user,
+ *                 403 if the role is not allowed
+ */
+export const requireItemRole = async (itemId, userId, allowedRoles = CAN_VIEW, { inTrash = false } = {}) => {
+  const item = await prisma.item.findUnique({
+    where: { id: itemId },
+    include: { list: { include: { members: true } } },
+  });
+  const role = item && Boolean(item.deletedAt) === inTrash && !item.list.deletedAt ? getRole(item.list, userId) : null;
+  assertRole(role, allowedRoles, inTrash ? 'Item not found in trash' : 'Item not found');
+  return item;
+};
+
+/**
+ * Prisma `include` that loads the owner and members of a list with their names
+ */
+export const MEMBERS_INCLUDE = {
+  user: { select: { id: true, name: true } },
+  members: { include: { user: { select: { id: true, name: true } } }, orderBy: { joinedAt: 'asc' } },
+};
+
+/**
+ * Shape a list (loaded with `MEMBERS_INCLUDE`) for the client
+ * @param {Object} list
+ * @param {number} userId - The authenticated user
+ * @returns {{ id: number, name: string, createdAt: Date, userId: number, role: string, members: Array<{ userId: number, name: string, role: string }> }}
+ */
+export const toListResponse = (list, userId) => {
+  const { user, members, ...rest } = list;
+  return {
+    ...rest,
+    role: getRole(list, userId),
+    members: [
+      { userId: user.id, name: user.name, role: 'OWNER' },
+      ...members.map(m => ({ userId: m.userId, name: m.user.name, role: m.role })),
+    ],
+  };
+};
@@ -0,0 +1,84 @@
+/**
+ * services/listDetails.js
+ * -----------------------------
+ * Service layer for the single list endpoint (`GET /api/lists/:id`).
+ * Loads a whole list in one request: its items grouped by category,
+ * per-category counts, and optionally all categories and units.
+ */
+
+import prisma from '../prisma/client.js';
+import { buildItemsWhere, buildItemsOrderBy } from './itemQuery.js';
+
+/**
+ * Parse the `include` query into a set of requested sections
+ * @param {string} [include] - Comma-separated sections, e.g. "items,units"
+ * @returns {Set<string>}
+ */
+export const parseInclude = (include) =>
+  new Set((include || '').split(',').map(part => part.trim()).filter(Boolean));
+
+/**
+ * Group items by category and count them
+ * Categories keep the order of `categories`; items keep their (already sorted) order.
+ * @param {Array<Object>} items - Items with `categoryId` and `bought`
+ * @param {Array<{ id: number, name: string, iconName: string|null }>} categories
+ * @param {Object} [options]
+ * @param {boolean} [options.withItems=true] - Attach the items of each category
+ * @param {boolean} [options.includeEmpty=false] - Keep categories without items
+ * @returns {Array<{ id: number, name: string, iconName: string|null, itemCount: number, boughtCount: number, items?: Array<Object> }>}
+ */
+export const groupItemsByCategory = (items, categories, { withItems = true, includeEmpty = false } = {}) => {
+  const itemsByCategory = {};
+  items.forEach(item => {
+    (itemsByCategory[item.categoryId] ||= []).push(item);
+  });
+
+  return categories
+    .map(({ id, name, iconName }) => {
+      const categoryItems = itemsByCategory[id] || [];
+      return {
+        id,
+        name,
+        iconName,
+        itemCount: categoryItems.length,
+        boughtCount: categoryItems.filter(item => item.bought).length,
+        ...(withItems && { items: categoryItems }),
+      };
+    })
+    .filter(category => includeEmpty || category.itemCount > 0);
+};
+
+/**
+ * Load the items, categories and units of a list for the requested sections
+ *
+ * - Always: `itemCount` / `boughtCount` of the list and a `categories` array with per-category counts
+ * - "items": every category in `categories` carries its `items` (with unit details)
+ * - "categories": `categories` lists every category, including those without items
+ * - "units": a `units` array with all units
+ *
+ * @param {number} listId
+ * @param {Set<string>} include - Sections from `parseInclude`
+ * @param {{ sortBy?: string, order?: string, bought?: string, search?: string }} [query] - Item sort & filters
+ * @returns {Promise<Object>}
+ */
+export const getListDetails = async (listId, include, { sortBy, order, bought, search } = {}) => {
+  const withItems = include.has('items');
+
+  const [items, categories, units] = await Promise.all([
+    prisma.item.findMany({
+      where: buildItemsWhere(listId, { bought, search }),
+      ...(withItems
+        ? { include: { unit: true }, orderBy: buildItemsOrderBy(sortBy, order) }
+        : { select: { categoryId: true, bought: true } }),
+    }),
+    prisma.category.findMany({ orderBy: { id: 'asc' } }),
+    include.has('units') ? prisma.unit.findMany() : null,
+  ]);
+
+  return {
+    itemCount: items.length,
+    boughtCount: items.filter(item => item.bought).length,
+    categories: groupItemsByCategory(items, categories, { withItems, includeEmpty: include.has('categories') }),
+    ...(units && { units }),
+  };
+};
@@ -0,0 +1,336 @@
+/**
+ * services/listFile.js
+ * -----------------------------
+ * Service layer for exporting lists to CSV / JSON files and recreating lists from those files.
+ *
+ * Both formats refer to categories and units by name, so files can be edited by hand and
+ * imported on another account:
+ * - JSON: { version, exportedAt, lists: [{ name, budget, items: [{ name, quantity, unit, category, ... }] }] }
+ * - CSV: one row per item, with the list name in the first column (EXPORT_COLUMNS);
+ *   a list without items is exported as a row with only its name and budget
+ *
+ * A list can also be exported as a formatted text message (WhatsApp markup) for sharing.
+ */
+
+import prisma from '../prisma/client.js';
+import { accessibleListsWhere, toListResponse, MEMBERS_INCLUDE } from './listAccess.js';
+import { normalizeProductName } from './productCatalog.js';
+import { findUnit } from './itemParser.js';
+import { recordActivity } from './activity.js';
+import { publishListChange } from './realtime.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+// CSV columns, in order
+export const EXPORT_COLUMNS = [
+  'list', 'budget', 'category', 'name', 'quantity', 'unit', 'brand', 'comments', 'unitPrice', 'paidPrice', 'bought',
+];
+
+// Name of imported lists whose file does not name them
+const DEFAULT_LIST_NAME = 'רשימה מיובאת';
+
+// Byte order mark – lets Excel open the UTF-8 CSV with Hebrew intact
+const BOM = '\uFEFF';
+
+/* ======================
+   Export
+   ====================== */
+
+/**
+ * Load lists with their active items, as they are exported
+ * @param {number} userId
+ * @param {number} [listId] - A single list; all lists the user can access when omitted
+ * @returns {Promise<Array<Object>>} [{ name, budget, items: [{ name, quantity, unit, category, brand, comments, unitPrice, paidPrice, bought }] }]
+ */
+export const loadExportLists = async (userId, listId) => {
+  const lists = await prisma.list.findMany({
+    where: { ...accessibleListsWhere(userId), ...(listId !== undefined && { id: listId }) },
+    include: {
+      items: {
+        where: { deletedAt: null },
+        include: { category: true, unit: true },
+        orderBy: [{ categoryId: 'asc' }, { addedAt: 'asc' }],
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return lists.map(list => ({
+    name: list.name,
+    budget: list.budget,
+    items: list.items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      unit: item.unit.name,
+      category: item.category.name,
+      brand: item.brand,
+      comments: item.comments,
+      unitPrice: item.unitPrice,
+      paidPrice: item.paidPrice,
+      bought: item.bought,
+    })),
+  }));
+};
+
+/**
+ * Build the JSON export document
+ * @param {Array<Object>} lists - As returned by loadExportLists
+ * @returns {Object}
+ */
+export const toJsonExport = (lists) => ({ version: EXPORT_FORMAT_VERSION, exportedAt: new Date(), lists });
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the CSV export
+ * @param {Array<Object>} lists - As returned by loadExportLists
+ * @returns {string}
+ */
+export const toCsvExport = (lists) => {
+  const rows = lists.flatMap(list =>
+    list.items.length > 0
+      ? list.items.map(item => ({ list: list.name, budget: list.budget, ...item }))
+      : [{ list: list.name, budget: list.budget }]
+  );
+  return BOM + [EXPORT_COLUMNS, ...rows.map(row => EXPORT_COLUMNS.map(column => row[column]))]
+    .map(fields => fields.map(toCsvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// Right-to-left mark – keeps lines that start with a number or emoji aligned to the right
+const RLM = '\u200F';
+
+/**
+ * One item line of the text export: "• 2 ק"ג עגבניות (תנובה) – הערה"
+ * @param {Object} item - As returned by loadExportLists
+ * @returns {string}
+ */
+const toTextLine = (item) => {
+  const brand = item.brand ? ` (${item.brand})` : '';
+  const comments = item.comments ? ` – ${item.comments}` : '';
+  return `• ${item.quantity} ${item.unit} ${item.name}${brand}${comments}`;
+};
+
+/**
+ * Build the text export of a list: its name, then its items grouped by category,
+ * formatted for WhatsApp (*bold* titles, ~struck~ bought items)
+ * @param {Object} list - As returned by loadExportLists
+ * @param {Object} [options]
+ * @param {'strike'|'omit'} [options.boughtItems='strike'] - Strike bought items through, or leave them out
+ * @returns {string}
+ */
+export const toTextExport = (list, { boughtItems = 'strike' } = {}) => {
+  const items = boughtItems === 'omit' ? list.items.filter(item => !item.bought) : list.items;
+
+  const categories = new Map();
+  items.forEach(item => {
+    if (!categories.has(item.category)) categories.set(item.category, []);
+    categories.get(item.category).push(item);
+  });
+
+  const sections = [...categories].map(([category, categoryItems]) =>
+    [
+      `*${category}*`,
+      ...categoryItems.map(item => (item.bought ? `~${toTextLine(item)}~` : toTextLine(item))),
+    ].join('\n')
+  );
+
+  const boughtCount = list.items.filter(item => item.bought).length;
+  const summary = boughtItems === 'omit' && boughtCount > 0
+    ? [`(${boughtCount} מוצרים שכבר נקנו לא מופיעים)`]
+    : [];
+
+  return [`🛒 *${list.name}*`, ...(sections.length > 0 ? sections : ['הרשימה ריקה']), ...summary]
+    .join('\n\n')
+    .split('\n')
+    .map(line => (line ? RLM + line : line))
+    .join('\n');
+};
+
+/* ======================
+   Import
+   ====================== */
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Read the lists of an exported file
+ * @param {'csv'|'json'} format
+ * @param {string} content - File content
+ * @returns {Array<{ name: string, budget: *, items: Array<Object> }>}
+ * @throws {Error} 400 when the file cannot be read
+ */
+export const readListFile = (format, content) => {
+  const invalid = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+  if (format === 'json') {
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch {
+      throw invalid('Invalid JSON file');
+    }
+    const lists = Array.isArray(document) ? document : document?.lists;
+    if (!Array.isArray(lists)) throw invalid('The file has no lists');
+    return lists.map(list => ({
+      name: list?.name,
+      budget: list?.budget,
+      items: Array.isArray(list?.items) ? list.items : [],
+    }));
+  }
+
+  const [header, ...rows] = parseCsv(content.replace(BOM, ''));
+  const columns = (header ?? []).map(column => column.trim());
+  if (!columns.includes('name')) throw invalid('The CSV file has no "name" column');
+
+  // Group the rows by list, in order of appearance
+  const lists = new Map();
+  for (const fields of rows) {
+    const row = Object.fromEntries(columns.map((column, index) => [column, fields[index]?.trim() ?? '']));
+    const listName = row.list || DEFAULT_LIST_NAME;
+    const list = lists.get(listName) ?? { name: listName, budget: row.budget, items: [] };
+    if (row.name) list.items.push(row);
+    lists.set(listName, list);
+  }
+  return [...lists.values()];
+};
+
+/**
+ * Convert an optional number field of a file (number or numeric text)
+ * @param {*} value
+ * @returns {number|null} null when empty or not a non-negative number
+ */
+const toOptionalNumber = (value) =>
+  value === null || value === undefined || value === '' || isNaN(value) || Number(value) < 0 ? null : Number(value);
+
+/**
+ * Resolve one file item to item data, or the reason it cannot be imported
+ * @param {Object} item - Item of the file (names instead of IDs)
+ * @param {{ units: Array<Object>, categories: Array<Object> }} lookup
+ * @returns {{ data: Object }|{ reason: 'invalid'|'category'|'unit' }}
+ */
+const resolveItem = (item, { units, categories }) => {
+  const name = typeof item?.name === 'string' ? item.name.trim() : '';
+  const quantity = item?.quantity === undefined || item.quantity === '' ? 1 : Number(item.quantity);
+  if (!name || name.length > 50 || isNaN(quantity) || quantity <= 0) return { reason: 'invalid' };
+
+  const categoryKey = normalizeProductName(String(item.category ?? ''));
+  const category = categories.find(c => normalizeProductName(c.name) === categoryKey);
+  if (!category) return { reason: 'category' };
+
+  const unit = findUnit(String(item.unit ?? ''), units);
+  if (!unit) return { reason: 'unit' };
+
+  const bought = item.bought === true || item.bought === 'true';
+
+  return {
+    data: {
+      name,
+      quantity,
+      categoryId: category.id,
+      unitId: unit.id,
+      brand: typeof item.brand === 'string' && item.brand.trim() ? item.brand.trim().slice(0, 50) : null,
+      comments: typeof item.comments === 'string' && item.comments.trim() ? item.comments.trim().slice(0, 100) : null,
+      unitPrice: toOptionalNumber(item.unitPrice),
+      paidPrice: toOptionalNumber(item.paidPrice),
+      bought,
+      // Files do not carry purchase dates, so imported bought items count as bought now
+      boughtAt: bought ? new Date() : null,
+    },
+  };
+};
+
+/**
+ * Recreate lists from a file, owned by the user, in one transaction
+ * Items whose category / unit name is unknown (or that are invalid) are skipped and reported.
+ * @param {number} userId
+ * @param {Array<Object>} fileLists - As returned by readListFile
+ * @returns {Promise<{ lists: Array<Object>, unresolved: Array<{ list: string, row: number, name: string, category: string, unit: string, reason: string }> }>}
+ *          `row` is the 1-based position of the item in its list
+ */
+export const importListFile = async (userId, fileLists) => {
+  const [units, categories] = await Promise.all([prisma.unit.findMany(), prisma.category.findMany()]);
+  const unresolved = [];
+
+  const lists = fileLists.map(fileList => {
+    const name = (typeof fileList.name === 'string' && fileList.name.trim().slice(0, 50)) || DEFAULT_LIST_NAME;
+    const items = [];
+    fileList.items.forEach((item, index) => {
+      const resolved = resolveItem(item, { units, categories });
+      if (resolved.data) items.push(resolved.data);
+      else unresolved.push({
+        list: name,
+        row: index + 1,
+        name: String(item?.name ?? ''),
+        category: String(item?.category ?? ''),
+        unit: String(item?.unit ?? ''),
+        reason: resolved.reason,
+      });
+    });
+    return { name, budget: toOptionalNumber(fileList.budget), items };
+  });
+
+  const created = await prisma.$transaction(async (tx) => {
+    const result = [];
+    for (const list of lists) {
+      result.push(await tx.list.create({
+        data: { name: list.name, budget: list.budget, userId, items: { create: list.items } },
+        include: MEMBERS_INCLUDE,
+      }));
+    }
+    return result;
+  });
+
+  for (const list of created) {
+    await recordActivity({ listId: list.id, userId, entityType: 'LIST', entityId: list.id, action: 'CREATE', after: list });
+    publishListChange('INSERT', list);
+  }
+  return { lists: created.map(list => toListResponse(list, userId)), unresolved };
+};
@@ -0,0 +1,140 @@
+/**
+ * services/pantry.js
+ * -----------------------------
+ * Service layer for the pantry (home inventory) of a user.
+ * Marking a list item as bought adds its quantity to the pantry of the user who bought it;
+ * un-marking it takes the quantity back out.
+ * Products with an expiry date are reported as expiring soon a configurable number of days ahead.
+ */
+
+import prisma from '../prisma/client.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default look-ahead of the "expiring soon" report
+export const DEFAULT_EXPIRING_DAYS = 3;
+
+/**
+ * Whether a pantry product is running low
+ * @param {{ quantity: number, minQuantity: number }} pantryItem
+ * @returns {boolean}
+ */
+export const isLowStock = ({ quantity, minQuantity }) => quantity <= minQuantity;
+
+/**
+ * Add the low-stock flag to a pantry product for the response
+ * @param {Object} pantryItem
+ * @returns {Object}
+ */
+export const toPantryResponse = (pantryItem) => ({ ...pantryItem, lowStock: isLowStock(pantryItem) });
+
+/**
+ * Fetch the products of a user that expire within a number of days (already expired ones included)
+ * Products that are no longer at home (quantity 0) are left out.
+ * @param {number} userId
+ * @param {number} days
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<Object>>} Products, soonest first, with `expired` and `daysLeft`
+ */
+export const getExpiringPantry = async (userId, days, now = new Date()) => {
+  const pantry = await prisma.pantryItem.findMany({
+    where: {
+      userId,
+      quantity: { gt: 0 },
+      expiresAt: { not: null, lte: new Date(now.getTime() + days * DAY_MS) },
+    },
+    include: { category: true, unit: true },
+    orderBy: { expiresAt: 'asc' },
+  });
+
+  return pantry.map(pantryItem => ({
+    ...toPantryResponse(pantryItem),
+    expired: pantryItem.expiresAt < now,
+    daysLeft: Math.ceil((pantryItem.expiresAt - now) / DAY_MS),
+  }));
+};
+
+/**
+ * Find the pantry product matching a list item (same name, case-insensitive, and unit)
+ * @param {number} userId
+ * @param {{ name: string, unitId: number }} item
+ * @returns {Promise<Object|null>}
+ */
+const findPantryItemFor = (userId, { name, unitId }) =>
+  prisma.pantryItem.findFirst({
+    where: { userId, unitId, name: { equals: name.trim(), mode: 'insensitive' } },
+  });
+
+/**
+ * Expiry date of a product bought again: the same shelf life, counted from the new purchase
+ * The shelf life runs from the previous purchase (or from when the product was added) to the old expiry date.
+ * @param {{ expiresAt: Date|null, purchasedAt: Date|null, createdAt: Date }} pantryItem
+ * @param {Date} purchasedAt - The new purchase
+ * @returns {Date|null} null when the product has no expiry date (or its shelf life is unknown)
+ */
+const restockedExpiry = ({ expiresAt, purchasedAt: lastPurchasedAt, createdAt }, purchasedAt) => {
+  if (!expiresAt) return null;
+  const shelfLife = expiresAt - (lastPurchasedAt ?? createdAt);
+  return shelfLife > 0 ? new Date(purchasedAt.getTime() + shelfLife) : null;
+};
+
+/**
+ * Apply a bought toggle of a list item to the user's pantry
+ *
+ * - Bought → the item's quantity is added (a product is created if none matches); the product's
+ *   `purchasedAt` becomes the item's `boughtAt` and its expiry date moves forward (see restockedExpiry)
+ * - Not bought → the quantity is taken back out, never below zero; if the item was the product's
+ *   latest purchase, its previous `purchasedAt` and `expiresAt` come back
+ *
+ * @param {number} userId - The user who toggled the item
+ * @param {{ boughtAt: Date|null }} before - The item before the toggle
+ * @param {{ name: string, quantity: number, unitId: number, categoryId: number, bought: boolean, boughtAt: Date|null }} item
+ *        The item after the toggle
+ * @returns {Promise<Object|null>} The updated pantry product, or null if there was nothing to take out
+ */
+export const applyBoughtToPantry = async (userId, before, item) => {
+  const existing = await findPantryItemFor(userId, item);
+
+  if (item.bought) {
+    const purchasedAt = item.boughtAt ?? new Date();
+    if (existing) {
+      return prisma.pantryItem.update({
+        where: { id: existing.id },
+        data: {
+          quantity: { increment: item.quantity },
+          purchasedAt,
+          expiresAt: restockedExpiry(existing, purchasedAt),
+          previousPurchasedAt: existing.purchasedAt,
+          previousExpiresAt: existing.expiresAt,
+        },
+      });
+    }
+    return prisma.pantryItem.create({
+      data: {
+        name: item.name.trim(),
+        quantity: item.quantity,
+        purchasedAt,
+        categoryId: item.categoryId,
+        unitId: item.unitId,
+        userId,
+      },
+    });
+  }
+
+  if (!existing) return null;
+  const undoesLastPurchase = Boolean(
+    existing.purchasedAt && before.boughtAt && existing.purchasedAt.getTime() === before.boughtAt.getTime()
+  );
+  return prisma.pantryItem.update({
+    where: { id: existing.id },
+    data: {
+      quantity: Math.max(0, existing.quantity - item.quantity),
+      ...(undoesLastPurchase && {
+        purchasedAt: existing.previousPurchasedAt,
+        expiresAt: existing.previousExpiresAt,
+        previousPurchasedAt: null,
+        previousExpiresAt: null,
+      }),
+    },
+  });
+};
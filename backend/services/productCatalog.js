@@ -0,0 +1,204 @@
+/**
+ * services/productCatalog.js
+ * -----------------------------
+ * Service layer for the product catalog used to autocomplete item names.
+ *
+ * Every user has their own catalog, filled from the items they add (so suggestions never
+ * reveal what other accounts buy). Every item name is normalized into a search key, so
+ * different spellings of the same product share one catalog entry (the other spellings
+ * are kept as aliases).
+ * The defaults (category, unit, brand) follow the most recently added item.
+ *
+ * Hebrew-aware normalization:
+ * - niqqud and cantillation marks are removed
+ * - final letters (ך ם ן ף ץ) are written as their regular forms, so a typed prefix
+ *   ending in a final letter still matches longer words ("שמן" → "שמנת")
+ * - geresh / gershayim and quotes are removed ("צ׳יפס" = "צ'יפס" = "ציפס")
+ * - other punctuation becomes a word break, case and repeated spaces are ignored
+ */
+
+import prisma from '../prisma/client.js';
+
+const NIQQUD = /[\u0591-\u05C7]/g;
+const QUOTES = /["'`׳״‘’“”]/g;
+const PUNCTUATION = /[.,\-_/\\()[\]{}:;!?+*&]/g;
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Items read, and products written, per query by the backfill
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Normalize a product name (or a typed query) for matching
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeProductName = (name) =>
+  name
+    .normalize('NFC')
+    .replace(NIQQUD, '')
+    .replace(QUOTES, '')
+    .replace(PUNCTUATION, ' ')
+    .replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter])
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Build the search text of a product: its key and aliases, every word preceded by a space,
+ * so `contains: ' ' + query` is a prefix match on any word
+ * @param {string} searchKey
+ * @param {Array<string>} aliases
+ * @returns {string}
+ */
+const buildSearchText = (searchKey, aliases) =>
+  ' ' + [searchKey, ...aliases.map(normalizeProductName)].join(' ');
+
+/**
+ * Aliases of a product after it is renamed to the latest spelling:
+ * the previous name becomes an alias and the new name is no longer one
+ * @param {{ name: string, aliases: Array<string> }} product
+ * @param {string} name - The latest spelling
+ * @returns {Array<string>}
+ */
+const withAlias = ({ name: currentName, aliases }, name) =>
+  name === currentName ? aliases : [...new Set([...aliases, currentName])].filter(alias => alias !== name);
+
+/**
+ * Record that a user added an item with a name: create or update the product in their catalog
+ * The product is written with one upsert, so items added at the same time with a new name
+ * do not race to create it.
+ * @param {number} userId - The user who added the item
+ * @param {{ name: string, brand: string|null, categoryId: number, unitId: number }} item
+ * @returns {Promise<Object|null>} The product, or null if the name has no searchable characters
+ */
+export const recordProductUsage = async (userId, { name, brand, categoryId, unitId }) => {
+  const displayName = name.trim();
+  const searchKey = normalizeProductName(displayName);
+  if (!searchKey) return null;
+
+  const where = { userId_searchKey: { userId, searchKey } };
+  const existing = await prisma.product.findUnique({ where, select: { name: true, aliases: true } });
+  const aliases = existing ? withAlias(existing, displayName) : [];
+  return prisma.product.upsert({
+    where,
+    create: {
+      userId,
+      name: displayName,
+      searchKey,
+      searchText: buildSearchText(searchKey, aliases),
+      aliases,
+      brand: brand || null,
+      usageCount: 1,
+      categoryId,
+      unitId,
+    },
+    update: {
+      name: displayName,
+      aliases,
+      searchText: buildSearchText(searchKey, aliases),
+      ...(brand && { brand }),
+      usageCount: { increment: 1 },
+      categoryId,
+      unitId,
+    },
+  });
+};
+
+/**
+ * Fill the catalogs from every item ever added to a list
+ * Each item counts for the user who added it (from the activity log; the list owner for items
+ * older than the log). Items are read page by page, oldest first; products are built from history
+ * (usage counts, latest defaults, aliases) and created in batches; names already in a user's
+ * catalog are left as they are.
+ * @returns {Promise<number>} Number of products built
+ */
+export const backfillProductCatalog = async () => {
+  // `${userId}:${searchKey}` → product
+  const products = new Map();
+
+  let items;
+  let cursor = null;
+  do {
+    items = await prisma.item.findMany({
+      select: { id: true, name: true, brand: true, categoryId: true, unitId: true, list: { select: { userId: true } } },
+      orderBy: { id: 'asc' },
+      take: BACKFILL_BATCH_SIZE,
+      ...(cursor !== null && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (items.length === 0) break;
+    cursor = items[items.length - 1].id;
+
+    const creations = await prisma.listActivity.findMany({
+      where: { entityType: 'ITEM', action: 'CREATE', entityId: { in: items.map(item => item.id) } },
+      select: { entityId: true, userId: true },
+    });
+    const addedBy = new Map(creations.map(({ entityId, userId }) => [entityId, userId]));
+
+    for (const item of items) {
+      const name = item.name.trim();
+      const searchKey = normalizeProductName(name);
+      if (!searchKey) continue;
+
+      const userId = addedBy.get(item.id) ?? item.list.userId;
+      const key = `${userId}:${searchKey}`;
+      const product = products.get(key) ?? { name, aliases: [], usageCount: 0, brand: null };
+      products.set(key, {
+        userId,
+        searchKey,
+        name,
+        aliases: withAlias(product, name),
+        usageCount: product.usageCount + 1,
+        brand: item.brand || product.brand,
+        categoryId: item.categoryId,
+        unitId: item.unitId,
+      });
+    }
+  } while (items.length === BACKFILL_BATCH_SIZE);
+
+  const data = [...products.values()].map(product => ({
+    ...product,
+    searchText: buildSearchText(product.searchKey, product.aliases),
+  }));
+  for (let start = 0; start < data.length; start += BACKFILL_BATCH_SIZE) {
+    await prisma.product.createMany({ data: data.slice(start, start + BACKFILL_BATCH_SIZE), skipDuplicates: true });
+  }
+  return data.length;
+};
+
+/**
+ * Suggest products of a user's catalog for a typed name
+ * A product matches when any word of its name or aliases starts with the query.
+ * Products whose name starts with the query come first, then the most used.
+ * @param {number} userId
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>} Products including category and unit
+ */
+export const suggestProducts = async (userId, query, limit) => {
+  const normalized = normalizeProductName(query);
+  if (!normalized) return [];
+
+  const candidates = await prisma.product.findMany({
+    where: { userId, searchText: { contains: ` ${normalized}` } },
+    include: { category: true, unit: true },
+    orderBy: { usageCount: 'desc' },
+    take: limit * 5,
+  });
+
+  const startsWithQuery = product => (product.searchKey.startsWith(normalized) ? 0 : 1);
+  return candidates
+    .sort((a, b) => startsWithQuery(a) - startsWithQuery(b) || b.usageCount - a.usageCount)
+    .slice(0, limit)
+    .map(({ searchKey, searchText, userId: ownerId, ...product }) => product);
+};
+
+/**
+ * Backfill the catalog on startup while it is still empty (the first start after it was added)
+ * New items keep it up to date afterwards, so it is not rebuilt on every start.
+ */
+export const startProductCatalogSync = () => {
+  const backfillIfEmpty = async () => {
+    if ((await prisma.product.count()) === 0) await backfillProductCatalog();
+  };
+  backfillIfEmpty().catch(err => console.error('Product catalog backfill failed:', err));
+};
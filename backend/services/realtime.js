@@ -0,0 +1,281 @@
+/**
+ * services/realtime.js
+ * -----------------------------
+ * Built-in realtime broadcaster (Server-Sent Events).
+ * An alternative to Supabase Realtime for local development and self-hosting:
+ * controllers publish every change to a list or an item, and the change is
+ * written to the event streams subscribed to it.
+ *
+ * - Topics: the lists of a user (`lists:<userId>`), the items of a list (`items:<listId>`)
+ *   and the users currently viewing a list (`presence:<listId>`)
+ * - A change to a list is published to the lists topic of its owner and of every member
+ * - Change messages mirror Supabase `postgres_changes` payloads: { table, eventType, new, old }
+ * - Lists and items are soft-deleted, so moving one to the trash is published as an UPDATE
+ *   with `deletedAt` set (as Supabase reports it)
+ * - Presence: every stream of a list's presence topic is a viewer { connectionId, userId, name, editingItemId };
+ *   the viewers are sent on every join / leave / change, and a `message` is sent when an item
+ *   of the list is marked as bought (by the item update itself, to the viewers other than its buyer)
+ * - Access is checked when a stream opens; a user who loses access to a list (a removed member,
+ *   or everyone once the list is in the trash) stops receiving its items and presence right away
+ * - Streams are kept in memory, so every server instance only reaches its own clients
+ */
+
+import { randomUUID } from 'node:crypto';
+import prisma from '../prisma/client.js';
+
+// Interval of the comments keeping idle streams open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Delay before a browser reconnects a dropped stream
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// Open streams: { id, userId, res, topics: Set<string>, close }
+const clients = new Set();
+
+// Viewers of each list: listId → Map(connectionId → { connectionId, userId, name, editingItemId })
+const presenceByList = new Map();
+
+/**
+ * Topic of the lists a user owns or is a member of
+ * @param {number} userId
+ * @returns {string}
+ */
+export const listsTopic = (userId) => `lists:${userId}`;
+
+/**
+ * Topic of the items of a list
+ * @param {number} listId
+ * @returns {string}
+ */
+export const itemsTopic = (listId) => `items:${listId}`;
+
+/**
+ * Topic of the users viewing a list
+ * @param {number} listId
+ * @returns {string}
+ */
+export const presenceTopic = (listId) => `presence:${listId}`;
+
+/**
+ * Keep only the columns of a row (relations such as `unit` or `members` are left out)
+ * @param {Object} row
+ * @returns {Object}
+ */
+const toColumns = (row) =>
+  Object.fromEntries(
+    Object.entries(row).filter(([, value]) => value === null || typeof value !== 'object' || value instanceof Date)
+  );
+
+/**
+ * Turn the response into an event stream and subscribe it to topics until the client disconnects
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Array<string>} topics
+ * @param {Object} [options]
+ * @param {Function} [options.onClose] - Called once the client disconnected
+ * @returns {string} Connection ID of the stream
+ */
+export const openEventStream = (req, res, topics, { onClose } = {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable response buffering in nginx
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const client = { id: randomUUID(), userId: req.user.id, res, topics: new Set(topics) };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  const cleanUp = () => {
+    if (!clients.delete(client)) return;
+    clearInterval(heartbeat);
+    onClose?.();
+  };
+  req.on('close', cleanUp);
+  client.close = () => {
+    cleanUp();
+    res.end();
+  };
+  return client.id;
+};
+
+/**
+ * Write an event to every stream subscribed to a topic
+ * @param {string} topic
+ * @param {string} event - Event name (`change`, `presence`, ...)
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {Set<string>} [options.exceptConnectionIds] - Streams that should not receive the event
+ */
+const writeEvent = (topic, event, data, { exceptConnectionIds } = {}) => {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  clients.forEach((client) => {
+    if (client.topics.has(topic) && !exceptConnectionIds?.has(client.id)) client.res.write(message);
+  });
+};
+
+/**
+ * Write a change to every stream subscribed to a topic
+ * @param {string} topic
+ * @param {'List'|'Item'} table
+ * @param {'INSERT'|'UPDATE'|'DELETE'} eventType
+ * @param {Object} row - The row after the change (before it, for DELETE)
+ */
+const publish = (topic, table, eventType, row) => {
+  const columns = toColumns(row);
+  const payload = eventType === 'DELETE'
+    ? { table, eventType, new: {}, old: columns }
+    : { table, eventType, new: columns, old: {} };
+  writeEvent(topic, 'change', payload);
+};
+
+/**
+ * Resolve the users who can access a list: its owner and its members
+ * @param {Object} list - List, with or without its `members`
+ * @returns {Promise<Array<number>>} User IDs
+ */
+const listUserIds = async (list) => {
+  const members = list.members
+    ?? await prisma.listMember.findMany({ where: { listId: list.id }, select: { userId: true } });
+  return [list.userId, ...members.map(member => member.userId)];
+};
+
+/**
+ * Publish a change to a list to the streams of its owner and of every member
+ * The members are loaded when the list does not include them; a failure is only logged.
+ * @param {'INSERT'|'UPDATE'|'DELETE'} eventType
+ * @param {Object} list
+ */
+export const publishListChange = (eventType, list) => {
+  listUserIds(list)
+    .then(userIds => userIds.forEach(userId => publish(listsTopic(userId), 'List', eventType, list)))
+    .catch(err => console.error('List change broadcast failed:', err));
+};
+
+/**
+ * Stop streaming a list to users who no longer have access to it
+ * Items streams stop following the list (and are closed once they follow no list); presence streams
+ * of the list are closed, so their viewers leave.
+ * @param {number} listId
+ * @param {number} [userId] - The user who lost access; every user when omitted (the list went to the trash)
+ */
+export const closeListStreams = (listId, userId) => {
+  const listTopics = [itemsTopic(listId), presenceTopic(listId)];
+
+  clients.forEach((client) => {
+    if (userId !== undefined && client.userId !== userId) return;
+    const followed = listTopics.filter(topic => client.topics.delete(topic));
+    if (followed.length > 0 && client.topics.size === 0) client.close();
+  });
+};
+
+/**
+ * Tell a user removed from a list that the list is gone (a DELETE on their lists stream),
+ * and stop streaming the list to them
+ * @param {Object} list
+ * @param {number} userId
+ */
+export const publishListAccessRevoked = (list, userId) => {
+  publish(listsTopic(userId), 'List', 'DELETE', list);
+  closeListStreams(list.id, userId);
+};
+
+/**
+ * Publish a change to an item to the streams of its list
+ * @param {'INSERT'|'UPDATE'|'DELETE'} eventType
+ * @param {Object} item
+ */
+export const publishItemChange = (eventType, item) => publish(itemsTopic(item.listId), 'Item', eventType, item);
+
+/* ======================
+   Presence
+   ====================== */
+
+/**
+ * Send the current viewers of a list to all of them
+ * @param {number} listId
+ */
+const publishPresence = (listId) => {
+  const viewers = [...(presenceByList.get(listId)?.values() || [])];
+  writeEvent(presenceTopic(listId), 'presence', { viewers });
+};
+
+/**
+ * Open a presence stream: the user is a viewer of the list until the stream closes
+ * The stream first receives `joined` ({ connectionId }), then `presence` ({ viewers }) on every change
+ * and `message` events about the items other users mark as bought.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {number} listId
+ * @param {{ id: number, name: string }} user
+ */
+export const openPresenceStream = (req, res, listId, user) => {
+  if (!presenceByList.has(listId)) presenceByList.set(listId, new Map());
+  const viewers = presenceByList.get(listId);
+
+  const connectionId = openEventStream(req, res, [presenceTopic(listId)], {
+    onClose: () => {
+      viewers.delete(connectionId);
+      if (viewers.size === 0) presenceByList.delete(listId);
+      publishPresence(listId);
+    },
+  });
+  viewers.set(connectionId, { connectionId, userId: user.id, name: user.name, editingItemId: null });
+
+  res.write(`event: joined\ndata: ${JSON.stringify({ connectionId })}\n\n`);
+  publishPresence(listId);
+};
+
+/**
+ * Find the viewer of a presence stream, making sure it belongs to the user
+ * @param {number} listId
+ * @param {string} connectionId
+ * @param {number} userId
+ * @returns {Object} The viewer
+ * @throws 404 if the stream is not open (or is another user's)
+ */
+const requireViewer = (listId, connectionId, userId) => {
+  const viewer = presenceByList.get(listId)?.get(connectionId);
+  if (!viewer || viewer.userId !== userId) {
+    throw Object.assign(new Error('Presence connection not found'), { statusCode: 404 });
+  }
+  return viewer;
+};
+
+/**
+ * Set (or clear, with null) the item a viewer is editing
+ * @param {number} listId
+ * @param {string} connectionId
+ * @param {number} userId
+ * @param {number|null} editingItemId
+ * @returns {Object} The updated viewer
+ */
+export const updatePresence = (listId, connectionId, userId, editingItemId) => {
+  const viewer = requireViewer(listId, connectionId, userId);
+  viewer.editingItemId = editingItemId;
+  publishPresence(listId);
+  return viewer;
+};
+
+/**
+ * Tell the viewers of a list that an item was (un)marked as bought
+ * The viewers of the user who changed the item (any of their tabs) are left out.
+ * @param {Object} item - The stored item, after the change
+ * @param {{ id: number, name: string }} user - Who changed it (added to the message as `user`)
+ */
+export const publishBoughtNotice = (item, user) => {
+  const viewers = [...(presenceByList.get(item.listId)?.values() || [])];
+  const ownConnectionIds = new Set(
+    viewers.filter(viewer => viewer.userId === user.id).map(viewer => viewer.connectionId)
+  );
+  writeEvent(
+    presenceTopic(item.listId),
+    'message',
+    { type: 'bought', itemId: item.id, itemName: item.name, bought: item.bought, user: { id: user.id, name: user.name } },
+    { exceptConnectionIds: ownConnectionIds }
+  );
+};
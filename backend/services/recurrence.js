@@ -0,0 +1,160 @@
+/**
+ * services/recurrence.js
+ * -----------------------------
+ * Service layer for recurring lists.
+ * A recurrence generates a new list (owned by the recurrence's user) on a fixed
+ * weekly, biweekly or monthly schedule, copying the items of a source list or a template.
+ *
+ * - Lists are generated at the start of the scheduled day (server time)
+ * - Runs missed while the server was down produce a single list, then the schedule moves on
+ * - A run's list, its activity and the next run date are written in one transaction, so a failed run
+ *   is retried as a whole and never generates the same list twice
+ * - The scheduler checks for due recurrences once on startup and then every RECURRENCE_CHECK_INTERVAL_MS
+ */
+
+import prisma from '../prisma/client.js';
+import { accessibleListsWhere } from './listAccess.js';
+import { recordActivity } from './activity.js';
+import { publishListChange } from './realtime.js';
+
+const RECURRENCE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Days between runs of the weekly frequencies
+ */
+const FREQUENCY_DAYS = { WEEKLY: 7, BIWEEKLY: 14 };
+
+/**
+ * Date of the first run strictly after a given moment
+ * @param {{ frequency: 'WEEKLY'|'BIWEEKLY'|'MONTHLY', dayOfWeek?: number, dayOfMonth?: number }} schedule
+ * @param {Date} [after=new Date()]
+ * @returns {Date}
+ */
+export const getNextRunDate = ({ frequency, dayOfWeek, dayOfMonth }, after = new Date()) => {
+  if (frequency === 'MONTHLY') {
+    const next = new Date(after.getFullYear(), after.getMonth(), dayOfMonth);
+    if (next <= after) next.setMonth(next.getMonth() + 1);
+    return next;
+  }
+
+  const next = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+  next.setDate(next.getDate() + ((dayOfWeek - next.getDay() + 7) % 7));
+  if (next <= after) next.setDate(next.getDate() + 7);
+  return next;
+};
+
+/**
+ * Move a run date forward by one period of its schedule
+ * @param {{ frequency: 'WEEKLY'|'BIWEEKLY'|'MONTHLY' }} schedule
+ * @param {Date} runAt
+ * @returns {Date}
+ */
+const advanceRunDate = ({ frequency }, runAt) => {
+  const next = new Date(runAt);
+  if (frequency === 'MONTHLY') next.setMonth(next.getMonth() + 1);
+  else next.setDate(next.getDate() + FREQUENCY_DAYS[frequency]);
+  return next;
+};
+
+/**
+ * Load the name and items to copy for a recurrence
+ * The source list must still be active and accessible to the recurrence's user.
+ * @param {Object} recurrence
+ * @param {Object} db - Prisma client (or transaction client)
+ * @returns {Promise<{ name: string, items: Array<Object> }|null>} null if the source is gone
+ */
+const loadSource = async (recurrence, db) => {
+  if (recurrence.templateId) {
+    return db.listTemplate.findUnique({ where: { id: recurrence.templateId }, include: { items: true } });
+  }
+  return db.list.findFirst({
+    where: { id: recurrence.sourceListId, ...accessibleListsWhere(recurrence.userId) },
+    include: { items: { where: { deletedAt: null } } },
+  });
+};
+
+/**
+ * Generate the list of one run of a recurrence, with its activity
+ * Copied items always start as not bought. The list is not published; the caller does that once it is committed.
+ * @param {Object} recurrence
+ * @param {Date} runAt - Scheduled date of the run (used in the list name)
+ * @param {Object} [db=prisma] - Client to write with (a transaction client to generate it with other changes)
+ * @returns {Promise<Object|null>} The created list, or null if the source is gone
+ */
+export const generateRecurringList = async (recurrence, runAt, db = prisma) => {
+  const source = await loadSource(recurrence, db);
+  if (!source) return null;
+
+  const list = await db.list.create({
+    data: {
+      name: `${source.name} ${runAt.toLocaleDateString('he-IL')}`.slice(0, 50),
+      userId: recurrence.userId,
+      recurrenceId: recurrence.id,
+      items: {
+        create: source.items.map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          brand: item.brand,
+          comments: item.comments,
+          unitPrice: item.unitPrice ?? null,
+          categoryId: item.categoryId,
+          unitId: item.unitId,
+        })),
+      },
+    },
+  });
+  await recordActivity({
+    listId: list.id,
+    userId: recurrence.userId,
+    entityType: 'LIST',
+    entityId: list.id,
+    action: 'CREATE',
+    after: list,
+  }, db);
+  return list;
+};
+
+/**
+ * Generate the lists of every recurrence that is due and schedule their next run
+ * A failing recurrence is logged and retried on the next check.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Number of generated lists
+ */
+export const runDueRecurrences = async (now = new Date()) => {
+  const due = await prisma.listRecurrence.findMany({ where: { nextRunAt: { lte: now } } });
+  let generated = 0;
+
+  for (const recurrence of due) {
+    try {
+      let nextRunAt = advanceRunDate(recurrence, recurrence.nextRunAt);
+      while (nextRunAt <= now) nextRunAt = advanceRunDate(recurrence, nextRunAt);
+
+      const list = await prisma.$transaction(async (tx) => {
+        const created = await generateRecurringList(recurrence, recurrence.nextRunAt, tx);
+        await tx.listRecurrence.update({
+          where: { id: recurrence.id },
+          data: { nextRunAt, ...(created && { lastRunAt: now }) },
+        });
+        return created;
+      });
+      if (list) {
+        publishListChange('INSERT', list);
+        generated += 1;
+      }
+    } catch (err) {
+      console.error(`Recurrence ${recurrence.id} failed:`, err);
+    }
+  }
+
+  return generated;
+};
+
+/**
+ * Start the recurring list scheduler
+ * The timer does not keep the process alive on its own.
+ */
+export const startRecurrenceScheduler = () => {
+  const run = () => runDueRecurrences().catch(err => console.error('Recurring lists failed:', err));
+  run();
+  setInterval(run, RECURRENCE_CHECK_INTERVAL_MS).unref();
+};
@@ -3,9 +3,15 @@
  * -----------------------------
  * Service layer for statistics-related logic.
  * Handles computations for monthly and list statistics.
+ *
+ * Every breakdown is reported in three measures:
+ * - count → number of items (reported as `quantity` for backwards compatibility)
+ * - units → sum of item quantities
+ * - spend → money spent: the paid price, or the estimate (unit price × quantity) when nothing was paid yet
  */
 
 import prisma from '../prisma/client.js';
+import { accessibleListsWhere } from './listAccess.js';
 
 /**
  * Validate and parse month string in YYYY-MM format
@@ -42,24 +48,69 @@ export const getCategoryMap = async (items) => {
   return new Map(categories.map(c => [c.id, c.name]));
 };
 
+/**
+ * Money spent on a single item
+ * @param {{ quantity: number, unitPrice: number|null, paidPrice: number|null }} item
+ * @returns {number} The paid price, the estimated price, or 0 if the item has no price
+ */
+export const getItemSpend = (item) => {
+  if (item.paidPrice != null) return item.paidPrice;
+  if (item.unitPrice != null) return item.unitPrice * item.quantity;
+  return 0;
+};
+
+/**
+ * Percentage of a part out of a total, rounded to 2 decimals
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+const toPercent = (part, total) => (total > 0 ? Number(((part / total) * 100).toFixed(2)) : 0);
+
+/**
+ * Round a money amount to 2 decimals
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Compute the totals of a given array of items
+ * @param {Array<{ quantity: number, unitPrice: number|null, paidPrice: number|null }>} items
+ * @returns {{ totalQuantity: number, totalUnits: number, totalSpend: number }}
+ */
+export const computeTotals = (items) => ({
+  totalQuantity: items.length,
+  totalUnits: items.reduce((sum, item) => sum + item.quantity, 0),
+  totalSpend: roundMoney(items.reduce((sum, item) => sum + getItemSpend(item), 0)),
+});
+
 /**
  * Compute category breakdown for a given array of items
- * @param {Array<{ categoryId: number }>} items
+ * @param {Array<{ categoryId: number, quantity: number, unitPrice: number|null, paidPrice: number|null }>} items
  * @param {Map<number, string>} categoryMap
- * @returns {Array<{ categoryId: number, categoryName: string, quantity: number, percent: number }>}
+ * @returns {Array<{ categoryId: number, categoryName: string, quantity: number, percent: number, units: number, unitsPercent: number, spend: number, spendPercent: number }>}
  */
 export const computeCategoriesBreakdown = (items, categoryMap) => {
-  const totalQuantity = items.length;
-  const counts = items.reduce((acc, item) => {
-    acc[item.categoryId] = (acc[item.categoryId] || 0) + 1;
+  const { totalQuantity, totalUnits, totalSpend } = computeTotals(items);
+  const sums = items.reduce((acc, item) => {
+    const sum = acc[item.categoryId] || { count: 0, units: 0, spend: 0 };
+    sum.count += 1;
+    sum.units += item.quantity;
+    sum.spend += getItemSpend(item);
+    acc[item.categoryId] = sum;
     return acc;
   }, {});
 
-  return Object.entries(counts).map(([catId, count]) => ({
+  return Object.entries(sums).map(([catId, { count, units, spend }]) => ({
     categoryId: Number(catId),
     categoryName: categoryMap.get(Number(catId)) || 'Unknown',
     quantity: count,
-    percent: totalQuantity > 0 ? Number(((count / totalQuantity) * 100).toFixed(2)) : 0,
+    percent: toPercent(count, totalQuantity),
+    units,
+    unitsPercent: toPercent(units, totalUnits),
+    spend: roundMoney(spend),
+    spendPercent: toPercent(spend, totalSpend),
   })).sort((a, b) => b.quantity - a.quantity);
 };
 
@@ -78,28 +129,34 @@ export const groupItemsByList = (items) => {
 };
 
 /**
- * Fetch all lists created within a specific date range
+ * Fetch all lists a user owns or is a member of, created within a specific date range
  * @param {Date} start
  * @param {Date} end
- * @returns {Promise<Array<{ id: number, name: string, createdAt: Date }>>}
+ * @param {number} userId
+ * @returns {Promise<Array<{ id: number, name: string, createdAt: Date, userId: number }>>}
  */
-export const getListsInRange = async (start, end) => {
+export const getListsInRange = async (start, end, userId) => {
   return prisma.list.findMany({
-    where: { createdAt: { gte: start, lt: end } },
-    select: { id: true, name: true, createdAt: true },
+    where: { ...accessibleListsWhere(userId), createdAt: { gte: start, lt: end } },
+    select: { id: true, name: true, createdAt: true, userId: true },
     orderBy: { createdAt: 'asc' },
   });
 };
 
 /**
- * Fetch items for given list IDs
+ * Fields of an item needed to compute statistics
+ */
+export const STATS_ITEM_SELECT = { listId: true, categoryId: true, quantity: true, unitPrice: true, paidPrice: true };
+
+/**
+ * Fetch active (not deleted) items for given list IDs
  * @param {Array<number>} listIds
- * @returns {Promise<Array<{ listId: number, categoryId: number }>>}
+ * @returns {Promise<Array<{ listId: number, categoryId: number, quantity: number, unitPrice: number|null, paidPrice: number|null }>>}
  */
 export const getItemsForLists = async (listIds) => {
   if (!listIds || listIds.length === 0) return [];
   return prisma.item.findMany({
-    where: { listId: { in: listIds } },
-    select: { listId: true, categoryId: true },
+    where: { listId: { in: listIds }, deletedAt: null },
+    select: STATS_ITEM_SELECT,
   });
 };
@@ -0,0 +1,135 @@
+/**
+ * services/suggestion.js
+ * -----------------------------
+ * Service layer for "you usually buy these" suggestions.
+ *
+ * The items a user added over the last HISTORY_DAYS (in every list they can access) are
+ * grouped by product (the normalized name, see services/productCatalog.js). Each list a
+ * product appeared in counts as one purchase; purchases on the same day count once.
+ * The typical interval of a product is the median number of days between its purchases,
+ * and the product is "due" once DUE_RATIO of that interval has passed since the last one.
+ */
+
+import prisma from '../prisma/client.js';
+import { accessibleListsWhere } from './listAccess.js';
+import { normalizeProductName } from './productCatalog.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back the item history is read
+const HISTORY_DAYS = 365;
+
+// A product needs this many purchases before it has a typical interval
+const MIN_PURCHASES = 3;
+
+// Share of the typical interval after which a product is due
+const DUE_RATIO = 0.8;
+
+// Products not bought for this many intervals are considered dropped, not forgotten
+const STALE_RATIO = 4;
+
+/**
+ * Median of a non-empty array of numbers
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Group the item history by product
+ * @param {Array<Object>} items - Items ordered by `addedAt` (oldest first)
+ * @returns {Map<string, { latest: Object, purchases: Map<number, Date> }>}
+ *          Per normalized name: the latest item and the first time it was added to each list
+ */
+const groupByProduct = (items) => {
+  const products = new Map();
+  for (const item of items) {
+    const key = normalizeProductName(item.name);
+    if (!key) continue;
+
+    const product = products.get(key) ?? { latest: item, purchases: new Map() };
+    product.latest = item;
+    if (!product.purchases.has(item.listId)) product.purchases.set(item.listId, item.addedAt);
+    products.set(key, product);
+  }
+  return products;
+};
+
+/**
+ * Purchase frequency of one product
+ * @param {Map<number, Date>} purchases - First time the product was added to each list
+ * @returns {{ timesBought: number, intervalDays: number, lastBoughtAt: Date }|null}
+ *          null when there are not enough purchases (on different days) to tell
+ */
+const getFrequency = (purchases) => {
+  const days = [...new Set([...purchases.values()].map(date => Math.floor(date.getTime() / DAY_MS)))].sort((a, b) => a - b);
+  if (days.length < MIN_PURCHASES) return null;
+
+  const intervals = days.slice(1).map((day, index) => day - days[index]);
+  return {
+    timesBought: days.length,
+    intervalDays: Math.round(median(intervals)),
+    lastBoughtAt: new Date(Math.max(...[...purchases.values()].map(date => date.getTime()))),
+  };
+};
+
+/**
+ * Products the user usually buys that are due and not on the list yet
+ * @param {number} listId - The list the suggestions are for
+ * @param {number} userId
+ * @param {Object} options
+ * @param {number} options.limit - Max number of suggestions
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<Object>>} Most overdue first:
+ *          [{ name, brand, quantity, categoryId, unitId, category, unit, timesBought, intervalDays, lastBoughtAt, dueAt }]
+ */
+export const getListSuggestions = async (listId, userId, { limit, now = new Date() }) => {
+  const [history, listItems] = await Promise.all([
+    prisma.item.findMany({
+      where: {
+        deletedAt: null,
+        addedAt: { gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS) },
+        list: accessibleListsWhere(userId),
+      },
+      include: { category: true, unit: true },
+      orderBy: { addedAt: 'asc' },
+    }),
+    prisma.item.findMany({ where: { listId, deletedAt: null }, select: { name: true } }),
+  ]);
+
+  const onList = new Set(listItems.map(item => normalizeProductName(item.name)));
+  const suggestions = [];
+
+  for (const [key, { latest, purchases }] of groupByProduct(history)) {
+    if (onList.has(key)) continue;
+
+    const frequency = getFrequency(purchases);
+    if (!frequency || frequency.intervalDays < 1) continue;
+
+    const daysSince = (now - frequency.lastBoughtAt) / DAY_MS;
+    const overdue = daysSince / frequency.intervalDays;
+    if (overdue < DUE_RATIO || overdue > STALE_RATIO) continue;
+
+    suggestions.push({
+      name: latest.name,
+      brand: latest.brand,
+      quantity: latest.quantity,
+      categoryId: latest.categoryId,
+      unitId: latest.unitId,
+      category: latest.category,
+      unit: latest.unit,
+      ...frequency,
+      dueAt: new Date(frequency.lastBoughtAt.getTime() + frequency.intervalDays * DAY_MS),
+      overdue,
+    });
+  }
+
+  return suggestions
+    .sort((a, b) => b.overdue - a.overdue)
+    .slice(0, limit)
+    .map(({ overdue, ...suggestion }) => suggestion);
+};
@@ -0,0 +1,54 @@
+/**
+ * services/trash.js
+ * -----------------------------
+ * Service layer for the trash bin.
+ * Deleting a list or an item only sets its `deletedAt`; it can be restored
+ * until the retention period ends, after which a scheduled job removes it for good.
+ *
+ * - Retention: TRASH_RETENTION_DAYS (default: 30 days)
+ * - The purge runs once on startup and then every TRASH_PURGE_INTERVAL_MS
+ */
+
+import prisma from '../prisma/client.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = DAY_MS;
+
+/**
+ * Date on which a deleted list or item is removed permanently
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+export const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently delete lists and items that have been in the trash longer than the retention period
+ * Items of purged lists are deleted with them; members and invites are removed by cascade.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ lists: number, items: number }>} Number of purged lists and (individually deleted) items
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  const expiredLists = await prisma.list.findMany({ where: { deletedAt: { lt: cutoff } }, select: { id: true } });
+  const listIds = expiredLists.map(list => list.id);
+
+  const [items] = await prisma.$transaction([
+    prisma.item.deleteMany({ where: { deletedAt: { lt: cutoff } } }),
+    prisma.item.deleteMany({ where: { listId: { in: listIds } } }),
+    prisma.list.deleteMany({ where: { id: { in: listIds } } }),
+  ]);
+
+  return { lists: listIds.length, items: items.count };
+};
+
+/**
+ * Start the scheduled trash purge
+ * The timer does not keep the process alive on its own.
+ */
+export const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash().catch(err => console.error('Trash purge failed:', err));
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+};
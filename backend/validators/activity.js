@@ -0,0 +1,51 @@
+/**
+ * validators/activity.js
+ * -----------------------------
+ * Validation functions for the activity log of a list.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+// Largest page that can be requested at once
+export const MAX_ACTIVITY_PAGE_SIZE = 100;
+
+/**
+ * Whether a query value is a whole number within [min, max]
+ * @param {string} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+const isIntInRange = (value, min, max) =>
+  /^\d+$/.test(value) && Number(value) >= min && Number(value) <= max;
+
+/* ======================
+   Validate Activity Query
+   ====================== */
+/**
+ * Validation for the pagination query of the activity endpoint.
+ *
+ * Rules:
+ * - page: optional, whole number ≥ 1
+ * - pageSize: optional, whole number between 1 and MAX_ACTIVITY_PAGE_SIZE
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateActivityQuery = ({ page, pageSize }) => {
+  const errors = {};
+
+  if (page !== undefined && !isIntInRange(page, 1, Number.MAX_SAFE_INTEGER)) {
+    errors.page = "מספר עמוד לא תקין";
+  }
+
+  if (pageSize !== undefined && !isIntInRange(pageSize, 1, MAX_ACTIVITY_PAGE_SIZE)) {
+    errors.pageSize = `גודל עמוד חייב להיות בין 1 ל-${MAX_ACTIVITY_PAGE_SIZE}`;
+  }
+
+  return errors;
+};
@@ -0,0 +1,77 @@
+/**
+ * validators/auth.js
+ * -----------------------------
+ * Validation functions for signup and login requests.
+ *
+ * Both functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/* ======================
+   Validate Signup
+   ====================== */
+/**
+ * Validation for creating a new user account.
+ *
+ * Rules:
+ * - name: required string, max 50 characters
+ * - email: required string, valid email format
+ * - password: required string, min 6 characters, max 100 characters
+ *
+ * @param {Object} data - Signup payload from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateSignup = ({ name, email, password }) => {
+  const errors = {};
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+  const trimmedEmail = typeof email === "string" ? email.trim() : "";
+
+  if (!trimmedName) {
+    errors.name = "שדה חובה";
+  } else if (trimmedName.length > 50) {
+    errors.name = "השדה יכול להכיל לכל היותר 50 תווים";
+  }
+
+  if (!trimmedEmail) {
+    errors.email = "שדה חובה";
+  } else if (!EMAIL_PATTERN.test(trimmedEmail)) {
+    errors.email = "כתובת אימייל לא תקינה";
+  }
+
+  if (typeof password !== "string" || !password) {
+    errors.password = "שדה חובה";
+  } else if (password.length < 6) {
+    errors.password = "הסיסמה חייבת להכיל לפחות 6 תווים";
+  } else if (password.length > 100) {
+    errors.password = "השדה יכול להכיל לכל היותר 100 תווים";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Login
+   ====================== */
+/**
+ * Validation for logging in.
+ *
+ * Rules:
+ * - email: required string
+ * - password: required string
+ *
+ * @param {Object} data - Login payload from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateLogin = ({ email, password }) => {
+  const errors = {};
+
+  if (typeof email !== "string" || !email.trim()) errors.email = "שדה חובה";
+  if (typeof password !== "string" || !password) errors.password = "שדה חובה";
+
+  return errors;
+};
@@ -0,0 +1,99 @@
+/**
+ * validators/import.js
+ * -----------------------------
+ * Validation functions for importing a plain-text list into a list.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+// Most items that can be imported at once
+export const MAX_IMPORT_ITEMS = 100;
+
+// Longest text that can be pasted
+const MAX_IMPORT_TEXT_LENGTH = 5000;
+
+/**
+ * Whether a value is a positive whole number (an ID)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isId = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+/* ======================
+   Validate Import Text
+   ====================== */
+/**
+ * Validation for the pasted text to preview.
+ *
+ * Rules:
+ * - text: required, max 5000 characters and MAX_IMPORT_ITEMS non-empty lines
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateImportText = ({ text }) => {
+  const errors = {};
+
+  if (typeof text !== "string" || !text.trim()) {
+    errors.text = "יש להדביק רשימה";
+  } else if (text.length > MAX_IMPORT_TEXT_LENGTH) {
+    errors.text = `הרשימה יכולה להכיל עד ${MAX_IMPORT_TEXT_LENGTH} תווים`;
+  } else if (text.split(/\r?\n/).filter((line) => line.trim()).length > MAX_IMPORT_ITEMS) {
+    errors.text = `ניתן לייבא עד ${MAX_IMPORT_ITEMS} מוצרים בכל פעם`;
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Import Items
+   ====================== */
+/**
+ * Validation for the confirmed items to create.
+ *
+ * Rules:
+ * - items: required array of 1 – MAX_IMPORT_ITEMS items, each with
+ *   - name: required, max 50 characters
+ *   - quantity: number > 0
+ *   - brand: optional string (or null), max 50 characters
+ *   - unitId, categoryId: required IDs
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} errors - Validation errors (Hebrew messages); item errors name the line
+ */
+export const validateImportItems = ({ items }) => {
+  const errors = {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.items = "אין מוצרים לייבוא";
+    return errors;
+  }
+  if (items.length > MAX_IMPORT_ITEMS) {
+    errors.items = `ניתן לייבא עד ${MAX_IMPORT_ITEMS} מוצרים בכל פעם`;
+    return errors;
+  }
+
+  const invalidIndex = items.findIndex((item) => {
+    const name = typeof item?.name === "string" ? item.name.trim() : "";
+    const brand = typeof item?.brand === "string" ? item.brand.trim() : "";
+    return (
+      !name ||
+      name.length > 50 ||
+      (item.brand !== undefined && item.brand !== null && typeof item.brand !== "string") ||
+      brand.length > 50 ||
+      isNaN(item.quantity) ||
+      Number(item.quantity) <= 0 ||
+      !isId(item.unitId) ||
+      !isId(item.categoryId)
+    );
+  });
+  if (invalidIndex !== -1) {
+    errors.items = `מוצר מספר ${invalidIndex + 1} אינו תקין`;
+  }
+
+  return errors;
+};
@@ -3,13 +3,26 @@
  * -----------------------------
  * Validation functions for "Item" entity.
  *
- * Both functions return an `errors` object:
+ * All functions return an `errors` object:
  * - Key = field name
  * - Value = error message (string in Hebrew)
  *
  * If the `errors` object is empty, the input is considered valid.
  */
 
+/**
+ * Check whether an optional price value is invalid.
+ * Empty values (undefined / null / "") are allowed.
+ *
+ * @param {number|string|null|undefined} value
+ * @returns {boolean} true if a value was provided and it is not a non-negative number
+ */
+const isInvalidPrice = (value) =>
+  value !== undefined &&
+  value !== null &&
+  value !== "" &&
+  (isNaN(value) || Number(value) < 0);
+
 /* ======================
    Validate Item Addition
    ====================== */
@@ -22,6 +35,8 @@
  * - brand: optional, max 50 characters
  * - unitId: required, must not be 0
  * - comments: optional, max 100 characters
+ * - unitPrice: optional, non-negative number
+ * - paidPrice: optional, non-negative number
  *
  * @param {Object} item - Item payload from request
  * @returns {Object} errors - Validation errors (Hebrew messages)
@@ -61,6 +76,14 @@ export const validateItemAddition = (item) => {
     errors.comments = "השדה יכול להכיל לכל היותר 100 תווים";
   }
 
+  if (isInvalidPrice(item.unitPrice)) {
+    errors.unitPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  if (isInvalidPrice(item.paidPrice)) {
+    errors.paidPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
   return errors;
 };
 
@@ -76,6 +99,8 @@ export const validateItemAddition = (item) => {
  * - brand: optional, max 50 characters
  * - unitId: required, must not be 0
  * - comments: optional, max 100 characters
+ * - unitPrice: optional, non-negative number
+ * - paidPrice: optional, non-negative number
  *
  * @param {Object} item - Item payload from request
  * @returns {Object} errors - Validation errors (Hebrew messages)
@@ -115,5 +140,82 @@ export const validateItemUpdate = (item) => {
     errors.comments = "השדה יכול להכיל לכל היותר 100 תווים";
   }
 
+  if (isInvalidPrice(item.unitPrice)) {
+    errors.unitPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  if (isInvalidPrice(item.paidPrice)) {
+    errors.paidPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Item Query
+   ====================== */
+
+// Fields the items endpoint can be sorted by
+export const ITEM_SORT_FIELDS = ["name", "addedAt", "quantity", "brand", "bought"];
+
+/**
+ * Validation for the sort & filter query of the items endpoint.
+ *
+ * Rules:
+ * - sortBy: optional, one of ITEM_SORT_FIELDS
+ * - order: optional, "asc" or "desc"
+ * - bought: optional, "true" or "false"
+ * - search: optional, max 50 characters
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateItemQuery = ({ sortBy, order, bought, search }) => {
+  const errors = {};
+
+  if (sortBy !== undefined && !ITEM_SORT_FIELDS.includes(sortBy)) {
+    errors.sortBy = "שדה מיון לא תקין";
+  }
+
+  if (order !== undefined && !["asc", "desc"].includes(order)) {
+    errors.order = "סדר מיון לא תקין";
+  }
+
+  if (bought !== undefined && !["true", "false"].includes(bought)) {
+    errors.bought = "ערך סינון לא תקין";
+  }
+
+  if (search !== undefined) {
+    if (typeof search !== "string") {
+      errors.search = "ערך חיפוש לא תקין";
+    } else if (search.length > 50) {
+      errors.search = "השדה יכול להכיל לכל היותר 50 תווים";
+    }
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Item Text
+   ====================== */
+/**
+ * Validation for a free-text item line (quick add / import).
+ *
+ * Rules:
+ * - text: required, max 100 characters
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateItemText = ({ text }) => {
+  const errors = {};
+
+  if (typeof text !== "string" || !text.trim()) {
+    errors.text = "שדה חובה";
+  } else if (text.length > 100) {
+    errors.text = "השדה יכול להכיל לכל היותר 100 תווים";
+  }
+
   return errors;
 };
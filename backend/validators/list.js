@@ -64,4 +64,168 @@ export const validateListUpdate = ({ name }) => {
   }
 
   return errors;
-};
\ No newline at end of file
+};
+
+/* ======================
+   Validate List Budget
+   ====================== */
+/**
+ * Validation for setting the budget of a list.
+ *
+ * Rules:
+ * - budget: null clears the budget, otherwise a non-negative number
+ *
+ * @param {Object} data - Payload containing list fields
+ * @param {number|null} data.budget - Budget of the list
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateListBudget = ({ budget }) => {
+  const errors = {};
+
+  if (budget === undefined || budget === "") {
+    errors.budget = "שדה חובה";
+  } else if (budget !== null && (isNaN(budget) || Number(budget) < 0)) {
+    errors.budget = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate List Include
+   ====================== */
+/**
+ * Sections that can be requested with `GET /api/lists/:id?include=`
+ */
+export const LIST_INCLUDE_OPTIONS = ["items", "categories", "units"];
+
+/**
+ * Validation for the `include` query of the single list endpoint.
+ *
+ * Rules:
+ * - include: optional, comma-separated values from LIST_INCLUDE_OPTIONS
+ *
+ * @param {Object} query - Query string parameters from request
+ * @param {string} query.include - Requested sections, e.g. "items,units"
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateListInclude = ({ include }) => {
+  const errors = {};
+
+  if (include === undefined) return errors;
+
+  if (typeof include !== "string") {
+    errors.include = "ערך include לא תקין";
+  } else if (include.split(",").some((part) => !LIST_INCLUDE_OPTIONS.includes(part.trim()))) {
+    errors.include = `ניתן לבקש רק: ${LIST_INCLUDE_OPTIONS.join(", ")}`;
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate List Duplication
+   ====================== */
+/**
+ * Validation for duplicating an existing list.
+ *
+ * Rules:
+ * - name: optional, but if provided → min 3 chars, max 50 chars
+ * - resetBought: optional boolean
+ * - onlyUnbought: optional boolean
+ *
+ * @param {Object} data - Payload from request
+ * @param {string} data.name - Name of the copy
+ * @param {boolean} data.resetBought - Whether the copied items start as not bought
+ * @param {boolean} data.onlyUnbought - Whether only items that were not bought are copied
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateListDuplicate = ({ name, resetBought, onlyUnbought }) => {
+  const errors = validateListCreation({ name });
+
+  if (resetBought !== undefined && typeof resetBought !== "boolean") {
+    errors.resetBought = "ערך לא תקין";
+  }
+  if (onlyUnbought !== undefined && typeof onlyUnbought !== "boolean") {
+    errors.onlyUnbought = "ערך לא תקין";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate List Export / Import
+   ====================== */
+
+// File formats lists can be exported to and imported from
+export const LIST_FILE_FORMATS = ["csv", "json"];
+
+// Largest file content that can be imported (characters)
+export const MAX_LIST_FILE_LENGTH = 1000000;
+
+/**
+ * Validation for the export query.
+ *
+ * Rules:
+ * - format: optional, one of LIST_FILE_FORMATS (default: json)
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateListExport = ({ format }) => {
+  const errors = {};
+
+  if (format !== undefined && !LIST_FILE_FORMATS.includes(format)) {
+    errors.format = "פורמט קובץ לא נתמך";
+  }
+
+  return errors;
+};
+
+// How bought items appear in the text export of a list
+export const LIST_TEXT_BOUGHT_MODES = ["strike", "omit"];
+
+/**
+ * Validation for the text export query.
+ *
+ * Rules:
+ * - boughtItems: optional, one of LIST_TEXT_BOUGHT_MODES (default: strike)
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateListTextExport = ({ boughtItems }) => {
+  const errors = {};
+
+  if (boughtItems !== undefined && !LIST_TEXT_BOUGHT_MODES.includes(boughtItems)) {
+    errors.boughtItems = "אפשרות לא חוקית עבור מוצרים שנקנו";
+  }
+
+  return errors;
+};
+
+/**
+ * Validation for importing lists from an exported file.
+ *
+ * Rules:
+ * - format: required, one of LIST_FILE_FORMATS
+ * - content: required, non-empty text, max 1,000,000 characters
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateListFileImport = ({ format, content }) => {
+  const errors = {};
+
+  if (!LIST_FILE_FORMATS.includes(format)) {
+    errors.format = "פורמט קובץ לא נתמך";
+  }
+
+  if (typeof content !== "string" || !content.trim()) {
+    errors.content = "הקובץ ריק";
+  } else if (content.length > MAX_LIST_FILE_LENGTH) {
+    errors.content = "הקובץ גדול מדי";
+  }
+
+  return errors;
+};
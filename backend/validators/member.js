@@ -0,0 +1,60 @@
+/**
+ * validators/member.js
+ * -----------------------------
+ * Validation functions for list members and invites.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+// Roles that can be granted to a member (OWNER is never granted)
+const MEMBER_ROLES = ['EDITOR', 'VIEWER'];
+
+/* ======================
+   Validate Member Role
+   ====================== */
+/**
+ * Validation for creating an invite or changing a member's role.
+ *
+ * Rules:
+ * - role: required, one of EDITOR / VIEWER
+ *
+ * @param {Object} data - Payload from request
+ * @param {string} data.role - Role to grant
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateMemberRole = ({ role }) => {
+  const errors = {};
+
+  if (!role) {
+    errors.role = "שדה חובה";
+  } else if (!MEMBER_ROLES.includes(role)) {
+    errors.role = "תפקיד לא תקין";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Join
+   ====================== */
+/**
+ * Validation for joining a list with an invite code.
+ *
+ * Rules:
+ * - code: required string
+ *
+ * @param {Object} data - Payload from request
+ * @param {string} data.code - Invite code
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateJoin = ({ code }) => {
+  const errors = {};
+
+  if (typeof code !== "string" || !code.trim()) errors.code = "שדה חובה";
+
+  return errors;
+};
@@ -0,0 +1,117 @@
+/**
+ * validators/pantry.js
+ * -----------------------------
+ * Validation functions for "PantryItem" entity.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+/**
+ * Check whether a value is not a non-negative number
+ * @param {number|string|null|undefined} value
+ * @returns {boolean}
+ */
+const isInvalidAmount = (value) =>
+  value === undefined || value === null || value === "" || isNaN(value) || Number(value) < 0;
+
+/* ======================
+   Validate Pantry Item
+   ====================== */
+/**
+ * Validation for creating or updating a pantry product.
+ *
+ * Rules:
+ * - name: required, max 50 characters
+ * - quantity: required, non-negative number
+ * - minQuantity: optional, non-negative number
+ * - categoryId: required, must not be 0
+ * - unitId: required, must not be 0
+ * - expiresAt: optional, a valid date (null / "" clears it)
+ *
+ * @param {Object} pantryItem - Pantry payload from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validatePantryItem = (pantryItem) => {
+  const errors = {};
+  const name = pantryItem.name?.trim() || "";
+
+  if (!name) {
+    errors.name = "שדה חובה";
+  } else if (name.length > 50) {
+    errors.name = "השדה יכול להכיל לכל היותר 50 תווים";
+  }
+
+  if (isInvalidAmount(pantryItem.quantity)) {
+    errors.quantity = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  if (pantryItem.minQuantity !== undefined && isInvalidAmount(pantryItem.minQuantity)) {
+    errors.minQuantity = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  if (!pantryItem.categoryId || Number(pantryItem.categoryId) === 0) {
+    errors.categoryId = "יש לבחור קטגוריה";
+  }
+
+  if (!pantryItem.unitId || Number(pantryItem.unitId) === 0) {
+    errors.unitId = "יש לבחור יחידת מידה";
+  }
+
+  const { expiresAt } = pantryItem;
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== "" && isNaN(new Date(expiresAt).getTime())) {
+    errors.expiresAt = "תאריך לא תקין";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Expiring Query
+   ====================== */
+// Longest look-ahead of the "expiring soon" report
+export const MAX_EXPIRING_DAYS = 365;
+
+/**
+ * Validation for the query of the "expiring soon" report.
+ *
+ * Rules:
+ * - days: optional, whole number between 0 and MAX_EXPIRING_DAYS
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateExpiringQuery = ({ days }) => {
+  const errors = {};
+
+  if (days !== undefined && (!/^\d+$/.test(days) || Number(days) > MAX_EXPIRING_DAYS)) {
+    errors.days = `מספר הימים חייב להיות בין 0 ל-${MAX_EXPIRING_DAYS}`;
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Pantry Query
+   ====================== */
+/**
+ * Validation for the filters of the pantry list.
+ *
+ * Rules:
+ * - lowStock: optional, "true" or "false"
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validatePantryQuery = ({ lowStock }) => {
+  const errors = {};
+
+  if (lowStock !== undefined && !["true", "false"].includes(lowStock)) {
+    errors.lowStock = "ערך סינון לא תקין";
+  }
+
+  return errors;
+};
@@ -0,0 +1,42 @@
+/**
+ * validators/product.js
+ * -----------------------------
+ * Validation functions for the product catalog.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+export const MAX_SUGGESTIONS = 20;
+
+/* ======================
+   Validate Suggest Query
+   ====================== */
+/**
+ * Validation for the autocomplete query.
+ *
+ * Rules:
+ * - q: required, 1–50 characters
+ * - limit: optional, whole number between 1 and MAX_SUGGESTIONS
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateProductSuggestQuery = ({ q, limit }) => {
+  const errors = {};
+
+  if (typeof q !== "string" || !q.trim()) {
+    errors.q = "יש להזין טקסט לחיפוש";
+  } else if (q.length > 50) {
+    errors.q = "טקסט החיפוש יכול להכיל עד 50 תווים";
+  }
+
+  if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_SUGGESTIONS)) {
+    errors.limit = `מספר ההצעות חייב להיות בין 1 ל-${MAX_SUGGESTIONS}`;
+  }
+
+  return errors;
+};
@@ -0,0 +1,72 @@
+/**
+ * validators/realtime.js
+ * -----------------------------
+ * Validation functions for the realtime event streams.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+// Most lists whose items one stream can follow
+export const MAX_STREAM_LISTS = 100;
+
+/**
+ * Whether a value is a positive integer ID
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+/* ======================
+   Validate Items Stream Query
+   ====================== */
+/**
+ * Validation for the query of the items event stream.
+ *
+ * Rules:
+ * - listIds: required, comma-separated list IDs (at most MAX_STREAM_LISTS)
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateItemsStreamQuery = ({ listIds }) => {
+  const errors = {};
+
+  if (typeof listIds !== "string" || !/^\d+(,\d+)*$/.test(listIds)) {
+    errors.listIds = "יש לציין רשימות תקינות";
+  } else if (listIds.split(",").length > MAX_STREAM_LISTS) {
+    errors.listIds = `ניתן לעקוב אחרי עד ${MAX_STREAM_LISTS} רשימות`;
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Presence Update
+   ====================== */
+/**
+ * Validation for setting the item a viewer is editing.
+ *
+ * Rules:
+ * - connectionId: required, non-empty string
+ * - editingItemId: required, item ID or null
+ *
+ * @param {Object} data - Input data from request body
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validatePresenceUpdate = ({ connectionId, editingItemId }) => {
+  const errors = {};
+
+  if (typeof connectionId !== "string" || !connectionId.trim()) {
+    errors.connectionId = "יש לציין חיבור";
+  }
+
+  if (editingItemId !== null && !isId(editingItemId)) {
+    errors.editingItemId = "יש לציין מוצר תקין או null";
+  }
+
+  return errors;
+};
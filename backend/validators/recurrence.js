@@ -0,0 +1,83 @@
+/**
+ * validators/recurrence.js
+ * -----------------------------
+ * Validation functions for recurring lists.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+// Supported schedules
+export const RECURRENCE_FREQUENCIES = ["WEEKLY", "BIWEEKLY", "MONTHLY"];
+
+// Monthly runs are limited to days that exist in every month
+export const MAX_DAY_OF_MONTH = 28;
+
+/**
+ * Whether a value is a whole number within [min, max]
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+const isIntInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/* ======================
+   Validate Recurrence Schedule
+   ====================== */
+/**
+ * Validation for the schedule of a recurrence (create & update).
+ *
+ * Rules:
+ * - frequency: required, one of RECURRENCE_FREQUENCIES
+ * - dayOfWeek: required for WEEKLY / BIWEEKLY, whole number 0 (Sunday) – 6 (Saturday)
+ * - dayOfMonth: required for MONTHLY, whole number 1 – MAX_DAY_OF_MONTH
+ *
+ * @param {Object} data - Payload from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateRecurrenceSchedule = ({ frequency, dayOfWeek, dayOfMonth }) => {
+  const errors = {};
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    errors.frequency = "תדירות לא תקינה";
+  } else if (frequency === "MONTHLY") {
+    if (!isIntInRange(dayOfMonth, 1, MAX_DAY_OF_MONTH)) {
+      errors.dayOfMonth = `יש לבחור יום בין 1 ל-${MAX_DAY_OF_MONTH}`;
+    }
+  } else if (!isIntInRange(dayOfWeek, 0, 6)) {
+    errors.dayOfWeek = "יש לבחור יום בשבוע";
+  }
+
+  return errors;
+};
+
+/* ======================
+   Validate Recurrence Creation
+   ====================== */
+/**
+ * Validation for creating a recurrence.
+ *
+ * Rules:
+ * - schedule fields as in validateRecurrenceSchedule
+ * - exactly one of sourceListId / templateId, as a positive whole number
+ *
+ * @param {Object} data - Payload from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateRecurrenceCreation = ({ sourceListId, templateId, ...schedule }) => {
+  const errors = validateRecurrenceSchedule(schedule);
+  const hasList = sourceListId !== undefined && sourceListId !== null;
+  const hasTemplate = templateId !== undefined && templateId !== null;
+
+  if (hasList === hasTemplate) {
+    errors.source = "יש לבחור רשימה או תבנית כמקור";
+  } else if (!isIntInRange(hasList ? sourceListId : templateId, 1, Number.MAX_SAFE_INTEGER)) {
+    errors.source = "מזהה מקור לא תקין";
+  }
+
+  return errors;
+};
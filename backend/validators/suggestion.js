@@ -0,0 +1,35 @@
+/**
+ * validators/suggestion.js
+ * -----------------------------
+ * Validation functions for the "you usually buy these" suggestions of a list.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+export const MAX_LIST_SUGGESTIONS = 30;
+
+/* ======================
+   Validate Suggestion Query
+   ====================== */
+/**
+ * Validation for the query of the suggestions endpoint.
+ *
+ * Rules:
+ * - limit: optional, whole number between 1 and MAX_LIST_SUGGESTIONS
+ *
+ * @param {Object} query - Query string parameters from request
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateSuggestionQuery = ({ limit }) => {
+  const errors = {};
+
+  if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_LIST_SUGGESTIONS)) {
+    errors.limit = `מספר ההצעות חייב להיות בין 1 ל-${MAX_LIST_SUGGESTIONS}`;
+  }
+
+  return errors;
+};
@@ -0,0 +1,47 @@
+/**
+ * validators/template.js
+ * -----------------------------
+ * Validation functions for list templates.
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+/* ======================
+   Validate Template Creation
+   ====================== */
+/**
+ * Validation for saving a list as a template.
+ *
+ * Rules:
+ * - listId: required, positive whole number
+ * - name: required, min 3 chars, max 50 chars
+ *
+ * @param {Object} data - Payload from request
+ * @param {number} data.listId - The list to copy the items from
+ * @param {string} data.name - Name of the template
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateTemplateCreation = ({ listId, name }) => {
+  const errors = {};
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+
+  if (listId === undefined || listId === null || listId === "") {
+    errors.listId = "שדה חובה";
+  } else if (!Number.isInteger(Number(listId)) || Number(listId) <= 0) {
+    errors.listId = "מזהה רשימה לא תקין";
+  }
+
+  if (!trimmedName) {
+    errors.name = "השדה לא יכול להיות ריק";
+  } else if (trimmedName.length < 3) {
+    errors.name = "השדה חייב להכיל לפחות 3 תווים";
+  } else if (trimmedName.length > 50) {
+    errors.name = "השדה יכול להכיל לכל היותר 50 תווים";
+  }
+
+  return errors;
+};
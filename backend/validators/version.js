@@ -0,0 +1,55 @@
+/**
+ * validators/version.js
+ * -----------------------------
+ * Validation of the `version` sent with updates of lists and items (optimistic concurrency,
+ * see services/concurrency.js).
+ *
+ * All functions return an `errors` object:
+ * - Key = field name
+ * - Value = error message (string in Hebrew)
+ *
+ * If the `errors` object is empty, the input is considered valid.
+ */
+
+const isVersion = (version) => Number.isInteger(version) && version > 0;
+
+/* ======================
+   Validate Version
+   ====================== */
+/**
+ * Validation for updates that must name the version they are based on.
+ *
+ * Rules:
+ * - version: required, positive whole number
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateVersion = ({ version }) => {
+  const errors = {};
+
+  if (!isVersion(version)) {
+    errors.version = "חסרה גרסה תקינה של הרשומה";
+  }
+
+  return errors;
+};
+
+/**
+ * Validation for updates that may name the version they are based on.
+ *
+ * Rules:
+ * - version: optional, positive whole number
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} errors - Validation errors (Hebrew messages)
+ */
+export const validateOptionalVersion = ({ version }) => {
+  const errors = {};
+
+  if (version !== undefined && !isVersion(version)) {
+    errors.version = "גרסה לא תקינה של הרשומה";
+  }
+
+  return errors;
+};
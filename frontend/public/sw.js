@@ -0,0 +1,98 @@
+/**
+ * sw.js
+ *
+ * Service worker that keeps the app usable without a connection.
+ *
+ * - App shell: index.html, the manifest and icons are cached on install; built assets
+ *   (/assets/*, hashed file names) are cached the first time they are loaded
+ * - Page navigations: network first, falling back to the cached index.html (the app routes on the client)
+ * - API GETs (/api/*): network first, falling back to the last cached response
+ * - Other API requests are never cached; changes made offline are queued by the app (api/http.js)
+ * - Realtime event streams (/api/realtime/*) are left to the browser: they never end, so they cannot be cached
+ *
+ * Bump CACHE_VERSION to drop the caches of older versions.
+ */
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `shoppinglist-shell-${CACHE_VERSION}`;
+const API_CACHE = `shoppinglist-api-${CACHE_VERSION}`;
+
+const SHELL_FILES = ["/", "/index.html", "/manifest.json", "/logo-192.png", "/logo-512.png", "/favicon-32.png"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop caches of older versions
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== SHELL_CACHE && key !== API_CACHE).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cached API responses belong to the signed-in user; the app asks to drop them on logout
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "CLEAR_API_CACHE") event.waitUntil(caches.delete(API_CACHE));
+});
+
+/**
+ * Fetch from the network and store the response; fall back to the cache when offline
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {string} [fallbackUrl] - Cached URL to answer with when the request itself is not cached
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = (await cache.match(request)) || (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Answer from the cache, fetching (and storing) what is not cached yet
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.pathname.startsWith("/api/realtime/")) return;
+
+  if (url.pathname.startsWith("/api/")) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, "/index.html"));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
@@ -3,6 +3,7 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 
 // Layout
 import AppLayout from "./components/layout/AppLayout";
+import RequireAuth from "./components/layout/RequireAuth";
 
 // Pages
 import LandingPage from "./pages/LandingPage";
@@ -10,23 +11,32 @@ import CreateList from "./components/lists/CreateList";
 import ItemsPage from "./pages/ItemsPage";
 import ListsPage from "./pages/ListsPage";
 import StatisticsPage from "./pages/StatisticsPage";
+import LoginPage from "./pages/LoginPage";
+import TrashPage from "./pages/TrashPage";
+import PantryPage from "./pages/PantryPage";
 
 // Context
 import { ErrorProvider } from "./context/ErrorContext";
+import { AuthProvider } from "./context/AuthContext";
 
 /**
  * App
  * Main application component that sets up:
  * - Global error handling with ErrorProvider
+ * - Signed-in user session with AuthProvider
  * - Routing with React Router
  * - Toaster notifications with react-hot-toast
  *
  * Routes:
+ * - "/login" -> LoginPage (public)
+ * - All other routes require a signed-in user (RequireAuth)
  * - "/" -> LandingPage
  * - "/create-list" -> CreateList
  * - "/items-page/:listId" -> ItemsPage
  * - "/lists-page" -> ListsPage
  * - "/statistics-page" -> StatisticsPage
+ * - "/trash-page" -> TrashPage
+ * - "/pantry-page" -> PantryPage
  *
  * Layout:
  * - AppLayout wraps all routes, providing navbar, side menu, scroll-top button, and footer
@@ -38,17 +48,24 @@ import { ErrorProvider } from "./context/ErrorContext";
 function App() {
   return (
     <ErrorProvider>
-      <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<AppLayout />}>
-            <Route index element={<LandingPage />} />
-            <Route path="create-list" element={<CreateList />} />
-            <Route path="items-page/:listId" element={<ItemsPage />} />
-            <Route path="lists-page" element={<ListsPage />} />
-            <Route path="statistics-page" element={<StatisticsPage />} />
-          </Route>
-        </Routes>
-      </BrowserRouter>
+      <AuthProvider>
+        <BrowserRouter>
+          <Routes>
+            <Route path="/" element={<AppLayout />}>
+              <Route path="login" element={<LoginPage />} />
+              <Route element={<RequireAuth />}>
+                <Route index element={<LandingPage />} />
+                <Route path="create-list" element={<CreateList />} />
+                <Route path="items-page/:listId" element={<ItemsPage />} />
+                <Route path="lists-page" element={<ListsPage />} />
+                <Route path="statistics-page" element={<StatisticsPage />} />
+                <Route path="trash-page" element={<TrashPage />} />
+                <Route path="pantry-page" element={<PantryPage />} />
+              </Route>
+            </Route>
+          </Routes>
+        </BrowserRouter>
+      </AuthProvider>
 
       {/* Global toaster notifications */}
       <Toaster
@@ -0,0 +1,40 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_AUTH } from "../utils/constants";
+
+/**
+ * login
+ *
+ * Logs in with email and password.
+ *
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @returns {Promise<Object>} - Session object { token, user }
+ */
+export const login = (email, password) =>
+  request(`${API_AUTH}/login`, {
+    method: "POST",
+    body: JSON.stringify({ email, password }),
+  });
+
+/**
+ * signup
+ *
+ * Registers a new user account.
+ *
+ * @param {Object} payload - { name, email, password }
+ * @returns {Promise<Object>} - Session object { token, user }
+ */
+export const signup = (payload) =>
+  request(`${API_AUTH}/signup`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+
+/**
+ * fetchCurrentUser
+ *
+ * Fetches the user that owns the stored access token.
+ *
+ * @returns {Promise<Object>} - User object { id, email, name, createdAt }
+ */
+export const fetchCurrentUser = () => request(`${API_AUTH}/me`);
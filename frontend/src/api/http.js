@@ -1,41 +1,265 @@
 import { AppError, createError } from "../utils/errors";
+import { getToken, clearAuth } from "../utils/authStorage";
+import { addMutation, getMutations, countMutations, removeMutation, clearOfflineData } from "../offline/offlineDb";
+import { clearApiCache } from "../offline/serviceWorker";
+
+/**
+ * Path of the login page users are redirected to when their session is missing or expired.
+ */
+export const LOGIN_PATH = "/login";
 
 /**
  * request
  * Helper function for standardized API calls.
  *
  * Features:
- * - Handles JSON requests & responses
+ * - Handles JSON requests & responses (or plain-text responses, e.g. exported files)
+ * - Attaches the stored access token as `Authorization: Bearer <token>`
+ * - On 401 clears the stored session – and, as logout does, the offline data and cached API responses,
+ *   so queued changes never replay as the next user – and redirects to the login page
+ *   (unless the user is already on it, e.g. a failed login attempt)
  * - Throws AppError with meaningful messages for network/server errors
+ *   (the JSON body of the error response is kept in `details`; 409 → code "CONFLICT")
+ * - With `queueOffline`, a change that cannot reach the server is queued and replayed later
+ *   (see "Offline Mutation Queue" below); the call then resolves to `{ queued: true, tempId }`
  *
  * @param {string} url - full URL (from constants)
  * @param {object} options - fetch options (method, headers, body, etc.)
- * @returns {Promise<any>} parsed JSON response
+ * @param {"json"|"text"} [options.responseType="json"] - how to read a successful response
+ * @param {boolean} [options.queueOffline=false] - queue the request when there is no connection
+ * @returns {Promise<any>} parsed JSON response (or the response text)
  */
 export async function request(url, options = {}) {
+  const { responseType = "json", queueOffline = false, ...fetchOptions } = options;
+
+  // Changes to items added offline wait in the queue until the item exists on the server
+  if (queueOffline && TEMP_ID_PATTERN.test(url)) return queueMutation(url, fetchOptions);
+
   try {
+    const token = getToken();
     const res = await fetch(url, {
-      headers: { "Content-Type": "application/json", ...(options.headers || {}) },
-      ...options,
+      ...fetchOptions,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(fetchOptions.headers || {}),
+      },
     });
 
     if (!res.ok) {
-      let serverMessage = null;
+      let serverData = null;
       try {
-        const data = await res.json();
-        serverMessage = data.message || data.error;
+        serverData = await res.json();
       } catch {}
+      const serverMessage = serverData?.message || serverData?.error;
+
+      if (res.status === 401 && window.location.pathname !== LOGIN_PATH) {
+        clearAuth();
+        clearApiCache();
+        // Cleared before leaving the page, so the navigation cannot cut the IndexedDB transaction short
+        await clearOfflineData().catch((err) => console.error(err));
+        window.location.assign(LOGIN_PATH);
+      }
 
       throw new AppError({
-        code: res.status === 401 ? "AUTH_ERROR" : "SERVER_ERROR",
+        code: res.status === 401 ? "AUTH_ERROR" : res.status === 409 ? "CONFLICT" : "SERVER_ERROR",
         message: serverMessage || `שגיאת שרת (${res.status})`,
         status: res.status,
+        // e.g. `current` – the server copy of an item / list that was changed by someone else (409)
+        details: serverData,
       });
     }
 
     if (res.status === 204) return null;
-    return await res.json();
+    return responseType === "text" ? await res.text() : await res.json();
   } catch (err) {
-    throw createError(err);
+    const error = createError(err);
+    if (queueOffline && error.code === "NETWORK_ERROR") return queueMutation(url, fetchOptions);
+    throw error;
   }
 }
+
+/* ======================
+   Offline Mutation Queue
+   ====================== */
+
+// A negative ID in a URL path – an item added offline that is not on the server yet
+const TEMP_ID_PATTERN = /\/(-\d+)(?=[/?]|$)/;
+
+// Called with { pending, replayed } whenever the queue changes
+const queueListeners = new Set();
+
+// Whether the queue is being replayed right now
+let isReplaying = false;
+
+// Called with the queued changes the server refused with 409; return true to take one
+const conflictListeners = new Set();
+
+// Refused changes no listener took yet (kept in the queue meanwhile): queue entry ID → conflict
+const pendingConflicts = new Map();
+
+/**
+ * notifyQueueListeners
+ * Tells the listeners how many requests are waiting.
+ *
+ * @param {boolean} [replayed=false] - Whether queued requests were just sent to the server
+ */
+async function notifyQueueListeners(replayed = false) {
+  const pending = await countMutations();
+  queueListeners.forEach((listener) => listener({ pending, replayed }));
+}
+
+/**
+ * queueMutation
+ * Stores a request in the outbound queue.
+ *
+ * @param {string} url
+ * @param {object} fetchOptions - { method, body }
+ * @returns {Promise<{ queued: true, tempId: number }>} `tempId` is the (negative) ID to give an item added offline
+ */
+async function queueMutation(url, { method = "GET", body }) {
+  const id = await addMutation({ url, method, body, createdAt: new Date().toISOString() });
+  await notifyQueueListeners();
+  return { queued: true, tempId: -id };
+}
+
+/**
+ * resolveTempIds
+ * Replaces the temporary ID in a queued URL with the server ID of the item, once it is known.
+ *
+ * @param {string} url
+ * @param {Object} serverIds - temporary ID → server ID
+ * @returns {string}
+ */
+function resolveTempIds(url, serverIds) {
+  return url.replace(TEMP_ID_PATTERN, (match, tempId) => (serverIds[tempId] ? `/${serverIds[tempId]}` : match));
+}
+
+/**
+ * isQueued
+ *
+ * @param {any} result - Result of `request`
+ * @returns {boolean} Whether the request was queued instead of sent
+ */
+export function isQueued(result) {
+  return result?.queued === true;
+}
+
+/**
+ * subscribeToMutationQueue
+ * Listens to changes of the outbound queue.
+ *
+ * @param {(state: { pending: number, replayed: boolean }) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToMutationQueue(listener) {
+  queueListeners.add(listener);
+  notifyQueueListeners();
+  return () => queueListeners.delete(listener);
+}
+
+/**
+ * offerConflict
+ * Hands a queued change the server refused with 409 to the conflict listeners. The first one
+ * that takes it (e.g. the items page, which merges it or asks the user) removes it from the queue;
+ * until then it stays queued and pending.
+ *
+ * @param {Object} conflict - { mutationId, url, method, changes, current }
+ * @returns {Promise<boolean>} Whether a listener took the conflict
+ */
+async function offerConflict(conflict) {
+  const taken = [...conflictListeners].some((listener) => listener(conflict));
+  if (!taken) {
+    pendingConflicts.set(conflict.mutationId, conflict);
+    return false;
+  }
+
+  pendingConflicts.delete(conflict.mutationId);
+  await removeMutation(conflict.mutationId);
+  await notifyQueueListeners();
+  return true;
+}
+
+/**
+ * subscribeToReplayConflicts
+ * Listens to queued changes the server refused because the row changed meanwhile (409).
+ * Conflicts no listener took yet are offered right away.
+ *
+ * @param {(conflict: { mutationId: number, url: string, method: string, changes: Object, current: Object }) => boolean} listener
+ *        `changes` is the body of the refused request and `current` the row as stored now;
+ *        returns whether it takes (handles) the conflict
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToReplayConflicts(listener) {
+  conflictListeners.add(listener);
+  pendingConflicts.forEach((conflict) => offerConflict(conflict));
+  return () => conflictListeners.delete(listener);
+}
+
+/**
+ * replayMutations
+ * Sends the queued requests to the server, oldest first.
+ *
+ * - Items added offline get their server ID, which replaces their temporary ID in later requests
+ *   (also in the stored queue, so requests left after a stopped replay reach the right item)
+ * - Stops (keeping the rest) when the connection drops again or the session expired
+ * - Changes refused because someone else changed the item meanwhile (409) go to the conflict
+ *   listeners (see subscribeToReplayConflicts), and stay queued until one takes them
+ * - Other requests the server rejects (e.g. the item was deleted meanwhile) are dropped
+ *
+ * @returns {Promise<void>}
+ */
+export async function replayMutations() {
+  if (isReplaying) return;
+  isReplaying = true;
+
+  // temporary ID → server ID of items added offline
+  const serverIds = {};
+  let sent = 0;
+  try {
+    for (const mutation of await getMutations()) {
+      const url = resolveTempIds(mutation.url, serverIds);
+
+      try {
+        const result = await request(url, { method: mutation.method, body: mutation.body });
+        // An item added offline: later requests for its temporary ID go to the created item
+        if (mutation.method === "POST" && result?.id) {
+          const created = { [-mutation.id]: result.id };
+          Object.assign(serverIds, created);
+          await removeMutation(mutation.id, (queuedUrl) => resolveTempIds(queuedUrl, created));
+          sent++;
+          continue;
+        }
+      } catch (err) {
+        if (err.code === "NETWORK_ERROR" || err.status === 401) break;
+        if (err.code === "CONFLICT" && err.details?.current) {
+          const conflict = {
+            mutationId: mutation.id,
+            url,
+            method: mutation.method,
+            changes: mutation.body ? JSON.parse(mutation.body) : {},
+            current: err.details.current,
+          };
+          if (await offerConflict(conflict)) sent++;
+          continue;
+        }
+        console.error("Dropped a queued change rejected by the server", mutation, err);
+      }
+      await removeMutation(mutation.id);
+      sent++;
+    }
+  } finally {
+    isReplaying = false;
+    await notifyQueueListeners(sent > 0);
+  }
+}
+
+/**
+ * startMutationReplay
+ * Replays the queue now (queued changes may be left from a previous visit)
+ * and whenever the connection returns.
+ */
+export function startMutationReplay() {
+  window.addEventListener("online", replayMutations);
+  replayMutations();
+}
@@ -4,64 +4,91 @@ import { API_ITEMS, API_LISTS } from "../utils/constants";
 /**
  * fetchItems
  *
- * Fetches sorted items array for a specific list and category.
+ * Fetches the items of a specific list and category, sorted and filtered by the server.
  *
  * @param {number|string} listId - ID of the list
  * @param {number|string} categoryId - ID of the category
- * @param {string} [sortBy="name"] - Field to sort by (default: "name")
- * @param {string} [order="asc"] - Sort order: "asc" or "desc"
+ * @param {Object} [query] - Sort & filter options
+ * @param {string} [query.sortBy="name"] - Field to sort by: "name" | "addedAt" | "quantity" | "brand" | "bought"
+ * @param {string} [query.order="asc"] - Sort order: "asc" or "desc"
+ * @param {boolean} [query.bought] - Only bought (true) or not bought (false) items; omitted returns both
+ * @param {string} [query.search] - Case-insensitive search on the item name
  * @returns {Promise<Array>} - Array of item objects
  */
-export const fetchItems = (listId, categoryId, sortBy = "name", order = "asc") =>
-  request(`${API_LISTS}/${listId}/categories/${categoryId}/items?sortBy=${sortBy}&order=${order}`);
+export const fetchItems = (listId, categoryId, { sortBy = "name", order = "asc", bought, search } = {}) => {
+  const params = new URLSearchParams({ sortBy, order });
+  if (bought !== undefined) params.set("bought", String(bought));
+  if (search?.trim()) params.set("search", search.trim());
+  return request(`${API_LISTS}/${listId}/categories/${categoryId}/items?${params}`);
+};
 
 /**
  * addItem
  *
  * Adds a new item to a specific list and category.
+ * Without a connection the request is queued (see `isQueued` in ./http).
  *
  * @param {number|string} listId - ID of the list
  * @param {number|string} categoryId - ID of the category
  * @param {Object} item - Item payload
- * @returns {Promise<Object>} - Created item
+ * @returns {Promise<Object>} - Created item, or { queued: true, tempId } when offline
  */
 export const addItem = (listId, categoryId, item) =>
   request(`${API_LISTS}/${listId}/categories/${categoryId}/items`, {
     method: "POST",
     body: JSON.stringify(item),
+    queueOffline: true,
   });
 
 /**
  * updateItem
  *
  * Updates an existing item entirely.
+ * Without a connection the request is queued (see `isQueued` in ./http).
  *
  * @param {number|string} itemId - ID of the item to update
- * @param {Object} item - Full item payload
- * @returns {Promise<Object>} - Updated item
+ * @param {Object} item - Full item payload, with the `version` the changes are based on
+ * @returns {Promise<Object>} - Updated item, or { queued: true, tempId } when offline
+ *                              (rejects with code "CONFLICT" and `details.current` when someone else changed it)
  */
 export const updateItem = (itemId, item) =>
-  request(`${API_ITEMS}/${itemId}`, { method: "PUT", body: JSON.stringify(item) });
+  request(`${API_ITEMS}/${itemId}`, { method: "PUT", body: JSON.stringify(item), queueOffline: true });
 
 /**
  * patchItem
  *
  * Partially updates an existing item (only fields provided in `patch`).
+ * Without a connection the request is queued (see `isQueued` in ./http).
  *
  * @param {number|string} itemId - ID of the item to update
  * @param {Object} patch - Partial fields to update
- * @returns {Promise<Object>} - Updated item
+ * @returns {Promise<Object>} - Updated item, or { queued: true, tempId } when offline
  */
 export const patchItem = (itemId, patch) =>
-  request(`${API_ITEMS}/${itemId}`, { method: "PATCH", body: JSON.stringify(patch) });
+  request(`${API_ITEMS}/${itemId}`, { method: "PATCH", body: JSON.stringify(patch), queueOffline: true });
 
 /**
  * deleteItem
  *
  * Deletes an item by its ID.
+ * Without a connection the request is queued (see `isQueued` in ./http).
  *
  * @param {number|string} itemId - ID of the item to delete
- * @returns {Promise<null>} - Returns null on success
+ * @returns {Promise<null>} - Returns null on success, or { queued: true, tempId } when offline
  */
 export const deleteItem = (itemId) =>
-  request(`${API_ITEMS}/${itemId}`, { method: "DELETE" });
\ No newline at end of file
+  request(`${API_ITEMS}/${itemId}`, { method: "DELETE", queueOffline: true });
+/**
+ * parseItemText
+ *
+ * Parses a free-text item line ("2 ק\"ג עגבניות שרי") into an item, without adding it.
+ *
+ * @param {string} text - The line to parse
+ * @returns {Promise<Object>} - { name, quantity, unitId, unit, brand, categoryId, category, categorySource }
+ *                              categoryId is null when the category could not be recognized
+ */
+export const parseItemText = (text) =>
+  request(`${API_ITEMS}/parse`, {
+    method: "POST",
+    body: JSON.stringify({ text }),
+  });
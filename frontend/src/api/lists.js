@@ -10,6 +10,28 @@ import { API_LISTS } from "../utils/constants";
  */
 export const fetchLists = () => request(API_LISTS);
 
+/**
+ * fetchList
+ *
+ * Fetches a single list with its items grouped by category and per-category counts.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {Object} [options]
+ * @param {Array<string>} [options.include=["items"]] - Sections to include: "items", "categories", "units"
+ * @param {Object} [options.query] - Item sort & filters { sortBy, order, bought, search } (as in fetchItems)
+ * @returns {Promise<Object>} - List object with `itemCount`, `boughtCount` and
+ *                              `categories` [{ id, name, iconName, itemCount, boughtCount, items? }]
+ */
+export const fetchList = (listId, { include = ["items"], query = {} } = {}) => {
+  const params = new URLSearchParams();
+  if (include.length) params.set("include", include.join(","));
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== "") params.set(key, String(value));
+  });
+  const queryString = params.toString();
+  return request(`${API_LISTS}/${listId}${queryString ? `?${queryString}` : ""}`);
+};
+
 /**
  * createList
  *
@@ -47,6 +69,26 @@ export const updateList = (listId, payload) =>
     body: JSON.stringify(payload),
   });
 
+/**
+ * duplicateList
+ *
+ * Copies a list and its items into a new list owned by the current user.
+ *
+ * @param {number|string} listId - ID of the list to copy
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name of the copy (default: "<name> (עותק)")
+ * @param {boolean} [options.resetBought=false] - Start every copied item as not bought
+ * @param {boolean} [options.onlyUnbought=false] - Copy only the items that were not bought
+ * @returns {Promise<Object>} - Created list object
+ */
+export const duplicateList = (listId, { name, resetBought = false, onlyUnbought = false } = {}) => {
+  const finalName = typeof name === "string" ? name.trim() : "";
+  return request(`${API_LISTS}/${listId}/duplicate`, {
+    method: "POST",
+    body: JSON.stringify({ ...(finalName && { name: finalName }), resetBought, onlyUnbought }),
+  });
+};
+
 /**
  * deleteList
  *
@@ -58,4 +100,140 @@ export const updateList = (listId, payload) =>
 export const deleteList = (listId) =>
   request(`${API_LISTS}/${listId}`, {
     method: "DELETE",
-  });
\ No newline at end of file
+  });
+
+/**
+ * fetchListTotals
+ *
+ * Fetches the estimated and actual spend of a list compared to its budget.
+ *
+ * @param {number|string} listId - ID of the list
+ * @returns {Promise<Object>} - Totals { estimated, actual, budget, remaining, overBudget, unpricedItems }
+ */
+export const fetchListTotals = (listId) => request(`${API_LISTS}/${listId}/totals`);
+
+/**
+ * updateListBudget
+ *
+ * Sets or clears the budget of a list.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {number|null} budget - New budget, or null to clear it
+ * @returns {Promise<Object>} - Updated totals of the list
+ */
+export const updateListBudget = (listId, budget) =>
+  request(`${API_LISTS}/${listId}/budget`, {
+    method: "PUT",
+    body: JSON.stringify({ budget }),
+  });
+
+/**
+ * fetchListActivity
+ *
+ * Fetches one page of the activity log of a list (who changed what), newest first.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=20] - Entries per page (max 100)
+ * @returns {Promise<Object>} - { activity: [...], page, pageSize, total, hasMore }
+ */
+export const fetchListActivity = (listId, { page = 1, pageSize = 20 } = {}) => {
+  const params = new URLSearchParams({ page: String(page), pageSize: String(pageSize) });
+  return request(`${API_LISTS}/${listId}/activity?${params.toString()}`);
+};
+
+/**
+ * fetchListSuggestions
+ *
+ * Fetches the products the user usually buys that are due and not on the list yet.
+ *
+ * @param {number|string} listId - ID of the list
+ * @returns {Promise<Array>} - Most overdue first [{ name, brand, quantity, categoryId, unitId, category, unit, timesBought, intervalDays, lastBoughtAt, dueAt }]
+ */
+export const fetchListSuggestions = (listId) => request(`${API_LISTS}/${listId}/suggestions`);
+
+/**
+ * previewImport
+ *
+ * Parses and classifies a pasted plain-text list (one item per line) without creating anything.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {string} text - The pasted list
+ * @returns {Promise<Array>} - One entry per line [{ line, name, quantity, unitId, unit, brand, categoryId, category, categorySource }]
+ */
+export const previewImport = (listId, text) =>
+  request(`${API_LISTS}/${listId}/import`, {
+    method: "POST",
+    body: JSON.stringify({ text }),
+  });
+
+/**
+ * confirmImport
+ *
+ * Creates the confirmed items of an import in one transaction.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {Array<Object>} items - [{ name, quantity, unitId, categoryId, brand }]
+ * @returns {Promise<Array>} - Created items
+ */
+export const confirmImport = (listId, items) =>
+  request(`${API_LISTS}/${listId}/import/confirm`, {
+    method: "POST",
+    body: JSON.stringify({ items }),
+  });
+
+/**
+ * exportLists
+ *
+ * Fetches a list (or all lists) as a CSV / JSON file, with category and unit names.
+ *
+ * @param {"csv"|"json"} format - File format
+ * @param {number|string} [listId] - ID of the list; all lists of the user when omitted
+ * @returns {Promise<string>} - File content
+ */
+export const exportLists = (format, listId) =>
+  request(`${API_LISTS}${listId ? `/${listId}` : ""}/export?format=${format}`, { responseType: "text" });
+
+/**
+ * fetchListText
+ *
+ * Fetches a list as a formatted text message (grouped by category, WhatsApp markup) to share.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {"strike"|"omit"} [boughtItems="strike"] - Strike bought items through, or leave them out
+ * @returns {Promise<string>} - The message text
+ */
+export const fetchListText = (listId, boughtItems = "strike") =>
+  request(`${API_LISTS}/${listId}/export.txt?boughtItems=${boughtItems}`, { responseType: "text" });
+
+/**
+ * importListFile
+ *
+ * Recreates lists from an exported CSV / JSON file.
+ *
+ * @param {"csv"|"json"} format - File format
+ * @param {string} content - File content
+ * @returns {Promise<Object>} - { lists: [...created lists], unresolved: [{ list, row, name, category, unit, reason }] }
+ */
+export const importListFile = (format, content) =>
+  request(`${API_LISTS}/import`, {
+    method: "POST",
+    body: JSON.stringify({ format, content }),
+  });
+
+/**
+ * updateListPresence
+ *
+ * Sets (or clears) the item the user is editing, for the other viewers of the list.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {string} connectionId - ID of the user's presence stream
+ * @param {number|null} editingItemId - Item being edited, or null when done
+ * @returns {Promise<Object>} - The viewer { connectionId, userId, name, editingItemId }
+ */
+export const updateListPresence = (listId, connectionId, editingItemId) =>
+  request(`${API_LISTS}/${listId}/presence`, {
+    method: "PUT",
+    body: JSON.stringify({ connectionId, editingItemId }),
+  });
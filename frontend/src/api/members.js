@@ -0,0 +1,71 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_LISTS } from "../utils/constants";
+
+/**
+ * fetchMembers
+ *
+ * Fetches the owner and members of a shopping list.
+ *
+ * @param {number|string} listId - ID of the list
+ * @returns {Promise<Array>} - Array of members [{ userId, name, role }]
+ */
+export const fetchMembers = (listId) => request(`${API_LISTS}/${listId}/members`);
+
+/**
+ * createInvite
+ *
+ * Creates an invite code for a shopping list (owner only).
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {"EDITOR"|"VIEWER"} role - Role granted to whoever joins with the code
+ * @returns {Promise<Object>} - Invite object { code, role, expiresAt }
+ */
+export const createInvite = (listId, role) =>
+  request(`${API_LISTS}/${listId}/members/invite`, {
+    method: "POST",
+    body: JSON.stringify({ role }),
+  });
+
+/**
+ * updateMemberRole
+ *
+ * Changes the role of a list member (owner only).
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {number|string} userId - ID of the member
+ * @param {"EDITOR"|"VIEWER"} role - New role
+ * @returns {Promise<Object>} - Updated member { userId, name, role }
+ */
+export const updateMemberRole = (listId, userId, role) =>
+  request(`${API_LISTS}/${listId}/members/${userId}`, {
+    method: "PUT",
+    body: JSON.stringify({ role }),
+  });
+
+/**
+ * removeMember
+ *
+ * Removes a member from a list. Removing yourself leaves the list.
+ *
+ * @param {number|string} listId - ID of the list
+ * @param {number|string} userId - ID of the member
+ * @returns {Promise<null>} - Returns null on success
+ */
+export const removeMember = (listId, userId) =>
+  request(`${API_LISTS}/${listId}/members/${userId}`, {
+    method: "DELETE",
+  });
+
+/**
+ * joinList
+ *
+ * Joins a shared list using an invite code.
+ *
+ * @param {string} code - Invite code
+ * @returns {Promise<Object>} - The joined list object
+ */
+export const joinList = (code) =>
+  request(`${API_LISTS}/join`, {
+    method: "POST",
+    body: JSON.stringify({ code: code.trim() }),
+  });
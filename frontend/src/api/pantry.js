@@ -0,0 +1,66 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_PANTRY } from "../utils/constants";
+
+/**
+ * fetchPantry
+ *
+ * Fetches the products the current user has at home.
+ *
+ * @param {Object} [filters]
+ * @param {boolean} [filters.lowStock] - Only products that are (true) / are not (false) running low
+ * @returns {Promise<Array>} - Array of products [{ id, name, quantity, minQuantity, expiresAt, lowStock, category, unit }]
+ */
+export const fetchPantry = ({ lowStock } = {}) =>
+  request(lowStock === undefined ? API_PANTRY : `${API_PANTRY}?lowStock=${lowStock}`);
+
+/**
+ * fetchExpiringPantry
+ *
+ * Fetches the products at home that expire within the given number of days (already expired ones included).
+ *
+ * @param {number} days - Look-ahead in days
+ * @returns {Promise<Array>} - Array of products, soonest first, each with `expired` and `daysLeft`
+ */
+export const fetchExpiringPantry = (days) => request(`${API_PANTRY}/expiring?days=${days}`);
+
+/**
+ * createPantryItem
+ *
+ * Adds a product to the pantry.
+ *
+ * @param {Object} pantryItem - { name, quantity, minQuantity, categoryId, unitId, expiresAt }
+ * @returns {Promise<Object>} - Created product
+ */
+export const createPantryItem = (pantryItem) =>
+  request(API_PANTRY, {
+    method: "POST",
+    body: JSON.stringify(pantryItem),
+  });
+
+/**
+ * updatePantryItem
+ *
+ * Updates a pantry product entirely.
+ *
+ * @param {number|string} pantryItemId - ID of the product
+ * @param {Object} pantryItem - { name, quantity, minQuantity, categoryId, unitId, expiresAt }
+ * @returns {Promise<Object>} - Updated product
+ */
+export const updatePantryItem = (pantryItemId, pantryItem) =>
+  request(`${API_PANTRY}/${pantryItemId}`, {
+    method: "PUT",
+    body: JSON.stringify(pantryItem),
+  });
+
+/**
+ * deletePantryItem
+ *
+ * Removes a product from the pantry.
+ *
+ * @param {number|string} pantryItemId - ID of the product
+ * @returns {Promise<null>}
+ */
+export const deletePantryItem = (pantryItemId) =>
+  request(`${API_PANTRY}/${pantryItemId}`, {
+    method: "DELETE",
+  });
@@ -0,0 +1,15 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_PRODUCTS } from "../utils/constants";
+
+/**
+ * suggestProducts
+ *
+ * Fetches catalog products whose name (or one of its words / spellings) starts with the typed text.
+ * Niqqud, geresh and final letters are ignored by the server.
+ *
+ * @param {string} query - Typed text
+ * @param {number} limit - Max number of suggestions
+ * @returns {Promise<Array>} - Array of products [{ id, name, brand, categoryId, unitId, category, unit }]
+ */
+export const suggestProducts = (query, limit) =>
+  request(`${API_PRODUCTS}/suggest?q=${encodeURIComponent(query)}&limit=${limit}`);
@@ -0,0 +1,57 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_RECURRENCES } from "../utils/constants";
+
+/**
+ * fetchRecurrences
+ *
+ * Fetches the recurring lists of the current user.
+ *
+ * @param {Object} [filters]
+ * @param {number|string} [filters.sourceListId] - Only the recurrences copying this list
+ * @returns {Promise<Array>} - Array of recurrences
+ *                             [{ id, frequency, dayOfWeek, dayOfMonth, nextRunAt, lastRunAt, sourceList, template }]
+ */
+export const fetchRecurrences = ({ sourceListId } = {}) =>
+  request(sourceListId ? `${API_RECURRENCES}?sourceListId=${sourceListId}` : API_RECURRENCES);
+
+/**
+ * createRecurrence
+ *
+ * Schedules a new list to be generated from a list or a template.
+ *
+ * @param {Object} recurrence - { frequency, dayOfWeek, dayOfMonth } and one of { sourceListId, templateId }
+ * @returns {Promise<Object>} - Created recurrence
+ */
+export const createRecurrence = (recurrence) =>
+  request(API_RECURRENCES, {
+    method: "POST",
+    body: JSON.stringify(recurrence),
+  });
+
+/**
+ * updateRecurrence
+ *
+ * Changes the schedule of a recurrence.
+ *
+ * @param {number|string} recurrenceId - ID of the recurrence
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth }
+ * @returns {Promise<Object>} - Updated recurrence
+ */
+export const updateRecurrence = (recurrenceId, schedule) =>
+  request(`${API_RECURRENCES}/${recurrenceId}`, {
+    method: "PUT",
+    body: JSON.stringify(schedule),
+  });
+
+/**
+ * deleteRecurrence
+ *
+ * Stops a recurrence (lists it already generated are kept).
+ *
+ * @param {number|string} recurrenceId - ID of the recurrence
+ * @returns {Promise<null>}
+ */
+export const deleteRecurrence = (recurrenceId) =>
+  request(`${API_RECURRENCES}/${recurrenceId}`, {
+    method: "DELETE",
+  });
@@ -0,0 +1,57 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_TEMPLATES } from "../utils/constants";
+
+/**
+ * fetchTemplates
+ *
+ * Fetches the list templates of the current user.
+ *
+ * @returns {Promise<Array>} - Array of templates [{ id, name, createdAt, itemCount }]
+ */
+export const fetchTemplates = () => request(API_TEMPLATES);
+
+/**
+ * createTemplate
+ *
+ * Saves the items of an existing list as a new template.
+ *
+ * @param {number|string} listId - ID of the list to copy the items from
+ * @param {string} name - Name of the template
+ * @returns {Promise<Object>} - Created template including its items
+ */
+export const createTemplate = (listId, name) =>
+  request(API_TEMPLATES, {
+    method: "POST",
+    body: JSON.stringify({ listId: Number(listId), name: name.trim() }),
+  });
+
+/**
+ * createListFromTemplate
+ *
+ * Creates a new list with the items of a template.
+ * If `name` is empty, the list is named after the template.
+ *
+ * @param {number|string} templateId - ID of the template
+ * @param {string} [name] - Name of the new list
+ * @returns {Promise<Object>} - Created list object
+ */
+export const createListFromTemplate = (templateId, name) => {
+  const finalName = typeof name === "string" ? name.trim() : "";
+  return request(`${API_TEMPLATES}/${templateId}/lists`, {
+    method: "POST",
+    body: JSON.stringify(finalName ? { name: finalName } : {}),
+  });
+};
+
+/**
+ * deleteTemplate
+ *
+ * Deletes a template (lists created from it are not affected).
+ *
+ * @param {number|string} templateId - ID of the template
+ * @returns {Promise<null>}
+ */
+export const deleteTemplate = (templateId) =>
+  request(`${API_TEMPLATES}/${templateId}`, {
+    method: "DELETE",
+  });
@@ -0,0 +1,37 @@
+import { request } from "./http"; // standardized fetch helper
+import { API_TRASH } from "../utils/constants";
+
+/**
+ * fetchTrash
+ *
+ * Fetches the deleted lists and items that can still be restored.
+ *
+ * @returns {Promise<Object>} - { retentionDays, lists: [...], items: [...] }, each with `deletedAt` and `purgeAt`
+ */
+export const fetchTrash = () => request(API_TRASH);
+
+/**
+ * restoreList
+ *
+ * Restores a deleted list together with its items (owner only).
+ *
+ * @param {number|string} listId - ID of the deleted list
+ * @returns {Promise<Object>} - Restored list object
+ */
+export const restoreList = (listId) =>
+  request(`${API_TRASH}/lists/${listId}/restore`, {
+    method: "POST",
+  });
+
+/**
+ * restoreItem
+ *
+ * Restores a deleted item to its list.
+ *
+ * @param {number|string} itemId - ID of the deleted item
+ * @returns {Promise<Object>} - Restored item object
+ */
+export const restoreItem = (itemId) =>
+  request(`${API_TRASH}/items/${itemId}/restore`, {
+    method: "POST",
+  });
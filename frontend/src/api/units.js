@@ -1,4 +1,5 @@
 // api/units.js
+import { request } from "./http";
 import { API_UNITS } from "../utils/constants";
 
 /**
@@ -7,9 +8,5 @@ import { API_UNITS } from "../utils/constants";
  * Fetches measurement units from a predefined API endpoint.
  *
  * @returns {Promise<Array>} - Array of unit objects
- * @throws {Error} - Throws an error if fetching fails
  */
-export const fetchUnits = () =>
-  fetch(API_UNITS)
-    .then(res => res.json())
-    .catch(() => { throw new Error("שגיאה בשליפת יחידות"); });
+export const fetchUnits = () => request(API_UNITS);
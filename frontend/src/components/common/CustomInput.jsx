@@ -17,6 +17,7 @@ import { useState } from "react";
  * - fieldErrors: Object containing field-specific error messages
  * - updateField: Callback function to update the field value
  * - isErrorTooltip: If true, error messages are shown as tooltips instead of inline text
+ * - disabled: If true, the input is read-only
  */
 export default function CustomInput({
   itemId,
@@ -29,7 +30,8 @@ export default function CustomInput({
   min,
   fieldErrors = {},
   handleFieldUpdate,
-  isErrorTooltip = false
+  isErrorTooltip = false,
+  disabled = false
 }) {
   const [focused, setFocused] = useState(false); // Track if input is focused
   const length = value?.length || 0;            // Current input length for maxLength display
@@ -37,11 +39,11 @@ export default function CustomInput({
 
   /**
    * Handle input value changes
-   * Converts to number if type="number", then calls handleFieldUpdate callback
+   * Converts to number if type="number" (an emptied number input stays ""), then calls handleFieldUpdate callback
    * Uses either itemId (for items) or index (for lists) to update value
    */
   const handleChange = (e) => {
-    const val = type === "number" ? Number(e.target.value) : e.target.value;
+    const val = type === "number" && e.target.value !== "" ? Number(e.target.value) : e.target.value;
     if (handleFieldUpdate) {
       if (itemId !== undefined) {
         handleFieldUpdate(itemId, field, val);   // Update by itemId
@@ -69,6 +71,7 @@ export default function CustomInput({
           placeholder={placeholder}
           maxLength={maxLength}
           min={min}
+          disabled={disabled}
           className={`input input-md w-full ${errorMsg ? "input-error" : ""}`}
           autoComplete="off"
         />
@@ -1,6 +1,3 @@
-// *********** UNUSED COMPONENT ***********
-// DynamicDialog is currently not used anywhere in the application.
-
 import {
     CheckCircle,
     XCircle,
@@ -29,6 +26,7 @@ const iconMap = {
  * - mode: "success" | "error" | "warning" | "info" (default "info") – sets icon and color
  * - title: Dialog title text
  * - message: Dialog message text
+ * - children: Optional extra content rendered below the message (e.g. forms, lists)
  * - onConfirm: Callback for confirm action (only for "confirm" type)
  * - onCancel: Callback for cancel action (only for "confirm" type)
  * - onClose: Callback for closing the dialog (only for "alert" type)
@@ -44,6 +42,7 @@ export default function DynamicDialog({
     mode = "info",   // success | error | warning | info
     title = "",
     message = "",
+    children,
     onConfirm,
     onCancel,
     onClose,
@@ -72,7 +71,10 @@ export default function DynamicDialog({
                         </div>
 
                         {/* Message text */}
-                        <p className="text-gray-700 leading-relaxed">{message}</p>
+                        {message && <p className="text-gray-700 leading-relaxed">{message}</p>}
+
+                        {/* Custom content */}
+                        {children}
 
                         {/* Buttons */}
                         <div className="flex justify-end gap-3">
@@ -4,13 +4,31 @@ import { useNavigate } from "react-router-dom";
 
 // Animations & Icons
 import { motion, AnimatePresence } from "framer-motion";
-import { Plus, ChartPie, Download } from "lucide-react";
+import {
+  Plus,
+  ChartPie,
+  Download,
+  UserPlus,
+  History,
+  BookmarkPlus,
+  ClipboardPaste,
+  FileSpreadsheet,
+  FileJson,
+  FileUp,
+  Share2,
+} from "lucide-react";
+
+// Components
+import Modal from "./Modal";
+import PdfExportOptions from "./PdfExportOptions";
+import ShareList from "./ShareList";
 
 // Utils
 import { generatePdfFromList } from "../../utils/pdfUtils";
+import { downloadFile, LIST_FILE_TYPES } from "../../utils/fileUtils";
 
 // API
-import { fetchItems } from "../../api/items";
+import { fetchList, exportLists } from "../../api/lists";
 
 // Context
 import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
@@ -20,68 +38,111 @@ import { useErrorHandler } from "../../context/ErrorContext"; // for success/err
  * A floating vertical menu that provides operations on a list:
  *  - Add item
  *  - View statistics
- *  - Download list as PDF
+ *  - Download list as PDF (columns, layout etc. are chosen in a dialog)
+ *  - Join a shared list
+ *  - Show the activity log of the list
+ *  - Save the list as a template
+ *  - Import a pasted plain-text list
+ *  - Export the list (or, without a list, all lists) as a CSV / JSON file
+ *  - Import lists from an exported file
+ *  - Share the list as a text message (Web Share API / clipboard / WhatsApp)
  *
  * Props:
- * - list: the current list object containing categories and items
+ * - list: the current list object ({ id, name, categories }); its items are fetched for the PDF
  * - onAddClick: callback for the "Add" button (as received from parent)
- * - showItems: array of strings ["plus", "stats", "download"] indicating which menu items to show
+ * - onJoinClick: callback for the "Join" button (as received from parent)
+ * - onActivityClick: callback for the "Activity" button (as received from parent)
+ * - onTemplateClick: callback for the "Save as template" button (as received from parent)
+ * - onImportClick: callback for the "Import" button (as received from parent)
+ * - onImportFileClick: callback for the "Import file" button (as received from parent)
+ * - showItems: array of strings ["plus", "stats", "download", "join", "activity", "template", "import",
+ *   "exportCsv", "exportJson", "importFile", "share"] indicating which menu items to show
  *
  * Features:
- * - Handles PDF generation, API fetching, and navigation
+ * - Opens the PDF export options dialog and generates the PDF (the whole list is fetched in one request)
+ * - Handles navigation to the statistics page
  * - Shows success/error notifications using useErrorHandler
  */
-export default function OperationsMenu({ list, onAddClick, showItems = ["plus", "stats", "download"] }) {
+export default function OperationsMenu({
+  list,
+  onAddClick,
+  onJoinClick,
+  onActivityClick,
+  onTemplateClick,
+  onImportClick,
+  onImportFileClick,
+  showItems = ["plus", "stats", "download"],
+}) {
   const navigate = useNavigate();
   const { showError, showSuccess } = useErrorHandler();
   const [menuOpen, setMenuOpen] = useState(false);
 
+  // Controls visibility of the PDF export options dialog
+  const [pdfOptionsOpen, setPdfOptionsOpen] = useState(false);
+
+  // Controls visibility of the share dialog
+  const [shareOpen, setShareOpen] = useState(false);
+
   /**
    * handleDownload
-   * Fetches items for all categories and generates a PDF
+   * Fetches the whole list (items grouped by category) in one request and generates a PDF
+   *
+   * @param {Object} options - PDF export options chosen in the dialog (see DEFAULT_PDF_OPTIONS)
    */
-  const handleDownload = async () => {
+  const handleDownload = async (options) => {
     if (!list) return;
 
-    const categories = list.categories || [];
-    const itemsByCategory = {};
-
     try {
-      // Fetch all items per category in parallel
-      await Promise.all(
-        categories.map(async (cat) => {
-          let items = await fetchItems(list.id, cat.id);
-          if (!Array.isArray(items)) items = items ? [items] : [];
-          itemsByCategory[cat.id] = items.map((item) => ({
+      const { categories = [] } = await fetchList(list.id, { include: ["items"] });
+
+      const pdfList = {
+        name: list.name,
+        categories: categories.map((cat) => ({
+          id: cat.id,
+          name: cat.name,
+          iconName: cat.iconName,
+          items: (cat.items || []).map((item) => ({
             name: item?.name || "",
             brand: item?.brand || "",
             quantity: item?.quantity || "",
             unit: typeof item?.unit === "object" ? item.unit.name : (item?.unit || ""),
             comments: item?.comments || "",
-          }));
-        })
-      );
-
-      const pdfList = {
-        name: list.name,
-        categories: categories
-          .map(cat => ({ id: cat.id, name: cat.name, items: itemsByCategory[cat.id] || [] }))
-          .filter(cat => (cat.items || []).length > 0),
+            unitPrice: item?.unitPrice ?? null,
+            paidPrice: item?.paidPrice ?? null,
+            bought: Boolean(item?.bought),
+          })),
+        })),
       };
 
-      if (!pdfList.categories.length) {
-        showError(new Error("לא ניתן להפיק קובץ PDF עבור רשימה ריקה."));
+      if (!generatePdfFromList(pdfList, options)) {
+        showError(new Error("אין מוצרים להדפסה ברשימה."));
         return;
       }
 
-      generatePdfFromList(pdfList);
       showSuccess("קובץ PDF הופק בהצלחה.");
+      setPdfOptionsOpen(false);
     } catch (err) {
       console.error(err);
       showError(err);
     }
   };
 
+  /**
+   * handleExport
+   * Downloads the list (or, without a list, all the user's lists) as a CSV / JSON file
+   *
+   * @param {"csv"|"json"} format
+   */
+  const handleExport = async (format) => {
+    try {
+      const content = await exportLists(format, list?.id);
+      downloadFile(content, `${list?.name ?? "רשימות קניות"}.${format}`, LIST_FILE_TYPES[format]);
+      showSuccess("הקובץ הורד בהצלחה.");
+    } catch (err) {
+      showError(err);
+    }
+  };
+
   /**
    * handleNavigateStats
    * Navigate to statistics page with safe list data
@@ -105,46 +166,68 @@ export default function OperationsMenu({ list, onAddClick, showItems = ["plus",
   const allMenuItems = {
     plus: { icon: <Plus size={24} />, onClick: onAddClick, bg: "bg-sky-400", hover: "hover:bg-sky-500" },
     stats: { icon: <ChartPie size={24} />, onClick: handleNavigateStats, bg: "bg-lime-400", hover: "hover:bg-lime-500" },
-    download: { icon: <Download size={24} />, onClick: handleDownload, bg: "bg-sky-300", hover: "hover:bg-sky-400" },
+    download: { icon: <Download size={24} />, onClick: () => setPdfOptionsOpen(true), bg: "bg-sky-300", hover: "hover:bg-sky-400" },
+    join: { icon: <UserPlus size={24} />, onClick: onJoinClick, bg: "bg-amber-400", hover: "hover:bg-amber-500" },
+    activity: { icon: <History size={24} />, onClick: onActivityClick, bg: "bg-indigo-400", hover: "hover:bg-indigo-500" },
+    template: { icon: <BookmarkPlus size={24} />, onClick: onTemplateClick, bg: "bg-teal-400", hover: "hover:bg-teal-500" },
+    import: { icon: <ClipboardPaste size={24} />, onClick: onImportClick, bg: "bg-violet-400", hover: "hover:bg-violet-500" },
+    exportCsv: { icon: <FileSpreadsheet size={24} />, onClick: () => handleExport("csv"), bg: "bg-emerald-400", hover: "hover:bg-emerald-500" },
+    exportJson: { icon: <FileJson size={24} />, onClick: () => handleExport("json"), bg: "bg-slate-400", hover: "hover:bg-slate-500" },
+    importFile: { icon: <FileUp size={24} />, onClick: onImportFileClick, bg: "bg-orange-400", hover: "hover:bg-orange-500" },
+    share: { icon: <Share2 size={24} />, onClick: () => setShareOpen(true), bg: "bg-pink-400", hover: "hover:bg-pink-500" },
   };
 
   // Filter only the menu items specified in showItems
   const menuItems = showItems.map(key => allMenuItems[key]).filter(Boolean);
 
   return (
-    <div className="fixed top-1/3 left-0 z-[50]">
-      <div className="relative">
-        {/* Main toggle button */}
-        <button
-          onClick={() => setMenuOpen(prev => !prev)}
-          className="w-8 h-20 bg-sky-500 rounded-tr-lg rounded-br-lg flex items-center justify-center shadow-lg cursor-pointer"
-        >
-          <span className="text-white rotate-90 text-sm font-bold select-none">פעולות</span>
-        </button>
-
-        {/* Animated menu items */}
-        <AnimatePresence>
-          {menuOpen && (
-            <motion.div
-              initial={{ x: "-100%", opacity: 0 }}
-              animate={{ x: "0%", opacity: 1 }}
-              exit={{ x: "-100%", opacity: 0 }}
-              transition={{ type: "spring", stiffness: 300, damping: 30 }}
-              className="absolute left-12 top-1/2 transform -translate-y-1/2 flex gap-2 rounded-xl p-2"
-            >
-              {menuItems.map((item, idx) => (
-                <button
-                  key={idx}
-                  onClick={item.onClick}
-                  className={`w-12 h-12 flex items-center text-white justify-center rounded-xl shadow-md transition-colors cursor-pointer ${item.bg} ${item.hover}`}
-                >
-                  {item.icon}
-                </button>
-              ))}
-            </motion.div>
-          )}
-        </AnimatePresence>
+    <>
+      <div className="fixed top-1/3 left-0 z-[50]">
+        <div className="relative">
+          {/* Main toggle button */}
+          <button
+            onClick={() => setMenuOpen(prev => !prev)}
+            className="w-8 h-20 bg-sky-500 rounded-tr-lg rounded-br-lg flex items-center justify-center shadow-lg cursor-pointer"
+          >
+            <span className="text-white rotate-90 text-sm font-bold select-none">פעולות</span>
+          </button>
+
+          {/* Animated menu items */}
+          <AnimatePresence>
+            {menuOpen && (
+              <motion.div
+                initial={{ x: "-100%", opacity: 0 }}
+                animate={{ x: "0%", opacity: 1 }}
+                exit={{ x: "-100%", opacity: 0 }}
+                transition={{ type: "spring", stiffness: 300, damping: 30 }}
+                className="absolute left-12 top-1/2 transform -translate-y-1/2 flex gap-2 rounded-xl p-2"
+              >
+                {menuItems.map((item, idx) => (
+                  <button
+                    key={idx}
+                    onClick={item.onClick}
+                    className={`w-12 h-12 flex items-center text-white justify-center rounded-xl shadow-md transition-colors cursor-pointer ${item.bg} ${item.hover}`}
+                  >
+                    {item.icon}
+                  </button>
+                ))}
+              </motion.div>
+            )}
+          </AnimatePresence>
+        </div>
       </div>
-    </div>
+
+      {/* Dialog for choosing the PDF export options */}
+      <Modal isOpen={pdfOptionsOpen} onClose={() => setPdfOptionsOpen(false)}>
+        <PdfExportOptions onSubmit={handleDownload} />
+      </Modal>
+
+      {/* Dialog for sharing the list as a text message */}
+      {list && (
+        <Modal isOpen={shareOpen} onClose={() => setShareOpen(false)}>
+          <ShareList list={list} onSuccess={() => setShareOpen(false)} />
+        </Modal>
+      )}
+    </>
   );
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { useState } from "react";
+
+// Icons & Animations
+import { Download, Loader2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Utils
+import { PDF_COLUMNS, PDF_LAYOUT_LABELS, DEFAULT_PDF_OPTIONS } from "../../utils/constants";
+
+/**
+ * Yes / no options of the PDF export, with their Hebrew labels
+ */
+const TOGGLE_OPTIONS = [
+  { key: "excludeBought", label: "בלי מוצרים שכבר נקנו" },
+  { key: "checkboxes", label: "תיבות סימון לשימוש בחנות" },
+  { key: "categoryIcons", label: "אייקונים של קטגוריות" },
+  { key: "totals", label: "סיכום כמויות ומחירים בסוף" },
+];
+
+/**
+ * PdfExportOptions
+ * A form for choosing how a list is printed to PDF.
+ *
+ * Props:
+ * - onSubmit: Async function called with the chosen options
+ *   { columns, excludeBought, checkboxes, layout, categoryIcons, totals }
+ *
+ * Features:
+ * - Choice of printed columns (at least one)
+ * - Excluding bought items, tick boxes, category icons and a totals footer
+ * - Standard, compact or two-column layout
+ * - Loading state with spinner while the PDF is generated
+ */
+export default function PdfExportOptions({ onSubmit }) {
+  const [options, setOptions] = useState(DEFAULT_PDF_OPTIONS);
+
+  const [isLoadingPdf, setIsLoadingPdf] = useState(false);
+
+  /** Add or remove a printed column, keeping the PDF_COLUMNS order */
+  const toggleColumn = (key) =>
+    setOptions((prev) => ({
+      ...prev,
+      columns: PDF_COLUMNS.map((col) => col.key).filter((k) =>
+        k === key ? !prev.columns.includes(k) : prev.columns.includes(k)
+      ),
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (options.columns.length === 0) return;
+
+    setIsLoadingPdf(true);
+    try {
+      await onSubmit(options);
+    } finally {
+      setIsLoadingPdf(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm p-2 font-huninn">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Columns */}
+        <fieldset>
+          <legend className="text-md text-gray-600 mb-2">עמודות</legend>
+          <div className="grid grid-cols-2 gap-2">
+            {PDF_COLUMNS.map((col) => (
+              <label key={col.key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-info checkbox-sm"
+                  checked={options.columns.includes(col.key)}
+                  onChange={() => toggleColumn(col.key)}
+                />
+                {col.label}
+              </label>
+            ))}
+          </div>
+          {options.columns.length === 0 && <p className="text-xs text-red-500 mt-1">יש לבחור לפחות עמודה אחת</p>}
+        </fieldset>
+
+        {/* Layout */}
+        <label htmlFor="pdfLayout" className="block text-md text-gray-600">
+          פריסה
+        </label>
+        <select
+          id="pdfLayout"
+          value={options.layout}
+          onChange={(e) => setOptions((prev) => ({ ...prev, layout: e.target.value }))}
+          className="w-full rounded-lg border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-sky-400"
+        >
+          {Object.entries(PDF_LAYOUT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {/* Yes / no options */}
+        <div className="space-y-2">
+          {TOGGLE_OPTIONS.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-info checkbox-sm"
+                checked={options[key]}
+                onChange={(e) => setOptions((prev) => ({ ...prev, [key]: e.target.checked }))}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        {/* Submit button */}
+        <motion.button
+          type="submit"
+          disabled={isLoadingPdf || options.columns.length === 0}
+          whileHover={{ scale: isLoadingPdf ? 1 : 1.03 }}
+          whileTap={{ scale: isLoadingPdf ? 1 : 0.97 }}
+          className="bg-gradient-to-r from-sky-600 to-sky-500 
+             text-white px-4 py-2 rounded-xl shadow-md 
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse disabled:opacity-50"
+        >
+          {isLoadingPdf && <Loader2 className="animate-spin w-4 h-4" />}
+          <span className="text-md font-medium">{isLoadingPdf ? "מפיק..." : "הפקת PDF"}</span>
+          <Download size={16} />
+        </motion.button>
+      </form>
+    </div>
+  );
+}
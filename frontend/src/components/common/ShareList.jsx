@@ -0,0 +1,145 @@
+import { useState, useEffect } from "react";
+
+// Icons & Animations
+import { Share2, Copy, Loader2 } from "lucide-react";
+import { FaWhatsapp } from "react-icons/fa";
+import { motion } from "framer-motion";
+
+// API
+import { fetchListText } from "../../api/lists";
+
+// Utils
+import { SHARE_BOUGHT_ITEMS_LABELS } from "../../utils/constants";
+
+// Context
+import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
+
+/**
+ * ShareList
+ * Shares a list as a formatted text message with people who don't use the app.
+ *
+ * Props:
+ * - list: The list to share ({ id, name })
+ * - onSuccess: Callback invoked after the text was shared or copied
+ *
+ * Features:
+ * - Preview of the message (grouped by category, built by the server)
+ * - Bought items struck through or left out
+ * - Shares with the Web Share API where available, otherwise copies to the clipboard
+ * - Opens the message in WhatsApp
+ */
+export default function ShareList({ list, onSuccess }) {
+  // How bought items appear in the message
+  const [boughtItems, setBoughtItems] = useState("strike");
+
+  // The message text (null while loading)
+  const [text, setText] = useState(null);
+
+  const { showError, showSuccess } = useErrorHandler();
+
+  // Reload the message whenever the bought items option changes
+  useEffect(() => {
+    let cancelled = false;
+    setText(null);
+    fetchListText(list.id, boughtItems)
+      .then((message) => !cancelled && setText(message))
+      .catch((err) => !cancelled && showError(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [list.id, boughtItems, showError]);
+
+  /** Copy the message to the clipboard */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      showSuccess("הרשימה הועתקה.");
+      onSuccess?.();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /** Share the message with the Web Share API, falling back to the clipboard */
+  const handleShare = async () => {
+    if (!navigator.share) {
+      await handleCopy();
+      return;
+    }
+
+    try {
+      await navigator.share({ title: list.name, text });
+      onSuccess?.();
+    } catch (err) {
+      // Closing the share sheet is not an error
+      if (err.name !== "AbortError") showError(err);
+    }
+  };
+
+  return (
+    <div className="max-w-sm p-2 font-huninn space-y-4">
+      {/* Bought items option */}
+      <select
+        value={boughtItems}
+        onChange={(e) => setBoughtItems(e.target.value)}
+        className="w-full rounded-lg border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-sky-400"
+      >
+        {Object.entries(SHARE_BOUGHT_ITEMS_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {/* Message preview */}
+      <div className="bg-gray-50 rounded-lg p-3 h-60 overflow-y-auto text-sm text-gray-800 whitespace-pre-wrap" dir="rtl">
+        {text === null ? (
+          <div className="flex justify-center items-center h-full">
+            <Loader2 className="animate-spin text-sky-600" />
+          </div>
+        ) : (
+          text
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="flex gap-2">
+        <motion.button
+          type="button"
+          onClick={handleShare}
+          disabled={text === null}
+          whileHover={{ scale: 1.03 }}
+          whileTap={{ scale: 0.97 }}
+          className="flex-1 bg-gradient-to-r from-sky-600 to-sky-500 text-white px-4 py-2 rounded-xl shadow-md
+             flex items-center justify-center gap-2 cursor-pointer disabled:opacity-50"
+        >
+          <Share2 size={16} />
+          שיתוף
+        </motion.button>
+        <motion.a
+          href={text === null ? undefined : `https://wa.me/?text=${encodeURIComponent(text)}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={() => onSuccess?.()}
+          whileHover={{ scale: 1.03 }}
+          whileTap={{ scale: 0.97 }}
+          className="flex-1 bg-green-500 text-white px-4 py-2 rounded-xl shadow-md flex items-center justify-center gap-2"
+        >
+          <FaWhatsapp size={16} />
+          וואטסאפ
+        </motion.a>
+        <motion.button
+          type="button"
+          onClick={handleCopy}
+          disabled={text === null}
+          title="העתקה"
+          whileHover={{ scale: 1.03 }}
+          whileTap={{ scale: 0.97 }}
+          className="text-sky-600 rounded-xl border-2 border-sky-500 px-3 py-2 cursor-pointer disabled:opacity-50"
+        >
+          <Copy size={16} />
+        </motion.button>
+      </div>
+    </div>
+  );
+}
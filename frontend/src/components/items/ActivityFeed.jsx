@@ -0,0 +1,122 @@
+// Icons & Animations
+import { X, RefreshCw, Loader2 } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+
+// Utils
+import { format } from "date-fns";
+import { describeActivity, getActivityChanges } from "../../utils/activity";
+
+// Hooks
+import { useActivity } from "../../hooks/useActivity";
+
+/**
+ * ActivityFeed
+ * Drawer showing the activity log of a list: who created, changed, bought, deleted or restored what.
+ *
+ * Features:
+ * - Newest entries first, loaded when the drawer opens
+ * - Changed fields of updates with their old → new values
+ * - "Load more" for older entries and a refresh button
+ *
+ * Props:
+ * - listId: ID of the list whose activity is shown
+ * - isOpen: Boolean to control drawer visibility
+ * - onClose: Function to close the drawer
+ */
+export default function ActivityFeed({ listId, isOpen, onClose }) {
+  const { activity, loading, hasMore, loadMore, reload } = useActivity(listId, isOpen);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 flex justify-end z-[9999]">
+          {/* Semi-transparent backdrop */}
+          <motion.div
+            className="fixed inset-0"
+            onClick={onClose}
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          />
+
+          {/* Drawer panel */}
+          <motion.div
+            className="relative w-11/12 sm:w-96 bg-white/80 backdrop-blur-lg
+                       shadow-2xl p-6 overflow-y-auto max-h-screen z-50
+                       rounded-r-3xl border-r border-sky-200 font-huninn"
+            initial={{ x: "-100%" }}
+            animate={{ x: 0 }}
+            exit={{ x: "-100%" }}
+            transition={{ type: "spring", stiffness: 300, damping: 30 }}
+          >
+            {/* Header */}
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-xl font-bold text-sky-800">פעילות ברשימה</h3>
+              <div className="flex items-center gap-3">
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={reload}
+                  className="text-gray-500 hover:text-sky-600 transition-colors cursor-pointer"
+                >
+                  <RefreshCw size={20} />
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={onClose}
+                  className="text-gray-500 hover:text-red-500 transition-colors cursor-pointer"
+                >
+                  <X size={24} />
+                </motion.button>
+              </div>
+            </div>
+
+            {/* Entries */}
+            {!loading && activity.length === 0 ? (
+              <p className="text-gray-500 text-center">אין עדיין פעילות ברשימה.</p>
+            ) : (
+              <ul className="space-y-3">
+                {activity.map((entry) => (
+                  <li key={entry.id} className="bg-white/70 rounded-xl p-3 shadow-sm text-right">
+                    <p className="text-sm text-gray-700">
+                      <span className="font-semibold text-sky-700">{entry.actor?.name}</span>{" "}
+                      {describeActivity(entry)}
+                    </p>
+                    {getActivityChanges(entry).map((change) => (
+                      <p key={change.field} className="text-xs text-gray-500">
+                        {change.label}
+                        {change.from !== null && `: ${change.from} ← ${change.to}`}
+                      </p>
+                    ))}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {format(new Date(entry.createdAt), "dd/MM/yyyy HH:mm")}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Loading / load more */}
+            {loading ? (
+              <div className="flex justify-center mt-4">
+                <Loader2 className="animate-spin text-sky-600" />
+              </div>
+            ) : (
+              hasMore && (
+                <motion.button
+                  whileHover={{ scale: 1.03 }}
+                  whileTap={{ scale: 0.97 }}
+                  onClick={loadMore}
+                  className="mt-4 w-full text-sky-600 rounded-xl border-2 border-sky-500 py-2 cursor-pointer"
+                >
+                  טען עוד
+                </motion.button>
+              )
+            )}
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+}
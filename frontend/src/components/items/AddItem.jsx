@@ -7,6 +7,10 @@ import { motion, AnimatePresence } from "framer-motion";
 
 // Components
 import CustomInputFloating from "../common/CustomInputFloating";
+import ProductSuggestions from "./ProductSuggestions";
+
+// Hooks
+import { useProductSuggestions } from "../../hooks/useProductSuggestions";
 
 // Validators
 import { validateItemAddition } from "../../validators/itemValidator";
@@ -17,7 +21,10 @@ import { validateItemAddition } from "../../validators/itemValidator";
  *
  * Features:
  * - Floating input fields with real-time validation
+ * - Autocompletes the name from the product catalog; choosing a product pre-fills its unit, category and brand
  * - Select unit from provided units array
+ * - Select category (starts at the category being viewed, if any)
+ * - Optional estimated unit price and actual paid price
  * - Displays loading state during async addition
  *
  * Props:
@@ -26,14 +33,23 @@ import { validateItemAddition } from "../../validators/itemValidator";
  * - onClose: Function to close the drawer
  * - units: Array of unit objects {id, name} for selection
  * - onAdd: Async function to handle adding a new item
+ * - categories: Optional array of category objects {id, name}; when given, the item's category is chosen in the form
+ * - defaultCategoryId: Optional ID of the category selected when the form opens / is reset (default: the first one)
  */
-export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
+export default function AddItem({ listId, drawerOpen, onClose, units, onAdd, categories = [], defaultCategoryId }) {
   // Local state for form fields
   const [itemName, setItemName] = useState("");
   const [brand, setBrand] = useState("");
   const [quantity, setQuantity] = useState(1);
   const [comments, setComments] = useState("");
+  const [unitPrice, setUnitPrice] = useState("");
+  const [paidPrice, setPaidPrice] = useState("");
   const [selectedUnit, setSelectedUnit] = useState(units[0]?.id || 0);
+  const [selectedCategory, setSelectedCategory] = useState(defaultCategoryId || categories[0]?.id || 0);
+
+  // Suggestions are shown while the user types the name, and hidden once one is chosen
+  const [suggesting, setSuggesting] = useState(false);
+  const { suggestions, clearSuggestions } = useProductSuggestions(itemName, suggesting);
 
   // Local loading state during async add operation
   const [addingLoading, setAddingLoading] = useState(false);
@@ -48,6 +64,13 @@ export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
     }
   }, [units]);
 
+  // Ensure selectedCategory is always set if categories (or the viewed category) change
+  useEffect(() => {
+    if (categories.length > 0) {
+      setSelectedCategory(defaultCategoryId || categories[0].id);
+    }
+  }, [categories, defaultCategoryId]);
+
   // Validate fields in real-time on change
   useEffect(() => {
     const validationErrors = validateItemAddition({
@@ -56,9 +79,21 @@ export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
       quantity,
       unitId: selectedUnit,
       comments,
+      unitPrice,
+      paidPrice,
     });
     setFieldErrors(validationErrors);
-  }, [itemName, brand, quantity, selectedUnit, comments]);
+  }, [itemName, brand, quantity, selectedUnit, comments, unitPrice, paidPrice]);
+
+  /** Fill the form from a catalog product */
+  const handleSelectProduct = (product) => {
+    setItemName(product.name);
+    setBrand(product.brand || "");
+    setSelectedUnit(product.unitId);
+    if (categories.length > 0) setSelectedCategory(product.categoryId);
+    setSuggesting(false);
+    clearSuggestions();
+  };
 
   /** Handle form submission to add new item */
   const handleSubmit = async (e) => {
@@ -75,7 +110,10 @@ export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
         quantity: Number(quantity),
         unitId: Number(selectedUnit),
         comments,
+        unitPrice: unitPrice === "" ? null : Number(unitPrice),
+        paidPrice: paidPrice === "" ? null : Number(paidPrice),
         listId: Number(listId),
+        ...(categories.length > 0 && { categoryId: Number(selectedCategory) }),
       });
 
       // Reset form fields after successful addition
@@ -83,7 +121,10 @@ export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
       setBrand("");
       setQuantity(1);
       setComments("");
+      setUnitPrice("");
+      setPaidPrice("");
       setSelectedUnit(units[0]?.id || 0);
+      setSelectedCategory(defaultCategoryId || categories[0]?.id || 0);
       setFieldErrors({});
     } finally {
       setAddingLoading(false);
@@ -128,14 +169,38 @@ export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
 
             {/* Form */}
             <form onSubmit={handleSubmit} className="grid gap-7">
-              <CustomInputFloating
-                id="itemName"
-                label="* שם הפריט"
-                value={itemName}
-                onChange={(e) => setItemName(e.target.value)}
-                error={fieldErrors.name}
-                maxLength={50}
-              />
+              <div className="relative" onBlur={() => setSuggesting(false)}>
+                <CustomInputFloating
+                  id="itemName"
+                  label="* שם הפריט"
+                  value={itemName}
+                  onChange={(e) => {
+                    setItemName(e.target.value);
+                    setSuggesting(true);
+                  }}
+                  error={fieldErrors.name}
+                  maxLength={50}
+                />
+                <ProductSuggestions suggestions={suggestions} onSelect={handleSelectProduct} />
+              </div>
+              {categories.length > 0 && (
+                <div>
+                  <p className="block text-md text-gray-600 mb-1">קטגוריה</p>
+                  <select
+                    id="category"
+                    value={selectedCategory}
+                    onChange={(e) => setSelectedCategory(e.target.value)}
+                    className="w-full rounded-lg border border-gray-300 px-3 py-2 
+                               focus:outline-none focus:ring-2 focus:ring-sky-400"
+                  >
+                    {categories.map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <CustomInputFloating
                 id="brand"
                 label="מותג"
@@ -169,6 +234,26 @@ export default function AddItem({ listId, drawerOpen, onClose, units, onAdd }) {
                   ))}
                 </select>
               </div>
+              <div className="flex gap-3">
+                <CustomInputFloating
+                  id="unitPrice"
+                  label="מחיר ליחידה (₪)"
+                  type="number"
+                  step="0.01"
+                  value={unitPrice}
+                  onChange={(e) => setUnitPrice(e.target.value)}
+                  error={fieldErrors.unitPrice}
+                />
+                <CustomInputFloating
+                  id="paidPrice"
+                  label="שולם בפועל (₪)"
+                  type="number"
+                  step="0.01"
+                  value={paidPrice}
+                  onChange={(e) => setPaidPrice(e.target.value)}
+                  error={fieldErrors.paidPrice}
+                />
+              </div>
               <CustomInputFloating
                 id="comments"
                 label="הערות"
@@ -0,0 +1,105 @@
+// React & Hooks
+import { useState, useEffect } from "react";
+
+// Icons & Animations
+import { AlertTriangle, Save, Loader2, Wallet } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Utils
+import { formatPrice } from "../../utils/money";
+
+/**
+ * BudgetSummary
+ * Shows the estimated and actual spend of a list compared to its budget.
+ *
+ * Features:
+ * - Estimated total (unit price × quantity) and actual total (paid prices)
+ * - Editable budget (empty input clears the budget)
+ * - Warning when the estimated or actual total exceeds the budget
+ *
+ * Props:
+ * - totals: { estimated, actual, budget, remaining, overBudget, unpricedItems } or null while loading
+ * - onBudgetSave: Async function receiving the new budget (number or null)
+ * - canEdit: Whether the current user may change the budget (default true)
+ */
+export default function BudgetSummary({ totals, onBudgetSave, canEdit = true }) {
+  // Budget input value (string while editing)
+  const [budgetInput, setBudgetInput] = useState("");
+
+  // Whether the budget is being saved
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Sync the input when totals are (re)loaded
+  useEffect(() => {
+    setBudgetInput(totals?.budget ?? "");
+  }, [totals?.budget]);
+
+  if (!totals) return null;
+
+  const isInvalid = budgetInput !== "" && (isNaN(budgetInput) || Number(budgetInput) < 0);
+  const isUnchanged = String(budgetInput) === String(totals.budget ?? "");
+
+  /** Save handler */
+  const onSave = async () => {
+    if (isInvalid) return;
+    try {
+      setIsSaving(true);
+      await onBudgetSave(budgetInput === "" ? null : Number(budgetInput));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 bg-white/60 rounded-xl px-4 py-3 text-sky-800">
+      <span className="flex items-center gap-2 font-semibold">
+        <Wallet size={18} />
+        הערכה: {formatPrice(totals.estimated)}
+      </span>
+      <span className="font-semibold">בפועל: {formatPrice(totals.actual)}</span>
+
+      {/* Budget */}
+      <div className="flex items-center gap-2">
+        <span className="font-semibold">תקציב:</span>
+        <input
+          name="budget"
+          type="number"
+          min={0}
+          step="0.01"
+          value={budgetInput}
+          onChange={(e) => setBudgetInput(e.target.value)}
+          placeholder="ללא"
+          disabled={!canEdit}
+          className={`input input-sm w-28 ${isInvalid ? "input-error" : ""}`}
+        />
+        {canEdit && (
+          <motion.button
+            whileHover={{ scale: isSaving || isUnchanged ? 1 : 1.1 }}
+            whileTap={{ scale: isSaving || isUnchanged ? 1 : 0.95 }}
+            onClick={onSave}
+            disabled={isSaving || isUnchanged || isInvalid}
+            className="text-sky-600 hover:text-sky-700 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          >
+            {isSaving ? <Loader2 className="animate-spin w-4 h-4" /> : <Save size={16} />}
+          </motion.button>
+        )}
+      </div>
+
+      {totals.budget !== null && !totals.overBudget && (
+        <span className="text-sm text-gray-600">נותרו {formatPrice(totals.remaining)}</span>
+      )}
+
+      {/* Over budget warning */}
+      {totals.overBudget && (
+        <span className="flex items-center gap-1 text-red-600 font-semibold">
+          <AlertTriangle size={16} />
+          חריגה מהתקציב!
+        </span>
+      )}
+
+      {totals.unpricedItems > 0 && (
+        <span className="text-xs text-gray-500">{totals.unpricedItems} מוצרים ללא מחיר</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import { useState } from "react";
+
+// Icons & Animations
+import { ClipboardPaste, Loader2, Trash2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import DynamicDialog from "../common/DynamicDialog";
+
+// API
+import { previewImport } from "../../api/lists";
+
+// Utils
+import { IMPORT_CATEGORY_SOURCE_LABELS } from "../../utils/constants";
+
+// Context
+import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
+
+/**
+ * ImportItems
+ * A form for pasting a plain-text shopping list (e.g. from WhatsApp) into a list.
+ *
+ * Props:
+ * - listId: ID of the list the items are imported into
+ * - categories: Array of category objects {id, name}
+ * - onImport: Async function called with the confirmed items; resolves to true when they were created
+ * - onSuccess: Callback invoked after the items were imported
+ *
+ * Features:
+ * - One item per line, with optional quantity and unit ("2 ק"ג עגבניות")
+ * - The server parses every line and picks its category; the preview is confirmed in a dialog
+ * - Categories can be changed and lines removed before confirming
+ */
+export default function ImportItems({ listId, categories, onImport, onSuccess }) {
+  // The pasted text
+  const [text, setText] = useState("");
+
+  // Parsed lines waiting for confirmation (null while the dialog is closed)
+  const [preview, setPreview] = useState(null);
+
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+
+  const { showError } = useErrorHandler();
+
+  /** Parse the pasted text and open the preview */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setIsLoadingPreview(true);
+    try {
+      setPreview(await previewImport(listId, text));
+    } catch (err) {
+      showError(err);
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  /** Change the category of a previewed line */
+  const handleCategoryChange = (index, categoryId) =>
+    setPreview((prev) => prev.map((entry, i) => (i === index ? { ...entry, categoryId: Number(categoryId) } : entry)));
+
+  /** Drop a previewed line */
+  const handleRemove = (index) => setPreview((prev) => prev.filter((_, i) => i !== index));
+
+  /** Create the previewed items */
+  const handleConfirm = async () => {
+    const imported = await onImport(
+      preview.map(({ name, quantity, unitId, categoryId, brand }) => ({
+        name,
+        quantity,
+        unitId,
+        categoryId,
+        brand: brand ?? "",
+      }))
+    );
+    if (imported) {
+      setPreview(null);
+      setText("");
+      onSuccess?.();
+    }
+  };
+
+  return (
+    <div className="max-w-sm p-2 font-huninn">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Pasted list */}
+        <label htmlFor="importText" className="block text-md text-gray-600">
+          הדביקו רשימה – מוצר בכל שורה
+        </label>
+        <textarea
+          id="importText"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={5000}
+          rows={8}
+          placeholder={'2 ק"ג עגבניות\nחלב\n3 בקבוק מים'}
+          className="w-full rounded-lg border border-gray-300 px-3 py-2 
+                     focus:outline-none focus:ring-2 focus:ring-sky-400"
+        />
+
+        {/* Submit button */}
+        <motion.button
+          type="submit"
+          disabled={isLoadingPreview || !text.trim()}
+          whileHover={{ scale: isLoadingPreview ? 1 : 1.03 }}
+          whileTap={{ scale: isLoadingPreview ? 1 : 0.97 }}
+          className="bg-gradient-to-r from-sky-600 to-sky-500 
+             text-white px-4 py-2 rounded-xl shadow-md 
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse disabled:opacity-50"
+        >
+          {isLoadingPreview && <Loader2 className="animate-spin w-4 h-4" />}
+          <span className="text-md font-medium">{isLoadingPreview ? "מעבד..." : "תצוגה מקדימה"}</span>
+          <ClipboardPaste size={16} />
+        </motion.button>
+      </form>
+
+      {/* Preview confirmation */}
+      <DynamicDialog
+        open={preview !== null}
+        type="confirm"
+        mode="info"
+        title="ייבוא מוצרים"
+        message={preview?.length ? `${preview.length} מוצרים יתווספו לרשימה:` : "לא נשארו מוצרים לייבוא."}
+        onConfirm={preview?.length ? handleConfirm : () => setPreview(null)}
+        onCancel={() => setPreview(null)}
+      >
+        <ul className="space-y-2 max-h-72 overflow-y-auto">
+          {(preview || []).map((entry, index) => (
+            <li key={`${index}-${entry.line}`} className="flex items-center gap-2 bg-sky-50 rounded-xl p-2">
+              <div className="flex-1 min-w-0">
+                <p className="text-gray-800 truncate">
+                  {entry.quantity} {entry.unit?.name} {entry.name}
+                  {entry.brand && <span className="text-gray-500"> · {entry.brand}</span>}
+                </p>
+                <select
+                  value={entry.categoryId ?? ""}
+                  onChange={(e) => handleCategoryChange(index, e.target.value)}
+                  className="mt-1 w-full rounded-lg border border-gray-300 px-2 py-1 text-sm 
+                             focus:outline-none focus:ring-2 focus:ring-sky-400"
+                >
+                  {categories.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-400">{IMPORT_CATEGORY_SOURCE_LABELS[entry.categorySource]}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                className="text-gray-400 hover:text-red-500 transition-colors cursor-pointer"
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </DynamicDialog>
+    </div>
+  );
+}
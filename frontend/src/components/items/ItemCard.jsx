@@ -2,11 +2,12 @@
 import { useState } from "react";
 
 // Icons & Animations
-import { ChevronDown, ChevronLeft, Save, X, Loader2 } from "lucide-react";
+import { ChevronDown, ChevronLeft, Save, X, Loader2, Pencil } from "lucide-react";
 import { motion } from "framer-motion";
 
 // Components
 import CustomInput from "../common/CustomInput";
+import MergeConflictDialog from "./MergeConflictDialog";
 
 /**
  * ItemCard
@@ -16,6 +17,8 @@ import CustomInput from "../common/CustomInput";
  * - Expand/collapse to show editable fields
  * - Checkbox for bought status
  * - Displays loading states for save/delete operations
+ * - Merge dialog when someone else changed the item while it was being edited
+ * - Highlighted while other users are editing it
  *
  * Props:
  * - item: Object representing the item
@@ -27,6 +30,11 @@ import CustomInput from "../common/CustomInput";
  * - isOpen: Boolean indicating if card is expanded
  * - toggleOpen: Function to toggle open/close state
  * - fieldErrors: Object mapping field names to validation errors
+ * - conflict: Unresolved conflict with someone else's changes to the item ({ server, fields }), if any
+ * - onResolveConflict: Function (itemId, choices) saving the item with the chosen values
+ * - onDiscardChanges: Function (itemId) dropping the local edits of the item
+ * - editors: Names of the other users editing the item right now (highlighted)
+ * - onEditingChange: Function (itemId | null) called when the user starts / stops editing the item
  */
 export default function ItemCard({
   item,
@@ -38,6 +46,11 @@ export default function ItemCard({
   isOpen = false,
   toggleOpen,
   fieldErrors = {},
+  conflict,
+  onResolveConflict,
+  onDiscardChanges,
+  editors = [],
+  onEditingChange,
 }) {
   const [savingLoading, setSavingLoading] = useState(false);
   const [deletingLoading, setDeletingLoading] = useState(false);
@@ -54,6 +67,12 @@ export default function ItemCard({
     }
   };
 
+  /** Tell the other viewers which item is edited (moving the focus within the item keeps it) */
+  const onFocus = () => onEditingChange?.(item.id);
+  const onBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) onEditingChange?.(null);
+  };
+
   /** Delete handler */
   const onDelete = async () => {
     try {
@@ -65,7 +84,13 @@ export default function ItemCard({
   };
 
   return (
-    <div className={`w-full rounded-xl p-4 space-y-3 text-right transition-all duration-300 ${isOpen ? "bg-white/20" : "bg-white/60"}`}>
+    <div
+      className={`w-full rounded-xl p-4 space-y-3 text-right transition-all duration-300 ${isOpen ? "bg-white/20" : "bg-white/60"} ${
+        editors.length > 0 ? "ring-2 ring-amber-300" : ""
+      }`}
+      onFocus={onFocus}
+      onBlur={onBlur}
+    >
       {/* Header */}
       <div className={`flex items-center justify-between cursor-pointer ${labelColor}`} onClick={() => toggleOpen(item.id)}>
         <div className="flex items-center gap-2 font-semibold text-base">
@@ -79,6 +104,12 @@ export default function ItemCard({
           {isOpen ? <ChevronDown className="text-white" /> : <ChevronLeft className="text-sky-500" />}
           <span className={item.bought ? "line-through text-gray-400" : ""}>{item.name ?? ""}</span>
         </div>
+        {editors.length > 0 && (
+          <span className="flex items-center gap-1 text-xs text-amber-700">
+            <Pencil size={12} />
+            {editors.join(", ")} עורך/ת כעת
+          </span>
+        )}
       </div>
 
       {/* Expanded content */}
@@ -105,6 +136,16 @@ export default function ItemCard({
               </select>
             </div>
           </div>
+          <div className="flex gap-2">
+            <div className="flex-1">
+              <p className={`block text-md mb-1 ${labelColor}`}>מחיר ליח' (₪)</p>
+              <CustomInput itemId={item.id} field="unitPrice" type="number" value={item.unitPrice ?? ""} min={0} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} />
+            </div>
+            <div className="flex-1">
+              <p className={`block text-md mb-1 ${labelColor}`}>שולם (₪)</p>
+              <CustomInput itemId={item.id} field="paidPrice" type="number" value={item.paidPrice ?? ""} min={0} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} />
+            </div>
+          </div>
           <div>
             <p className={`block text-md mb-1 ${labelColor}`}>הערות</p>
             <CustomInput itemId={item.id} field="comments" value={item.comments ?? ""} maxLength={100} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} />
@@ -136,6 +177,15 @@ export default function ItemCard({
           </div>
         </div>
       )}
+
+      {/* Merge dialog */}
+      <MergeConflictDialog
+        item={item}
+        conflict={conflict}
+        units={units}
+        onResolve={(choices) => onResolveConflict(item.id, choices)}
+        onDiscard={() => onDiscardChanges(item.id)}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -2,20 +2,23 @@
 import { useState } from "react";
 
 // Icons & Animations
-import { Save, X, Loader2 } from "lucide-react";
+import { Save, X, Loader2, Pencil } from "lucide-react";
 import { motion } from "framer-motion";
 
 // Components
 import CustomInput from "../common/CustomInput";
+import MergeConflictDialog from "./MergeConflictDialog";
 
 /**
  * ItemRow
  * A table row representing a single item for desktop view.
  *
  * Features:
- * - Editable fields for name, brand, quantity, unit, and comments
+ * - Editable fields for name, brand, quantity, unit, prices, and comments
  * - Checkbox for bought status
  * - Displays loading states for save/delete operations
+ * - Merge dialog when someone else changed the item while it was being edited
+ * - Highlighted while other users are editing it
  *
  * Props:
  * - item: Object representing the item
@@ -25,6 +28,11 @@ import CustomInput from "../common/CustomInput";
  * - handleDelete: Function to delete the item
  * - handleBought: Function to toggle bought status
  * - fieldErrors: Object mapping field names to validation errors
+ * - conflict: Unresolved conflict with someone else's changes to the item ({ server, fields }), if any
+ * - onResolveConflict: Function (itemId, choices) saving the item with the chosen values
+ * - onDiscardChanges: Function (itemId) dropping the local edits of the item
+ * - editors: Names of the other users editing the item right now (highlighted)
+ * - onEditingChange: Function (itemId | null) called when the user starts / stops editing the item
  */
 export default function ItemRow({
   item,
@@ -34,6 +42,11 @@ export default function ItemRow({
   handleDelete,
   handleBought,
   fieldErrors = {},
+  conflict,
+  onResolveConflict,
+  onDiscardChanges,
+  editors = [],
+  onEditingChange,
 }) {
   const [savingLoading, setSavingLoading] = useState(false);
   const [deletingLoading, setDeletingLoading] = useState(false);
@@ -48,6 +61,12 @@ export default function ItemRow({
     }
   };
 
+  /** Tell the other viewers which item is edited (moving the focus within the item keeps it) */
+  const onFocus = () => onEditingChange?.(item.id);
+  const onBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) onEditingChange?.(null);
+  };
+
   /** Delete handler */
   const onDelete = async () => {
     try {
@@ -59,7 +78,7 @@ export default function ItemRow({
   };
 
   return (
-    <tr>
+    <tr className={editors.length > 0 ? "bg-amber-50" : ""} onFocus={onFocus} onBlur={onBlur}>
       {/* Bought checkbox */}
       <td>
         <input
@@ -74,6 +93,12 @@ export default function ItemRow({
       {/* Name */}
       <td>
         <CustomInput itemId={item.id} field="name" value={item.name ?? ""} placeholder="שם פריט" maxLength={50} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} isErrorTooltip={true} />
+        {editors.length > 0 && (
+          <span className="flex items-center gap-1 mt-1 text-xs text-amber-700">
+            <Pencil size={12} />
+            {editors.join(", ")} עורך/ת כעת
+          </span>
+        )}
       </td>
 
       {/* Brand */}
@@ -93,6 +118,16 @@ export default function ItemRow({
         </select>
       </td>
 
+      {/* Unit price */}
+      <td>
+        <CustomInput itemId={item.id} field="unitPrice" type="number" value={item.unitPrice ?? ""} placeholder="₪" min={0} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} isErrorTooltip={true} />
+      </td>
+
+      {/* Paid price */}
+      <td>
+        <CustomInput itemId={item.id} field="paidPrice" type="number" value={item.paidPrice ?? ""} placeholder="₪" min={0} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} isErrorTooltip={true} />
+      </td>
+
       {/* Comments */}
       <td>
         <CustomInput itemId={item.id} field="comments" value={item.comments ?? ""} placeholder="הערות" maxLength={100} fieldErrors={fieldErrors} handleFieldUpdate={handleFieldUpdate} isErrorTooltip={true} />
@@ -109,6 +144,15 @@ export default function ItemRow({
           <div className="w-4 flex justify-center">{deletingLoading ? <Loader2 className="animate-spin w-4 h-4" /> : <X size={16} />}</div>
           <span className="inline-block min-w-[60px] text-center">{deletingLoading ? "מוחק..." : "מחיקה"}</span>
         </motion.button>
+
+        {/* Merge dialog (inside a cell, since a <tr> may only hold cells) */}
+        <MergeConflictDialog
+          item={item}
+          conflict={conflict}
+          units={units}
+          onResolve={(choices) => onResolveConflict(item.id, choices)}
+          onDiscard={() => onDiscardChanges(item.id)}
+        />
       </td>
     </tr>
   );
@@ -14,9 +14,11 @@ import { motion } from "framer-motion";
  * Displays a collection of items in two responsive formats:
  * - Desktop: Table view with rows
  * - Mobile: Card view with expandable details
+ * - Optionally grouped by category, with a heading per category
  *
  * Props:
  * - items: Array of item objects to display
+ * - groups: Optional array of { id, name, items } – renders the items category by category instead of `items`
  * - units: Array of unit objects for quantity display
  * - editingIndex: Index of the item currently being edited
  * - editedItem: Object holding temporary changes for the edited item
@@ -26,10 +28,16 @@ import { motion } from "framer-motion";
  * - handleBought: Function to toggle the bought status of an item
  * - setEditingIndex: Function to set which item is being edited
  * - errors: Object mapping itemId -> validation errors
+ * - conflicts: Object mapping itemId -> unresolved conflict with someone else's changes
+ * - onResolveConflict: Function (itemId, choices) saving an item with the chosen values
+ * - onDiscardChanges: Function (itemId) dropping the local edits of an item
+ * - editorsByItemId: Object mapping itemId -> names of the other users editing the item
+ * - onEditingChange: Function (itemId | null) called when the user starts / stops editing an item
  * - loading: Boolean indicating if items are being fetched
  */
 export default function Items({
   items = [],
+  groups,
   units = [],
   editingIndex,
   editedItem,
@@ -39,6 +47,11 @@ export default function Items({
   handleBought,
   setEditingIndex,
   fieldErrors,
+  conflicts,
+  onResolveConflict,
+  onDiscardChanges,
+  editorsByItemId = {},
+  onEditingChange,
   loading = false,
 }) {
   // State to track which cards are open in mobile view
@@ -53,6 +66,11 @@ export default function Items({
     setOpenCards(prev => ({ ...prev, [id]: !prev[id] }));
   };
 
+  // Sections to render: one per category when grouped, otherwise a single unnamed section
+  const sections = groups
+    ? groups.filter((group) => group.items.length > 0)
+    : [{ id: "items", name: null, items }];
+
   // --- Loading state ---
   if (loading) {
     return (
@@ -63,7 +81,7 @@ export default function Items({
   }
 
   // --- No items state ---
-  if (!loading && items.length === 0) {
+  if (!loading && sections.every((section) => section.items.length === 0)) {
     return (
       <motion.div
         className="relative min-h-[200px] flex flex-col items-center justify-center text-gray-500"
@@ -89,13 +107,22 @@ export default function Items({
               <th className="w-40">מותג</th>
               <th className="w-30">כמות</th>
               <th className="w-40">יח'</th>
+              <th className="w-30">מחיר ליח' (₪)</th>
+              <th className="w-30">שולם (₪)</th>
               <th>הערות</th>
               <th>פעולות</th>
             </tr>
           </thead>
           <tbody>
-            {Array.isArray(items) &&
-              items.map((item, idx) => (
+            {sections.map((section) => [
+              section.name && (
+                <tr key={`category-${section.id}`}>
+                  <td colSpan={9} className="text-sky-700 font-bold pt-4">
+                    {section.name}
+                  </td>
+                </tr>
+              ),
+              ...section.items.map((item, idx) => (
                 <ItemRow
                   key={item?.id ?? idx}
                   index={idx}
@@ -109,30 +136,47 @@ export default function Items({
                   handleBought={handleBought}
                   setEditingIndex={setEditingIndex}
                   fieldErrors={fieldErrors?.[item?.id] || {}}
+                  conflict={conflicts?.[item?.id]}
+                  onResolveConflict={onResolveConflict}
+                  onDiscardChanges={onDiscardChanges}
+                  editors={editorsByItemId[item?.id]}
+                  onEditingChange={onEditingChange}
                 />
-              ))}
+              )),
+            ])}
           </tbody>
         </table>
       </div>
 
       {/* Mobile Card View */}
       <div className="md:hidden block w-full space-y-4">
-        {Array.isArray(items) &&
-          items.map((item, idx) => (
-            <ItemCard
-              key={item?.id ?? idx}
-              item={item}
-              index={idx}
-              units={Array.isArray(units) ? units : []}
-              handleFieldUpdate={handleFieldUpdate}
-              handleDelete={handleDelete}
-              handleSave={handleSave}
-              handleBought={handleBought}
-              isOpen={!!openCards[item?.id]}
-              toggleOpen={toggleCard}
-              fieldErrors={fieldErrors?.[item?.id] || {}}
-            />
-          ))}
+        {sections.map((section) => (
+          <div key={section.id} className="space-y-4">
+            {section.name && (
+              <h3 className="text-sky-700 font-bold">{section.name}</h3>
+            )}
+            {section.items.map((item, idx) => (
+              <ItemCard
+                key={item?.id ?? idx}
+                item={item}
+                index={idx}
+                units={Array.isArray(units) ? units : []}
+                handleFieldUpdate={handleFieldUpdate}
+                handleDelete={handleDelete}
+                handleSave={handleSave}
+                handleBought={handleBought}
+                isOpen={!!openCards[item?.id]}
+                toggleOpen={toggleCard}
+                fieldErrors={fieldErrors?.[item?.id] || {}}
+                conflict={conflicts?.[item?.id]}
+                onResolveConflict={onResolveConflict}
+                onDiscardChanges={onDiscardChanges}
+                editors={editorsByItemId[item?.id]}
+                onEditingChange={onEditingChange}
+              />
+            ))}
+          </div>
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,77 @@
+// React & Hooks
+import { useState } from "react";
+
+// Components
+import DynamicDialog from "../common/DynamicDialog";
+
+// Utils
+import { formatFieldValue, getFieldLabel } from "../../utils/conflicts";
+
+/**
+ * MergeConflictDialog
+ * Shown when someone else changed an item while the user was editing it,
+ * and both changed the same fields.
+ *
+ * Features:
+ * - One row per conflicting field, with the user's value and the other user's value
+ * - Confirm saves the item with the chosen values (fields only the other user changed are merged in)
+ * - Cancel drops the user's edits and keeps the saved item
+ *
+ * Props:
+ * - item: The locally edited item
+ * - conflict: { server, fields, merged } from useItems (null / undefined closes the dialog);
+ *   the user's values are taken from `merged`, which also holds edits made offline
+ * - units: Array of unit objects, for showing unit names
+ * - onResolve: Callback (choices) with field → "mine" | "theirs"
+ * - onDiscard: Callback for dropping the local edits
+ */
+export default function MergeConflictDialog({ item, conflict, units = [], onResolve, onDiscard }) {
+  // field → "mine" | "theirs" (the user's value is kept by default)
+  const [choices, setChoices] = useState({});
+
+  const handleConfirm = () => {
+    onResolve(choices);
+    setChoices({});
+  };
+
+  const handleCancel = () => {
+    onDiscard();
+    setChoices({});
+  };
+
+  return (
+    <DynamicDialog
+      open={!!conflict}
+      type="confirm"
+      mode="warning"
+      title={`"${item.name}" שונה בינתיים`}
+      message="משתמש/ת אחר/ת שינה את המוצר בזמן שערכת אותו. בחר/י איזה ערך לשמור בכל שדה, או לחץ/י ביטול כדי לוותר על השינויים שלך."
+      onConfirm={handleConfirm}
+      onCancel={handleCancel}
+    >
+      <ul className="space-y-2 max-h-72 overflow-y-auto text-right">
+        {(conflict?.fields || []).map((field) => (
+          <li key={field} className="bg-amber-50 rounded-xl p-2 space-y-1">
+            <p className="font-semibold text-gray-800">{getFieldLabel(field)}</p>
+            {[
+              ["mine", "שלי", conflict.merged[field]],
+              ["theirs", "שלהם", conflict.server[field]],
+            ].map(([choice, label, value]) => (
+              <label key={choice} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="radio"
+                  name={`conflict-${item.id}-${field}`}
+                  className="radio radio-info radio-sm"
+                  checked={(choices[field] ?? "mine") === choice}
+                  onChange={() => setChoices((prev) => ({ ...prev, [field]: choice }))}
+                />
+                <span className="text-gray-500">{label}:</span>
+                <span>{formatFieldValue(field, value, units)}</span>
+              </label>
+            ))}
+          </li>
+        ))}
+      </ul>
+    </DynamicDialog>
+  );
+}
@@ -0,0 +1,58 @@
+// Icons & Animations
+import { Eye } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+
+// Avatars shown before the rest are summed up as "+N"
+const MAX_AVATARS = 4;
+
+// Avatar colors, picked by user ID so each user keeps the same color
+const AVATAR_COLORS = ["bg-sky-500", "bg-emerald-500", "bg-amber-500", "bg-rose-500", "bg-violet-500", "bg-teal-500"];
+
+/**
+ * PresenceAvatars
+ * Shows who else is viewing the list right now.
+ *
+ * Features:
+ * - One round avatar with the initial of each viewer (full name on hover)
+ * - Avatars beyond MAX_AVATARS are summed up as "+N"
+ * - Renders nothing while nobody else is viewing the list
+ *
+ * Props:
+ * - viewers: Array of { userId, name } from usePresence
+ */
+export default function PresenceAvatars({ viewers = [] }) {
+  if (viewers.length === 0) return null;
+
+  const shown = viewers.slice(0, MAX_AVATARS);
+  const hiddenCount = viewers.length - shown.length;
+  const names = viewers.map((viewer) => viewer.name).join(", ");
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-sky-700" title={`צופים ברשימה עכשיו: ${names}`}>
+      <Eye size={18} className="opacity-80" />
+      <div className="flex -space-x-2 space-x-reverse">
+        <AnimatePresence initial={false}>
+          {shown.map((viewer) => (
+            <motion.span
+              key={viewer.userId}
+              initial={{ opacity: 0, scale: 0.6 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.6 }}
+              title={viewer.name}
+              className={`w-8 h-8 rounded-full border-2 border-white shadow-sm flex items-center justify-center text-white font-semibold ${
+                AVATAR_COLORS[viewer.userId % AVATAR_COLORS.length]
+              }`}
+            >
+              {viewer.name?.trim().charAt(0) || "?"}
+            </motion.span>
+          ))}
+        </AnimatePresence>
+        {hiddenCount > 0 && (
+          <span className="w-8 h-8 rounded-full border-2 border-white shadow-sm flex items-center justify-center bg-gray-200 text-gray-700 text-xs font-semibold">
+            +{hiddenCount}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
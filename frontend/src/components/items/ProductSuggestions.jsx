@@ -0,0 +1,46 @@
+// Animations
+import { motion, AnimatePresence } from "framer-motion";
+
+/**
+ * ProductSuggestions
+ * Autocomplete dropdown shown under the item name input.
+ *
+ * Features:
+ * - Product name with its default unit, category and brand
+ * - Chosen with a click; the input keeps its focus
+ *
+ * Props:
+ * - suggestions: Array of products {id, name, brand, unit, category}
+ * - onSelect: Function called with the chosen product
+ */
+export default function ProductSuggestions({ suggestions, onSelect }) {
+  return (
+    <AnimatePresence>
+      {suggestions.length > 0 && (
+        <motion.ul
+          initial={{ opacity: 0, y: -5 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -5 }}
+          className="absolute z-10 mt-1 w-full max-h-60 overflow-y-auto bg-white rounded-xl shadow-lg border border-sky-100"
+        >
+          {suggestions.map((product) => (
+            <li key={product.id}>
+              <button
+                type="button"
+                // Keep the focus in the input so the dropdown is not closed before the click
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => onSelect(product)}
+                className="w-full text-right px-3 py-2 hover:bg-sky-50 cursor-pointer"
+              >
+                <p className="text-gray-800">{product.name}</p>
+                <p className="text-xs text-gray-500">
+                  {[product.unit?.name, product.category?.name, product.brand].filter(Boolean).join(" · ")}
+                </p>
+              </button>
+            </li>
+          ))}
+        </motion.ul>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,120 @@
+// React & Hooks
+import { useState } from "react";
+
+// Icons & Animations
+import { Zap, Loader2 } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+
+// Hooks
+import { useItemParser } from "../../hooks/useItemParser";
+
+/**
+ * QuickAdd
+ * Single input for adding an item by typing it as one line, e.g. `2 ק"ג עגבניות שרי`
+ * or `3 בקבוק חלב תנובה`.
+ *
+ * Features:
+ * - The line is parsed by the server into quantity, unit, name and brand
+ * - Preview of the parsed item before it is added
+ * - Category taken from the product's usual one (or guessed from its name), else the category being viewed; can be changed
+ * - Enter adds the item
+ *
+ * Props:
+ * - categories: Array of category objects {id, name}
+ * - defaultCategoryId: Optional ID of the category used for products without a usual category
+ * - onAdd: Async function called with the new item; resolves to true when it was added
+ */
+export default function QuickAdd({ categories, defaultCategoryId, onAdd }) {
+  const [text, setText] = useState("");
+  const [categoryId, setCategoryId] = useState(null);
+  const [adding, setAdding] = useState(false);
+
+  const { parsed, parsing } = useItemParser(text);
+  const selectedCategoryId = categoryId ?? parsed?.categoryId ?? defaultCategoryId ?? categories[0]?.id;
+
+  /** Add the parsed item */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!parsed || !selectedCategoryId) return;
+
+    try {
+      setAdding(true);
+      const added = await onAdd({
+        name: parsed.name,
+        quantity: parsed.quantity,
+        unitId: parsed.unitId,
+        brand: parsed.brand ?? "",
+        categoryId: Number(selectedCategoryId),
+      });
+      if (added) {
+        setText("");
+        setCategoryId(null);
+      }
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-md p-3 space-y-2">
+      {/* Input */}
+      <div className="flex items-center gap-2">
+        <Zap size={18} className="text-sky-600 shrink-0" />
+        <input
+          id="quickAdd"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setCategoryId(null);
+          }}
+          maxLength={100}
+          placeholder='הוספה מהירה, לדוגמה: 2 ק"ג עגבניות שרי'
+          className="flex-1 bg-transparent border-0 border-b-2 border-gray-300 px-1 py-1 
+                     focus:outline-none focus:border-sky-600"
+        />
+        <motion.button
+          type="submit"
+          disabled={!parsed || adding}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          className="bg-gradient-to-r from-sky-600 to-sky-500 text-white px-3 py-1 rounded-xl shadow-md 
+                     cursor-pointer flex items-center gap-2 disabled:opacity-50"
+        >
+          {(adding || parsing) && <Loader2 className="animate-spin w-4 h-4" />}
+          הוסף
+        </motion.button>
+      </div>
+
+      {/* Parsed preview */}
+      <AnimatePresence>
+        {parsed && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="flex flex-wrap items-center gap-2 text-sm"
+          >
+            <span className="bg-sky-100 text-sky-800 rounded-full px-2 py-0.5">
+              {parsed.quantity} {parsed.unit?.name}
+            </span>
+            <span className="bg-sky-100 text-sky-800 font-semibold rounded-full px-2 py-0.5">{parsed.name}</span>
+            {parsed.brand && (
+              <span className="bg-sky-100 text-sky-800 rounded-full px-2 py-0.5">מותג: {parsed.brand}</span>
+            )}
+            <select
+              value={selectedCategoryId ?? ""}
+              onChange={(e) => setCategoryId(e.target.value)}
+              className="rounded-lg border border-gray-300 px-2 py-0.5 focus:outline-none focus:ring-2 focus:ring-sky-400"
+            >
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </form>
+  );
+}
@@ -4,18 +4,32 @@ import { motion } from "framer-motion";
 // Components
 import CustomSearchInput from "../common/CustomSearchInput";
 
+// Utils
+import { ALL_CATEGORIES } from "../../utils/constants";
+
+// Sort fields supported by the items endpoint, with Hebrew labels
+const SORT_OPTIONS = [
+  { value: "name", label: "שם" },
+  { value: "addedAt", label: "מועד הוספה" },
+  { value: "quantity", label: "כמות" },
+  { value: "brand", label: "מותג" },
+  { value: "bought", label: "נקנה" },
+];
+
 /**
  * SortingAndFilters
- * Component for sorting, filtering, and searching items within a category.
+ * Component for sorting, filtering, and searching items within a category (or all categories).
  *
  * Features:
- * - Sort items by name (ascending/descending)
+ * - Sort items by name, date added, quantity, brand or bought status (ascending/descending)
  * - Filter by bought/not bought
  * - Search items by name
  *
  * Props:
- * - nameOrderAsc: Boolean, whether sorting by name is ascending
- * - setNameOrderAsc: Function to toggle name sorting order
+ * - sortBy: String, the field items are sorted by
+ * - setSortBy: Function to change the sort field
+ * - sortOrderAsc: Boolean, whether sorting is ascending
+ * - setSortOrderAsc: Function to toggle sorting order
  * - showBought: Boolean, whether to show bought items
  * - setShowBought: Function to toggle showing bought items
  * - showNotBought: Boolean, whether to show not bought items
@@ -25,8 +39,10 @@ import CustomSearchInput from "../common/CustomSearchInput";
  * - currentCategoryId: ID of the currently selected category (if none, component renders null)
  */
 export default function SortingAndFilters({
-  nameOrderAsc,
-  setNameOrderAsc,
+  sortBy,
+  setSortBy,
+  sortOrderAsc,
+  setSortOrderAsc,
   showBought,
   setShowBought,
   showNotBought,
@@ -42,14 +58,28 @@ export default function SortingAndFilters({
       
       {/* Sorting & Filter Buttons */}
       <div className="flex flex-wrap items-center gap-3">
-        {/* Sort by Name */}
+        {/* Sort field */}
+        <select
+          name="sortBy"
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="select select-sm rounded-full border-2 border-sky-500 text-sky-500 bg-white/20"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        {/* Sort order */}
         <motion.button
-          onClick={() => setNameOrderAsc(prev => !prev)}
+          onClick={() => setSortOrderAsc(prev => !prev)}
           className="bg-white/20 cursor-pointer rounded-full border-2 border-sky-500 text-sky-500 p-1 flex items-center gap-1 px-4 transition-colors duration-200"
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
         >
-          שם {nameOrderAsc ? "↑" : "↓"}
+          {sortOrderAsc ? "↑ עולה" : "↓ יורד"}
         </motion.button>
 
         {/* Show Bought Items */}
@@ -86,7 +116,9 @@ export default function SortingAndFilters({
         <CustomSearchInput
           value={searchTerm}
           onChange={setSearchTerm}
-          placeholder="חפש מוצר בקטגוריה זו..."
+          placeholder={
+            currentCategoryId === ALL_CATEGORIES.id ? "חפש מוצר ברשימה..." : "חפש מוצר בקטגוריה זו..."
+          }
         />
       </div>
     </div>
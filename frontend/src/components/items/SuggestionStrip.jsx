@@ -0,0 +1,83 @@
+// React & Hooks
+import { useState } from "react";
+
+// Icons & Animations
+import { Sparkles, Plus, X } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+
+/**
+ * SuggestionStrip
+ * "You usually buy these" strip shown above the items of a list.
+ *
+ * Features:
+ * - One chip per product that is due, with how often it is usually bought
+ * - Clicking a chip adds the product (its last name, quantity, unit, category and brand)
+ * - Each chip can be dismissed, and the whole strip can be closed
+ *
+ * Props:
+ * - suggestions: Array of products {name, quantity, unit, intervalDays}
+ * - onAdd: Async function called with the suggestion to add
+ * - onDismiss: Function called with the suggestion to hide
+ */
+export default function SuggestionStrip({ suggestions, onAdd, onDismiss }) {
+  const [closed, setClosed] = useState(false);
+
+  return (
+    <AnimatePresence>
+      {!closed && suggestions.length > 0 && (
+        <motion.section
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-md p-3"
+        >
+          {/* Header */}
+          <div className="flex justify-between items-center mb-2">
+            <p className="flex items-center gap-2 text-sky-800 font-semibold">
+              <Sparkles size={18} />
+              בדרך כלל קונים גם...
+            </p>
+            <button
+              type="button"
+              onClick={() => setClosed(true)}
+              className="text-gray-400 hover:text-red-500 transition-colors cursor-pointer"
+            >
+              <X size={18} />
+            </button>
+          </div>
+
+          {/* Chips */}
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map((suggestion) => (
+              <motion.div
+                key={suggestion.name}
+                layout
+                className="flex items-center gap-1 bg-sky-50 border border-sky-200 rounded-full pr-3 pl-1 py-1"
+              >
+                <button
+                  type="button"
+                  onClick={() => onAdd(suggestion)}
+                  title={`בדרך כלל כל ${suggestion.intervalDays} ימים`}
+                  className="flex items-center gap-1 text-sm text-sky-700 cursor-pointer"
+                >
+                  <Plus size={14} />
+                  {suggestion.name}
+                  <span className="text-xs text-gray-500">
+                    {suggestion.quantity} {suggestion.unit?.name}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDismiss(suggestion)}
+                  className="text-gray-400 hover:text-red-500 transition-colors cursor-pointer"
+                >
+                  <X size={14} />
+                </button>
+              </motion.div>
+            ))}
+          </div>
+        </motion.section>
+      )}
+    </AnimatePresence>
+  );
+}
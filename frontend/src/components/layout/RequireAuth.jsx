@@ -0,0 +1,27 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+
+// Context
+import { useAuth } from '../../context/AuthContext';
+
+// API
+import { LOGIN_PATH } from '../../api/http';
+
+/**
+ * RequireAuth
+ * Layout route that only renders its child routes for a signed-in user.
+ *
+ * Behavior:
+ * - Signed in → renders the matched child route via <Outlet />
+ * - Signed out → redirects to the login page, remembering the requested path
+ *   in `state.from` so the user returns there after logging in
+ */
+export default function RequireAuth() {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to={LOGIN_PATH} replace state={{ from: location.pathname }} />;
+  }
+
+  return <Outlet />;
+}
@@ -1,7 +1,13 @@
 import { useRef, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { House, PenSquare, ChartNoAxesCombined } from "lucide-react";
+import { House, PenSquare, ChartNoAxesCombined, Trash2, Refrigerator } from "lucide-react";
+
+// Hooks
+import { useExpiringPantry } from '../../hooks/useExpiringPantry';
+
+// Context
+import { useAuth } from '../../context/AuthContext';
 
 /**
  * SideMenu
@@ -14,16 +20,21 @@ import { House, PenSquare, ChartNoAxesCombined } from "lucide-react";
  * Features:
  * - Highlights the active navigation item
  * - Closes automatically when clicking outside of the menu
+ * - Badge on the pantry entry with the number of products expiring soon (refreshed when opened)
  */
 export default function SideMenu({ isMenuOpen, setIsMenuOpen }) {
   const menuRef = useRef(null);   // Reference to the menu element
   const location = useLocation();  // React Router location for active link
+  const { user } = useAuth();
+  const { expiring } = useExpiringPantry(Boolean(user) && isMenuOpen);
 
   // Navigation items
   const navItems = [
     { label: 'דף ראשי', to: '/', icon: House },
     { label: 'רשימות', to: '/lists-page', icon: PenSquare },
     { label: 'סטטיסטיקה', to: '/statistics-page', icon: ChartNoAxesCombined },
+    { label: 'מזווה', to: '/pantry-page', icon: Refrigerator, badge: expiring.length },
+    { label: 'סל מחזור', to: '/trash-page', icon: Trash2 },
   ];
 
   /**
@@ -74,7 +85,7 @@ export default function SideMenu({ isMenuOpen, setIsMenuOpen }) {
 
               {/* Navigation links */}
               <nav className="flex flex-col space-y-3 font-huninn">
-                {navItems.map(({ label, to, icon: Icon }) => {
+                {navItems.map(({ label, to, icon: Icon, badge }) => {
                   const isActive = location.pathname === to;
 
                   return (
@@ -94,6 +105,14 @@ export default function SideMenu({ isMenuOpen, setIsMenuOpen }) {
                       >
                         <Icon size={24} className={`${isActive ? 'text-white' : 'text-sky-500'}`} />
                         <span className="text-lg font-bold">{label}</span>
+                        {badge > 0 && (
+                          <span
+                            title="מוצרים שעומדים לפוג"
+                            className="mr-auto min-w-6 h-6 px-2 rounded-full bg-amber-400 text-white text-sm font-bold flex items-center justify-center"
+                          >
+                            {badge}
+                          </span>
+                        )}
                       </Link>
                     </motion.div>
                   );
@@ -1,17 +1,36 @@
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { LogOut, CloudOff, RefreshCw } from 'lucide-react';
+
+// Context
+import { useAuth } from '../../context/AuthContext';
+
+// Hooks
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
 
 /**
  * TopNavbar
  * A fixed top navigation bar with:
  *  - Hamburger menu button to toggle side menu
  *  - Logo that navigates to home page
+ *  - Offline indicator (with the number of changes waiting to be sent) / syncing indicator
+ *  - Signed-in user name with a logout button
  *
  * Props:
  * - isMenuOpen: Boolean controlling the hamburger menu state
  * - setIsMenuOpen: Function to toggle menu open/closed
  */
 export default function TopNavbar({ isMenuOpen, setIsMenuOpen }) {
+  const { user, logout } = useAuth();
+  const { online, pending } = useOnlineStatus();
+  const navigate = useNavigate();
+
+  /** Clear the session and return to the login page */
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
   // Animation variants for the hamburger button
   const hamburgerVariants = {
     closed: { rotate: 0, scale: 1 },
@@ -55,13 +74,44 @@ export default function TopNavbar({ isMenuOpen, setIsMenuOpen }) {
           </div>
         </motion.button>
 
-        {/* Logo */}
-        <Link to="/" className="font-bold text-xl text-white font-huninn tracking-wide select-none">
-          ShoppingList
-        </Link>
+        {/* Logo, with the offline / syncing indicator */}
+        <div className="flex items-center gap-3">
+          <Link to="/" className="font-bold text-xl text-white font-huninn tracking-wide select-none">
+            ShoppingList
+          </Link>
+          {!online ? (
+            <span
+              className="flex items-center gap-1 bg-amber-400 text-white text-xs font-huninn rounded-full px-2 py-1"
+              title="השינויים יישמרו כשהחיבור יחזור"
+            >
+              <CloudOff size={14} />
+              לא מקוון{pending > 0 && ` · ${pending} שינויים ממתינים`}
+            </span>
+          ) : (
+            pending > 0 && (
+              <span className="flex items-center gap-1 bg-sky-400 text-white text-xs font-huninn rounded-full px-2 py-1">
+                <RefreshCw size={14} className="animate-spin" />
+                מסנכרן {pending} שינויים
+              </span>
+            )
+          )}
+        </div>
 
-        {/* Spacer for responsive layout */}
-        <div className="md:hidden w-6" />
+        {/* Signed-in user & logout (or spacer for responsive layout) */}
+        {user ? (
+          <motion.button
+            onClick={handleLogout}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="flex items-center gap-2 text-white font-huninn cursor-pointer"
+            aria-label="Log out"
+          >
+            <span className="hidden md:inline text-md">{user.name}</span>
+            <LogOut size={20} />
+          </motion.button>
+        ) : (
+          <div className="md:hidden w-6" />
+        )}
       </div>
     </nav>
   );
@@ -8,9 +8,11 @@ import { motion } from "framer-motion";
 
 // Components
 import CustomInputFloating from "../common/CustomInputFloating";
+import TemplatePicker from "./TemplatePicker";
 
 // API & Validation
 import { createList } from "../../api/lists";
+import { createListFromTemplate } from "../../api/templates";
 import { validateListCreation } from "../../validators/listValidator";
 
 // Context
@@ -22,7 +24,8 @@ import { useErrorHandler } from "../../context/ErrorContext"; // for success/err
  *
  * Features:
  * - Input field with live validation (via validateListCreation)
- * - Uses API call (createList) to save the list
+ * - Optional template picker: the new list starts with the template's items
+ * - Uses API call (createList / createListFromTemplate) to save the list
  * - Error & success handling via ErrorContext
  * - Loading state with spinner when creating
  * - After creation, navigates automatically to ItemsPage
@@ -31,6 +34,9 @@ export default function CreateList() {
   // The name of the list typed by the user
   const [name, setName] = useState("");
 
+  // The template the list is created from (null for an empty list)
+  const [template, setTemplate] = useState(null);
+
   // Whether a list creation request is currently loading
   const [isLoadingCreate, setIsLoadingCreate] = useState(false);
 
@@ -58,7 +64,9 @@ export default function CreateList() {
 
     setIsLoadingCreate(true);
     try {
-      const data = await createList(name);
+      const data = template
+        ? await createListFromTemplate(template.id, name)
+        : await createList(name);
       showSuccess("הרשימה נוצרה בהצלחה!");
       // Redirect to items-page for the new list
       navigate(`/items-page/${data.id}`, { state: { list: data } });
@@ -76,7 +84,11 @@ export default function CreateList() {
         {/* Input field with floating label */}
         <CustomInputFloating
           id="ListNameInput"
-          label="שם הרשימה (אם ריק- נשתמש בתאריך הנוכחי)"
+          label={
+            template
+              ? "שם הרשימה (אם ריק- נשתמש בשם התבנית)"
+              : "שם הרשימה (אם ריק- נשתמש בתאריך הנוכחי)"
+          }
           value={name}
           onChange={(e) => {
             setName(e.target.value);
@@ -89,6 +101,9 @@ export default function CreateList() {
           isErrorTooltip={false}
         />
 
+        {/* Template picker */}
+        <TemplatePicker value={template?.id ?? ""} onChange={setTemplate} />
+
         {/* Submit button */}
         <motion.button
           type="submit"
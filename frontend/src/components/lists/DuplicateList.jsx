@@ -0,0 +1,126 @@
+import { useState } from "react";
+
+// Icons & Animations
+import { Copy, Loader2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import CustomInputFloating from "../common/CustomInputFloating";
+
+// Validation
+import { validateListCreation } from "../../validators/listValidator";
+
+/**
+ * DuplicateList
+ * A form for copying an existing list and its items into a new list.
+ *
+ * Props:
+ * - list: The list to copy ({ id, name })
+ * - onDuplicate: Async function (listId, options) → new list or null (see useLists.handleDuplicate)
+ * - onSuccess: Callback invoked with the new list
+ *
+ * Features:
+ * - Optional name for the copy (default: "<name> (עותק)")
+ * - Reset "bought" flags and/or copy only the items that were not bought
+ * - Loading state with spinner while copying
+ */
+export default function DuplicateList({ list, onDuplicate, onSuccess }) {
+  // The name of the copy typed by the user
+  const [name, setName] = useState("");
+
+  // Copy options
+  const [resetBought, setResetBought] = useState(true);
+  const [onlyUnbought, setOnlyUnbought] = useState(false);
+
+  // Whether the duplicate request is currently loading
+  const [isLoadingDuplicate, setIsLoadingDuplicate] = useState(false);
+
+  // Object holding validation errors (per field)
+  const [errors, setErrors] = useState({});
+
+  /**
+   * Handles form submission
+   * - Validates input
+   * - Copies the list and notifies the parent on success
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateListCreation(name);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsLoadingDuplicate(true);
+    try {
+      const newList = await onDuplicate(list.id, { name, resetBought, onlyUnbought });
+      if (newList) onSuccess?.(newList);
+    } finally {
+      setIsLoadingDuplicate(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm p-2 font-huninn">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sky-700 font-semibold">שכפול הרשימה "{list?.name}"</p>
+
+        {/* Name of the copy */}
+        <CustomInputFloating
+          id="DuplicateNameInput"
+          label="שם הרשימה החדשה (אם ריק- נוסיף (עותק) לשם)"
+          value={name}
+          onChange={(e) => {
+            setName(e.target.value);
+            setErrors(validateListCreation(e.target.value));
+          }}
+          maxLength={50}
+          error={errors.name}
+          isErrorTooltip={false}
+        />
+
+        {/* Copy options */}
+        <label className="flex items-center gap-2 text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-info"
+            checked={resetBought}
+            onChange={(e) => setResetBought(e.target.checked)}
+          />
+          איפוס סימוני "נקנה"
+        </label>
+        <label className="flex items-center gap-2 text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-info"
+            checked={onlyUnbought}
+            onChange={(e) => setOnlyUnbought(e.target.checked)}
+          />
+          העתקת מוצרים שלא נקנו בלבד
+        </label>
+
+        {/* Submit button */}
+        <motion.button
+          type="submit"
+          disabled={isLoadingDuplicate}
+          whileHover={{ scale: isLoadingDuplicate ? 1 : 1.03 }}
+          whileTap={{ scale: isLoadingDuplicate ? 1 : 0.97 }}
+          className="mt-6 bg-gradient-to-r from-sky-600 to-sky-500 
+             text-white px-4 py-2 rounded-xl shadow-md 
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse"
+        >
+          {/* Spinner while copying */}
+          {isLoadingDuplicate && <Loader2 className="animate-spin w-4 h-4" />}
+
+          <span className="text-md font-medium">
+            {isLoadingDuplicate ? "משכפל..." : "שכפול"}
+          </span>
+
+          <Copy size={16} />
+        </motion.button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useState } from "react";
+
+// Icons & Animations
+import { FileUp, Loader2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Utils
+import { LIST_FILE_UNRESOLVED_LABELS } from "../../utils/constants";
+
+/**
+ * ImportListFile
+ * A form for recreating lists from a CSV / JSON file exported by the app.
+ *
+ * Props:
+ * - onImport: Async function called with the chosen file; resolves to { lists, unresolved } or null
+ * - onSuccess: Callback invoked when the import is done (right away, or after the skipped rows were shown)
+ *
+ * Features:
+ * - Accepts .csv and .json files
+ * - Loading state with spinner while importing
+ * - Lists the rows that were skipped because their category / unit is unknown
+ */
+export default function ImportListFile({ onImport, onSuccess }) {
+  // The chosen file
+  const [file, setFile] = useState(null);
+
+  // Rows skipped by the last import (null until something was imported)
+  const [unresolved, setUnresolved] = useState(null);
+
+  const [isLoadingImport, setIsLoadingImport] = useState(false);
+
+  /** Import the chosen file */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setIsLoadingImport(true);
+    try {
+      const result = await onImport(file);
+      if (!result) return;
+      if (result.unresolved.length === 0) onSuccess?.();
+      else setUnresolved(result.unresolved);
+    } finally {
+      setIsLoadingImport(false);
+    }
+  };
+
+  // --- After an import with skipped rows ---
+  if (unresolved) {
+    return (
+      <div className="max-w-sm p-2 font-huninn space-y-4">
+        <p className="text-gray-700">{unresolved.length} שורות לא יובאו:</p>
+        <ul className="space-y-2 max-h-60 overflow-y-auto text-sm">
+          {unresolved.map((row) => (
+            <li key={`${row.list}-${row.row}`} className="bg-amber-50 rounded-lg px-3 py-2">
+              <p className="text-gray-800">
+                {row.list} · שורה {row.row}: {row.name || "-"}
+              </p>
+              <p className="text-xs text-amber-700">
+                {LIST_FILE_UNRESOLVED_LABELS[row.reason]}
+                {row.reason === "category" && ` (${row.category || "-"})`}
+                {row.reason === "unit" && ` (${row.unit || "-"})`}
+              </p>
+            </li>
+          ))}
+        </ul>
+        <motion.button
+          type="button"
+          onClick={() => onSuccess?.()}
+          whileHover={{ scale: 1.03 }}
+          whileTap={{ scale: 0.97 }}
+          className="bg-gradient-to-r from-sky-600 to-sky-500 text-white px-4 py-2 rounded-xl shadow-md cursor-pointer"
+        >
+          סגירה
+        </motion.button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-sm p-2 font-huninn">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {/* File input */}
+        <label htmlFor="listFile" className="block text-md text-gray-600">
+          קובץ CSV או JSON שיוצא מהאפליקציה
+        </label>
+        <input
+          id="listFile"
+          type="file"
+          accept=".csv,.json"
+          onChange={(e) => setFile(e.target.files[0] ?? null)}
+          className="file-input file-input-bordered w-full"
+        />
+
+        {/* Submit button */}
+        <motion.button
+          type="submit"
+          disabled={isLoadingImport || !file}
+          whileHover={{ scale: isLoadingImport ? 1 : 1.03 }}
+          whileTap={{ scale: isLoadingImport ? 1 : 0.97 }}
+          className="bg-gradient-to-r from-sky-600 to-sky-500 
+             text-white px-4 py-2 rounded-xl shadow-md 
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse disabled:opacity-50"
+        >
+          {isLoadingImport && <Loader2 className="animate-spin w-4 h-4" />}
+          <span className="text-md font-medium">{isLoadingImport ? "מייבא..." : "ייבוא רשימות"}</span>
+          <FileUp size={16} />
+        </motion.button>
+      </form>
+    </div>
+  );
+}
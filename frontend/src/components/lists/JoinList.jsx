@@ -0,0 +1,108 @@
+import { useState } from "react";
+
+// Icons & Animations
+import { FaArrowLeft } from "react-icons/fa";
+import { Loader2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import CustomInputFloating from "../common/CustomInputFloating";
+
+// API
+import { joinList } from "../../api/members";
+
+// Context
+import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
+
+/**
+ * JoinList
+ * A form for joining a shared shopping list with an invite code.
+ *
+ * Props:
+ * - onSuccess: Callback invoked with the joined list after a successful join
+ *
+ * Features:
+ * - Invite code input (required)
+ * - Error & success handling via ErrorContext
+ * - Loading state with spinner while joining
+ */
+export default function JoinList({ onSuccess }) {
+  // The invite code typed by the user
+  const [code, setCode] = useState("");
+
+  // Whether the join request is currently loading
+  const [isLoadingJoin, setIsLoadingJoin] = useState(false);
+
+  // Object holding validation errors (per field)
+  const [errors, setErrors] = useState({});
+
+  const { showError, showSuccess } = useErrorHandler();
+
+  /**
+   * Handles form submission
+   * - Validates input
+   * - Calls API to join the list
+   * - Shows notifications and notifies the parent on success
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setErrors({ code: "שדה חובה" });
+      return;
+    }
+
+    setIsLoadingJoin(true);
+    try {
+      const list = await joinList(code);
+      showSuccess(`הצטרפת לרשימה "${list.name}"`);
+      onSuccess?.(list);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setIsLoadingJoin(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm p-2 font-huninn">
+      <form onSubmit={handleSubmit} className="space-y-4">
+
+        {/* Invite code input */}
+        <CustomInputFloating
+          id="InviteCodeInput"
+          label="* קוד הזמנה"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value.toUpperCase());
+            setErrors({});
+          }}
+          maxLength={20}
+          error={errors.code}
+          isErrorTooltip={false}
+        />
+
+        {/* Submit button */}
+        <motion.button
+          type="submit"
+          disabled={isLoadingJoin}
+          whileHover={{ scale: isLoadingJoin ? 1 : 1.03 }}
+          whileTap={{ scale: isLoadingJoin ? 1 : 0.97 }}
+          className="mt-10 bg-gradient-to-r from-sky-600 to-sky-500 
+             text-white px-4 py-2 rounded-xl shadow-md 
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse"
+        >
+          {/* Spinner while joining */}
+          {isLoadingJoin && <Loader2 className="animate-spin w-4 h-4" />}
+
+          <span className="text-md font-medium">
+            {isLoadingJoin ? "מצטרף..." : "הצטרפות"}
+          </span>
+
+          <FaArrowLeft size={14} />
+        </motion.button>
+      </form>
+    </div>
+  );
+}
@@ -3,7 +3,7 @@ import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 
 // Icons & Animations
-import { ChevronDown, ChevronLeft, Save, X, ShoppingBasket, Loader2, ChartPie } from "lucide-react";
+import { ChevronDown, ChevronLeft, Save, X, ShoppingBasket, Loader2, ChartPie, Users, Copy } from "lucide-react";
 import { motion } from "framer-motion";
 
 // Utils
@@ -11,6 +11,9 @@ import { format } from "date-fns";
 
 // Components
 import CustomInput from "../common/CustomInput";
+import MemberAvatars from "./MemberAvatars";
+import RecurringBadge from "./RecurringBadge";
+import RecurrenceEditor from "./RecurrenceEditor";
 
 /**
  * ListCard
@@ -18,6 +21,11 @@ import CustomInput from "../common/CustomInput";
  *
  * Features:
  * - Expand/collapse to show details and actions
+ * - Badge for lists generated automatically by a recurrence
+ * - Recurrence editor for creating a copy of the list on a schedule
+ * - Shows the list members; "share" opens the manage-members dialog
+ * - Save is shown to owners and editors, delete to the owner only
+ * - "Duplicate" opens the duplicate-list dialog
  * - Displays loading states for save/delete operations
  */
 export default function ListCard({
@@ -29,6 +37,8 @@ export default function ListCard({
   handleSave,
   handleDelete,
   handleViewItems,
+  handleShare,
+  handleDuplicate,
   fieldErrors = {},
 }) {
   // Whether save operation is loading
@@ -38,6 +48,8 @@ export default function ListCard({
   const [isLoadingDelete, setIsLoadingDelete] = useState(false);
 
   const navigate = useNavigate();
+  const canEdit = list.role !== "VIEWER";
+  const isOwner = list.role === "OWNER";
   const labelColor = isOpen ? "text-white" : "text-sky-700";
 
   /** Save handler */
@@ -79,7 +91,9 @@ export default function ListCard({
             <ChevronLeft className="text-sky-500" />
           )}
           <span>{list.name ?? ""}</span>
+          <RecurringBadge list={list} />
         </div>
+        <MemberAvatars members={list.members} />
       </div>
 
       {/* Expanded content */}
@@ -98,6 +112,7 @@ export default function ListCard({
               handleFieldUpdate={handleFieldUpdate}
               index={index}
               isErrorTooltip={false}
+              disabled={!canEdit}
             />
           </div>
 
@@ -112,6 +127,9 @@ export default function ListCard({
             />
           </div>
 
+          {/* Recurrence */}
+          <RecurrenceEditor listId={list.id} labelColor={labelColor} />
+
           {/* Action buttons */}
           <div className="mt-4 flex gap-2 text-md overflow-x-auto no-scrollbar scrollbar-hide p-2">
             {/* View items */}
@@ -128,42 +146,76 @@ export default function ListCard({
             </motion.button>
 
             {/* Save */}
+            {canEdit && (
+              <motion.button
+                whileHover={{ scale: isLoadingSave ? 1 : 1.05 }}
+                whileTap={{ scale: isLoadingSave ? 1 : 0.95 }}
+                onClick={onSave}
+                disabled={isLoadingSave}
+                className="text-sky-600 hover:text-sky-700 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+              >
+                <div className="w-4 flex justify-center">
+                  {isLoadingSave ? (
+                    <Loader2 className="animate-spin w-4 h-4" />
+                  ) : (
+                    <Save size={16} />
+                  )}
+                </div>
+                <span className="inline-block min-w-[60px] text-center">
+                  {isLoadingSave ? "מעדכן..." : "עדכון"}
+                </span>
+              </motion.button>
+            )}
+
+            {/* Delete */}
+            {isOwner && (
+              <motion.button
+                whileHover={{ scale: isLoadingDelete ? 1 : 1.05 }}
+                whileTap={{ scale: isLoadingDelete ? 1 : 0.95 }}
+                onClick={onDelete}
+                disabled={isLoadingDelete}
+                className="text-red-500 hover:text-red-600 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+              >
+                <div className="w-4 flex justify-center">
+                  {isLoadingDelete ? (
+                    <Loader2 className="animate-spin w-4 h-4" />
+                  ) : (
+                    <X size={16} />
+                  )}
+                </div>
+                <span className="inline-block min-w-[60px] text-center">
+                  {isLoadingDelete ? "מוחק..." : "מחיקה"}
+                </span>
+              </motion.button>
+            )}
+
+            {/* Duplicate */}
             <motion.button
-              whileHover={{ scale: isLoadingSave ? 1 : 1.05 }}
-              whileTap={{ scale: isLoadingSave ? 1 : 0.95 }}
-              onClick={onSave}
-              disabled={isLoadingSave}
-              className="text-sky-600 hover:text-sky-700 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => handleDuplicate(list)}
+              className="text-teal-400 hover:text-teal-500 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer"
             >
               <div className="w-4 flex justify-center">
-                {isLoadingSave ? (
-                  <Loader2 className="animate-spin w-4 h-4" />
-                ) : (
-                  <Save size={16} />
-                )}
+                <Copy size={16} />
               </div>
               <span className="inline-block min-w-[60px] text-center">
-                {isLoadingSave ? "מעדכן..." : "עדכון"}
+                שכפול
               </span>
             </motion.button>
 
-            {/* Delete */}
+            {/* Share */}
             <motion.button
-              whileHover={{ scale: isLoadingDelete ? 1 : 1.05 }}
-              whileTap={{ scale: isLoadingDelete ? 1 : 0.95 }}
-              onClick={onDelete}
-              disabled={isLoadingDelete}
-              className="text-red-500 hover:text-red-600 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => handleShare(list)}
+              className="text-amber-400 hover:text-amber-500 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer"
             >
               <div className="w-4 flex justify-center">
-                {isLoadingDelete ? (
-                  <Loader2 className="animate-spin w-4 h-4" />
-                ) : (
-                  <X size={16} />
-                )}
+                <Users size={16} />
               </div>
               <span className="inline-block min-w-[60px] text-center">
-                {isLoadingDelete ? "מוחק..." : "מחיקה"}
+                שיתוף
               </span>
             </motion.button>
 
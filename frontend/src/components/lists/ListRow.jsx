@@ -3,7 +3,7 @@ import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 
 // Icons & Animations
-import { X, Save, ShoppingBasket, Loader2, PieChart } from "lucide-react";
+import { X, Save, ShoppingBasket, Loader2, PieChart, Users, Copy } from "lucide-react";
 import { motion } from "framer-motion";
 
 // Utils
@@ -11,6 +11,8 @@ import { format } from "date-fns";
 
 // Components
 import CustomInput from "../common/CustomInput";
+import MemberAvatars from "./MemberAvatars";
+import RecurringBadge from "./RecurringBadge";
 
 /**
  * ListRow
@@ -18,6 +20,10 @@ import CustomInput from "../common/CustomInput";
  *
  * Features:
  * - Editable name field with inline validation
+ * - Badge for lists generated automatically by a recurrence
+ * - Shows the list members; "share" opens the manage-members dialog
+ * - Save is shown to owners and editors, delete to the owner only
+ * - "Duplicate" opens the duplicate-list dialog
  * - Displays loading states for save/delete operations
  */
 export default function ListRow({
@@ -27,6 +33,8 @@ export default function ListRow({
   handleDelete,
   handleFieldUpdate,
   handleSave,
+  handleShare,
+  handleDuplicate,
   fieldErrors = {},
 }) {
   // Whether save operation is loading
@@ -36,6 +44,8 @@ export default function ListRow({
   const [isLoadingDelete, setIsLoadingDelete] = useState(false);
 
   const navigate = useNavigate();
+  const canEdit = list.role !== "VIEWER";
+  const isOwner = list.role === "OWNER";
 
   /** Save handler */
   const onSave = async () => {
@@ -61,17 +71,21 @@ export default function ListRow({
     <tr>
       {/* Editable name */}
       <td>
-        <CustomInput
-          field="name"
-          type="text"
-          value={list.name ?? ""}
-          placeholder="שם רשימה"
-          maxLength="50"
-          fieldErrors={fieldErrors}
-          handleFieldUpdate={handleFieldUpdate}
-          index={index}
-          isErrorTooltip={true}
-        />
+        <div className="flex items-center gap-2">
+          <CustomInput
+            field="name"
+            type="text"
+            value={list.name ?? ""}
+            placeholder="שם רשימה"
+            maxLength="50"
+            fieldErrors={fieldErrors}
+            handleFieldUpdate={handleFieldUpdate}
+            index={index}
+            isErrorTooltip={true}
+            disabled={!canEdit}
+          />
+          <RecurringBadge list={list} />
+        </div>
       </td>
 
       {/* Creation date */}
@@ -85,6 +99,11 @@ export default function ListRow({
         />
       </td>
 
+      {/* Members */}
+      <td>
+        <MemberAvatars members={list.members} />
+      </td>
+
       {/* Action buttons */}
       <td className="flex gap-2 flex-wrap">
         {/* View items */}
@@ -99,43 +118,69 @@ export default function ListRow({
         </motion.button>
 
         {/* Save */}
+        {canEdit && (
+          <motion.button
+            whileHover={{ scale: isLoadingSave ? 1 : 1.05 }}
+            whileTap={{ scale: isLoadingSave ? 1 : 0.95 }}
+            onClick={onSave}
+            disabled={isLoadingSave}
+            className="text-sky-500 hover:text-sky-600 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          >
+            <div className="w-4 flex justify-center">
+              {isLoadingSave ? (
+                <Loader2 className="animate-spin w-4 h-4" />
+              ) : (
+                <Save size={16} />
+              )}
+            </div>
+            <span className="inline-block min-w-[60px] text-center">
+              {isLoadingSave ? "מעדכן..." : "עדכון"}
+            </span>
+          </motion.button>
+        )}
+
+        {/* Delete */}
+        {isOwner && (
+          <motion.button
+            whileHover={{ scale: isLoadingDelete ? 1 : 1.05 }}
+            whileTap={{ scale: isLoadingDelete ? 1 : 0.95 }}
+            onClick={onDelete}
+            disabled={isLoadingDelete}
+            className="text-red-500 hover:text-red-600 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          >
+            <div className="w-4 flex justify-center">
+              {isLoadingDelete ? (
+                <Loader2 className="animate-spin w-4 h-4" />
+              ) : (
+                <X size={16} />
+              )}
+            </div>
+            <span className="inline-block min-w-[60px] text-center">
+              {isLoadingDelete ? "מוחק..." : "מחיקה"}
+            </span>
+          </motion.button>
+        )}
+
+        {/* Duplicate */}
         <motion.button
-          whileHover={{ scale: isLoadingSave ? 1 : 1.05 }}
-          whileTap={{ scale: isLoadingSave ? 1 : 0.95 }}
-          onClick={onSave}
-          disabled={isLoadingSave}
-          className="text-sky-500 hover:text-sky-600 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => handleDuplicate(list)}
+          className="text-teal-400 hover:text-teal-500 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer"
         >
-          <div className="w-4 flex justify-center">
-            {isLoadingSave ? (
-              <Loader2 className="animate-spin w-4 h-4" />
-            ) : (
-              <Save size={16} />
-            )}
-          </div>
-          <span className="inline-block min-w-[60px] text-center">
-            {isLoadingSave ? "מעדכן..." : "עדכון"}
-          </span>
+          <Copy className="w-4 h-4" />
+          <span className="inline-block min-w-[60px] text-center">שכפול</span>
         </motion.button>
 
-        {/* Delete */}
+        {/* Share */}
         <motion.button
-          whileHover={{ scale: isLoadingDelete ? 1 : 1.05 }}
-          whileTap={{ scale: isLoadingDelete ? 1 : 0.95 }}
-          onClick={onDelete}
-          disabled={isLoadingDelete}
-          className="text-red-500 hover:text-red-600 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => handleShare(list)}
+          className="text-amber-400 hover:text-amber-500 rounded-full border-2 p-2 flex items-center gap-2 cursor-pointer"
         >
-          <div className="w-4 flex justify-center">
-            {isLoadingDelete ? (
-              <Loader2 className="animate-spin w-4 h-4" />
-            ) : (
-              <X size={16} />
-            )}
-          </div>
-          <span className="inline-block min-w-[60px] text-center">
-            {isLoadingDelete ? "מוחק..." : "מחיקה"}
-          </span>
+          <Users className="w-4 h-4" />
+          <span className="inline-block min-w-[60px] text-center">שיתוף</span>
         </motion.button>
 
         {/* Statistics */}
@@ -22,6 +22,8 @@ import DataLoader from "../../components/common/DataLoader";
  * - handleFieldUpdate: Function to update a field in a list
  * - handleSave: Function to save a list after edit
  * - handleDelete: Function to delete a list
+ * - handleShare: Function to open the manage-members dialog for a list
+ * - handleDuplicate: Function to open the duplicate-list dialog for a list
  */
 export default function Lists({
   lists,
@@ -33,6 +35,8 @@ export default function Lists({
   handleFieldUpdate,
   handleSave,
   handleDelete,
+  handleShare,
+  handleDuplicate,
 }) {
   return (
     <motion.div
@@ -64,6 +68,7 @@ export default function Lists({
                   <tr className="text-sky-600 text-md">
                     <th className="w-70">שם רשימה</th>
                     <th className="w-45">מועד יצירה</th>
+                    <th>משתתפים</th>
                     <th>פעולות</th>
                   </tr>
                 </thead>
@@ -79,6 +84,8 @@ export default function Lists({
                         handleFieldUpdate={handleFieldUpdate}
                         handleSave={handleSave}
                         handleDelete={handleDelete}
+                        handleShare={handleShare}
+                        handleDuplicate={handleDuplicate}
                         fieldErrors={fieldErrors?.[list?.id] || {}}
                       />
                     ))}
@@ -101,6 +108,8 @@ export default function Lists({
                   handleFieldUpdate={handleFieldUpdate}
                   handleSave={handleSave}
                   handleDelete={handleDelete}
+                  handleShare={handleShare}
+                  handleDuplicate={handleDuplicate}
                   fieldErrors={fieldErrors?.[list?.id] || {}}
                 />
               ))}
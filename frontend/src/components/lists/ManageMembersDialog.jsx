@@ -0,0 +1,224 @@
+// React & Hooks
+import { useState, useEffect } from "react";
+
+// Icons & Animations
+import { Copy, Loader2, Ticket, X, LogOut } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import DynamicDialog from "../common/DynamicDialog";
+
+// API
+import { fetchMembers, createInvite, updateMemberRole, removeMember } from "../../api/members";
+
+// Utils
+import { ROLE_LABELS } from "../../utils/constants";
+
+// Context
+import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
+import { useAuth } from "../../context/AuthContext";
+
+/**
+ * ManageMembersDialog
+ * Dialog for viewing and managing the members of a shared list.
+ *
+ * Props:
+ * - list: The list whose members are managed (null closes the dialog)
+ * - onClose: Callback for closing the dialog
+ * - onMembersChange: Callback invoked after members changed (e.g. to reload lists)
+ *
+ * Features:
+ * - Lists the owner and members with their roles
+ * - Owner: change member roles, remove members, generate invite codes
+ * - Member: leave the list
+ */
+export default function ManageMembersDialog({ list, onClose, onMembersChange }) {
+  // Members of the list [{ userId, name, role }]
+  const [members, setMembers] = useState([]);
+
+  // Whether the members are currently loading
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Role granted by the next invite code
+  const [inviteRole, setInviteRole] = useState("EDITOR");
+
+  // Last generated invite { code, role, expiresAt }
+  const [invite, setInvite] = useState(null);
+
+  // Whether an invite code is being generated
+  const [isLoadingInvite, setIsLoadingInvite] = useState(false);
+
+  const { showError, showSuccess } = useErrorHandler();
+  const { user } = useAuth();
+
+  const isOwner = list?.role === "OWNER";
+
+  /**
+   * Load members whenever a different list is opened
+   */
+  useEffect(() => {
+    if (!list) return;
+    setInvite(null);
+    setIsLoading(true);
+    fetchMembers(list.id)
+      .then(setMembers)
+      .catch(showError)
+      .finally(() => setIsLoading(false));
+  }, [list, showError]);
+
+  /** Generate a new invite code */
+  const handleInvite = async () => {
+    setIsLoadingInvite(true);
+    try {
+      setInvite(await createInvite(list.id, inviteRole));
+    } catch (err) {
+      showError(err);
+    } finally {
+      setIsLoadingInvite(false);
+    }
+  };
+
+  /** Copy the invite code to the clipboard */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(invite.code);
+      showSuccess("הקוד הועתק.");
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /** Change the role of a member */
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const updated = await updateMemberRole(list.id, userId, role);
+      setMembers((prev) => prev.map((m) => (m.userId === userId ? updated : m)));
+      onMembersChange?.();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /** Remove a member, or leave the list when removing yourself */
+  const handleRemove = async (userId) => {
+    try {
+      await removeMember(list.id, userId);
+      if (userId === user.id) {
+        showSuccess("עזבת את הרשימה.");
+        onMembersChange?.();
+        onClose();
+        return;
+      }
+      setMembers((prev) => prev.filter((m) => m.userId !== userId));
+      onMembersChange?.();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  return (
+    <DynamicDialog
+      open={!!list}
+      mode="info"
+      title={`שיתוף "${list?.name ?? ""}"`}
+      onClose={onClose}
+    >
+      {/* Members */}
+      {isLoading ? (
+        <div className="flex justify-center">
+          <Loader2 className="animate-spin w-5 h-5 text-sky-500" />
+        </div>
+      ) : (
+        <ul className="space-y-2 max-h-60 overflow-y-auto">
+          {members.map((member) => (
+            <li
+              key={member.userId}
+              className="flex items-center justify-between gap-2 rounded-xl bg-sky-50 px-3 py-2"
+            >
+              <span className="font-medium text-gray-800">
+                {member.name}
+                {member.userId === user?.id && " (את/ה)"}
+              </span>
+
+              <div className="flex items-center gap-2">
+                {isOwner && member.role !== "OWNER" ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member.userId, e.target.value)}
+                    className="select select-sm select-bordered"
+                  >
+                    <option value="EDITOR">{ROLE_LABELS.EDITOR}</option>
+                    <option value="VIEWER">{ROLE_LABELS.VIEWER}</option>
+                  </select>
+                ) : (
+                  <span className="text-sm text-sky-700">{ROLE_LABELS[member.role]}</span>
+                )}
+
+                {/* Remove (owner) / leave (self) */}
+                {member.role !== "OWNER" && (isOwner || member.userId === user?.id) && (
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => handleRemove(member.userId)}
+                    title={member.userId === user?.id ? "עזיבת הרשימה" : "הסרה מהרשימה"}
+                    className="text-red-500 hover:text-red-600 cursor-pointer"
+                  >
+                    {member.userId === user?.id ? <LogOut size={16} /> : <X size={16} />}
+                  </motion.button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Invite (owner only) */}
+      {isOwner && (
+        <div className="space-y-3 border-t border-gray-200 pt-4">
+          <p className="text-gray-700">הזמנת משתתף באמצעות קוד:</p>
+          <div className="flex items-center gap-2">
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="select select-sm select-bordered"
+            >
+              <option value="EDITOR">{ROLE_LABELS.EDITOR}</option>
+              <option value="VIEWER">{ROLE_LABELS.VIEWER}</option>
+            </select>
+
+            <motion.button
+              whileHover={{ scale: isLoadingInvite ? 1 : 1.05 }}
+              whileTap={{ scale: isLoadingInvite ? 1 : 0.95 }}
+              onClick={handleInvite}
+              disabled={isLoadingInvite}
+              className="text-sky-500 hover:text-sky-600 rounded-full border-2 px-3 py-1 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+            >
+              {isLoadingInvite ? <Loader2 className="animate-spin w-4 h-4" /> : <Ticket size={16} />}
+              <span>יצירת קוד</span>
+            </motion.button>
+          </div>
+
+          {invite && (
+            <div className="flex items-center justify-between rounded-xl bg-sky-100 px-3 py-2">
+              <div>
+                <span className="font-mono text-lg tracking-widest text-sky-800">{invite.code}</span>
+                <p className="text-xs text-gray-500">
+                  {ROLE_LABELS[invite.role]} · בתוקף עד {new Date(invite.expiresAt).toLocaleDateString("he-IL")}
+                </p>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={handleCopy}
+                title="העתקה"
+                className="text-sky-600 hover:text-sky-700 cursor-pointer"
+              >
+                <Copy size={18} />
+              </motion.button>
+            </div>
+          )}
+        </div>
+      )}
+    </DynamicDialog>
+  );
+}
@@ -0,0 +1,40 @@
+// Utils
+import { ROLE_LABELS } from "../../utils/constants";
+
+/**
+ * MemberAvatars
+ * A compact row of initials representing the members of a list.
+ *
+ * Props:
+ * - members: Array of members [{ userId, name, role }]
+ * - max: Maximum number of avatars shown before collapsing into "+N" (default 4)
+ *
+ * Features:
+ * - Owner is highlighted with a darker color
+ * - Hovering an avatar shows the member's name and role
+ */
+export default function MemberAvatars({ members = [], max = 4 }) {
+  const visible = members.slice(0, max);
+  const hiddenCount = members.length - visible.length;
+
+  return (
+    <div className="flex -space-x-2 rtl:space-x-reverse">
+      {visible.map((member) => (
+        <span
+          key={member.userId}
+          title={`${member.name} (${ROLE_LABELS[member.role]})`}
+          className={`w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-xs font-bold text-white ${
+            member.role === "OWNER" ? "bg-sky-600" : "bg-sky-400"
+          }`}
+        >
+          {member.name?.charAt(0).toUpperCase()}
+        </span>
+      ))}
+      {hiddenCount > 0 && (
+        <span className="w-7 h-7 rounded-full border-2 border-white bg-gray-300 flex items-center justify-center text-xs font-bold text-gray-700">
+          +{hiddenCount}
+        </span>
+      )}
+    </div>
+  );
+}
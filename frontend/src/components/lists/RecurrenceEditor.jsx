@@ -0,0 +1,139 @@
+// React & Hooks
+import { useEffect, useState } from "react";
+
+// Icons & Animations
+import { Repeat, Loader2, X } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Utils
+import { format } from "date-fns";
+import {
+  RECURRENCE_FREQUENCY_LABELS,
+  WEEKDAY_LABELS,
+  MAX_RECURRENCE_DAY_OF_MONTH,
+} from "../../utils/constants";
+
+// Hooks
+import { useRecurrence } from "../../hooks/useRecurrence";
+
+// Days selectable for monthly recurrences
+const MONTH_DAYS = Array.from({ length: MAX_RECURRENCE_DAY_OF_MONTH }, (_, i) => i + 1);
+
+const selectClassName =
+  "rounded-lg border border-gray-300 px-3 py-2 bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-sky-400";
+
+/**
+ * RecurrenceEditor
+ * Schedules a new copy of a list to be created automatically
+ * (e.g. every Sunday), with its items reset to not bought.
+ *
+ * Features:
+ * - Frequency (weekly / biweekly / monthly) and day selection
+ * - Shows when the next list will be created
+ * - Save and stop actions with loading state
+ *
+ * Props:
+ * - listId: ID of the source list
+ * - labelColor: Tailwind text color class for labels (matches the card state)
+ */
+export default function RecurrenceEditor({ listId, labelColor = "text-sky-700" }) {
+  const { recurrence, loading, saving, handleSave, handleStop } = useRecurrence(listId);
+
+  // Draft schedule, initialised from the saved recurrence
+  const [frequency, setFrequency] = useState("");
+  const [dayOfWeek, setDayOfWeek] = useState(0);
+  const [dayOfMonth, setDayOfMonth] = useState(1);
+
+  useEffect(() => {
+    setFrequency(recurrence?.frequency ?? "");
+    setDayOfWeek(recurrence?.dayOfWeek ?? 0);
+    setDayOfMonth(recurrence?.dayOfMonth ?? 1);
+  }, [recurrence]);
+
+  const isMonthly = frequency === "MONTHLY";
+
+  if (loading) return <Loader2 className="animate-spin text-sky-600 w-4 h-4" />;
+
+  return (
+    <div>
+      <p className={`flex items-center gap-1 text-md mb-1 ${labelColor}`}>
+        <Repeat size={16} />
+        יצירה אוטומטית
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {/* Frequency */}
+        <select
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+          className={selectClassName}
+        >
+          <option value="">ללא</option>
+          {Object.entries(RECURRENCE_FREQUENCY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {/* Day */}
+        {frequency && (
+          <select
+            value={isMonthly ? dayOfMonth : dayOfWeek}
+            onChange={(e) =>
+              isMonthly ? setDayOfMonth(Number(e.target.value)) : setDayOfWeek(Number(e.target.value))
+            }
+            className={selectClassName}
+          >
+            {isMonthly
+              ? MONTH_DAYS.map((day) => (
+                  <option key={day} value={day}>
+                    ב-{day} לחודש
+                  </option>
+                ))
+              : WEEKDAY_LABELS.map((label, day) => (
+                  <option key={day} value={day}>
+                    ביום {label}
+                  </option>
+                ))}
+          </select>
+        )}
+
+        {/* Save */}
+        {frequency && (
+          <motion.button
+            whileHover={{ scale: saving ? 1 : 1.05 }}
+            whileTap={{ scale: saving ? 1 : 0.95 }}
+            onClick={() => handleSave({ frequency, dayOfWeek, dayOfMonth })}
+            disabled={saving}
+            className="text-sky-600 hover:text-sky-700 rounded-full border-2 px-3 py-1 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          >
+            {saving ? <Loader2 className="animate-spin w-4 h-4" /> : <Repeat size={16} />}
+            {recurrence ? "עדכון" : "הפעלה"}
+          </motion.button>
+        )}
+
+        {/* Stop */}
+        {recurrence && (
+          <motion.button
+            whileHover={{ scale: saving ? 1 : 1.05 }}
+            whileTap={{ scale: saving ? 1 : 0.95 }}
+            onClick={handleStop}
+            disabled={saving}
+            className="text-red-500 hover:text-red-600 rounded-full border-2 px-3 py-1 flex items-center gap-2 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+          >
+            <X size={16} />
+            הפסקה
+          </motion.button>
+        )}
+      </div>
+
+      {/* Next run */}
+      {recurrence && (
+        <p className={`text-sm mt-1 ${labelColor}`}>
+          הרשימה הבאה תיווצר ב-{format(new Date(recurrence.nextRunAt), "dd/MM/yyyy")}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+// Icons
+import { Repeat } from "lucide-react";
+
+/**
+ * RecurringBadge
+ * Small pill marking a list that was generated automatically by a recurrence.
+ *
+ * Props:
+ * - list: The list object; nothing is rendered unless it has a `recurrenceId`
+ */
+export default function RecurringBadge({ list }) {
+  if (!list?.recurrenceId) return null;
+
+  return (
+    <span
+      title="נוצרה אוטומטית"
+      className="inline-flex items-center gap-1 bg-teal-100 text-teal-700 text-xs font-semibold px-2 py-0.5 rounded-full whitespace-nowrap"
+    >
+      <Repeat size={12} />
+      אוטומטית
+    </span>
+  );
+}
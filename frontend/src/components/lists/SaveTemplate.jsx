@@ -0,0 +1,110 @@
+import { useState } from "react";
+
+// Icons & Animations
+import { BookmarkPlus, Loader2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import CustomInputFloating from "../common/CustomInputFloating";
+
+// API & Validation
+import { createTemplate } from "../../api/templates";
+import { validateListUpdate } from "../../validators/listValidator";
+
+// Context
+import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
+
+/**
+ * SaveTemplate
+ * A form for saving the items of a list as a template for new lists.
+ *
+ * Props:
+ * - list: The list whose items are saved ({ id, name })
+ * - onSuccess: Callback invoked with the created template
+ *
+ * Features:
+ * - Template name input (required, defaults to the list name)
+ * - Error & success handling via ErrorContext
+ * - Loading state with spinner while saving
+ */
+export default function SaveTemplate({ list, onSuccess }) {
+  // The template name typed by the user
+  const [name, setName] = useState(list?.name || "");
+
+  // Whether the save request is currently loading
+  const [isLoadingSave, setIsLoadingSave] = useState(false);
+
+  // Object holding validation errors (per field)
+  const [errors, setErrors] = useState({});
+
+  const { showError, showSuccess } = useErrorHandler();
+
+  /**
+   * Handles form submission
+   * - Validates input
+   * - Calls API to save the template
+   * - Shows notifications and notifies the parent on success
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateListUpdate({ name });
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsLoadingSave(true);
+    try {
+      const template = await createTemplate(list.id, name);
+      showSuccess(`התבנית "${template.name}" נשמרה`);
+      onSuccess?.(template);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setIsLoadingSave(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm p-2 font-huninn">
+      <form onSubmit={handleSubmit} className="space-y-4">
+
+        {/* Template name input */}
+        <CustomInputFloating
+          id="TemplateNameInput"
+          label="* שם התבנית"
+          value={name}
+          onChange={(e) => {
+            setName(e.target.value);
+            setErrors(validateListUpdate({ name: e.target.value }));
+          }}
+          maxLength={50}
+          error={errors.name}
+          isErrorTooltip={false}
+        />
+
+        {/* Submit button */}
+        <motion.button
+          type="submit"
+          disabled={isLoadingSave}
+          whileHover={{ scale: isLoadingSave ? 1 : 1.03 }}
+          whileTap={{ scale: isLoadingSave ? 1 : 0.97 }}
+          className="mt-10 bg-gradient-to-r from-sky-600 to-sky-500 
+             text-white px-4 py-2 rounded-xl shadow-md 
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse"
+        >
+          {/* Spinner while saving */}
+          {isLoadingSave && <Loader2 className="animate-spin w-4 h-4" />}
+
+          <span className="text-md font-medium">
+            {isLoadingSave ? "שומר..." : "שמירה כתבנית"}
+          </span>
+
+          <BookmarkPlus size={16} />
+        </motion.button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+// React & Hooks
+import { useEffect, useState } from "react";
+
+// Icons & Animations
+import { Trash2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// API
+import { fetchTemplates, deleteTemplate } from "../../api/templates";
+
+// Context
+import { useErrorHandler } from "../../context/ErrorContext"; // for success/error notifications
+
+/**
+ * TemplatePicker
+ * A select for choosing a saved template to create a new list from.
+ *
+ * Features:
+ * - Loads the user's templates on mount
+ * - "No template" option for an empty list
+ * - Deletes the selected template
+ * - Hidden while the user has no templates
+ *
+ * Props:
+ * - value: ID of the selected template ("" for none)
+ * - onChange: Callback invoked with the selected template object (or null)
+ */
+export default function TemplatePicker({ value, onChange }) {
+  const [templates, setTemplates] = useState([]);
+  const { showError, showSuccess } = useErrorHandler();
+
+  useEffect(() => {
+    fetchTemplates()
+      .then(setTemplates)
+      .catch((err) => showError(err));
+  }, [showError]);
+
+  /**
+   * Deletes the selected template and clears the selection
+   */
+  const handleDelete = async () => {
+    const template = templates.find((t) => String(t.id) === String(value));
+    if (!template) return;
+
+    try {
+      await deleteTemplate(template.id);
+      setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+      onChange(null);
+      showSuccess(`התבנית "${template.name}" נמחקה`);
+    } catch (err) {
+      // 409 → recurring lists are still generated from the template
+      showError(err.code === "CONFLICT" ? new Error("התבנית משמשת רשימות חוזרות – יש לבטל אותן לפני המחיקה") : err);
+    }
+  };
+
+  if (templates.length === 0) return null;
+
+  return (
+    <div>
+      <p className="block text-md text-gray-600 mb-1">תבנית</p>
+      <div className="flex items-center gap-2">
+        <select
+          id="template"
+          value={value}
+          onChange={(e) => onChange(templates.find((t) => String(t.id) === e.target.value) || null)}
+          className="w-full rounded-lg border border-gray-300 px-3 py-2 
+                     focus:outline-none focus:ring-2 focus:ring-sky-400"
+        >
+          <option value="">ללא תבנית</option>
+          {templates.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name} · {t.itemCount} מוצרים
+            </option>
+          ))}
+        </select>
+
+        {value && (
+          <motion.button
+            type="button"
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={handleDelete}
+            className="text-gray-500 hover:text-red-500 transition-colors cursor-pointer"
+          >
+            <Trash2 size={20} />
+          </motion.button>
+        )}
+      </div>
+    </div>
+  );
+}
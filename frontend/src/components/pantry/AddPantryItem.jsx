@@ -0,0 +1,126 @@
+// React & Hooks
+import { useEffect, useState } from "react";
+
+// Icons & Animations
+import { Plus, Loader2 } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import CustomInputFloating from "../common/CustomInputFloating";
+
+// Validation
+import { validatePantryItem } from "../../validators/pantryValidator";
+
+const selectClassName =
+  "w-full rounded-lg border border-gray-300 px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-sky-400";
+
+/**
+ * AddPantryItem
+ * Inline form for adding a product to the pantry.
+ *
+ * Features:
+ * - Name, quantity on hand, low-stock threshold, category, unit and optional expiry date
+ * - Validation via validatePantryItem
+ * - Clears itself after a successful add
+ *
+ * Props:
+ * - categories: Array of categories {id, name}
+ * - units: Array of units {id, name}
+ * - onAdd: Async function (pantryItem) → true on success
+ */
+export default function AddPantryItem({ categories, units, onAdd }) {
+  const emptyForm = { name: "", quantity: 1, minQuantity: 0, categoryId: "", unitId: "", expiresAt: "" };
+  const [form, setForm] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [isAdding, setIsAdding] = useState(false);
+
+  // Default the category and unit once they are loaded
+  useEffect(() => {
+    setForm((prev) => ({
+      ...prev,
+      categoryId: prev.categoryId || categories[0]?.id || "",
+      unitId: prev.unitId || units[0]?.id || "",
+    }));
+  }, [categories, units]);
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validatePantryItem(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsAdding(true);
+    try {
+      if (await onAdd(form)) {
+        setForm((prev) => ({ ...emptyForm, categoryId: prev.categoryId, unitId: prev.unitId }));
+      }
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white/60 rounded-xl p-4 grid gap-3 md:grid-cols-3 text-right">
+      <CustomInputFloating
+        id="PantryNameInput"
+        label="* שם המוצר"
+        value={form.name}
+        onChange={setField("name")}
+        maxLength={50}
+        error={errors.name}
+        isErrorTooltip={false}
+      />
+      <CustomInputFloating
+        id="PantryQuantityInput"
+        label="* כמות בבית"
+        type="number"
+        value={form.quantity}
+        onChange={setField("quantity")}
+        error={errors.quantity}
+        isErrorTooltip={false}
+      />
+      <CustomInputFloating
+        id="PantryMinQuantityInput"
+        label="התראה כשנשאר (כמות)"
+        type="number"
+        value={form.minQuantity}
+        onChange={setField("minQuantity")}
+        error={errors.minQuantity}
+        isErrorTooltip={false}
+      />
+      <select value={form.categoryId} onChange={setField("categoryId")} className={selectClassName}>
+        {categories.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.name}
+          </option>
+        ))}
+      </select>
+      <select value={form.unitId} onChange={setField("unitId")} className={selectClassName}>
+        {units.map((u) => (
+          <option key={u.id} value={u.id}>
+            {u.name}
+          </option>
+        ))}
+      </select>
+      <div className="flex items-center gap-2">
+        <label className="text-sm text-gray-600 flex items-center gap-1 flex-1">
+          תוקף:
+          <input type="date" value={form.expiresAt} onChange={setField("expiresAt")} className={selectClassName} />
+        </label>
+        <motion.button
+          type="submit"
+          disabled={isAdding}
+          whileHover={{ scale: isAdding ? 1 : 1.05 }}
+          whileTap={{ scale: isAdding ? 1 : 0.95 }}
+          className="bg-gradient-to-r from-sky-600 to-sky-500 text-white px-4 py-2 rounded-xl shadow-md cursor-pointer flex items-center gap-2"
+        >
+          {isAdding ? <Loader2 className="animate-spin w-4 h-4" /> : <Plus size={16} />}
+          הוספה
+        </motion.button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,70 @@
+// React & Router
+import { useNavigate } from "react-router-dom";
+
+// Icons & Animations
+import { AlarmClock } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Utils
+import { format } from "date-fns";
+import { EXPIRING_SOON_DAYS } from "../../utils/constants";
+
+// Hooks
+import { useExpiringPantry } from "../../hooks/useExpiringPantry";
+
+/**
+ * describeExpiry
+ * Short Hebrew text for how long until a product expires.
+ *
+ * @param {{ expired: boolean, daysLeft: number }} pantryItem
+ * @returns {string}
+ */
+function describeExpiry({ expired, daysLeft }) {
+  if (expired) return "פג תוקף";
+  if (daysLeft <= 0) return "פג היום";
+  if (daysLeft === 1) return "פג מחר";
+  return `בעוד ${daysLeft} ימים`;
+}
+
+/**
+ * ExpiringSoon
+ * "Expiring soon" section listing pantry products that expire within EXPIRING_SOON_DAYS days.
+ *
+ * Features:
+ * - Expired products are highlighted
+ * - Clicking the section opens the pantry page
+ * - Renders nothing while no product is expiring
+ */
+export default function ExpiringSoon() {
+  const { expiring } = useExpiringPantry();
+  const navigate = useNavigate();
+
+  if (expiring.length === 0) return null;
+
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      whileHover={{ scale: 1.01 }}
+      onClick={() => navigate("/pantry-page")}
+      className="w-full max-w-3xl mt-6 p-4 rounded-2xl backdrop-blur-lg border-2 border-amber-300 bg-white/60 text-right cursor-pointer"
+    >
+      <h2 className="flex items-center gap-2 text-lg font-bold text-amber-600 mb-2">
+        <AlarmClock size={20} />
+        עומד לפוג ב-{EXPIRING_SOON_DAYS} הימים הקרובים
+      </h2>
+      <ul className="space-y-1">
+        {expiring.map((pantryItem) => (
+          <li key={pantryItem.id} className="flex justify-between text-gray-700">
+            <span>
+              {pantryItem.name} · {pantryItem.quantity} {pantryItem.unit?.name ?? ""}
+            </span>
+            <span className={pantryItem.expired ? "text-red-500 font-semibold" : "text-amber-600"}>
+              {describeExpiry(pantryItem)} ({format(new Date(pantryItem.expiresAt), "dd/MM")})
+            </span>
+          </li>
+        ))}
+      </ul>
+    </motion.section>
+  );
+}
@@ -0,0 +1,125 @@
+// React & Hooks
+import { useState } from "react";
+
+// Animations & Icons
+import { motion } from "framer-motion";
+import { Minus, Plus, X, ShoppingCart } from "lucide-react";
+
+// Utils
+import { format } from "date-fns";
+
+/**
+ * PantryEntry
+ * A single product in the pantry.
+ *
+ * Features:
+ * - Quantity on hand with +/- buttons (one unit at a time)
+ * - Low-stock threshold, category, last purchase date and editable expiry date
+ * - Running-low products can be added to a shopping list in one click
+ *
+ * Props:
+ * - pantryItem: The product { id, name, quantity, minQuantity, expiresAt, purchasedAt, lowStock, category, unit }
+ * - lists: Lists the product can be added to [{ id, name }]
+ * - onChangeQuantity: Function (pantryItem, delta)
+ * - onUpdate: Function (pantryItem) saving the whole product
+ * - onDelete: Function (pantryItemId)
+ * - onAddToList: Async function (pantryItem, listId)
+ */
+export default function PantryEntry({ pantryItem, lists = [], onChangeQuantity, onUpdate, onDelete, onAddToList }) {
+  // List the product is added to (defaults to the newest list)
+  const [targetListId, setTargetListId] = useState("");
+  const listId = targetListId || lists[0]?.id || "";
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`w-full rounded-xl p-4 flex flex-wrap items-center justify-between gap-4 text-right ${
+        pantryItem.lowStock ? "bg-amber-50/80 border border-amber-300" : "bg-white/60"
+      }`}
+    >
+      {/* Name & details */}
+      <div className="space-y-1">
+        <p className="font-semibold text-sky-800">{pantryItem.name}</p>
+        <p className="text-sm text-gray-600">
+          {pantryItem.category?.name ?? ""} · מינימום {pantryItem.minQuantity} {pantryItem.unit?.name ?? ""}
+        </p>
+        {pantryItem.purchasedAt && (
+          <p className="text-xs text-gray-500">
+            נקנה לאחרונה ב-{format(new Date(pantryItem.purchasedAt), "dd/MM/yyyy")}
+          </p>
+        )}
+        <label className="text-xs text-gray-500 flex items-center gap-1">
+          תוקף:
+          <input
+            type="date"
+            value={pantryItem.expiresAt ? format(new Date(pantryItem.expiresAt), "yyyy-MM-dd") : ""}
+            onChange={(e) => onUpdate({ ...pantryItem, expiresAt: e.target.value })}
+            className="bg-transparent border-b border-gray-300 focus:outline-none"
+          />
+        </label>
+      </div>
+
+      {/* Quantity on hand */}
+      <div className="flex items-center gap-2">
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={() => onChangeQuantity(pantryItem, -1)}
+          disabled={pantryItem.quantity <= 0}
+          className="w-8 h-8 rounded-full border-2 border-sky-400 text-sky-600 flex items-center justify-center cursor-pointer disabled:opacity-40"
+        >
+          <Minus size={14} />
+        </motion.button>
+        <span className="min-w-[60px] text-center font-semibold text-sky-800">
+          {pantryItem.quantity} {pantryItem.unit?.name ?? ""}
+        </span>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={() => onChangeQuantity(pantryItem, 1)}
+          className="w-8 h-8 rounded-full border-2 border-sky-400 text-sky-600 flex items-center justify-center cursor-pointer"
+        >
+          <Plus size={14} />
+        </motion.button>
+      </div>
+
+      {/* Actions */}
+      <div className="flex items-center gap-2">
+        {pantryItem.lowStock && lists.length > 0 && (
+          <>
+            <select
+              value={listId}
+              onChange={(e) => setTargetListId(e.target.value)}
+              className="rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-sky-400"
+            >
+              {lists.map((list) => (
+                <option key={list.id} value={list.id}>
+                  {list.name}
+                </option>
+              ))}
+            </select>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => onAddToList(pantryItem, listId)}
+              className="text-amber-500 hover:text-amber-600 rounded-full border-2 border-amber-400 p-2 flex items-center gap-2 cursor-pointer"
+            >
+              <ShoppingCart size={16} />
+              <span>לרשימה</span>
+            </motion.button>
+          </>
+        )}
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={() => onDelete(pantryItem.id)}
+          className="text-gray-500 hover:text-red-500 transition-colors cursor-pointer"
+        >
+          <X size={20} />
+        </motion.button>
+      </div>
+    </motion.div>
+  );
+}
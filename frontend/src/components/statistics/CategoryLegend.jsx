@@ -1,6 +1,9 @@
 // React
 import { motion } from "framer-motion";
 
+// Utils
+import { STAT_METRICS, DEFAULT_STAT_METRIC } from "../../utils/statisticsMetrics";
+
 /**
  * CategoryLegend
  * 
@@ -8,7 +11,8 @@ import { motion } from "framer-motion";
  * Supports highlighting a selected category and mobile popup mode.
  *
  * Props:
- * - categories: array of objects { categoryId, categoryName, quantity }
+ * - categories: array of objects { categoryId, categoryName, quantity, units, spend }
+ * - metric: string, which value is shown next to each category ("count" | "units" | "spend")
  * - categoryColorMap: object mapping categoryId -> color string
  * - highlightCategoryId: number|string, the currently highlighted category ID
  * - onCategoryClick: function, called when a category button is clicked
@@ -23,8 +27,11 @@ export default function CategoryLegend({
   categoryColorMap,
   highlightCategoryId,
   onCategoryClick,
-  isMobilePopup = false
+  isMobilePopup = false,
+  metric = DEFAULT_STAT_METRIC
 }) {
+  const { valueKey, format } = STAT_METRICS[metric];
+
   return (
     <aside
       className={`flex flex-col gap-1 ${
@@ -55,8 +62,8 @@ export default function CategoryLegend({
             style={{ backgroundColor: categoryColorMap[c.categoryId] }}
           ></span>
 
-          {/* Category name and item count */}
-          <span className="truncate overflow-hidden">{c.categoryName} ({c.quantity})</span>
+          {/* Category name and value */}
+          <span className="truncate overflow-hidden">{c.categoryName} ({format(c[valueKey])})</span>
         </motion.button>
       ))}
     </aside>
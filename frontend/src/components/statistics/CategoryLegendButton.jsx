@@ -16,6 +16,8 @@ import CategoryLegend from "./CategoryLegend";
  * Props:
  * - listId (number|string): ID of the current list.
  * - listData (object): The list data containing categories.
+ * - categories (array): Categories to show (defaults to listData.categories).
+ * - metric (string): Which value is shown next to each category.
  * - categoryColorMap (object): Mapping of categoryId → color, used to color the circles.
  * - highlightCategoryId (number|string|null): The currently highlighted category.
  * - setHighlightCategoryId (function): Setter function for updating highlighted category.
@@ -29,6 +31,8 @@ import CategoryLegend from "./CategoryLegend";
 export default function CategoryLegendButton({
   listId,
   listData,
+  categories = listData.categories,
+  metric,
   categoryColorMap,
   highlightCategoryId,
   setHighlightCategoryId,
@@ -89,7 +93,8 @@ export default function CategoryLegendButton({
 
                 {/* Category legend component */}
                 <CategoryLegend
-                  categories={listData.categories}
+                  categories={categories}
+                  metric={metric}
                   categoryColorMap={categoryColorMap} // Colored circles match desktop
                   highlightCategoryId={highlightCategoryId}
                   onCategoryClick={(categoryId) => {
@@ -8,6 +8,10 @@ import PieChart from "./Pie";
 import CategoryLegend from "./CategoryLegend";
 import ListProperties from "./ListProperties";
 import CategoryLegendButton from "./CategoryLegendButton";
+import MetricToggle from "./MetricToggle";
+
+// Utils
+import { STAT_METRICS, DEFAULT_STAT_METRIC } from "../../utils/statisticsMetrics";
 
 /**
  * ListChart
@@ -18,9 +22,10 @@ import CategoryLegendButton from "./CategoryLegendButton";
  *
  * Props:
  * - list (object): The shopping list metadata (id, name, etc.).
- * - listData (object): Contains category data, total quantity, and items for the list.
+ * - listData (object): Contains category data and totals (count, units, spend) for the list.
  *
  * Behavior:
+ * - A toggle switches the chart between item count, summed quantities and money spent.
  * - Highlights a category slice when clicked.
  * - Desktop shows a persistent legend; mobile uses a floating button popup.
  * - Clicking a category in legend navigates to the items page for that category.
@@ -29,10 +34,16 @@ import CategoryLegendButton from "./CategoryLegendButton";
 export default function ListChart({ list, listData }) {
   const navigate = useNavigate();
   const [highlightCategoryId, setHighlightCategoryId] = useState(null);
+  const [metric, setMetric] = useState(DEFAULT_STAT_METRIC);
+  const { valueKey, totalKey, format } = STAT_METRICS[metric];
 
   // Determine if the list has valid data to display
   const hasData = listData && listData.categories?.length && listData.totalQuantity > 0;
 
+  // Categories with a value in the selected metric (e.g. unpriced categories have no spend)
+  const chartCategories = hasData ? listData.categories.filter((c) => c[valueKey] > 0) : [];
+  const hasMetricData = chartCategories.length > 0;
+
   // Generate color scale for categories
   const scale = hasData
     ? chroma.scale(["rgb(85, 201, 247)", "rgb(241, 253, 63)"])
@@ -48,13 +59,18 @@ export default function ListChart({ list, listData }) {
   return (
     <div className="flex flex-col flex-1 min-h-0 p-4 rounded-3xl bg-white/70 shadow-inner">
       {/* List summary */}
-      <ListProperties list={list} totalQuantity={listData?.totalQuantity || 0} />
+      <ListProperties list={list} total={format(listData?.[totalKey] || 0)} />
+
+      {/* Metric toggle */}
+      {hasData && <MetricToggle metric={metric} onChange={setMetric} />}
 
-      {!hasData ? (
+      {!hasMetricData ? (
         /* No data placeholder */
         <div className="flex justify-center items-center w-full h-[320px] md:h-[500px]">
           <p className="text-center text-gray-500 mb-10">
-            אין נתונים להצגה ברשימה זו.
+            {hasData && metric === "spend"
+              ? "אין נתוני מחיר להצגה ברשימה זו."
+              : "אין נתונים להצגה ברשימה זו."}
           </p>
         </div>
       ) : (
@@ -67,7 +83,8 @@ export default function ListChart({ list, listData }) {
               <div className="flex-1 flex justify-center items-center">
                 <div className="w-full max-w-[500px] h-[320px] md:h-[500px]">
                   <PieChart
-                    listData={listData}
+                    listData={{ ...listData, categories: chartCategories }}
+                    metric={metric}
                     categoryColorMap={categoryColorMap}
                     highlightCategoryId={highlightCategoryId}
                     onSliceClick={(categoryId) =>
@@ -82,7 +99,8 @@ export default function ListChart({ list, listData }) {
               {/* Desktop category legend */}
               <div className="hidden md:block shrink-0">
                 <CategoryLegend
-                  categories={listData.categories}
+                  categories={chartCategories}
+                  metric={metric}
                   categoryColorMap={categoryColorMap}
                   highlightCategoryId={highlightCategoryId}
                   onCategoryClick={(categoryId) =>
@@ -99,6 +117,8 @@ export default function ListChart({ list, listData }) {
           <CategoryLegendButton
             listId={list.id}
             listData={listData}
+            categories={chartCategories}
+            metric={metric}
             categoryColorMap={categoryColorMap} // Colors match desktop
             highlightCategoryId={highlightCategoryId}
             setHighlightCategoryId={setHighlightCategoryId}
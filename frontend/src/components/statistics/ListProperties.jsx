@@ -9,13 +9,13 @@ import { motion } from "framer-motion";
  * 
  * Displays key properties of a shopping list, including:
  * - List name with a stylish gradient badge
- * - Total quantity of items in the list with a basket icon
+ * - Total of the list in the selected metric with a basket icon
  *
  * Props:
  * - list: object { id, name, ... } – the shopping list data
- * - totalQuantity: number – total number of items in the list
+ * - total: string – formatted total of the list (item count, quantity or spend)
  */
-export default function ListProperties({ list, totalQuantity }) {
+export default function ListProperties({ list, total }) {
   return (
     <div className="flex gap-4 w-full max-w-xl items-center mb-2">
       {/* List name with gradient background */}
@@ -31,14 +31,14 @@ export default function ListProperties({ list, totalQuantity }) {
         <span className="text-md tracking-wide">{list.name}</span>
       </motion.div>
 
-      {/* Total quantity badge */}
+      {/* Total badge */}
       <div
         className="flex items-center gap-2 px-4 py-1.5 rounded-xl 
                    bg-sky-50 border border-sky-200 
                    text-sky-600 font-medium shadow-sm"
       >
         <ShoppingBasket size={18} className="text-sky-500" />
-        <span className="text-base">{totalQuantity}</span>
+        <span className="text-base">{total}</span>
       </div>
     </div>
   );
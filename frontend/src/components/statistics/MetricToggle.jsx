@@ -0,0 +1,37 @@
+// Animations
+import { motion } from "framer-motion";
+
+// Utils
+import { STAT_METRICS } from "../../utils/statisticsMetrics";
+
+/**
+ * MetricToggle
+ *
+ * Segmented control for choosing what the statistics chart measures:
+ * item count, summed quantities or money spent.
+ *
+ * Props:
+ * - metric (string): The selected metric key ("count" | "units" | "spend").
+ * - onChange (function): Called with the new metric key.
+ */
+export default function MetricToggle({ metric, onChange }) {
+  return (
+    <div className="flex gap-1 p-1 rounded-xl bg-sky-50 border border-sky-200 w-fit">
+      {Object.entries(STAT_METRICS).map(([key, { label }]) => (
+        <motion.button
+          key={key}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => onChange(key)}
+          className={`px-3 py-1 rounded-lg text-sm font-medium cursor-pointer transition-colors ${
+            metric === key
+              ? "bg-gradient-to-r from-sky-500 to-sky-400 text-white shadow-md"
+              : "text-sky-700 hover:bg-sky-100"
+          }`}
+        >
+          {label}
+        </motion.button>
+      ))}
+    </div>
+  );
+}
@@ -1,5 +1,8 @@
 import { Chart } from "react-google-charts"; //  Library for charts
 
+// Utils
+import { STAT_METRICS, DEFAULT_STAT_METRIC } from "../../utils/statisticsMetrics";
+
 /**
  * PieChart
  * 
@@ -8,8 +11,10 @@ import { Chart } from "react-google-charts"; //  Library for charts
  * 
  * Props:
  * - listData: Object
- *   - Contains `categories` (array of category objects with `categoryId`, `categoryName`, `quantity`, `percent`) 
- *     and total quantities.
+ *   - Contains `categories` (array of category objects with `categoryId`, `categoryName` and
+ *     the per-metric values `quantity`, `units`, `spend`) and the list totals.
+ * - metric: string
+ *   - Which value the slices are sized by: "count" | "units" | "spend" (default "count").
  * - categoryColorMap: Object
  *   - Maps categoryId → hex color string. Used to consistently color chart slices.
  * - highlightCategoryId: string | number | null
@@ -27,11 +32,14 @@ export default function PieChart({
   categoryColorMap,
   highlightCategoryId,
   onSliceClick,
+  metric = DEFAULT_STAT_METRIC,
 }) {
+  const { valueKey, format } = STAT_METRICS[metric];
+
   const chartData = [
     [
       "Category",
-      "Percent",
+      "Value",
       { role: "tooltip", type: "string", p: { html: true } },
       { role: "style" },
     ],
@@ -45,13 +53,13 @@ export default function PieChart({
           font-size: 14px;
           text-align:center;
         ">
-          ${c.categoryName} (${c.quantity})
+          ${c.categoryName} (${format(c[valueKey])})
         </div>
       `;
 
       return [
         c.categoryName,                
-        c.percent,                     
+        c[valueKey],                   
         tooltipHtml,
         `color: ${categoryColorMap[c.categoryId]}; opacity: ${opacity}`,
       ];
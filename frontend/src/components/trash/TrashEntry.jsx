@@ -0,0 +1,66 @@
+// React & Hooks
+import { useState } from "react";
+
+// Animations & Icons
+import { motion } from "framer-motion";
+import { ArchiveRestore, Loader2 } from "lucide-react";
+
+// Utils
+import { format } from "date-fns";
+
+/**
+ * TrashEntry
+ * A single deleted list or item in the trash bin.
+ *
+ * Features:
+ * - Shows the name, details line, deletion date and permanent deletion date
+ * - "Restore" button with a loading state while restoring
+ *
+ * Props:
+ * - title: Name of the deleted list / item
+ * - details: Optional secondary text (e.g. item count, list and category)
+ * - deletedAt: Date the entry was moved to the trash
+ * - purgeAt: Date the entry will be deleted permanently
+ * - onRestore: Async function restoring the entry
+ */
+export default function TrashEntry({ title, details, deletedAt, purgeAt, onRestore }) {
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const handleRestore = async () => {
+    try {
+      setIsRestoring(true);
+      await onRestore();
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="w-full bg-white/60 rounded-xl p-4 flex items-center justify-between gap-4 text-right"
+    >
+      <div className="space-y-1">
+        <p className="font-semibold text-sky-800">{title}</p>
+        {details && <p className="text-sm text-gray-600">{details}</p>}
+        <p className="text-xs text-gray-500">
+          נמחק ב-{format(new Date(deletedAt), "dd/MM/yyyy HH:mm")} · יימחק לצמיתות ב-
+          {format(new Date(purgeAt), "dd/MM/yyyy")}
+        </p>
+      </div>
+
+      <motion.button
+        whileHover={{ scale: isRestoring ? 1 : 1.05 }}
+        whileTap={{ scale: isRestoring ? 1 : 0.95 }}
+        onClick={handleRestore}
+        disabled={isRestoring}
+        className="shrink-0 text-sky-600 hover:text-sky-800 rounded-full border-2 border-sky-500 p-2 flex items-center gap-2 cursor-pointer disabled:opacity-50"
+      >
+        {isRestoring ? <Loader2 className="animate-spin" size={16} /> : <ArchiveRestore size={16} />}
+        <span>שחזור</span>
+      </motion.button>
+    </motion.div>
+  );
+}
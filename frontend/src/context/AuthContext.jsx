@@ -0,0 +1,83 @@
+// context/AuthContext.js
+
+/**
+ * AuthContext.js
+ *
+ * React context for the signed-in user session.
+ *
+ * Features:
+ * - Wraps the app in an `AuthProvider` exposing the current user and auth actions.
+ * - Persists the session (token + user) via utils/authStorage.js so that
+ *   `api/http.js` can attach the token to every request.
+ */
+
+import React, { createContext, useContext, useState } from "react";
+import { login as apiLogin, signup as apiSignup } from "../api/auth";
+import { getStoredUser, saveAuth, clearAuth } from "../utils/authStorage";
+import { clearOfflineData } from "../offline/offlineDb";
+import { clearApiCache } from "../offline/serviceWorker";
+
+// --- context creation ---
+const AuthContext = createContext();
+
+/**
+ * AuthProvider
+ * Wraps the app and provides the current user and auth actions via React context.
+ *
+ * @param {object} props
+ * @param {React.ReactNode} props.children - Child components to render.
+ *
+ * Provides:
+ * - `user` → The signed-in user ({ id, email, name }) or null.
+ * - `login(email, password)` → Logs in and stores the session.
+ * - `signup({ name, email, password })` → Registers, logs in and stores the session.
+ * - `logout()` → Clears the stored session, and the lists and changes kept for offline use.
+ *
+ * @example
+ * <AuthProvider>
+ *   <App />
+ * </AuthProvider>
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(getStoredUser);
+
+  /**
+   * Store a session returned by the API and update the current user
+   * @param {{ token: string, user: object }} session
+   */
+  const startSession = (session) => {
+    saveAuth(session);
+    setUser(session.user);
+    return session.user;
+  };
+
+  const login = async (email, password) => startSession(await apiLogin(email, password));
+
+  const signup = async (payload) => startSession(await apiSignup(payload));
+
+  const logout = () => {
+    clearAuth();
+    clearOfflineData().catch((err) => console.error(err));
+    clearApiCache();
+    setUser(null);
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, login, signup, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+/**
+ * useAuth
+ * Custom hook to access the current user and auth actions.
+ *
+ * @returns {{ user: object|null, login: Function, signup: Function, logout: Function }}
+ *
+ * @example
+ * const { user, logout } = useAuth();
+ */
+export function useAuth() {
+  return useContext(AuthContext);
+}
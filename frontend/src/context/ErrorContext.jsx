@@ -10,12 +10,16 @@
  * - Wraps the app in an `ErrorProvider` to expose error/success handlers.
  * - Normalizes errors using `createError` from utils/errors.js.
  * - Uses `react-hot-toast` for user-friendly notifications.
+ * - Success toasts can offer an "undo" action (e.g. restoring a deleted list).
  */
 
 import React, { createContext, useContext } from "react";
 import toast from "react-hot-toast"; // Library for toast alerts
 import { createError } from "../utils/errors"; // module for standardized error handling across the application
 
+// How long a success toast with an "undo" action stays open (ms)
+const UNDO_TOAST_DURATION = 6000;
+
 // --- context creation ---
 const ErrorContext = createContext();
 
@@ -28,7 +32,7 @@ const ErrorContext = createContext();
  *
  * Provides:
  * - `showError(err)` → Normalizes error via `createError` and shows toast.error.
- * - `showSuccess(msg)` → Shows success message via toast.success.
+ * - `showSuccess(msg, { onUndo })` → Shows success message via toast.success, with an optional "undo" button.
  *
  * @example
  * <ErrorProvider>
@@ -48,9 +52,32 @@ export function ErrorProvider({ children }) {
   /**
    * Show a success notification
    * @param {string} msg - Success message to display
+   * @param {object} [options]
+   * @param {Function} [options.onUndo] - When given, the toast shows a "ביטול" button that closes it and calls onUndo
    */
-  const showSuccess = (msg) => {
-    toast.success(msg);
+  const showSuccess = (msg, { onUndo } = {}) => {
+    if (!onUndo) {
+      toast.success(msg);
+      return;
+    }
+
+    toast.success(
+      (t) => (
+        <span className="flex items-center gap-3">
+          {msg}
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              onUndo();
+            }}
+            className="underline text-sky-700 cursor-pointer"
+          >
+            ביטול
+          </button>
+        </span>
+      ),
+      { duration: UNDO_TOAST_DURATION }
+    );
   };
 
   return (
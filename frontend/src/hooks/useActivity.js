@@ -0,0 +1,72 @@
+// React & Hooks
+import { useState, useEffect, useCallback } from "react";
+
+// API
+import { fetchListActivity } from "../api/lists";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+
+// Entries fetched per page
+const PAGE_SIZE = 20;
+
+/**
+ * useActivity
+ *
+ * Custom hook for the activity log (who changed what) of a list.
+ *
+ * Features:
+ * - Loads the newest entries whenever the feed is opened.
+ * - Loads older entries page by page.
+ *
+ * Parameters:
+ * - listId: ID of the list
+ * - isOpen: Whether the feed is visible (the log is only fetched while it is)
+ *
+ * Returns:
+ * - activity: Loaded entries, newest first
+ * - loading: Boolean loading indicator
+ * - hasMore: Whether older entries exist
+ * - loadMore(): Loads the next page of older entries
+ * - reload(): Reloads the newest entries
+ */
+export function useActivity(listId, isOpen) {
+  const [activity, setActivity] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const { showError } = useErrorHandler();
+
+  // --- Load a page (page 1 replaces the feed, later pages are appended) ---
+  const loadPage = useCallback(
+    async (pageToLoad) => {
+      if (!listId) return;
+      setLoading(true);
+      try {
+        const data = await fetchListActivity(listId, { page: pageToLoad, pageSize: PAGE_SIZE });
+        setActivity((prev) => (pageToLoad === 1 ? data.activity : [...prev, ...data.activity]));
+        setPage(pageToLoad);
+        setHasMore(data.hasMore);
+      } catch (err) {
+        showError(err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [listId, showError]
+  );
+
+  // --- Load the newest entries when the feed opens ---
+  useEffect(() => {
+    if (isOpen) loadPage(1);
+  }, [isOpen, loadPage]);
+
+  return {
+    activity,
+    loading,
+    hasMore,
+    loadMore: () => loadPage(page + 1),
+    reload: () => loadPage(1),
+  };
+}
@@ -0,0 +1,49 @@
+// React & Hooks
+import { useState, useEffect } from "react";
+
+// API
+import { fetchExpiringPantry } from "../api/pantry";
+
+// Utils
+import { EXPIRING_SOON_DAYS } from "../utils/constants";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+
+/**
+ * useExpiringPantry
+ *
+ * Custom hook for the pantry products that expire soon.
+ *
+ * Parameters:
+ * - enabled: Whether to fetch (e.g. only while signed in / while the menu is open);
+ *            the products are fetched again every time it turns true
+ * - days: Look-ahead in days (default: EXPIRING_SOON_DAYS)
+ *
+ * Returns:
+ * - expiring: Products, soonest first [{ id, name, quantity, unit, expiresAt, expired, daysLeft }]
+ * - loading: Boolean loading indicator
+ */
+export function useExpiringPantry(enabled = true, days = EXPIRING_SOON_DAYS) {
+  const [expiring, setExpiring] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const { showError } = useErrorHandler();
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+    setLoading(true);
+    fetchExpiringPantry(days)
+      .then((data) => !cancelled && setExpiring(data))
+      .catch((err) => !cancelled && showError(err))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, days, showError]);
+
+  return { expiring, loading };
+}
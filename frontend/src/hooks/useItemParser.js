@@ -0,0 +1,45 @@
+// React & Hooks
+import { useState, useEffect } from "react";
+
+// API
+import { parseItemText } from "../api/items";
+
+// Utils
+import { QUICK_ADD_PARSE_DELAY_MS } from "../utils/constants";
+
+/**
+ * useItemParser
+ *
+ * Custom hook that parses a quick-add line (quantity, unit, name, brand) on the server
+ * after the user stops typing for QUICK_ADD_PARSE_DELAY_MS. Responses of older text are ignored.
+ *
+ * Parameters:
+ * - text: The typed line
+ *
+ * Returns:
+ * - parsed: { name, quantity, unitId, unit, brand, categoryId, category, categorySource } of the current text,
+ *           or null while typing / when the line could not be parsed
+ * - parsing: Boolean indicating a parse is pending
+ */
+export function useItemParser(text) {
+  const [result, setResult] = useState({ text: "", parsed: null });
+
+  useEffect(() => {
+    if (!text.trim()) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      parseItemText(text)
+        .then((parsed) => !cancelled && setResult({ text, parsed }))
+        .catch(() => !cancelled && setResult({ text, parsed: null }));
+    }, QUICK_ADD_PARSE_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text]);
+
+  const isCurrent = text.trim() !== "" && result.text === text;
+  return { parsed: isCurrent ? result.parsed : null, parsing: text.trim() !== "" && !isCurrent };
+}
@@ -1,21 +1,87 @@
 // React & Hooks
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 
 // API
 import { fetchCategories } from "../api/categories";
 import { fetchUnits } from "../api/units";
 import { fetchItems, addItem, updateItem, deleteItem } from "../api/items";
+import { fetchList, fetchListTotals, updateListBudget, confirmImport } from "../api/lists";
+import { restoreItem } from "../api/trash";
+import { isQueued, subscribeToMutationQueue, subscribeToReplayConflicts } from "../api/http";
+
+// Offline
+import { saveItems, getStoredItems, saveItem, removeStoredItem } from "../offline/offlineDb";
+
+// Utils
+import { ALL_CATEGORIES } from "../utils/constants";
+import { mergeItemChanges } from "../utils/conflicts";
 
 // Validation
 import { validateItemUpdate } from "../validators/itemValidator";
 
 // Realtime
-import { supabase } from "../supabase-realtime/supabaseClient";
-import { subscribeToItems } from "../supabase-realtime/realtimeSubscriptions";
+import { useRealtime } from "./useRealtime";
 
 // Context
 import { useErrorHandler } from "../context/ErrorContext";
 
+/**
+ * findItemCategoryId
+ * Finds the category (key of `itemsByCategory`) an item is currently shown in.
+ *
+ * @param {Object} itemsByCategory - categoryId → items
+ * @param {number} itemId
+ * @returns {string|undefined}
+ */
+function findItemCategoryId(itemsByCategory, itemId) {
+  return Object.keys(itemsByCategory).find((categoryId) =>
+    itemsByCategory[categoryId].some((item) => item.id === itemId)
+  );
+}
+
+/**
+ * findItem
+ *
+ * @param {Object} itemsByCategory - categoryId → items
+ * @param {number} itemId
+ * @returns {Object|undefined} The item, in whichever category it is shown
+ */
+function findItem(itemsByCategory, itemId) {
+  const categoryId = findItemCategoryId(itemsByCategory, itemId);
+  return itemsByCategory[categoryId]?.find((item) => item.id === itemId);
+}
+
+/**
+ * loadStoredItems
+ * Reads the items of a list kept for offline use (with changes made offline applied),
+ * sorted and filtered the way the server would.
+ *
+ * @param {number|string} listId
+ * @param {number|string} categoryId - A category ID, or ALL_CATEGORIES.id
+ * @param {Object} query - { sortBy, order, bought, search } (as in fetchItems)
+ * @returns {Promise<Object>} categoryId → items
+ */
+async function loadStoredItems(listId, categoryId, { sortBy, order, bought, search }) {
+  const term = search?.trim().toLowerCase();
+  const items = (await getStoredItems(listId))
+    .filter((item) => categoryId === ALL_CATEGORIES.id || item.categoryId === Number(categoryId))
+    .filter((item) => bought === undefined || item.bought === bought)
+    .filter((item) => !term || item.name.toLowerCase().includes(term))
+    .sort((a, b) => {
+      const x = a[sortBy] ?? "";
+      const y = b[sortBy] ?? "";
+      const compared = typeof x === "string" ? x.localeCompare(y, "he") : (x > y) - (x < y);
+      return order === "asc" ? compared : -compared;
+    });
+
+  const byCategory = categoryId === ALL_CATEGORIES.id ? {} : { [categoryId]: [] };
+  items.forEach((item) => {
+    if (!byCategory[item.categoryId]) byCategory[item.categoryId] = [];
+    byCategory[item.categoryId].push(item);
+  });
+  return byCategory;
+}
+
 /**
  * useItems
  *
@@ -23,9 +89,18 @@ import { useErrorHandler } from "../context/ErrorContext";
  *
  * Features:
  * - Fetches categories, units, and items from API.
- * - Subscribes to realtime updates for items in the list via Supabase.
- * - Supports filtering and sorting of items by name and bought status.
+ * - Subscribes to realtime updates for items in the list (Supabase or the built-in realtime server),
+ *   re-fetching once a dropped connection is restored.
+ * - Sorting, bought-status filtering and name search are done by the server;
+ *   changing them (or receiving a realtime change) re-fetches the current category.
+ * - Selecting ALL_CATEGORIES loads the items of every category with a single request.
  * - Provides functions to add, update, and delete items with validation.
+ * - Works offline: items are kept in IndexedDB, and adds / updates / deletes made without a
+ *   connection are applied locally and queued (api/http.js) until the connection returns.
+ * - Detects conflicting edits: when an item being edited is changed by someone else (a realtime
+ *   update, or a 409 on save), changes to different fields are merged automatically and changes
+ *   to the same fields are collected in `conflicts` for the user to resolve.
+ * - Tracks the list's estimated / actual spend and budget.
  * - Maintains UI state: loading, error messages, filtered items, and validation errors.
  *
  * Parameters:
@@ -35,14 +110,22 @@ import { useErrorHandler } from "../context/ErrorContext";
  * - items: Array of items in the list
  * - categories: Array of categories
  * - units: Array of units
- * - filteredItems: Items filtered based on search & bought status
  * - isLoading: Boolean loading indicator
  * - errors: Validation errors keyed by item ID
  * - handleFieldUpdate(index, field, value): Update a field of an item locally with validation
  * - handleSave(item): Saves an updated item via API
- * - handleDelete(itemId): Deletes an item by ID
+ * - handleDelete(itemId): Moves an item to the trash (with undo)
  * - handleAdd(item): Adds a new item with validation
+ * - handleImportItems(items): Creates the confirmed items of a pasted list
  * - reloadItems(): Reloads items from API
+ * - sortBy / setSortBy, sortOrderAsc / setSortOrderAsc: Server-side sort field and order
+ * - showBought / showNotBought (+ setters): Server-side bought-status filter
+ * - searchTerm / setSearchTerm: Server-side name search (debounced)
+ * - totals: Spend totals { estimated, actual, budget, remaining, overBudget, unpricedItems }
+ * - handleBudgetSave(budget): Sets or clears (null) the list budget
+ * - conflicts: itemId → { server, fields, merged } for items changed by someone else while being edited
+ * - resolveConflict(itemId, choices): Saves the item with the chosen value ("mine" / "theirs") of each conflicting field
+ * - discardChanges(itemId): Drops the local edits of an item in favour of the server copy
  */
 export function useItems(listId) {
   const [itemsState, setItemsState] = useState({
@@ -53,29 +136,36 @@ export function useItems(listId) {
   });
   const [uiState, setUiState] = useState({ loading: true, error: "" });
   const [errors, setErrors] = useState({});
-  const [nameOrderAsc, setNameOrderAsc] = useState(true);
+  const [sortBy, setSortBy] = useState("name");
+  const [sortOrderAsc, setSortOrderAsc] = useState(true);
   const [showBought, setShowBought] = useState(true);
   const [showNotBought, setShowNotBought] = useState(true);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [totals, setTotals] = useState(null);
+  const [conflicts, setConflicts] = useState({});
+
+  // IDs of items with unsaved local edits (kept when the category is re-fetched)
+  const dirtyItemIdsRef = useRef(new Set());
+
+  // itemId → the item as it was before its unsaved local edits (the base of a merge)
+  const baseItemsRef = useRef(new Map());
+
+  // Current items, readable from realtime callbacks
+  const itemsByCategoryRef = useRef({});
+  itemsByCategoryRef.current = itemsState.itemsByCategory;
+
+  // Currently selected category, readable from realtime callbacks
+  const selectedCategoryIdRef = useRef(null);
+  selectedCategoryIdRef.current = itemsState.selectedCategory?.id ?? null;
 
   const { showError, showSuccess } = useErrorHandler();
 
-  // --- Sort & filter items by name and bought status ---
-  const sortItems = useCallback(
-    (itemsArray) => {
-      if (!itemsArray) return [];
-      return [...itemsArray]
-        .filter(
-          (item) =>
-            (item.bought && showBought) || (!item.bought && showNotBought)
-        )
-        .sort((a, b) =>
-          nameOrderAsc
-            ? a.name.localeCompare(b.name)
-            : b.name.localeCompare(a.name)
-        );
-    },
-    [nameOrderAsc, showBought, showNotBought]
-  );
+  // --- Wait for the user to stop typing before searching ---
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   // --- Load categories & units ---
   const loadInitialData = useCallback(
@@ -98,87 +188,243 @@ export function useItems(listId) {
     [showError]
   );
 
-  // --- Load items for a specific category ---
+  // --- Load items for a specific category, or for all of them (sorted & filtered by the server) ---
   const loadItems = useCallback(
-    async (categoryId) => {
+    async (categoryId, { silent = false } = {}) => {
       if (!categoryId) return;
-      setUiState((prev) => ({ ...prev, loading: true }));
-      try {
-        const data = await fetchItems(listId, categoryId);
+      const isAll = categoryId === ALL_CATEGORIES.id;
+
+      // Both bought filters off → nothing to show
+      if (!showBought && !showNotBought) {
         setItemsState((prev) => ({
           ...prev,
-          itemsByCategory: { ...prev.itemsByCategory, [categoryId]: sortItems(data) },
+          itemsByCategory: isAll
+            ? Object.fromEntries(prev.categories.map((c) => [c.id, []]))
+            : { ...prev.itemsByCategory, [categoryId]: [] },
         }));
+        return;
+      }
+
+      const query = {
+        sortBy,
+        order: sortOrderAsc ? "asc" : "desc",
+        bought: showBought && showNotBought ? undefined : showBought,
+        search: debouncedSearch,
+      };
+
+      if (!silent) setUiState((prev) => ({ ...prev, loading: true }));
+      try {
+        // categoryId → fetched items of that category
+        let fetched;
+        try {
+          // Without a connection, the stored items also include the changes made offline
+          if (!navigator.onLine) throw Object.assign(new Error("offline"), { code: "NETWORK_ERROR" });
+
+          if (isAll) {
+            const list = await fetchList(listId, { include: ["items"], query });
+            fetched = Object.fromEntries(list.categories.map((c) => [c.id, c.items]));
+          } else {
+            fetched = { [categoryId]: await fetchItems(listId, categoryId, query) };
+          }
+          const isFiltered = query.bought !== undefined || !!query.search;
+          saveItems(listId, fetched, { replace: !isFiltered }).catch((err) => console.error(err));
+        } catch (err) {
+          if (err.code !== "NETWORK_ERROR") throw err;
+          fetched = await loadStoredItems(listId, categoryId, query);
+        }
+
+        setItemsState((prev) => {
+          const itemsByCategory = isAll
+            ? Object.fromEntries(prev.categories.map((c) => [c.id, []]))
+            : { ...prev.itemsByCategory };
+          Object.entries(fetched).forEach(([catId, data]) => {
+            // Keep local versions of items the user is still editing
+            const localItems = prev.itemsByCategory[catId] || [];
+            itemsByCategory[catId] = data.map((item) =>
+              dirtyItemIdsRef.current.has(item.id)
+                ? localItems.find((i) => i.id === item.id) || item
+                : item
+            );
+          });
+          return { ...prev, itemsByCategory };
+        });
         setErrors((prev) => {
           const newErrors = { ...prev };
-          data.forEach((item) => (newErrors[item.id] = {}));
+          Object.values(fetched).flat().forEach((item) => {
+            if (!dirtyItemIdsRef.current.has(item.id)) newErrors[item.id] = {};
+          });
           return newErrors;
         });
         setUiState((prev) => ({ ...prev, error: "" }));
       } catch (err) {
         showError(err);
       } finally {
-        setUiState((prev) => ({ ...prev, loading: false }));
+        if (!silent) setUiState((prev) => ({ ...prev, loading: false }));
       }
     },
-    [listId, sortItems, showError]
+    [listId, sortBy, sortOrderAsc, showBought, showNotBought, debouncedSearch, showError]
   );
 
+  // --- Load spend totals of the whole list ---
+  const loadTotals = useCallback(async () => {
+    if (!listId) return;
+    try {
+      setTotals(await fetchListTotals(listId));
+    } catch (err) {
+      showError(err);
+    }
+  }, [listId, showError]);
+
+  useEffect(() => {
+    loadTotals();
+  }, [loadTotals]);
+
   // --- Load items when selected category changes ---
   useEffect(() => {
     if (itemsState.selectedCategory) loadItems(itemsState.selectedCategory.id);
   }, [itemsState.selectedCategory, loadItems]);
 
+  // --- Replace an item locally (e.g. with a merged or server copy), keeping its unit object in sync ---
+  const replaceLocalItem = useCallback((item) => {
+    setItemsState((prev) => {
+      const categoryId = findItemCategoryId(prev.itemsByCategory, item.id);
+      if (!categoryId) return prev;
+
+      const unit = prev.units.find((u) => u.id === Number(item.unitId));
+      return {
+        ...prev,
+        itemsByCategory: {
+          ...prev.itemsByCategory,
+          [categoryId]: prev.itemsByCategory[categoryId].map((i) =>
+            i.id === item.id ? { ...i, ...item, ...(unit && { unit }) } : i
+          ),
+        },
+      };
+    });
+  }, []);
+
+  /**
+   * mergeServerChanges
+   * Merges a newer server copy of an item into its unsaved local edits.
+   * Without conflicting fields the merged item replaces the local one; otherwise the
+   * conflict is stored for the user to resolve.
+   *
+   * @param {Object} server - Server copy of the item
+   * @param {Object} [local] - The locally edited item (defaults to the one in state)
+   * @returns {{ merged: Object, conflicting: Array<string> }|null} null when the server copy is not newer
+   */
+  const mergeServerChanges = useCallback(
+    (server, local = findItem(itemsByCategoryRef.current, server.id)) => {
+      if (!local || server.version <= local.version) return null;
+
+      // Without a recorded base, every field both sides hold differently is a conflict
+      const base = baseItemsRef.current.get(server.id) || {};
+      const result = mergeItemChanges(base, local, server);
+
+      if (result.conflicting.length === 0) {
+        baseItemsRef.current.set(server.id, server);
+        replaceLocalItem(result.merged);
+      } else {
+        setConflicts((prev) => ({
+          ...prev,
+          [server.id]: { server, fields: result.conflicting, merged: result.merged },
+        }));
+      }
+      return result;
+    },
+    [replaceLocalItem]
+  );
+
   // --- Realtime subscription to item changes ---
-  useEffect(() => {
-    if (!listId) return;
-    const channel = subscribeToItems(listId, {
-      onInsert: (newItem) => {
-        setItemsState((prev) => {
-          const currentItems = prev.itemsByCategory[newItem.categoryId] || [];
-          return {
-            ...prev,
-            itemsByCategory: {
-              ...prev.itemsByCategory,
-              [newItem.categoryId]: sortItems([...currentItems, newItem]),
-            },
-          };
-        });
-      },
-      onUpdate: (updatedItem) => {
-        setItemsState((prev) => {
-          const currentItems = prev.itemsByCategory[updatedItem.categoryId] || [];
-          const newItems = currentItems.map((i) =>
-            i.id === updatedItem.id ? updatedItem : i
+  // Re-fetch the visible category so the server applies the current sort & filters
+  const refreshCategory = (item) => {
+    const selectedId = selectedCategoryIdRef.current;
+    if (item.categoryId === selectedId || selectedId === ALL_CATEGORIES.id) {
+      loadItems(selectedId, { silent: true });
+    }
+    loadTotals();
+  };
+
+  useRealtime(listId ? { table: "Item", column: "listId", values: [listId] } : null, {
+    onInsert: refreshCategory,
+    onUpdate: (item) => {
+      // Someone else changed an item the user is editing → merge instead of overwriting
+      if (dirtyItemIdsRef.current.has(item.id)) mergeServerChanges(item);
+      refreshCategory(item);
+    },
+    onDelete: (deletedItem) => {
+      setItemsState((prev) => {
+        const newItemsByCategory = { ...prev.itemsByCategory };
+        Object.keys(newItemsByCategory).forEach((catId) => {
+          newItemsByCategory[catId] = newItemsByCategory[catId].filter(
+            (i) => i.id !== deletedItem.id
           );
-          return {
-            ...prev,
-            itemsByCategory: { ...prev.itemsByCategory, [updatedItem.categoryId]: sortItems(newItems) },
-          };
         });
-      },
-      onDelete: (deletedItem) => {
-        setItemsState((prev) => {
-          const newItemsByCategory = { ...prev.itemsByCategory };
-          Object.keys(newItemsByCategory).forEach((catId) => {
-            newItemsByCategory[catId] = newItemsByCategory[catId].filter(
-              (i) => i.id !== deletedItem.id
-            );
-          });
-          return { ...prev, itemsByCategory: newItemsByCategory };
-        });
-      },
+        return { ...prev, itemsByCategory: newItemsByCategory };
+      });
+      loadTotals();
+    },
+    // Changes may have been missed while the connection was down
+    onResync: () => {
+      if (selectedCategoryIdRef.current) loadItems(selectedCategoryIdRef.current, { silent: true });
+      loadTotals();
+    },
+  });
+
+  // --- Reload once changes made offline were sent to the server ---
+  useEffect(() => {
+    if (!listId) return;
+
+    return subscribeToMutationQueue(({ replayed }) => {
+      if (!replayed) return;
+      // The offline edits were sent, so their base copies are outdated (unless they are being edited again)
+      baseItemsRef.current.forEach((base, itemId) => {
+        if (!dirtyItemIdsRef.current.has(itemId)) baseItemsRef.current.delete(itemId);
+      });
+      if (selectedCategoryIdRef.current) loadItems(selectedCategoryIdRef.current, { silent: true });
+      loadTotals();
     });
-    return () => supabase.removeChannel(channel);
-  }, [listId, sortItems]);
+  }, [listId, loadItems, loadTotals]);
+
+  // --- Offline edits the server refused because someone else changed the item meanwhile ---
+  // They are merged like a 409 of an online save: saved again, or shown in the merge dialog
+  const handleReplayConflictRef = useRef(null);
+  useEffect(() => {
+    handleReplayConflictRef.current = ({ changes, current }) => {
+      if (current.listId !== Number(listId)) return false;
+
+      // The item as the user left it offline; `changes.version` is the version the edit was based on
+      const local = { ...(findItem(itemsByCategoryRef.current, current.id) || current), ...changes };
+      dirtyItemIdsRef.current.add(current.id);
+      replaceLocalItem(local);
+
+      const merged = mergeServerChanges(current, local);
+      if (!merged) dirtyItemIdsRef.current.delete(current.id);
+      else if (merged.conflicting.length === 0) handleSave(merged.merged);
+      return true;
+    };
+  });
+
+  useEffect(() => {
+    if (!listId) return;
+    return subscribeToReplayConflicts((conflict) => handleReplayConflictRef.current(conflict));
+  }, [listId]);
 
   // --- Update item field locally with validation ---
   const handleFieldUpdate = (itemId, field, value) => {
-    const currentCategoryId = itemsState.selectedCategory?.id;
-    if (!itemId || !currentCategoryId) return;
+    if (!itemId) return;
 
+    // The base is the last server copy: an item changed offline keeps the one from before those changes
+    if (!dirtyItemIdsRef.current.has(itemId) && !baseItemsRef.current.has(itemId)) {
+      const original = findItem(itemsByCategoryRef.current, itemId);
+      if (original) baseItemsRef.current.set(itemId, original);
+    }
+    dirtyItemIdsRef.current.add(itemId);
     setItemsState((prev) => {
-      const updated = (prev.itemsByCategory[currentCategoryId] || []).map((item) =>
+      const categoryId = findItemCategoryId(prev.itemsByCategory, itemId);
+      if (!categoryId) return prev;
+
+      const updated = prev.itemsByCategory[categoryId].map((item) =>
         item.id === itemId ? { ...item, [field]: value } : item
       );
 
@@ -194,7 +440,7 @@ export function useItems(listId) {
 
       return {
         ...prev,
-        itemsByCategory: { ...prev.itemsByCategory, [currentCategoryId]: sortItems(updated) },
+        itemsByCategory: { ...prev.itemsByCategory, [categoryId]: updated },
       };
     });
   };
@@ -203,29 +449,75 @@ export function useItems(listId) {
 
   /**
    * handleAddItem
-   * Adds a new item to the current selected category in the list.
+   * Adds a new item to `newItem.categoryId` (chosen / pre-filled in the form),
+   * or to the current selected category in the list.
    *
    * Steps:
    * 1. Validate the new item locally.
    * 2. If validation fails, store errors in state and stop.
-   * 3. Call the API to add the item.
+   * 3. Call the API to add the item (offline: store it locally and queue the request).
    * 4. Show success or error notification.
+   *
+   * @returns {Promise<boolean>} Whether the item was added (or queued)
    */
   const handleAddItem = async (newItem) => {
-    const currentCategoryId = itemsState.selectedCategory?.id;
-    if (!currentCategoryId) return;
+    const selectedId = itemsState.selectedCategory?.id;
+    const currentCategoryId = newItem.categoryId || (selectedId === ALL_CATEGORIES.id ? null : selectedId);
+    if (!currentCategoryId) return false;
 
     const validationErrors = validateItemUpdate(newItem);
     if (Object.keys(validationErrors).length > 0) {
       setErrors((prev) => ({ ...prev, temp: validationErrors }));
-      return;
+      return false;
     }
 
     try {
-      await addItem(listId, currentCategoryId, newItem);
+      const created = await addItem(listId, currentCategoryId, newItem);
+      if (isQueued(created)) {
+        const unitId = Number(newItem.unitId);
+        await saveItem({
+          ...newItem,
+          id: created.tempId,
+          listId: Number(listId),
+          categoryId: Number(currentCategoryId),
+          unitId,
+          unit: itemsState.units.find((u) => u.id === unitId),
+          quantity: Number(newItem.quantity),
+          bought: false,
+          version: 1,
+          addedAt: new Date().toISOString(),
+        });
+        await loadItems(selectedCategoryIdRef.current, { silent: true });
+        showSuccess("אין חיבור – המוצר יתווסף כשהחיבור יחזור.");
+        return true;
+      }
+
       showSuccess("המוצר נוסף בהצלחה.");
+      await loadTotals();
+      return true;
     } catch (err) {
       showError(err);
+      return false;
+    }
+  };
+
+  /**
+   * handleImportItems
+   * Creates the confirmed items of a pasted list in one request,
+   * then reloads the current category and the totals.
+   *
+   * @returns {Promise<boolean>} Whether the items were imported
+   */
+  const handleImportItems = async (items) => {
+    try {
+      const created = await confirmImport(listId, items);
+      showSuccess(`${created.length} מוצרים נוספו לרשימה.`);
+      await loadItems(itemsState.selectedCategory?.id, { silent: true });
+      await loadTotals();
+      return true;
+    } catch (err) {
+      showError(err);
+      return false;
     }
   };
 
@@ -236,39 +528,138 @@ export function useItems(listId) {
    * Steps:
    * 1. Validate the updated item locally.
    * 2. If validation fails, store errors in state and stop.
-   * 3. Call the API to update the item.
-   * 4. Show success or error notification.
+   * 3. Call the API to update the item, with the version it was loaded at
+   *    (offline: store it locally and queue the request).
+   * 4. Keep the new version locally, so the next save is based on it.
+   * 5. Show success or error notification.
+   *    If someone else changed the item meanwhile (409), their changes are merged in and the
+   *    save is retried, or – when both changed the same fields – the conflict is shown.
+   *
+   * @returns {Promise<boolean>} Whether the item was saved (or queued)
    */
   const handleSave = async (item) => {
     const validationErrors = validateItemUpdate(item);
     if (Object.keys(validationErrors).length > 0) {
       setErrors((prev) => ({ ...prev, [item.id]: validationErrors }));
-      return;
+      return false;
     }
     try {
-      await updateItem(item.id, item);
+      const updated = await updateItem(item.id, item);
+      dirtyItemIdsRef.current.delete(item.id);
+      if (isQueued(updated)) {
+        // The base stays, for merging the change if the server refuses it when it is replayed
+        // The queued request will bump the version on the server once it is replayed
+        const queuedItem = { ...item, version: item.version + 1 };
+        await saveItem(queuedItem);
+        replaceLocalItem({ id: item.id, version: queuedItem.version });
+        showSuccess("אין חיבור – השינויים יישמרו כשהחיבור יחזור.");
+        return true;
+      }
+
+      baseItemsRef.current.delete(item.id);
+      replaceLocalItem({ id: item.id, version: updated.version });
       showSuccess("שינויים נשמרו בהצלחה.");
+      await loadTotals();
+      return true;
     } catch (err) {
-      showError(err);
+      const current = err.code === "CONFLICT" ? err.details?.current : null;
+      if (!current) {
+        showError(err);
+        return false;
+      }
+
+      const merged = mergeServerChanges(current, item);
+      if (merged?.conflicting.length === 0) return handleSave(merged.merged);
+      return false;
     }
   };
 
+  // --- Forget the conflict of an item once it is resolved or discarded ---
+  const clearConflict = (itemId) => {
+    setConflicts((prev) => {
+      const newConflicts = { ...prev };
+      delete newConflicts[itemId];
+      return newConflicts;
+    });
+  };
+
+  /**
+   * resolveConflict
+   * Saves an item whose edits conflict with someone else's, using the value the user chose for
+   * each conflicting field. Fields only the other user changed are taken from the server copy.
+   *
+   * @param {number} itemId
+   * @param {Object} choices - field → "mine" | "theirs"
+   */
+  const resolveConflict = async (itemId, choices) => {
+    const conflict = conflicts[itemId];
+    if (!conflict) return;
+
+    const resolved = { ...conflict.merged };
+    conflict.fields.forEach((field) => {
+      if (choices[field] === "theirs") resolved[field] = conflict.server[field];
+    });
+
+    clearConflict(itemId);
+    baseItemsRef.current.set(itemId, conflict.server);
+    replaceLocalItem(resolved);
+    await handleSave(resolved);
+  };
+
+  /**
+   * discardChanges
+   * Drops the unsaved local edits of an item and shows the server copy instead.
+   *
+   * @param {number} itemId
+   */
+  const discardChanges = (itemId) => {
+    const conflict = conflicts[itemId];
+    if (!conflict) return;
+
+    clearConflict(itemId);
+    dirtyItemIdsRef.current.delete(itemId);
+    baseItemsRef.current.delete(itemId);
+    replaceLocalItem(conflict.server);
+    setErrors((prev) => ({ ...prev, [itemId]: {} }));
+  };
+
   /**
    * handleDeleteItem
-   * Deletes an item by its ID.
+   * Moves an item to the trash by its ID.
    *
    * Steps:
    * 1. Get the current selected category.
-   * 2. Call the API to delete the item.
+   * 2. Call the API to delete the item (offline: remove it locally and queue the request).
    * 3. Reload items for the current category.
-   * 4. Show success or error notification.
+   * 4. Show success notification with an "undo" action that restores the item, or an error notification.
    */
   const handleDeleteItem = async (itemId) => {
     const currentCategoryId = itemsState.selectedCategory?.id;
+
+    const undoDelete = async () => {
+      try {
+        await restoreItem(itemId);
+        if (selectedCategoryIdRef.current) await loadItems(selectedCategoryIdRef.current, { silent: true });
+        await loadTotals();
+        showSuccess("המוצר שוחזר.");
+      } catch (err) {
+        showError(err);
+      }
+    };
+
     try {
-      await deleteItem(itemId);
+      const deleted = await deleteItem(itemId);
+      dirtyItemIdsRef.current.delete(itemId);
+      if (isQueued(deleted)) {
+        await removeStoredItem(itemId);
+        if (currentCategoryId) await loadItems(currentCategoryId, { silent: true });
+        showSuccess("אין חיבור – המוצר יימחק כשהחיבור יחזור.");
+        return;
+      }
+
       if (currentCategoryId) await loadItems(currentCategoryId);
-      showSuccess("המוצר נמחק בהצלחה.");
+      showSuccess("המוצר הועבר לסל המחזור.", { onUndo: undoDelete });
+      await loadTotals();
     } catch (err) {
       showError(err);
     }
@@ -280,26 +671,47 @@ export function useItems(listId) {
    *
    * Steps:
    * 1. Get the current selected category.
-   * 2. Find the item locally.
+   * 2. Find the item locally (in any category when all categories are shown).
    * 3. Update the "bought" field locally for immediate UI feedback.
    * 4. Call handleSave to persist the change in the API.
-   * 5. Show error notification if saving fails.
+   * 5. Re-fetch the category, since the bought filter or sort may now exclude / move the item.
+   * 6. Show error notification if saving fails.
+   *
+   * @returns {Promise<boolean>} Whether the change was saved (or queued)
    */
   const handleBought = async (itemId, bought) => {
     const currentCategoryId = itemsState.selectedCategory?.id;
-    if (!currentCategoryId) return;
+    if (!currentCategoryId) return false;
 
-    const item = itemsState.itemsByCategory[currentCategoryId]?.find((i) => i.id === itemId);
-    if (!item) return;
+    const itemCategoryId = findItemCategoryId(itemsState.itemsByCategory, itemId);
+    const item = itemsState.itemsByCategory[itemCategoryId]?.find((i) => i.id === itemId);
+    if (!item) return false;
 
     handleFieldUpdate(itemId, "bought", bought);
     try {
-      await handleSave({ ...item, bought });
+      const saved = await handleSave({ ...item, bought });
+      await loadItems(currentCategoryId, { silent: true });
+      return saved;
     } catch (err) {
       showError(err);
+      return false;
     }
   };
 
+  /**
+   * handleBudgetSave
+   * Sets or clears the budget of the list.
+   *
+   * @param {number|null} budget - New budget, or null to clear it
+   */
+  const handleBudgetSave = async (budget) => {
+    try {
+      setTotals(await updateListBudget(listId, budget));
+      showSuccess(budget === null ? "התקציב הוסר." : "התקציב עודכן.");
+    } catch (err) {
+      showError(err);
+    }
+  };
 
   const setSelectedCategory = (category) => {
     setItemsState((prev) => ({ ...prev, selectedCategory: category }));
@@ -309,8 +721,12 @@ export function useItems(listId) {
     itemsState,
     uiState,
     errors,
-    nameOrderAsc,
-    setNameOrderAsc,
+    sortBy,
+    setSortBy,
+    sortOrderAsc,
+    setSortOrderAsc,
+    searchTerm,
+    setSearchTerm,
     showBought,
     setShowBought,
     showNotBought,
@@ -318,9 +734,15 @@ export function useItems(listId) {
     loadInitialData,
     handleFieldUpdate,
     handleAddItem,
+    handleImportItems,
     handleSave,
     handleDeleteItem,
     setSelectedCategory,
     handleBought,
+    totals,
+    handleBudgetSave,
+    conflicts,
+    resolveConflict,
+    discardChanges,
   };
 }
\ No newline at end of file
@@ -2,17 +2,24 @@
 import { useState, useEffect, useCallback } from "react";
 
 // API
-import { fetchLists, createList, updateList, deleteList } from "../api/lists";
+import { fetchLists, createList, updateList, deleteList, duplicateList, importListFile } from "../api/lists";
+import { restoreList } from "../api/trash";
 
 // Validation
 import { validateListUpdate } from "../validators/listValidator";
 
+// Utils
+import { getListFileFormat } from "../utils/fileUtils";
+
+// Offline
+import { saveLists, getStoredLists } from "../offline/offlineDb";
+
 // Realtime
-import { supabase } from "../supabase-realtime/supabaseClient";
-import { subscribeToLists } from "../supabase-realtime/realtimeSubscriptions";
+import { useRealtime } from "./useRealtime";
 
 // Context
 import { useErrorHandler } from "../context/ErrorContext"; // for success/error notifications
+import { useAuth } from "../context/AuthContext";
 
 /**
  * useLists
@@ -20,10 +27,13 @@ import { useErrorHandler } from "../context/ErrorContext"; // for success/error
  * Custom hook for managing shopping lists.
  *
  * Features:
- * - Fetches initial lists from API.
- * - Subscribes to real-time updates via Supabase.
+ * - Fetches the lists the signed-in user owns or is a member of from API.
+ * - Subscribes to real-time updates of the user's own lists and of the lists shared with them
+ *   (Supabase or the built-in realtime server).
  * - Updates individual list fields locally with validation.
- * - Supports creating, updating, and deleting lists with success/error notifications.
+ * - Supports creating, updating, duplicating and deleting lists with success/error notifications.
+ * - Deleted lists go to the trash; the success toast offers an "undo" that restores them.
+ * - Keeps the lists in IndexedDB and shows them when there is no connection.
  * - Maintains loading and validation state.
  *
  * Returns:
@@ -32,8 +42,10 @@ import { useErrorHandler } from "../context/ErrorContext"; // for success/error
  * - errors: Validation errors keyed by list ID
  * - handleFieldUpdate(index, field, value): Updates a list field locally with validation
  * - handleSave(list): Saves an updated list via API
- * - handleDelete(listId): Deletes a list by ID
+ * - handleDelete(listId): Moves a list to the trash (with undo)
  * - handleCreate(name): Creates a new list
+ * - handleDuplicate(listId, options): Copies a list and its items
+ * - handleImportFile(file): Recreates lists from an exported CSV / JSON file
  * - loadLists(): Reloads all lists from API
  */
 export function useLists() {
@@ -47,6 +59,9 @@ export function useLists() {
   const [errors, setErrors] = useState({});
 
   const { showError, showSuccess } = useErrorHandler();
+  const { user } = useAuth();
+  const userId = user?.id;
+  const userName = user?.name;
 
   /**
    * Load lists from API
@@ -57,31 +72,51 @@ export function useLists() {
     try {
       const data = await fetchLists();
       setLists(data);
+      saveLists(data).catch((err) => console.error(err));
     } catch (err) {
-      showError(err); // הודעת שגיאה בעברית כבר מוגדרת בתוך showError
+      // Without a connection, show the lists kept from the last visit
+      if (err.code === "NETWORK_ERROR") setLists(await getStoredLists().catch(() => []));
+      else showError(err); // הודעת שגיאה בעברית כבר מוגדרת בתוך showError
     } finally {
       setIsLoading(false);
     }
   }, [showError]);
 
   /**
-   * Initial fetch and realtime subscription
+   * Initial fetch
    */
   useEffect(() => {
-    loadLists();
-
-    const channel = subscribeToLists({
-      onInsert: (newList) => setLists((prev) => [newList, ...prev]),
-      onUpdate: (updatedList) =>
-        setLists((prev) =>
-          prev.map((l) => (l.id === updatedList.id ? updatedList : l))
-        ),
-      onDelete: (deletedList) =>
-        setLists((prev) => prev.filter((l) => l.id !== deletedList.id)),
-    });
+    if (userId) loadLists();
+  }, [loadLists, userId]);
+
+  /**
+   * Realtime subscriptions (lists are reloaded once a dropped connection is restored):
+   * the lists the user owns (new ones included), and the lists shared with the user by their IDs
+   */
+  const realtimeCallbacks = {
+    // Realtime rows are raw table rows, so keep the role/members computed by the API
+    onInsert: (newList) =>
+      setLists((prev) =>
+        prev.some((l) => l.id === newList.id)
+          ? prev
+          : [{ ...newList, role: "OWNER", members: [{ userId, name: userName, role: "OWNER" }] }, ...prev]
+      ),
+    onUpdate: (updatedList) => {
+      // An update of an unknown list means it was restored from the trash → reload to get its role/members
+      if (!lists.some((l) => l.id === updatedList.id)) {
+        loadLists();
+        return;
+      }
+      setLists((prev) => prev.map((l) => (l.id === updatedList.id ? { ...l, ...updatedList } : l)));
+    },
+    onDelete: (deletedList) =>
+      setLists((prev) => prev.filter((l) => l.id !== deletedList.id)),
+    onResync: loadLists,
+  };
+  const sharedListIds = lists.filter((l) => l.userId !== userId).map((l) => l.id);
 
-    return () => supabase.removeChannel(channel);
-  }, [loadLists]);
+  useRealtime(userId ? { table: "List", column: "userId", values: [userId] } : null, realtimeCallbacks);
+  useRealtime({ table: "List", column: "id", values: sharedListIds }, realtimeCallbacks);
 
   /**
    * Update a field of a list locally, with validation
@@ -113,9 +148,10 @@ export function useLists() {
    * Steps:
    * 1. Validate the updated list locally.
    * 2. If validation fails, store errors in state and stop.
-   * 3. Call the API to update the list.
+   * 3. Call the API to update the list, with the version it was loaded at.
    * 4. Update the list in local state.
    * 5. Show success or error notification.
+   *    If someone else renamed the list meanwhile (409), their name is shown instead.
    */
   const handleSave = async (list) => {
     const listErrors = validateListUpdate(list);
@@ -124,11 +160,31 @@ export function useLists() {
       return;
     }
     try {
-      const updated = await updateList(list.id, { name: list.name });
+      const updated = await updateList(list.id, { name: list.name, version: list.version });
       setLists((prev) =>
-        prev.map((l) => (l.id === updated.id ? { ...l, name: updated.name } : l))
+        prev.map((l) => (l.id === updated.id ? { ...l, name: updated.name, version: updated.version } : l))
       );
       showSuccess("שינויים נשמרו בהצלחה.");
+    } catch (err) {
+      const current = err.code === "CONFLICT" ? err.details?.current : null;
+      if (!current) return showError(err);
+
+      setLists((prev) =>
+        prev.map((l) => (l.id === current.id ? { ...l, name: current.name, version: current.version } : l))
+      );
+      showError(new Error(`הרשימה שונתה בינתיים ל"${current.name}". ערוך/י שוב כדי לשמור את השינוי.`));
+    }
+  };
+
+  /**
+   * handleUndoDelete
+   * Restores a list that was just moved to the trash and reloads the lists.
+   */
+  const handleUndoDelete = async (listId) => {
+    try {
+      await restoreList(listId);
+      await loadLists();
+      showSuccess("הרשימה שוחזרה.");
     } catch (err) {
       showError(err);
     }
@@ -136,18 +192,18 @@ export function useLists() {
 
   /**
    * handleDelete
-   * Deletes a list by its ID.
+   * Moves a list to the trash by its ID.
    *
    * Steps:
    * 1. Call the API to delete the list.
    * 2. Remove the list from local state.
-   * 3. Show success or error notification.
+   * 3. Show success notification with an "undo" action, or an error notification.
    */
   const handleDelete = async (listId) => {
     try {
       await deleteList(listId);
       setLists((prev) => prev.filter((l) => l.id !== listId));
-      showSuccess("הרשימה נמחקה בהצלחה.");
+      showSuccess("הרשימה הועברה לסל המחזור.", { onUndo: () => handleUndoDelete(listId) });
     } catch (err) {
       showError(err);
     }
@@ -180,6 +236,52 @@ export function useLists() {
     }
   };
 
+  /**
+   * handleDuplicate
+   * Copies a list and its items into a new list owned by the user.
+   *
+   * @param {number} listId - ID of the list to copy
+   * @param {Object} options - { name, resetBought, onlyUnbought } (see duplicateList)
+   * @returns {Promise<Object|null>} The new list, or null on failure
+   */
+  const handleDuplicate = async (listId, options) => {
+    try {
+      const newList = await duplicateList(listId, options);
+      setLists((prev) =>
+        prev.some((l) => l.id === newList.id) ? prev : [newList, ...prev]
+      );
+      showSuccess(`הרשימה "${newList.name}" נוצרה.`);
+      return newList;
+    } catch (err) {
+      showError(err);
+      return null;
+    }
+  };
+
+  /**
+   * handleImportFile
+   * Recreates lists from an exported CSV / JSON file and adds them to the page.
+   *
+   * @param {File} file - The chosen file (.csv / .json)
+   * @returns {Promise<Object|null>} { lists, unresolved } (see importListFile), or null on failure
+   */
+  const handleImportFile = async (file) => {
+    const format = getListFileFormat(file.name);
+    if (!format) {
+      showError(new Error("ניתן לייבא קבצי CSV או JSON בלבד."));
+      return null;
+    }
+
+    try {
+      const result = await importListFile(format, await file.text());
+      setLists((prev) => [...result.lists.filter((list) => !prev.some((l) => l.id === list.id)), ...prev]);
+      showSuccess(`יובאו ${result.lists.length} רשימות.`);
+      return result;
+    } catch (err) {
+      showError(err);
+      return null;
+    }
+  };
 
   return {
     lists,
@@ -189,6 +291,8 @@ export function useLists() {
     handleSave,
     handleDelete,
     handleCreate,
+    handleDuplicate,
+    handleImportFile,
     loadLists,
   };
 }
\ No newline at end of file
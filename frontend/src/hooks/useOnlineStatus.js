@@ -0,0 +1,36 @@
+// React & Hooks
+import { useState, useEffect } from "react";
+
+// API
+import { subscribeToMutationQueue } from "../api/http";
+
+/**
+ * useOnlineStatus
+ *
+ * Custom hook for the connection status and the changes waiting to be sent.
+ *
+ * Returns:
+ * - online: Whether the browser reports a connection
+ * - pending: Number of changes queued while offline that were not sent yet
+ */
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pending, setPending] = useState(0);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+
+    const unsubscribe = subscribeToMutationQueue((state) => setPending(state.pending));
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      unsubscribe();
+    };
+  }, []);
+
+  return { online, pending };
+}
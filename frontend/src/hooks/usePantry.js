@@ -0,0 +1,171 @@
+// React & Hooks
+import { useState, useEffect, useCallback } from "react";
+
+// API
+import { fetchPantry, createPantryItem, updatePantryItem, deletePantryItem } from "../api/pantry";
+import { fetchCategories } from "../api/categories";
+import { fetchUnits } from "../api/units";
+import { fetchLists } from "../api/lists";
+import { addItem } from "../api/items";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+
+/**
+ * Fields of a pantry product sent to the API
+ * @param {Object} pantryItem
+ * @returns {Object}
+ */
+const toPayload = ({ name, quantity, minQuantity, categoryId, unitId, expiresAt }) => ({
+  name,
+  quantity: Number(quantity),
+  minQuantity: Number(minQuantity),
+  categoryId: Number(categoryId),
+  unitId: Number(unitId),
+  expiresAt: expiresAt || null,
+});
+
+/**
+ * usePantry
+ *
+ * Custom hook for the pantry (what the user already has at home).
+ *
+ * Features:
+ * - Fetches the pantry together with the categories, units and lists needed to edit it.
+ * - Adds, updates and removes products with success/error notifications.
+ * - Adds a running-low product to one of the user's lists in one call.
+ *
+ * Returns:
+ * - pantry: Products [{ id, name, quantity, minQuantity, expiresAt, lowStock, category, unit }]
+ * - lowStock: Products running low (quantity ≤ minQuantity)
+ * - categories / units: For the product form
+ * - lists: Lists the user may add items to
+ * - loading: Boolean loading indicator
+ * - handleAdd(pantryItem): Adds a product; resolves to true on success
+ * - handleUpdate(pantryItem): Saves a product
+ * - handleChangeQuantity(pantryItem, delta): Adds / removes quantity on hand
+ * - handleDelete(pantryItemId): Removes a product
+ * - handleAddToList(pantryItem, listId): Adds the product to a list (quantity = what is missing, at least 1)
+ */
+export function usePantry() {
+  const [pantry, setPantry] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [units, setUnits] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { showError, showSuccess } = useErrorHandler();
+
+  // --- Load the pantry and the data needed to edit it ---
+  const loadPantry = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [pantryData, categoriesData, unitsData, listsData] = await Promise.all([
+        fetchPantry(),
+        fetchCategories(),
+        fetchUnits(),
+        fetchLists(),
+      ]);
+      setPantry(pantryData);
+      setCategories(categoriesData);
+      setUnits(unitsData);
+      setLists(listsData.filter((list) => list.role !== "VIEWER"));
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadPantry();
+  }, [loadPantry]);
+
+  // Replace a product in local state
+  const replaceInPantry = (saved) =>
+    setPantry((prev) => prev.map((p) => (p.id === saved.id ? saved : p)));
+
+  /**
+   * handleAdd
+   * Adds a new product to the pantry.
+   */
+  const handleAdd = async (pantryItem) => {
+    try {
+      const created = await createPantryItem(toPayload(pantryItem));
+      setPantry((prev) => [...prev, created]);
+      showSuccess(`"${created.name}" נוסף למזווה.`);
+      return true;
+    } catch (err) {
+      showError(err);
+      return false;
+    }
+  };
+
+  /**
+   * handleUpdate
+   * Saves all fields of a product.
+   */
+  const handleUpdate = async (pantryItem) => {
+    try {
+      replaceInPantry(await updatePantryItem(pantryItem.id, toPayload(pantryItem)));
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /**
+   * handleChangeQuantity
+   * Adds (delta > 0) or removes (delta < 0) quantity on hand, never below zero.
+   */
+  const handleChangeQuantity = (pantryItem, delta) =>
+    handleUpdate({ ...pantryItem, quantity: Math.max(0, pantryItem.quantity + delta) });
+
+  /**
+   * handleDelete
+   * Removes a product from the pantry.
+   */
+  const handleDelete = async (pantryItemId) => {
+    try {
+      await deletePantryItem(pantryItemId);
+      setPantry((prev) => prev.filter((p) => p.id !== pantryItemId));
+      showSuccess("המוצר הוסר מהמזווה.");
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /**
+   * handleAddToList
+   * Adds a product to a shopping list, in its category and unit.
+   * The quantity is what is missing to get back above the low-stock threshold (at least 1).
+   */
+  const handleAddToList = async (pantryItem, listId) => {
+    const list = lists.find((l) => String(l.id) === String(listId));
+    if (!list) return;
+
+    try {
+      await addItem(list.id, pantryItem.categoryId, {
+        name: pantryItem.name,
+        quantity: Math.max(1, pantryItem.minQuantity - pantryItem.quantity + 1),
+        unitId: pantryItem.unitId,
+      });
+      showSuccess(`"${pantryItem.name}" נוסף לרשימה "${list.name}".`);
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  return {
+    pantry,
+    lowStock: pantry.filter((p) => p.lowStock),
+    categories,
+    units,
+    lists,
+    loading,
+    handleAdd,
+    handleUpdate,
+    handleChangeQuantity,
+    handleDelete,
+    handleAddToList,
+  };
+}
@@ -0,0 +1,101 @@
+// React & Hooks
+import { useState, useEffect, useRef, useCallback } from "react";
+
+// Realtime
+import { joinPresence } from "../realtime/realtimeManager";
+
+// Utils
+import { describeActivity } from "../utils/activity";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * usePresence
+ *
+ * Custom hook for who else is viewing a list right now (Supabase presence or the built-in
+ * realtime server, see realtime/realtimeManager.js).
+ *
+ * Features:
+ * - Joins the viewers of the list while the component is mounted
+ * - Tells the other viewers which item the user is editing, and when an item was marked as bought
+ * - Shows a notification when another viewer marks an item as bought
+ *
+ * Parameters:
+ * - listId: ID of the list
+ *
+ * Returns:
+ * - viewers: Other users viewing the list [{ userId, name }] (once per user, even with several tabs)
+ * - editorsByItemId: itemId → names of the other users editing the item
+ * - setEditingItem(itemId | null): Sets the item the user is editing
+ * - announceBought(item, bought): Tells the other viewers an item was (un)marked as bought
+ *   (with Supabase; the built-in server announces it from the item update)
+ */
+export function usePresence(listId) {
+  const [allViewers, setAllViewers] = useState([]);
+
+  const { showSuccess } = useErrorHandler();
+  const { user } = useAuth();
+  const userId = user?.id;
+  const userName = user?.name;
+
+  // The joined presence { update, send, leave }
+  const presenceRef = useRef(null);
+
+  // Latest notification handler, read by the presence without rejoining
+  const showSuccessRef = useRef(showSuccess);
+  useEffect(() => {
+    showSuccessRef.current = showSuccess;
+  });
+
+  // --- Join the viewers of the list ---
+  useEffect(() => {
+    if (!listId || !userId) return;
+
+    const presence = joinPresence(
+      { listId, user: { id: userId, name: userName } },
+      {
+        onSync: setAllViewers,
+        onMessage: (message) => {
+          if (message.type !== "bought") return;
+          const description = describeActivity({
+            action: "BOUGHT",
+            entityType: "ITEM",
+            after: { name: message.itemName, bought: message.bought },
+          });
+          showSuccessRef.current(`${message.user.name} ${description}`);
+        },
+      }
+    );
+    presenceRef.current = presence;
+
+    return () => {
+      presence.leave();
+      presenceRef.current = null;
+      setAllViewers([]);
+    };
+  }, [listId, userId, userName]);
+
+  // --- Other users, once each ---
+  const others = allViewers.filter((viewer) => viewer.userId !== userId);
+  const viewers = [...new Map(others.map(({ userId, name }) => [userId, { userId, name }])).values()];
+
+  const editorsByItemId = {};
+  others.forEach(({ name, editingItemId }) => {
+    if (editingItemId === null || editingItemId === undefined) return;
+    const names = (editorsByItemId[editingItemId] ??= []);
+    if (!names.includes(name)) names.push(name);
+  });
+
+  const setEditingItem = useCallback((itemId) => {
+    // Items added offline (negative IDs) are not on the server yet
+    presenceRef.current?.update(itemId > 0 ? itemId : null);
+  }, []);
+
+  const announceBought = useCallback((item, bought) => {
+    if (item.id > 0) presenceRef.current?.send({ type: "bought", itemId: item.id, itemName: item.name, bought });
+  }, []);
+
+  return { viewers, editorsByItemId, setEditingItem, announceBought };
+}
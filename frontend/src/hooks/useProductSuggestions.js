@@ -0,0 +1,49 @@
+// React & Hooks
+import { useState, useEffect } from "react";
+
+// API
+import { suggestProducts } from "../api/products";
+
+// Utils
+import { PRODUCT_SUGGEST_DELAY_MS, PRODUCT_SUGGEST_LIMIT } from "../utils/constants";
+
+/**
+ * useProductSuggestions
+ *
+ * Custom hook for autocompleting an item name from the product catalog.
+ * Fetches after the user stops typing for PRODUCT_SUGGEST_DELAY_MS; responses of
+ * older queries are ignored. Failures only hide the suggestions (typing is never blocked).
+ *
+ * Parameters:
+ * - query: Typed item name
+ * - enabled: Whether to fetch (e.g. only while the name input is focused)
+ *
+ * Returns:
+ * - suggestions: Products [{ id, name, brand, categoryId, unitId, category, unit }]
+ * - clearSuggestions: Function to hide the suggestions (e.g. after one was chosen)
+ */
+export function useProductSuggestions(query, enabled = true) {
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    const text = query.trim();
+    if (!enabled || !text) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      suggestProducts(text, PRODUCT_SUGGEST_LIMIT)
+        .then((data) => !cancelled && setSuggestions(data))
+        .catch(() => !cancelled && setSuggestions([]));
+    }, PRODUCT_SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, enabled]);
+
+  return { suggestions, clearSuggestions: () => setSuggestions([]) };
+}
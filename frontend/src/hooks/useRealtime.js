@@ -0,0 +1,44 @@
+// React & Hooks
+import { useEffect, useRef } from "react";
+
+// Realtime
+import { subscribeToChannel, getChannelKey } from "../realtime/realtimeManager";
+
+/**
+ * useRealtime
+ *
+ * Custom hook subscribing a component to realtime changes of a table (Supabase or the built-in
+ * realtime server, see realtime/realtimeManager.js).
+ *
+ * Features:
+ * - Shares one channel between every subscriber of the same table + filter
+ * - Resubscribes only when the table / filter changes (not when the callbacks do),
+ *   so callbacks may freely use the latest state and props
+ * - `onResync` is called after a dropped connection is restored, to refetch what was missed
+ *
+ * Parameters:
+ * - subscription: { table: "List" | "Item", column, values }, or null to not subscribe
+ * - callbacks: { onInsert, onUpdate, onDelete, onResync } (all optional)
+ */
+export function useRealtime(subscription, callbacks) {
+  // Latest callbacks and subscription, read by the channel without resubscribing
+  const callbacksRef = useRef(callbacks);
+  const subscriptionRef = useRef(subscription);
+  useEffect(() => {
+    callbacksRef.current = callbacks;
+    subscriptionRef.current = subscription;
+  });
+
+  const channelKey = subscription?.values.length ? getChannelKey(subscription) : null;
+
+  useEffect(() => {
+    if (!channelKey) return;
+
+    return subscribeToChannel(subscriptionRef.current, {
+      onInsert: (row) => callbacksRef.current.onInsert?.(row),
+      onUpdate: (row) => callbacksRef.current.onUpdate?.(row),
+      onDelete: (row) => callbacksRef.current.onDelete?.(row),
+      onResync: () => callbacksRef.current.onResync?.(),
+    });
+  }, [channelKey]);
+}
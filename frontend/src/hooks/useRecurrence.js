@@ -0,0 +1,96 @@
+// React & Hooks
+import { useState, useEffect, useCallback } from "react";
+
+// API
+import {
+  fetchRecurrences,
+  createRecurrence,
+  updateRecurrence,
+  deleteRecurrence,
+} from "../api/recurrences";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+
+/**
+ * useRecurrence
+ *
+ * Custom hook for the schedule that generates new lists from a list.
+ *
+ * Features:
+ * - Loads the recurrence of the list (if any).
+ * - Creates, changes and stops it with success/error notifications.
+ *
+ * Parameters:
+ * - listId: ID of the source list
+ *
+ * Returns:
+ * - recurrence: The list's recurrence, or null
+ * - loading: Boolean loading indicator
+ * - saving: Whether a change is being saved
+ * - handleSave(schedule): Creates or updates the recurrence ({ frequency, dayOfWeek, dayOfMonth })
+ * - handleStop(): Deletes the recurrence
+ */
+export function useRecurrence(listId) {
+  const [recurrence, setRecurrence] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const { showError, showSuccess } = useErrorHandler();
+
+  // --- Load the recurrence of the list ---
+  const loadRecurrence = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [first = null] = await fetchRecurrences({ sourceListId: listId });
+      setRecurrence(first);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [listId, showError]);
+
+  useEffect(() => {
+    loadRecurrence();
+  }, [loadRecurrence]);
+
+  /**
+   * handleSave
+   * Creates the recurrence, or changes the schedule of the existing one.
+   */
+  const handleSave = async (schedule) => {
+    setSaving(true);
+    try {
+      const saved = recurrence
+        ? await updateRecurrence(recurrence.id, schedule)
+        : await createRecurrence({ ...schedule, sourceListId: Number(listId) });
+      setRecurrence(saved);
+      showSuccess("הרשימה תיווצר אוטומטית לפי התזמון.");
+    } catch (err) {
+      showError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * handleStop
+   * Deletes the recurrence; lists it already generated are kept.
+   */
+  const handleStop = async () => {
+    if (!recurrence) return;
+    setSaving(true);
+    try {
+      await deleteRecurrence(recurrence.id);
+      setRecurrence(null);
+      showSuccess("היצירה האוטומטית הופסקה.");
+    } catch (err) {
+      showError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return { recurrence, loading, saving, handleSave, handleStop };
+}
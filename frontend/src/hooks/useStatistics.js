@@ -1,34 +1,42 @@
 // React & Hooks
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback } from "react";
 
 // API
 import { fetchMonthlyStats, fetchListStats } from "../api/statistics";
 
+// Utils
+import { getItemSpend } from "../utils/money";
+
 // Realtime
-import { subscribeToLists, subscribeToSpecificItems } from "../supabase-realtime/realtimeSubscriptions";
+import { useRealtime } from "./useRealtime";
 
 // Context
 import { useErrorHandler } from "../context/ErrorContext";
+import { useAuth } from "../context/AuthContext";
 
 /**
  * recalcList
- * Recalculates category percentages and total quantity for a list.
+ * Recalculates category percentages and totals (count, units, spend) for a list.
  *
  * @param {Object} listData - List data object containing `categories`
- * @returns {Object} - Updated list data with `percent` in each category and totalQuantity
+ * @returns {Object} - Updated list data with `percent` / `unitsPercent` / `spendPercent` in each
+ *                     category and totalQuantity / totalUnits / totalSpend
  */
 function recalcList(listData) {
-  const totalQuantity = (listData.categories || []).reduce(
-    (sum, c) => sum + (c.quantity || 0),
-    0
-  );
+  const categories = listData.categories || [];
+  const sum = (key) => categories.reduce((total, c) => total + (c[key] || 0), 0);
+  const totalQuantity = sum("quantity");
+  const totalUnits = sum("units");
+  const totalSpend = Math.round(sum("spend") * 100) / 100;
 
-  const updatedCategories = (listData.categories || []).map((c) => ({
+  const updatedCategories = categories.map((c) => ({
     ...c,
     percent: totalQuantity ? (c.quantity / totalQuantity) * 100 : 0,
+    unitsPercent: totalUnits ? ((c.units || 0) / totalUnits) * 100 : 0,
+    spendPercent: totalSpend ? ((c.spend || 0) / totalSpend) * 100 : 0,
   }));
 
-  return { ...listData, categories: updatedCategories, totalQuantity };
+  return { ...listData, categories: updatedCategories, totalQuantity, totalUnits, totalSpend };
 }
 
 /**
@@ -39,7 +47,8 @@ function recalcList(listData) {
  * - Loads monthly statistics from the API.
  * - Stores per-list data in `dataByList`, with category percentages.
  * - Supports highlighting a month and reactive reloading.
- * - Subscribes to real-time updates for lists and items using Supabase.
+ * - Subscribes to real-time updates for the user's own lists, the lists shared with them and their items
+ *   (Supabase or the built-in realtime server), reloading once a dropped connection is restored.
  * - Handles insert, update, and delete events for lists and items.
  * - Provides helper functions to reload all lists or individual lists.
  *
@@ -61,7 +70,8 @@ export function useStatistics(initialMonth) {
   const [loading, setLoading] = useState(true);
 
   const { showError } = useErrorHandler();
-  const itemChannelsRef = useRef({});
+  const { user } = useAuth();
+  const userId = user?.id;
 
   /**
    * loadMonthData
@@ -118,47 +128,45 @@ export function useStatistics(initialMonth) {
     loadMonthData(month);
   }, [month, loadMonthData]);
 
-  // --- Real-time subscription for lists ---
-  useEffect(() => {
-    const channel = subscribeToLists({
-      onInsert: (newList) => {
-        setLists((prev) => [...prev, newList]);
-        setDataByList((prev) => ({
-          ...prev,
-          [newList.id]: recalcList(newList),
-        }));
-      },
-      onUpdate: (updatedList) => {
-        setLists((prev) =>
-          prev.map((l) => (l.id === updatedList.id ? updatedList : l))
-        );
-        setDataByList((prev) => {
-          const prevData = prev[updatedList.id] || {};
-          const merged = { ...prevData, ...updatedList };
-          return { ...prev, [updatedList.id]: recalcList(merged) };
-        });
-      },
-      onDelete: (deletedList) => {
-        setLists((prev) => prev.filter((l) => l.id !== deletedList.id));
-        setDataByList((prev) => {
-          const copy = { ...prev };
-          delete copy[deletedList.id];
-          return copy;
-        });
-
-        if (itemChannelsRef.current[deletedList.id]) {
-          itemChannelsRef.current[deletedList.id].unsubscribe();
-          delete itemChannelsRef.current[deletedList.id];
-        }
-      },
-    });
+  // --- Real-time subscriptions for lists: owned by the user (new ones included), and shared with the user ---
+  const listCallbacks = {
+    onInsert: (newList) => {
+      setLists((prev) => [...prev, newList]);
+      setDataByList((prev) => ({
+        ...prev,
+        [newList.id]: recalcList(newList),
+      }));
+    },
+    onUpdate: (updatedList) => {
+      setLists((prev) =>
+        prev.map((l) => (l.id === updatedList.id ? updatedList : l))
+      );
+      setDataByList((prev) => {
+        const prevData = prev[updatedList.id] || {};
+        const merged = { ...prevData, ...updatedList };
+        return { ...prev, [updatedList.id]: recalcList(merged) };
+      });
+    },
+    // Removing the list also drops it from the items subscription below
+    onDelete: (deletedList) => {
+      setLists((prev) => prev.filter((l) => l.id !== deletedList.id));
+      setDataByList((prev) => {
+        const copy = { ...prev };
+        delete copy[deletedList.id];
+        return copy;
+      });
+    },
+    onResync: () => loadMonthData(month),
+  };
+  const sharedListIds = lists.filter((l) => l.userId !== userId).map((l) => l.id);
 
-    return () => channel.unsubscribe();
-  }, []);
+  useRealtime(userId ? { table: "List", column: "userId", values: [userId] } : null, listCallbacks);
+  useRealtime({ table: "List", column: "id", values: sharedListIds }, listCallbacks);
 
   /**
    * updateItemInData
    * Updates a specific item in dataByList according to type (insert/update/delete)
+   * Updates reload the list, since the previous quantity / prices of the item are unknown.
    */
   const updateItemInData = useCallback(
     (listId, item, type) => {
@@ -179,13 +187,15 @@ export function useStatistics(initialMonth) {
               updatedCategories[idx] = {
                 ...updatedCategories[idx],
                 quantity: (updatedCategories[idx].quantity || 0) + 1,
+                units: (updatedCategories[idx].units || 0) + item.quantity,
+                spend: (updatedCategories[idx].spend || 0) + getItemSpend(item),
               };
             } else {
               shouldReload = true;
             }
             break;
           case "update":
-            if (idx === -1) shouldReload = true;
+            shouldReload = true;
             break;
           case "delete":
             if (idx > -1) {
@@ -197,6 +207,8 @@ export function useStatistics(initialMonth) {
                 updatedCategories[idx] = {
                   ...updatedCategories[idx],
                   quantity: newQty,
+                  units: Math.max(0, (updatedCategories[idx].units || 0) - (item.quantity || 0)),
+                  spend: Math.max(0, (updatedCategories[idx].spend || 0) - getItemSpend(item)),
                 };
               else updatedCategories.splice(idx, 1);
             }
@@ -219,18 +231,15 @@ export function useStatistics(initialMonth) {
   );
 
   // --- Real-time subscription for items in all lists ---
-  useEffect(() => {
-    const listIds = lists.map((list) => list.id);
-    if (listIds.length === 0) return;
-
-    const channel = subscribeToSpecificItems(listIds, {
+  useRealtime(
+    { table: "Item", column: "listId", values: lists.map((list) => list.id) },
+    {
       onInsert: (item) => updateItemInData(item.listId, item, "insert"),
       onUpdate: (item) => updateItemInData(item.listId, item, "update"),
       onDelete: (item) => updateItemInData(item.listId, item, "delete"),
-    });
-
-    return () => channel.unsubscribe();
-  }, [lists, updateItemInData]);
+      onResync: () => lists.forEach((list) => reloadList(list.id)),
+    }
+  );
 
   return {
     month,
@@ -0,0 +1,55 @@
+// React & Hooks
+import { useState, useEffect, useCallback } from "react";
+
+// API
+import { fetchListSuggestions } from "../api/lists";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+
+/**
+ * Key used to compare product names (the server matches names more loosely; this only has to
+ * recognize the name of a suggestion that was just added)
+ * @param {string} name
+ * @returns {string}
+ */
+const toNameKey = (name) => name.trim().toLowerCase();
+
+/**
+ * useSuggestions
+ *
+ * Custom hook for the "you usually buy these" suggestions of a list.
+ *
+ * Parameters:
+ * - listId: ID of the list
+ * - enabled: Whether to fetch (e.g. not for viewers, who cannot add items)
+ *
+ * Returns:
+ * - suggestions: Products due and not on the list (dismissed ones excluded)
+ * - removeSuggestion(name): Drops a product once it was added to the list
+ * - dismissSuggestion(name): Hides a product until the page is opened again
+ */
+export function useSuggestions(listId, enabled = true) {
+  const [suggestions, setSuggestions] = useState([]);
+
+  const { showError } = useErrorHandler();
+
+  // --- Load the suggestions ---
+  const loadSuggestions = useCallback(async () => {
+    if (!listId) return;
+    try {
+      setSuggestions(await fetchListSuggestions(listId));
+    } catch (err) {
+      showError(err);
+    }
+  }, [listId, showError]);
+
+  useEffect(() => {
+    if (enabled) loadSuggestions();
+  }, [enabled, loadSuggestions]);
+
+  const removeSuggestion = (name) =>
+    setSuggestions((prev) => prev.filter((suggestion) => toNameKey(suggestion.name) !== toNameKey(name)));
+
+  return { suggestions, removeSuggestion, dismissSuggestion: removeSuggestion };
+}
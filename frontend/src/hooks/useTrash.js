@@ -0,0 +1,87 @@
+// React & Hooks
+import { useState, useEffect, useCallback } from "react";
+
+// API
+import { fetchTrash, restoreList, restoreItem } from "../api/trash";
+
+// Context
+import { useErrorHandler } from "../context/ErrorContext";
+
+/**
+ * useTrash
+ *
+ * Custom hook for the trash bin of deleted lists and items.
+ *
+ * Features:
+ * - Fetches the deleted lists (owned by the user) and items (of lists the user may edit).
+ * - Restores a list or an item and removes it from the trash.
+ *
+ * Returns:
+ * - lists: Deleted lists [{ id, name, deletedAt, purgeAt, itemCount }]
+ * - items: Deleted items [{ id, name, quantity, unit, category, list, deletedAt, purgeAt }]
+ * - retentionDays: Number of days deleted lists and items are kept
+ * - loading: Boolean loading indicator
+ * - handleRestoreList(listId): Restores a deleted list with its items
+ * - handleRestoreItem(itemId): Restores a deleted item
+ * - loadTrash(): Reloads the trash from API
+ */
+export function useTrash() {
+  const [trash, setTrash] = useState({ lists: [], items: [], retentionDays: null });
+  const [loading, setLoading] = useState(true);
+
+  const { showError, showSuccess } = useErrorHandler();
+
+  // --- Load the trash ---
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTrash(await fetchTrash());
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  /**
+   * handleRestoreList
+   * Restores a deleted list and removes it from the trash.
+   */
+  const handleRestoreList = async (listId) => {
+    try {
+      await restoreList(listId);
+      setTrash((prev) => ({ ...prev, lists: prev.lists.filter((l) => l.id !== listId) }));
+      showSuccess("הרשימה שוחזרה.");
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /**
+   * handleRestoreItem
+   * Restores a deleted item and removes it from the trash.
+   */
+  const handleRestoreItem = async (itemId) => {
+    try {
+      await restoreItem(itemId);
+      setTrash((prev) => ({ ...prev, items: prev.items.filter((i) => i.id !== itemId) }));
+      showSuccess("המוצר שוחזר.");
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  return {
+    lists: trash.lists,
+    items: trash.items,
+    retentionDays: trash.retentionDays,
+    loading,
+    handleRestoreList,
+    handleRestoreItem,
+    loadTrash,
+  };
+}
@@ -2,6 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './offline/serviceWorker'
+import { startMutationReplay } from './api/http'
+
+// Offline support: cache the app shell & API GETs, and send changes queued while offline
+registerServiceWorker()
+startMutationReplay()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,246 @@
+/**
+ * offlineDb.js
+ *
+ * IndexedDB store that keeps the app usable without a connection.
+ *
+ * Stores:
+ * - lists: the last lists fetched from the server (keyed by list ID)
+ * - items: the last items fetched per list, with changes made offline applied (keyed by item ID)
+ * - mutations: add / update / bought / delete requests waiting to be sent to the server, in order
+ *
+ * Items added offline get a negative temporary ID (see `api/http.js`) until the queue is replayed.
+ * Everything is cleared on logout, so the next user of the device does not see the lists.
+ */
+
+const DB_NAME = "shoppingList";
+const DB_VERSION = 1;
+
+// Cached connection promise
+let dbPromise = null;
+
+/**
+ * toPromise
+ * Wraps an IndexedDB request (or transaction) in a promise.
+ *
+ * @param {IDBRequest|IDBTransaction} request
+ * @returns {Promise<any>} The request result
+ */
+function toPromise(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onabort = request.onerror = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+/**
+ * openDb
+ * Opens (and on first use creates) the database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("lists", { keyPath: "id" });
+      db.createObjectStore("items", { keyPath: "id" }).createIndex("listId", "listId");
+      db.createObjectStore("mutations", { keyPath: "id", autoIncrement: true });
+    };
+    dbPromise = toPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * withStore
+ * Runs `callback` on an object store and waits for its transaction to complete.
+ *
+ * @param {string} storeName
+ * @param {"readonly"|"readwrite"} mode
+ * @param {(store: IDBObjectStore) => any} callback - May return an IDBRequest whose result is returned
+ * @returns {Promise<any>}
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const request = callback(tx.objectStore(storeName));
+  const [result] = await Promise.all([request ? toPromise(request) : undefined, toPromise(tx)]);
+  return result;
+}
+
+/* ======================
+   Lists
+   ====================== */
+
+/**
+ * saveLists
+ * Replaces the stored lists with the ones just fetched.
+ *
+ * @param {Array<Object>} lists
+ * @returns {Promise<void>}
+ */
+export function saveLists(lists) {
+  return withStore("lists", "readwrite", (store) => {
+    store.clear();
+    lists.forEach((list) => store.put(list));
+  });
+}
+
+/**
+ * getStoredLists
+ *
+ * @returns {Promise<Array<Object>>} The stored lists, newest first
+ */
+export async function getStoredLists() {
+  const lists = await withStore("lists", "readonly", (store) => store.getAll());
+  return lists.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/* ======================
+   Items
+   ====================== */
+
+/**
+ * saveItems
+ * Stores the items of some categories of a list just fetched from the server.
+ *
+ * @param {number|string} listId
+ * @param {Object} itemsByCategory - categoryId → items
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=true] - Whether the items are all the items of their categories, so stored
+ *                                          items missing from them are dropped; filtered fetches (bought / search)
+ *                                          are only merged in, since the items they leave out still exist
+ * @returns {Promise<void>}
+ */
+export async function saveItems(listId, itemsByCategory, { replace = true } = {}) {
+  const categoryIds = Object.keys(itemsByCategory).map(Number);
+  const stored = replace
+    ? await withStore("items", "readonly", (store) => store.index("listId").getAll(Number(listId)))
+    : [];
+
+  await withStore("items", "readwrite", (store) => {
+    stored
+      .filter((item) => categoryIds.includes(item.categoryId))
+      .forEach((item) => store.delete(item.id));
+    Object.values(itemsByCategory).flat().forEach((item) => store.put(item));
+  });
+}
+
+/**
+ * getStoredItems
+ *
+ * @param {number|string} listId
+ * @returns {Promise<Array<Object>>} The stored items of the list
+ */
+export function getStoredItems(listId) {
+  return withStore("items", "readonly", (store) => store.index("listId").getAll(Number(listId)));
+}
+
+/**
+ * saveItem
+ * Stores an item added or changed offline.
+ *
+ * @param {Object} item - Item with `id`, `listId` and `categoryId`
+ * @returns {Promise<void>}
+ */
+export function saveItem(item) {
+  return withStore("items", "readwrite", (store) => {
+    store.put(item);
+  });
+}
+
+/**
+ * removeStoredItem
+ * Removes an item deleted offline.
+ *
+ * @param {number} itemId
+ * @returns {Promise<void>}
+ */
+export function removeStoredItem(itemId) {
+  return withStore("items", "readwrite", (store) => {
+    store.delete(itemId);
+  });
+}
+
+/* ======================
+   Mutation Queue
+   ====================== */
+
+/**
+ * addMutation
+ * Appends a request to the outbound queue.
+ *
+ * @param {{ url: string, method: string, body?: string, createdAt: string }} mutation
+ * @returns {Promise<number>} The queue entry ID (increasing, so entries replay in order)
+ */
+export function addMutation(mutation) {
+  return withStore("mutations", "readwrite", (store) => store.add(mutation));
+}
+
+/**
+ * getMutations
+ *
+ * @returns {Promise<Array<Object>>} Queued requests, oldest first
+ */
+export function getMutations() {
+  return withStore("mutations", "readonly", (store) => store.getAll());
+}
+
+/**
+ * countMutations
+ *
+ * @returns {Promise<number>} Number of queued requests
+ */
+export function countMutations() {
+  return withStore("mutations", "readonly", (store) => store.count());
+}
+
+/**
+ * removeMutation
+ * Removes a request from the queue (after it was sent, or rejected by the server).
+ *
+ * @param {number} id - Queue entry ID
+ * @param {(url: string) => string} [rewriteUrl] - Applied to the URLs of the requests left in the queue,
+ *                                                 in the same transaction (e.g. to give them the server ID
+ *                                                 of an item that was just created)
+ * @returns {Promise<void>}
+ */
+export function removeMutation(id, rewriteUrl) {
+  return withStore("mutations", "readwrite", (store) => {
+    store.delete(id);
+    if (!rewriteUrl) return;
+
+    store.getAll().onsuccess = (event) => {
+      event.target.result.forEach((mutation) => {
+        const url = rewriteUrl(mutation.url);
+        if (url !== mutation.url) store.put({ ...mutation, url });
+      });
+    };
+  });
+}
+
+/* ======================
+   Logout
+   ====================== */
+
+/**
+ * clearOfflineData
+ * Deletes the stored lists, items and queued requests.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineData() {
+  const db = await openDb();
+  const tx = db.transaction(["lists", "items", "mutations"], "readwrite");
+  ["lists", "items", "mutations"].forEach((name) => tx.objectStore(name).clear());
+  await toPromise(tx);
+}
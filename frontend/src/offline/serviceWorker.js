@@ -0,0 +1,29 @@
+/**
+ * serviceWorker.js
+ *
+ * Registers the service worker (`public/sw.js`) that caches the app shell and API GETs,
+ * so the app opens and shows the last loaded lists without a connection.
+ *
+ * The service worker is only registered in production builds: in development Vite serves
+ * modules that change on every edit and must not be cached.
+ */
+
+/**
+ * registerServiceWorker
+ * Registers `/sw.js` once the page has loaded.
+ */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error("Service worker registration failed", err));
+  });
+}
+
+/**
+ * clearApiCache
+ * Asks the service worker to drop the cached API responses (on logout).
+ */
+export function clearApiCache() {
+  navigator.serviceWorker?.controller?.postMessage({ type: "CLEAR_API_CACHE" });
+}
@@ -3,21 +3,40 @@ import { useEffect, useState } from "react";
 import { useLocation, useNavigate, useParams } from "react-router-dom";
 
 // Icons
-import { List } from "lucide-react";
+import { List, LayoutGrid } from "lucide-react";
 
 // Components
 import CategorySidebar from "../components/items/CategorySidebar";
 import AddItem from "../components/items/AddItem";
 import Items from "../components/items/Items";
 import SortingAndFilters from "../components/items/SortingAndFilters";
+import BudgetSummary from "../components/items/BudgetSummary";
+import ActivityFeed from "../components/items/ActivityFeed";
+import SuggestionStrip from "../components/items/SuggestionStrip";
+import QuickAdd from "../components/items/QuickAdd";
 import OperationsMenu from "../components/common/OperationsMenu";
+import Modal from "../components/common/Modal";
+import SaveTemplate from "../components/lists/SaveTemplate";
+import ImportItems from "../components/items/ImportItems";
+import PresenceAvatars from "../components/items/PresenceAvatars";
 
 // Hooks
 import { useItems } from "../hooks/useItems";
+import { useSuggestions } from "../hooks/useSuggestions";
+import { usePresence } from "../hooks/usePresence";
+
+// Utils
+import { ALL_CATEGORIES } from "../utils/constants";
 
 /**
  * ItemsPage
- * Page for managing items within a selected list
+ * Page for managing items within a selected list, one category at a time
+ * or all categories together, including its estimated vs. actual spend and budget
+ * and a feed of who changed what in the list. The list can be saved as a template.
+ * Items can be added by typing them as one line (quick add) or by pasting a whole list, and products the user
+ * usually buys that are due are suggested above the items.
+ * Shows who else is viewing the list, highlights the items they are editing and
+ * notifies when they mark an item as bought
  */
 export default function ItemsPage() {
   const { state } = useLocation();
@@ -35,25 +54,63 @@ export default function ItemsPage() {
     loadInitialData,
     handleFieldUpdate,
     handleAddItem,
+    handleImportItems,
     handleSave,
     handleDeleteItem,
     handleBought,
-    nameOrderAsc,
-    setNameOrderAsc,
+    sortBy,
+    setSortBy,
+    sortOrderAsc,
+    setSortOrderAsc,
+    searchTerm,
+    setSearchTerm,
     showBought,
     setShowBought,
     showNotBought,
     setShowNotBought,
+    totals,
+    handleBudgetSave,
+    conflicts,
+    resolveConflict,
+    discardChanges,
   } = useItems(listId);
 
-  // UI state for sidebar, drawer, scroll
+  const canEdit = list?.role !== "VIEWER";
+  const { suggestions, removeSuggestion, dismissSuggestion } = useSuggestions(listId, canEdit);
+  const { viewers, editorsByItemId, setEditingItem, announceBought } = usePresence(listId);
+
+  // Marking an item as bought is also announced to the other viewers of the list
+  const handleBoughtAndAnnounce = async (itemId, bought) => {
+    const item = Object.values(itemsState.itemsByCategory).flat().find((i) => i.id === itemId);
+    if (item && (await handleBought(itemId, bought))) announceBought(item, bought);
+  };
+
+  // Adding a product (from the drawer, quick add or a suggestion) removes it from the suggestions
+  const handleAdd = async (newItem) => {
+    const added = await handleAddItem(newItem);
+    if (added) removeSuggestion(newItem.name);
+    return added;
+  };
+
+  const handleAddSuggestion = (suggestion) =>
+    handleAdd({
+      name: suggestion.name,
+      brand: suggestion.brand ?? "",
+      quantity: suggestion.quantity,
+      unitId: suggestion.unitId,
+      categoryId: suggestion.categoryId,
+      listId: Number(listId),
+    });
+
+  // UI state for sidebar, drawers, scroll
   const [uiExtras, setUiExtras] = useState({
     sidebarExpanded: true,
     drawerOpen: false,
+    activityOpen: false,
+    templateOpen: false,
+    importOpen: false,
   });
 
-  const [searchTerm, setSearchTerm] = useState("");
-
   // --- Initial load ---
   useEffect(() => {
     if (!list) navigate("/");
@@ -61,23 +118,29 @@ export default function ItemsPage() {
   }, [list, navigate, loadInitialData, initialCategoryId]);
 
   const currentCategoryId = itemsState.selectedCategory?.id;
+  const isAllCategories = currentCategoryId === ALL_CATEGORIES.id;
 
   const toggleSidebar = () =>
     setUiExtras((prev) => ({ ...prev, sidebarExpanded: !prev.sidebarExpanded }));
 
-  // --- Filter items by search ---
+  // --- Items of the current category (already sorted & filtered by the server) ---
   const filteredItems =
-    currentCategoryId && itemsState.itemsByCategory[currentCategoryId]
-      ? itemsState.itemsByCategory[currentCategoryId].filter((item) =>
-          item.name.toLowerCase().includes(searchTerm.toLowerCase())
-        )
-      : [];
+    (currentCategoryId && itemsState.itemsByCategory[currentCategoryId]) || [];
+
+  // --- "All categories" view: the items of every category, grouped ---
+  const categoryGroups = isAllCategories
+    ? itemsState.categories.map((cat) => ({
+        id: cat.id,
+        name: cat.name,
+        items: itemsState.itemsByCategory[cat.id] || [],
+      }))
+    : undefined;
 
   return (
     <div className="flex font-huninn">
       {/* Sidebar */}
       <CategorySidebar
-        categories={itemsState.categories}
+        categories={[{ ...ALL_CATEGORIES, icon: LayoutGrid }, ...itemsState.categories]}
         selectedCategory={itemsState.selectedCategory}
         setSelectedCategory={(cat) => {
           setSelectedCategory(cat);
@@ -90,7 +153,7 @@ export default function ItemsPage() {
       {/* Main content */}
       <main className="relative p-4 md:p-6 mr-4 space-y-6 flex-1 rounded-xl">
         {/* title */}
-        <div className="flex flex-wrap gap-2 mb-4">
+        <div className="flex flex-wrap items-center gap-2 mb-4">
           {list?.name && (
             <span className="flex items-center gap-2 bg-gradient-to-l from-sky-600 via-sky-500 to-sky-400 text-white text-md font-semibold px-3 py-1 rounded-full shadow-md">
               <List size={20} className="opacity-90" />
@@ -102,12 +165,22 @@ export default function ItemsPage() {
               {itemsState.selectedCategory.name}
             </span>
           )}
+          <PresenceAvatars viewers={viewers} />
         </div>
 
+        {/* Budget & spend totals */}
+        <BudgetSummary
+          totals={totals}
+          onBudgetSave={handleBudgetSave}
+          canEdit={canEdit}
+        />
+
         {/* Sorting & Filters */}
         <SortingAndFilters
-          nameOrderAsc={nameOrderAsc}
-          setNameOrderAsc={setNameOrderAsc}
+          sortBy={sortBy}
+          setSortBy={setSortBy}
+          sortOrderAsc={sortOrderAsc}
+          setSortOrderAsc={setSortOrderAsc}
           showBought={showBought}
           setShowBought={setShowBought}
           showNotBought={showNotBought}
@@ -120,8 +193,52 @@ export default function ItemsPage() {
         {/* Global operations menu */}
         <OperationsMenu
           onAddClick={() => setUiExtras((prev) => ({ ...prev, drawerOpen: true }))}
+          onActivityClick={() => setUiExtras((prev) => ({ ...prev, activityOpen: true }))}
+          onTemplateClick={() => setUiExtras((prev) => ({ ...prev, templateOpen: true }))}
+          onImportClick={() => setUiExtras((prev) => ({ ...prev, importOpen: true }))}
           list={{ ...list, categories: itemsState.categories, units: itemsState.units }}
-          showItems={["plus", "stats", "download"]}
+          showItems={[
+            "plus",
+            "stats",
+            "download",
+            "exportCsv",
+            "exportJson",
+            "share",
+            "activity",
+            "template",
+            ...(canEdit ? ["import"] : []),
+          ]}
+        />
+
+        {/* Modal for importing a pasted list */}
+        <Modal
+          isOpen={uiExtras.importOpen}
+          onClose={() => setUiExtras((prev) => ({ ...prev, importOpen: false }))}
+        >
+          <ImportItems
+            listId={listId}
+            categories={itemsState.categories}
+            onImport={handleImportItems}
+            onSuccess={() => setUiExtras((prev) => ({ ...prev, importOpen: false }))}
+          />
+        </Modal>
+
+        {/* Modal for saving the list as a template */}
+        <Modal
+          isOpen={uiExtras.templateOpen}
+          onClose={() => setUiExtras((prev) => ({ ...prev, templateOpen: false }))}
+        >
+          <SaveTemplate
+            list={list}
+            onSuccess={() => setUiExtras((prev) => ({ ...prev, templateOpen: false }))}
+          />
+        </Modal>
+
+        {/* Activity feed drawer */}
+        <ActivityFeed
+          listId={listId}
+          isOpen={uiExtras.activityOpen}
+          onClose={() => setUiExtras((prev) => ({ ...prev, activityOpen: false }))}
         />
 
         {/* Add item drawer */}
@@ -130,18 +247,42 @@ export default function ItemsPage() {
           drawerOpen={uiExtras.drawerOpen}
           onClose={() => setUiExtras((prev) => ({ ...prev, drawerOpen: false }))}
           units={itemsState.units}
-          onAdd={handleAddItem}
+          onAdd={handleAdd}
+          categories={itemsState.categories}
+          defaultCategoryId={isAllCategories ? undefined : currentCategoryId}
+        />
+
+        {/* Quick add */}
+        {canEdit && (
+          <QuickAdd
+            categories={itemsState.categories}
+            defaultCategoryId={isAllCategories ? undefined : currentCategoryId}
+            onAdd={(newItem) => handleAdd({ ...newItem, listId: Number(listId) })}
+          />
+        )}
+
+        {/* "You usually buy these" */}
+        <SuggestionStrip
+          suggestions={suggestions}
+          onAdd={handleAddSuggestion}
+          onDismiss={(suggestion) => dismissSuggestion(suggestion.name)}
         />
 
         {/* Items */}
         <Items
           items={filteredItems}
+          groups={categoryGroups}
           units={itemsState.units}
           handleFieldUpdate={handleFieldUpdate}
           handleSave={handleSave}
           handleDelete={handleDeleteItem}
-          handleBought={handleBought}
+          handleBought={handleBoughtAndAnnounce}
           fieldErrors={errors}
+          conflicts={conflicts}
+          onResolveConflict={resolveConflict}
+          onDiscardChanges={discardChanges}
+          editorsByItemId={editorsByItemId}
+          onEditingChange={setEditingItem}
           loading={
             !filteredItems.length && itemsState.categories.length === 0
           }
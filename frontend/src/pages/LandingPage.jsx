@@ -11,6 +11,7 @@ import CartAnimation from '../assets/lottie/cart.json';
 // Components
 import Modal from '../components/common/Modal';
 import CreateList from '../components/lists/CreateList';
+import ExpiringSoon from '../components/pantry/ExpiringSoon';
 
 /**
  * LandingPage
@@ -21,6 +22,7 @@ import CreateList from '../components/lists/CreateList';
  * - Provides two main actions:
  *   1. Create a new list (opens modal)
  *   2. Navigate to existing lists page
+ * - "Expiring soon" section for pantry products about to expire
  * - Responsive layout for mobile and desktop
  *
  * State:
@@ -108,6 +110,9 @@ export default function LandingPage() {
         </div>
       </div>
 
+      {/* Pantry products about to expire */}
+      <ExpiringSoon />
+
       {/* Modal for Creating a New List */}
       <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
         <CreateList onSuccess={handleListCreationSuccess} />
@@ -8,6 +8,10 @@ import { motion } from "framer-motion";
 // Components
 import Modal from "../components/common/Modal";
 import CreateList from "../components/lists/CreateList";
+import JoinList from "../components/lists/JoinList";
+import ManageMembersDialog from "../components/lists/ManageMembersDialog";
+import DuplicateList from "../components/lists/DuplicateList";
+import ImportListFile from "../components/lists/ImportListFile";
 import OperationsMenu from "../components/common/OperationsMenu";
 import Lists from "../components/lists/Lists";
 
@@ -19,9 +23,13 @@ import { useLists } from "../hooks/useLists";
  * Displays all shopping lists with options to create, view, edit, and delete.
  *
  * Features:
- * - Operations menu for adding new lists
+ * - Operations menu for adding new lists and joining shared lists
  * - Table & card views for lists
  * - Modal for creating a new list
+ * - Modal for joining a shared list with an invite code
+ * - Dialog for managing the members of a list
+ * - Modal for duplicating a list (optionally resetting "bought" flags or copying only unbought items)
+ * - Export of all lists as CSV / JSON, and a modal for importing lists from such a file
  * - Handles navigation to list items and statistics
  */
 export default function ListsPage() {
@@ -31,6 +39,18 @@ export default function ListsPage() {
   // Controls visibility of the "Create List" modal
   const [isModalOpen, setIsModalOpen] = useState(false);
 
+  // Controls visibility of the "Join List" modal
+  const [isJoinModalOpen, setIsJoinModalOpen] = useState(false);
+
+  // List whose members are being managed (null when the dialog is closed)
+  const [sharedList, setSharedList] = useState(null);
+
+  // List being duplicated (null when the modal is closed)
+  const [duplicatedList, setDuplicatedList] = useState(null);
+
+  // Controls visibility of the "Import file" modal
+  const [isImportFileOpen, setIsImportFileOpen] = useState(false);
+
   const navigate = useNavigate();
 
   // Custom hook for fetching/managing lists
@@ -41,6 +61,9 @@ export default function ListsPage() {
     handleFieldUpdate,
     handleSave,
     handleDelete,
+    handleDuplicate,
+    handleImportFile,
+    loadLists,
   } = useLists();
 
   // Toggle open/close state for a specific card (mobile view)
@@ -56,7 +79,9 @@ export default function ListsPage() {
       {/* Operations menu */}
       <OperationsMenu
         onAddClick={() => setIsModalOpen(true)}
-        showItems={["plus"]}
+        onJoinClick={() => setIsJoinModalOpen(true)}
+        onImportFileClick={() => setIsImportFileOpen(true)}
+        showItems={["plus", "join", "exportCsv", "exportJson", "importFile"]}
       />
 
       <main className="relative p-4 md:p-6 mr-4 space-y-6 flex-1 rounded-xl">
@@ -89,6 +114,8 @@ export default function ListsPage() {
           handleFieldUpdate={handleFieldUpdate}
           handleSave={handleSave}
           handleDelete={handleDelete}
+          handleShare={setSharedList}
+          handleDuplicate={setDuplicatedList}
         />
       </main>
 
@@ -101,6 +128,37 @@ export default function ListsPage() {
           }}
         />
       </Modal>
+
+      {/* Modal for joining a shared list */}
+      <Modal isOpen={isJoinModalOpen} onClose={() => setIsJoinModalOpen(false)}>
+        <JoinList
+          onSuccess={() => {
+            setIsJoinModalOpen(false);
+            loadLists();
+          }}
+        />
+      </Modal>
+
+      {/* Modal for duplicating a list */}
+      <Modal isOpen={Boolean(duplicatedList)} onClose={() => setDuplicatedList(null)}>
+        <DuplicateList
+          list={duplicatedList}
+          onDuplicate={handleDuplicate}
+          onSuccess={() => setDuplicatedList(null)}
+        />
+      </Modal>
+
+      {/* Modal for importing lists from an exported file */}
+      <Modal isOpen={isImportFileOpen} onClose={() => setIsImportFileOpen(false)}>
+        <ImportListFile onImport={handleImportFile} onSuccess={() => setIsImportFileOpen(false)} />
+      </Modal>
+
+      {/* Dialog for managing list members */}
+      <ManageMembersDialog
+        list={sharedList}
+        onClose={() => setSharedList(null)}
+        onMembersChange={loadLists}
+      />
     </>
   );
 }
@@ -0,0 +1,161 @@
+// React & Router
+import { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+
+// Icons & Animations
+import { Loader2, LogIn, UserPlus } from "lucide-react";
+import { motion } from "framer-motion";
+
+// Components
+import CustomInputFloating from "../components/common/CustomInputFloating";
+
+// Validation
+import { validateLogin, validateSignup } from "../validators/authValidator";
+
+// Context
+import { useAuth } from "../context/AuthContext";
+import { useErrorHandler } from "../context/ErrorContext";
+
+/**
+ * LoginPage
+ * Page for logging in or creating a new account.
+ *
+ * Features:
+ * - Toggle between "login" and "signup" modes
+ * - Floating input fields with validation on submit
+ * - Loading state with spinner while the request is running
+ * - After success, returns the user to the page they were redirected from
+ */
+export default function LoginPage() {
+  // "login" | "signup"
+  const [mode, setMode] = useState("login");
+
+  // Form values
+  const [form, setForm] = useState({ name: "", email: "", password: "" });
+
+  // Validation errors mapped by field name
+  const [errors, setErrors] = useState({});
+
+  // Whether the auth request is currently loading
+  const [isLoading, setIsLoading] = useState(false);
+
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { login, signup } = useAuth();
+  const { showError, showSuccess } = useErrorHandler();
+
+  const isSignup = mode === "signup";
+
+  /** Update a single form field */
+  const updateField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  /** Switch between login and signup modes */
+  const toggleMode = () => {
+    setMode((prev) => (prev === "login" ? "signup" : "login"));
+    setErrors({});
+  };
+
+  /**
+   * Handles form submission
+   * - Validates input
+   * - Calls login/signup
+   * - Redirects to the originally requested page on success
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = isSignup ? validateSignup(form) : validateLogin(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsLoading(true);
+    try {
+      const user = isSignup
+        ? await signup({ name: form.name.trim(), email: form.email.trim(), password: form.password })
+        : await login(form.email.trim(), form.password);
+      showSuccess(`שלום ${user.name}!`);
+      navigate(location.state?.from || "/", { replace: true });
+    } catch (err) {
+      showError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center px-4 pt-8 font-huninn">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5, ease: "easeOut" }}
+        className="w-full max-w-sm bg-white/80 backdrop-blur-lg rounded-3xl shadow-lg p-6"
+      >
+        <h1 className="text-2xl font-bold text-sky-700 mb-6 text-center">
+          {isSignup ? "הרשמה" : "התחברות"}
+        </h1>
+
+        <form onSubmit={handleSubmit} className="grid gap-7">
+          {isSignup && (
+            <CustomInputFloating
+              id="name"
+              label="* שם"
+              value={form.name}
+              onChange={updateField("name")}
+              error={errors.name}
+              maxLength={50}
+            />
+          )}
+          <CustomInputFloating
+            id="email"
+            label="* אימייל"
+            type="email"
+            value={form.email}
+            onChange={updateField("email")}
+            error={errors.email}
+          />
+          <CustomInputFloating
+            id="password"
+            label="* סיסמה"
+            type="password"
+            value={form.password}
+            onChange={updateField("password")}
+            error={errors.password}
+          />
+
+          {/* Submit button */}
+          <motion.button
+            type="submit"
+            disabled={isLoading}
+            whileHover={{ scale: isLoading ? 1 : 1.03 }}
+            whileTap={{ scale: isLoading ? 1 : 0.97 }}
+            className="mt-2 bg-gradient-to-r from-sky-600 to-sky-500
+             text-white px-4 py-2 rounded-xl shadow-md
+             hover:shadow-lg transition-all cursor-pointer
+             flex items-center justify-center gap-2 flex-row-reverse disabled:opacity-50"
+          >
+            {isLoading ? (
+              <Loader2 className="animate-spin w-4 h-4" />
+            ) : isSignup ? (
+              <UserPlus size={16} />
+            ) : (
+              <LogIn size={16} />
+            )}
+            <span className="text-md font-medium">
+              {isLoading ? "שולח..." : isSignup ? "הרשמה" : "התחברות"}
+            </span>
+          </motion.button>
+        </form>
+
+        {/* Mode toggle */}
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="mt-6 w-full text-center text-sm text-sky-600 hover:text-sky-800 cursor-pointer"
+        >
+          {isSignup ? "כבר יש לך חשבון? התחברות" : "אין לך חשבון? הרשמה"}
+        </button>
+      </motion.div>
+    </div>
+  );
+}
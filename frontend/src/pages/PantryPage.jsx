@@ -0,0 +1,104 @@
+// Animations
+import { motion } from "framer-motion";
+
+// Components
+import PantryEntry from "../components/pantry/PantryEntry";
+import AddPantryItem from "../components/pantry/AddPantryItem";
+import DataLoader from "../components/common/DataLoader";
+
+// Hooks
+import { usePantry } from "../hooks/usePantry";
+
+/**
+ * PantryPage
+ * Displays what the user already has at home (pantry / home inventory).
+ *
+ * Features:
+ * - Running-low products first, each one click away from being added to a list
+ * - All products with quantity on hand, low-stock threshold and expiry date
+ * - Form for adding products; bought list items are added automatically
+ */
+export default function PantryPage() {
+  const {
+    pantry,
+    lowStock,
+    categories,
+    units,
+    lists,
+    loading,
+    handleAdd,
+    handleUpdate,
+    handleChangeQuantity,
+    handleDelete,
+    handleAddToList,
+  } = usePantry();
+
+  // Props shared by every entry
+  const entryProps = {
+    lists,
+    onChangeQuantity: handleChangeQuantity,
+    onUpdate: handleUpdate,
+    onDelete: handleDelete,
+    onAddToList: handleAddToList,
+  };
+
+  return (
+    <main className="relative p-4 md:p-6 mr-4 space-y-6 flex-1 rounded-xl font-huninn">
+      {/* Page title */}
+      <section className="flex flex-col items-center justify-center">
+        <motion.h4
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, ease: "easeOut" }}
+          className="text-xl text-white font-bold backdrop-blur-sm rounded-2xl py-3 tracking-wide"
+        >
+          מזווה
+        </motion.h4>
+        <motion.div
+          initial={{ width: 0 }}
+          animate={{ width: "40%" }}
+          transition={{ duration: 0.6, delay: 0.2, ease: "easeOut" }}
+          className="h-[2px] bg-white rounded-full"
+        />
+        <p className="text-white/90 text-sm mt-3">
+          מוצרים שסימנת כנקנו נוספים למזווה אוטומטית.
+        </p>
+      </section>
+
+      {loading ? (
+        <div className="relative min-h-[200px]">
+          <DataLoader loading={true} />
+        </div>
+      ) : (
+        <div className="max-w-3xl mx-auto space-y-8">
+          {/* Add product */}
+          <AddPantryItem categories={categories} units={units} onAdd={handleAdd} />
+
+          {/* Running low */}
+          {lowStock.length > 0 && (
+            <section className="space-y-3">
+              <h5 className="text-lg text-white font-bold">עומד להיגמר</h5>
+              {lowStock.map((pantryItem) => (
+                <PantryEntry key={pantryItem.id} pantryItem={pantryItem} {...entryProps} />
+              ))}
+            </section>
+          )}
+
+          {/* Everything at home */}
+          <section className="space-y-3">
+            <h5 className="text-lg text-white font-bold">כל המוצרים בבית</h5>
+            {pantry.length === 0 ? (
+              <p className="text-gray-500">המזווה ריק.</p>
+            ) : (
+              pantry
+                .filter((pantryItem) => !pantryItem.lowStock)
+                .map((pantryItem) => (
+                  <PantryEntry key={pantryItem.id} pantryItem={pantryItem} {...entryProps} />
+                ))
+            )}
+          </section>
+        </div>
+      )}
+    </main>
+  );
+}
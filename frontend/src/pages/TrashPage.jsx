@@ -0,0 +1,100 @@
+// Animations
+import { motion } from "framer-motion";
+
+// Components
+import TrashEntry from "../components/trash/TrashEntry";
+import DataLoader from "../components/common/DataLoader";
+
+// Hooks
+import { useTrash } from "../hooks/useTrash";
+
+/**
+ * TrashSection
+ * Titled group of trash entries, with an empty-state message.
+ */
+function TrashSection({ title, emptyText, children }) {
+  const hasEntries = Array.isArray(children) ? children.length > 0 : Boolean(children);
+
+  return (
+    <section className="space-y-3">
+      <h5 className="text-lg text-white font-bold">{title}</h5>
+      {hasEntries ? children : <p className="text-gray-500">{emptyText}</p>}
+    </section>
+  );
+}
+
+/**
+ * TrashPage
+ * Displays the deleted lists and items of the user and lets them be restored.
+ *
+ * Features:
+ * - Deleted lists the user owns (restored together with their items)
+ * - Deleted items of lists the user may edit
+ * - Shows when every entry will be deleted permanently
+ */
+export default function TrashPage() {
+  const { lists, items, retentionDays, loading, handleRestoreList, handleRestoreItem } = useTrash();
+
+  return (
+    <main className="relative p-4 md:p-6 mr-4 space-y-6 flex-1 rounded-xl font-huninn">
+      {/* Page title */}
+      <section className="flex flex-col items-center justify-center">
+        <motion.h4
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, ease: "easeOut" }}
+          className="text-xl text-white font-bold backdrop-blur-sm rounded-2xl py-3 tracking-wide"
+        >
+          סל מחזור
+        </motion.h4>
+        <motion.div
+          initial={{ width: 0 }}
+          animate={{ width: "40%" }}
+          transition={{ duration: 0.6, delay: 0.2, ease: "easeOut" }}
+          className="h-[2px] bg-white rounded-full"
+        />
+        {retentionDays && (
+          <p className="text-white/90 text-sm mt-3">
+            רשימות ומוצרים שנמחקו נשמרים {retentionDays} ימים ולאחר מכן נמחקים לצמיתות.
+          </p>
+        )}
+      </section>
+
+      {loading ? (
+        <div className="relative min-h-[200px]">
+          <DataLoader loading={true} />
+        </div>
+      ) : (
+        <div className="max-w-3xl mx-auto space-y-8">
+          {/* Deleted lists */}
+          <TrashSection title="רשימות" emptyText="אין רשימות בסל המחזור.">
+            {lists.map((list) => (
+              <TrashEntry
+                key={list.id}
+                title={list.name}
+                details={`${list.itemCount} מוצרים`}
+                deletedAt={list.deletedAt}
+                purgeAt={list.purgeAt}
+                onRestore={() => handleRestoreList(list.id)}
+              />
+            ))}
+          </TrashSection>
+
+          {/* Deleted items */}
+          <TrashSection title="מוצרים" emptyText="אין מוצרים בסל המחזור.">
+            {items.map((item) => (
+              <TrashEntry
+                key={item.id}
+                title={`${item.name} · ${item.quantity} ${item.unit?.name ?? ""}`}
+                details={`${item.list.name} · ${item.category?.name ?? ""}`}
+                deletedAt={item.deletedAt}
+                purgeAt={item.purgeAt}
+                onRestore={() => handleRestoreItem(item.id)}
+              />
+            ))}
+          </TrashSection>
+        </div>
+      )}
+    </main>
+  );
+}
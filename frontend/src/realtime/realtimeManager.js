@@ -0,0 +1,206 @@
+/**
+ * Realtime Manager
+ *
+ * Shares realtime channels between subscribers.
+ *
+ * - Channels are keyed by table + filter (e.g. `Item:listId=1,2`), so subscribers with
+ *   different filters never collide and subscribers with the same filter share one channel
+ * - Subscribers are reference-counted: the first opens the channel, the last closes it
+ * - A channel that was dropped is reopened (with a growing delay, and right away when the
+ *   browser comes back online); once it is connected again every subscriber's `onResync`
+ *   is called, so it can refetch the changes it missed meanwhile
+ *
+ * The changes come from a pluggable adapter, chosen by REALTIME_PROVIDER (utils/constants.js):
+ *   • "supabase" → Supabase Realtime (./supabaseAdapter.js)
+ *   • "server"   → the event streams of the backend (./serverAdapter.js)
+ * Both adapters deliver Supabase-style `{ eventType, new, old }` payloads.
+ *
+ * Lists and items are soft-deleted: moving a row to the trash is an UPDATE that sets
+ * `deletedAt`, which is reported to `onDelete`. Restoring a row is reported to `onUpdate`.
+ *
+ * Presence (who is viewing a list, and which item they edit) is not shared: every
+ * viewer joins the list on its own, through the same adapter.
+ */
+
+import { REALTIME_PROVIDER } from '../utils/constants';
+import * as supabaseAdapter from './supabaseAdapter';
+import * as serverAdapter from './serverAdapter';
+
+// Adapter delivering the changes: subscribe(subscription, onChange, onStatus) → unsubscribe,
+// and the viewers of a list: joinPresence(presence, onSync, onMessage) → { update, send, leave }
+const adapter = REALTIME_PROVIDER === 'supabase' ? supabaseAdapter : serverAdapter;
+
+// Delays before reopening a closed channel: doubled after every failed attempt, up to the max
+const REOPEN_DELAY_MS = 1000;
+const MAX_REOPEN_DELAY_MS = 30 * 1000;
+
+// Open channels by key: { subscription, subscribers: Set, close, attempt, connected, dropped, reopenDelay, reopenTimer }
+const channels = new Map();
+
+/**
+ * getChannelKey
+ *
+ * @param {Object} subscription { table, column, values }
+ * @returns {string} Key of the channel of a subscription (same table + filter → same key)
+ */
+export function getChannelKey({ table, column, values }) {
+  const sortedValues = [...new Set(values.map(String))].sort();
+  return `${table}:${column}=${sortedValues.join(',')}`;
+}
+
+/**
+ * dispatchChange
+ *
+ * Calls the callback matching a realtime payload, treating soft deletes as deletes.
+ *
+ * @param {Object} payload Realtime payload (Supabase `postgres_changes` format)
+ * @param {Object} callbacks { onInsert, onUpdate, onDelete }
+ */
+function dispatchChange(payload, { onInsert, onUpdate, onDelete }) {
+  const { eventType, new: newRow, old } = payload;
+  switch (eventType) {
+    case 'INSERT':
+      onInsert?.(newRow);
+      break;
+    case 'UPDATE':
+      if (newRow.deletedAt) onDelete?.(newRow);
+      else onUpdate?.(newRow);
+      break;
+    case 'DELETE':
+      onDelete?.(old);
+      break;
+  }
+}
+
+/**
+ * closeChannel
+ *
+ * Closes the adapter subscription of a channel; its later status reports are ignored.
+ *
+ * @param {Object} channel
+ */
+function closeChannel(channel) {
+  channel.attempt += 1;
+  clearTimeout(channel.reopenTimer);
+  channel.reopenTimer = null;
+  channel.close?.();
+  channel.close = null;
+}
+
+/**
+ * openChannel
+ *
+ * (Re)opens the adapter subscription of a channel.
+ *
+ * @param {string} key
+ * @param {Object} channel
+ */
+function openChannel(key, channel) {
+  closeChannel(channel);
+  const attempt = channel.attempt;
+
+  const handleChange = (payload) => {
+    channel.subscribers.forEach((callbacks) => dispatchChange(payload, callbacks));
+  };
+
+  const handleStatus = (status) => {
+    if (attempt !== channel.attempt) return; // A report of a subscription closed meanwhile
+
+    if (status === 'connected') {
+      channel.connected = true;
+      channel.reopenDelay = REOPEN_DELAY_MS;
+      if (channel.dropped) {
+        channel.dropped = false;
+        channel.subscribers.forEach((callbacks) => callbacks.onResync?.());
+      }
+      return;
+    }
+
+    channel.connected = false;
+    channel.dropped = true;
+    if (status === 'closed' && !channel.reopenTimer) {
+      channel.reopenTimer = setTimeout(() => {
+        channel.reopenTimer = null;
+        if (channels.get(key) === channel) openChannel(key, channel);
+      }, channel.reopenDelay);
+      channel.reopenDelay = Math.min(channel.reopenDelay * 2, MAX_REOPEN_DELAY_MS);
+    }
+  };
+
+  channel.close = adapter.subscribe({ ...channel.subscription, name: key }, handleChange, handleStatus);
+}
+
+/**
+ * subscribeToChannel
+ *
+ * Subscribes to changes of the rows of a table whose `column` is one of `values`,
+ * sharing the channel with other subscribers of the same table + filter.
+ *
+ * @param {Object} subscription
+ * @param {'List'|'Item'} subscription.table Table to monitor
+ * @param {string} subscription.column Column the rows are filtered by (e.g. `listId`)
+ * @param {Array<number|string>} subscription.values Values of `column` to monitor
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onInsert] Called with new row when a row is inserted
+ * @param {Function} [callbacks.onUpdate] Called with updated row when a row is updated (or restored)
+ * @param {Function} [callbacks.onDelete] Called with the row when a row is deleted (or moved to the trash)
+ * @param {Function} [callbacks.onResync] Called when the channel is connected again after a drop
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToChannel(subscription, callbacks) {
+  const key = getChannelKey(subscription);
+
+  let channel = channels.get(key);
+  if (!channel) {
+    channel = {
+      subscription,
+      subscribers: new Set(),
+      close: null,
+      attempt: 0,
+      connected: false,
+      dropped: false,
+      reopenDelay: REOPEN_DELAY_MS,
+      reopenTimer: null,
+    };
+    channels.set(key, channel);
+    openChannel(key, channel);
+  }
+
+  // Each subscription is its own entry, even when the same callbacks subscribe twice
+  const subscriber = { ...callbacks };
+  channel.subscribers.add(subscriber);
+
+  return () => {
+    channel.subscribers.delete(subscriber);
+    if (channel.subscribers.size > 0 || channels.get(key) !== channel) return;
+
+    closeChannel(channel);
+    channels.delete(key);
+  };
+}
+
+/**
+ * joinPresence
+ *
+ * Joins the viewers of a list until `leave()` is called.
+ *
+ * @param {Object} presence
+ * @param {number|string} presence.listId List being viewed
+ * @param {{ id: number, name: string }} presence.user The signed-in user
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onSync Called with every viewer [{ connectionId, userId, name, editingItemId }]
+ *                                    (the user's own tabs included) whenever one joins, leaves or changes
+ * @param {Function} callbacks.onMessage Called with messages of other viewers ({ type, ..., user: { id, name } })
+ * @returns {{ update: Function, send: Function, leave: Function }}
+ *          update(editingItemId|null) sets the item the user is editing; send(message) tells the other viewers
+ */
+export function joinPresence(presence, { onSync, onMessage }) {
+  return adapter.joinPresence(presence, onSync, onMessage);
+}
+
+// --- Reopen dropped channels as soon as the browser is back online ---
+window.addEventListener('online', () => {
+  channels.forEach((channel, key) => {
+    if (!channel.connected) openChannel(key, channel);
+  });
+});
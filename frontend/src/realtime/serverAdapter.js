@@ -0,0 +1,99 @@
+/**
+ * Built-in Realtime Server Adapter
+ *
+ * Subscribes to the event streams of the backend (`/api/realtime`, Server-Sent Events),
+ * for running without a Supabase project (local development, self-hosting).
+ *
+ * - Streams send the same `{ eventType, new, old }` payloads as Supabase
+ * - The access token is sent in the query string, since EventSource cannot send headers
+ * - Dropped connections are reconnected by the browser; rejected ones are reported as 'closed'
+ * - The lists stream sends every list the signed-in user owns or is a member of, so its changes are
+ *   filtered here by `column`; items are filtered by `listId` on the server
+ * - Presence: the presence stream of a list makes the user a viewer of it while it is open;
+ *   the item being edited is sent with the stream's `connectionId`, and the server itself announces items
+ *   marked as bought (so `send` has nothing to do)
+ */
+
+import { API_REALTIME } from '../utils/constants';
+import { getToken } from '../utils/authStorage';
+import { updateListPresence } from '../api/lists';
+
+// Stream path per table
+const STREAM_PATHS = {
+  List: 'lists',
+  Item: 'items',
+};
+
+/**
+ * subscribe
+ *
+ * @param {Object} subscription
+ * @param {'List'|'Item'} subscription.table Table to monitor
+ * @param {string} subscription.column Column the rows are filtered by (`listId` for items)
+ * @param {Array<number|string>} subscription.values Values of `column` to monitor
+ * @param {Function} onChange Called with every `{ eventType, new, old }` payload
+ * @param {Function} onStatus Called with 'connected' | 'disconnected' | 'closed' (no longer retried)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe({ table, column, values }, onChange, onStatus) {
+  const params = new URLSearchParams({ access_token: getToken() || '' });
+  if (table === 'Item') params.set('listIds', values.join(','));
+
+  const monitored = new Set(values.map(String));
+  const source = new EventSource(`${API_REALTIME}/${STREAM_PATHS[table]}?${params}`);
+  source.addEventListener('change', (event) => {
+    const payload = JSON.parse(event.data);
+    const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+    if (monitored.has(String(row[column]))) onChange(payload);
+  });
+  source.onopen = () => onStatus('connected');
+  source.onerror = () => {
+    // Rejected streams (e.g. an expired session) are not retried by the browser
+    onStatus(source.readyState === EventSource.CLOSED ? 'closed' : 'disconnected');
+  };
+
+  return () => source.close();
+}
+
+/**
+ * joinPresence
+ *
+ * @param {Object} presence
+ * @param {number|string} presence.listId List being viewed
+ * @param {Function} onSync Called with every viewer [{ connectionId, userId, name, editingItemId }]
+ * @param {Function} onMessage Called with messages of other viewers ({ type, ..., user: { id, name } })
+ * @returns {{ update: Function, send: Function, leave: Function }}
+ *          update(editingItemId) is best effort: it is dropped while disconnected; send(message) does nothing,
+ *          since the item update already told the other viewers
+ */
+export function joinPresence({ listId }, onSync, onMessage) {
+  const params = new URLSearchParams({ access_token: getToken() || '' });
+  const source = new EventSource(`${API_REALTIME}/presence/${listId}?${params}`);
+
+  let connectionId = null;
+  let editingItemId = null;
+
+  const ignoreError = () => {};
+
+  source.addEventListener('joined', (event) => {
+    // A reconnected stream is a new viewer, which starts without an edited item
+    connectionId = JSON.parse(event.data).connectionId;
+    if (editingItemId !== null) updateListPresence(listId, connectionId, editingItemId).catch(ignoreError);
+  });
+  source.addEventListener('presence', (event) => onSync(JSON.parse(event.data).viewers));
+  source.addEventListener('message', (event) => onMessage(JSON.parse(event.data)));
+  source.onerror = () => {
+    connectionId = null;
+  };
+
+  return {
+    update(itemId) {
+      editingItemId = itemId;
+      if (connectionId) updateListPresence(listId, connectionId, itemId).catch(ignoreError);
+    },
+    send() {},
+    leave() {
+      source.close();
+    },
+  };
+}
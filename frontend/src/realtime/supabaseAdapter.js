@@ -0,0 +1,101 @@
+/**
+ * Supabase Realtime Adapter
+ *
+ * Subscribes to `postgres_changes` of a table through Supabase Realtime.
+ *
+ * Requirements / Preconditions:
+ * - The Supabase project must have Realtime enabled for the Postgres tables.
+ * - The tables (`List` and `Item`) should have replication enabled in Supabase.
+ * - Supabase Auth / API Key must allow subscribing to the Realtime channels.
+ * - Table schema and column names in the database must match what is referenced here.
+ *
+ * Presence uses a Supabase presence channel per list (`presence:list-<id>`), tracking
+ * { userId, name, editingItemId } per tab; messages are sent as broadcasts on the same channel.
+ */
+
+import { supabase } from './supabaseClient';
+
+// Supabase channel statuses → statuses reported to the realtime manager
+// (after an error or a timeout Supabase rejoins the channel by itself)
+const STATUSES = {
+  SUBSCRIBED: 'connected',
+  CHANNEL_ERROR: 'disconnected',
+  TIMED_OUT: 'disconnected',
+  CLOSED: 'closed',
+};
+
+/**
+ * subscribe
+ *
+ * @param {Object} subscription
+ * @param {string} subscription.name Channel name
+ * @param {'List'|'Item'} subscription.table Table to monitor
+ * @param {string} subscription.column Column the rows are filtered by (e.g. `listId`)
+ * @param {Array<number|string>} subscription.values Values of `column` to monitor
+ * @param {Function} onChange Called with every `{ eventType, new, old }` payload
+ * @param {Function} onStatus Called with 'connected' | 'disconnected' | 'closed' (no longer retried)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe({ name, table, column, values }, onChange, onStatus) {
+  const filter = values.length === 1 ? `${column}=eq.${values[0]}` : `${column}=in.(${values.join(',')})`;
+
+  const channel = supabase
+    .channel(name)
+    .on('postgres_changes', { event: '*', schema: 'public', table, filter }, onChange)
+    .subscribe((status, err) => {
+      if (err) console.error("Realtime channel error:", err);
+      if (STATUSES[status]) onStatus(STATUSES[status]);
+    });
+
+  return () => supabase.removeChannel(channel);
+}
+
+/**
+ * joinPresence
+ *
+ * @param {Object} presence
+ * @param {number|string} presence.listId List being viewed
+ * @param {{ id: number, name: string }} presence.user The signed-in user
+ * @param {Function} onSync Called with every viewer [{ connectionId, userId, name, editingItemId }]
+ * @param {Function} onMessage Called with messages of other viewers ({ type, ..., user: { id, name } })
+ * @returns {{ update: Function, send: Function, leave: Function }}
+ */
+export function joinPresence({ listId, user }, onSync, onMessage) {
+  const connectionId = crypto.randomUUID();
+  const state = { userId: user.id, name: user.name, editingItemId: null };
+
+  const channel = supabase.channel(`presence:list-${listId}`, {
+    config: { presence: { key: connectionId } },
+  });
+
+  channel
+    .on('presence', { event: 'sync' }, () => {
+      const viewers = Object.entries(channel.presenceState()).flatMap(([key, metas]) =>
+        metas.map(({ userId, name, editingItemId }) => ({ connectionId: key, userId, name, editingItemId }))
+      );
+      onSync(viewers);
+    })
+    .on('broadcast', { event: 'message' }, ({ payload }) => onMessage(payload))
+    .subscribe((status, err) => {
+      if (err) console.error("Presence channel error:", err);
+      // (Re)joined: announce this tab again
+      if (status === 'SUBSCRIBED') channel.track(state);
+    });
+
+  return {
+    update(editingItemId) {
+      state.editingItemId = editingItemId;
+      channel.track(state);
+    },
+    send(message) {
+      channel.send({
+        type: 'broadcast',
+        event: 'message',
+        payload: { ...message, user: { id: user.id, name: user.name } },
+      });
+    },
+    leave() {
+      supabase.removeChannel(channel);
+    },
+  };
+}
@@ -7,6 +7,7 @@
  *   • Perform queries on tables (SELECT, INSERT, UPDATE, DELETE)
  *   • Subscribe to realtime updates
  *   • Authenticate users (if needed)
+ * - It is null when Supabase is not configured (self-hosting with the built-in realtime server).
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -16,4 +17,4 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
 // Initialize Supabase client
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
\ No newline at end of file
+export const supabase = supabaseUrl && supabaseAnonKey ? createClient(supabaseUrl, supabaseAnonKey) : null;
\ No newline at end of file
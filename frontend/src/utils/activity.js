@@ -0,0 +1,106 @@
+/**
+ * activity.js
+ *
+ * Helpers for displaying the activity log of a list.
+ * Entries come from `GET /api/lists/:id/activity`:
+ * { action, entityType, before, after, createdAt, actor: { id, name } }
+ */
+
+// Utils
+import { formatPrice } from "./money";
+
+/**
+ * Hebrew labels of the fields kept in activity snapshots (also used by the merge dialog of items).
+ * Fields without a label are only mentioned by name.
+ */
+export const FIELD_LABELS = {
+  name: "שם",
+  quantity: "כמות",
+  brand: "מותג",
+  comments: "הערות",
+  unitId: "יחידת מידה",
+  categoryId: "קטגוריה",
+  unitPrice: "מחיר ליחידה",
+  paidPrice: "שולם",
+  bought: "נקנה",
+  budget: "תקציב",
+};
+
+// Fields whose values are shown as money
+const PRICE_FIELDS = ["unitPrice", "paidPrice", "budget"];
+
+// Fields whose values are IDs, so only the change itself is shown
+const ID_FIELDS = ["unitId", "categoryId"];
+
+/**
+ * formatValue
+ * Formats a snapshot value for display.
+ *
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (PRICE_FIELDS.includes(field)) return formatPrice(value);
+  if (typeof value === "boolean") return value ? "כן" : "לא";
+  return String(value);
+}
+
+/**
+ * describeActivity
+ * Builds a short Hebrew sentence describing an activity entry (without the actor's name).
+ *
+ * @param {Object} entry - Activity entry
+ * @returns {string}
+ */
+export function describeActivity({ action, entityType, before, after }) {
+  const name = (after || before)?.name ?? "";
+
+  if (entityType === "LIST") {
+    switch (action) {
+      case "CREATE":
+        return "יצר/ה את הרשימה";
+      case "DELETE":
+        return "העביר/ה את הרשימה לסל המחזור";
+      case "RESTORE":
+        return "שחזר/ה את הרשימה";
+      default:
+        return "עדכן/ה את הרשימה";
+    }
+  }
+
+  switch (action) {
+    case "CREATE":
+      return `הוסיף/ה את "${name}"`;
+    case "BOUGHT":
+      return after?.bought ? `סימן/ה את "${name}" כנקנה` : `ביטל/ה את סימון "${name}" כנקנה`;
+    case "DELETE":
+      return `מחק/ה את "${name}"`;
+    case "RESTORE":
+      return `שחזר/ה את "${name}"`;
+    default:
+      return `עדכן/ה את "${name}"`;
+  }
+}
+
+/**
+ * getActivityChanges
+ * Lists the fields changed by an UPDATE entry.
+ *
+ * @param {Object} entry - Activity entry
+ * @returns {Array<{ field: string, label: string, from: string|null, to: string|null }>}
+ *          `from` / `to` are null for ID fields, whose values are not meaningful to the user
+ */
+export function getActivityChanges({ action, before, after }) {
+  if (action !== "UPDATE" || !before || !after) return [];
+
+  return Object.keys(after)
+    .filter((field) => before[field] !== after[field])
+    .map((field) => ({
+      field,
+      label: FIELD_LABELS[field] || field,
+      from: ID_FIELDS.includes(field) ? null : formatValue(field, before[field]),
+      to: ID_FIELDS.includes(field) ? null : formatValue(field, after[field]),
+    }));
+}
@@ -0,0 +1,54 @@
+/**
+ * authStorage.js
+ *
+ * Utility module for persisting the signed-in session in localStorage.
+ *
+ * Features:
+ * - Stores the access token returned by /api/auth/login and /api/auth/signup.
+ * - Stores the public user object ({ id, email, name }) for the UI.
+ * - Used both by `api/http.js` (outside React) and by `AuthContext`.
+ */
+
+import { AUTH_TOKEN_KEY, AUTH_USER_KEY } from "./constants";
+
+/**
+ * getToken
+ * @returns {string|null} The stored access token, or null when signed out.
+ */
+export function getToken() {
+  return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+/**
+ * getStoredUser
+ * @returns {object|null} The stored user object, or null when signed out.
+ */
+export function getStoredUser() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_USER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * saveAuth
+ * Persists a session returned by the auth endpoints.
+ *
+ * @param {object} session
+ * @param {string} session.token - Signed access token
+ * @param {object} session.user - Public user object
+ */
+export function saveAuth({ token, user }) {
+  localStorage.setItem(AUTH_TOKEN_KEY, token);
+  localStorage.setItem(AUTH_USER_KEY, JSON.stringify(user));
+}
+
+/**
+ * clearAuth
+ * Removes the stored session (logout / expired token).
+ */
+export function clearAuth() {
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+  localStorage.removeItem(AUTH_USER_KEY);
+}
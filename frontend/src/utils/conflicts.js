@@ -0,0 +1,100 @@
+/**
+ * conflicts.js
+ *
+ * Helpers for merging an item edited locally with a newer copy from the server
+ * (a realtime update, or the `current` item of a 409 response).
+ *
+ * The merge is three-way: `base` is the item as loaded before the local edits.
+ * Fields only the other user changed are taken from the server, fields only the
+ * local user changed are kept, and fields both changed to different values conflict.
+ */
+
+// Utils
+import { FIELD_LABELS } from "./activity";
+import { formatPrice } from "./money";
+
+// Item fields that can be edited, and so merged
+export const MERGE_FIELDS = ["name", "quantity", "brand", "unitId", "comments", "unitPrice", "paidPrice", "bought"];
+
+// Fields compared as numbers (inputs hold them as strings)
+const NUMBER_FIELDS = ["quantity", "unitId", "unitPrice", "paidPrice"];
+
+/**
+ * normalize
+ * Makes equal values compare equal ("" / null / undefined, "2" / 2, trailing spaces).
+ *
+ * @param {string} field
+ * @param {*} value
+ * @returns {*}
+ */
+function normalize(field, value) {
+  if (value === "" || value === undefined || value === null) return null;
+  if (NUMBER_FIELDS.includes(field)) return Number(value);
+  if (typeof value === "string") return value.trim();
+  return value;
+}
+
+/**
+ * isSameValue
+ *
+ * @param {string} field
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameValue(field, a, b) {
+  return normalize(field, a) === normalize(field, b);
+}
+
+/**
+ * mergeItemChanges
+ * Merges the local edits of an item with the server copy.
+ *
+ * @param {Object} base - The item before the local edits
+ * @param {Object} local - The item with the local edits
+ * @param {Object} server - The newer server copy
+ * @returns {{ merged: Object, conflicting: Array<string> }}
+ *          `merged` has the server version, the other user's changes and the local changes;
+ *          `conflicting` lists the fields both users changed differently (local value kept in `merged`)
+ */
+export function mergeItemChanges(base, local, server) {
+  const merged = { ...local, version: server.version };
+  const conflicting = [];
+
+  MERGE_FIELDS.forEach((field) => {
+    const changedLocally = !isSameValue(field, local[field], base[field]);
+    const changedOnServer = !isSameValue(field, server[field], base[field]);
+
+    if (changedOnServer && !changedLocally) merged[field] = server[field];
+    else if (changedOnServer && !isSameValue(field, local[field], server[field])) conflicting.push(field);
+  });
+
+  return { merged, conflicting };
+}
+
+/**
+ * formatFieldValue
+ * Formats a field value for the merge dialog.
+ *
+ * @param {string} field
+ * @param {*} value
+ * @param {Array<Object>} units - For showing unit names instead of IDs
+ * @returns {string}
+ */
+export function formatFieldValue(field, value, units = []) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (field === "unitId") return units.find((u) => u.id === Number(value))?.name ?? String(value);
+  if (field === "unitPrice" || field === "paidPrice") return formatPrice(Number(value));
+  if (typeof value === "boolean") return value ? "נקנה" : "לא נקנה";
+  return String(value);
+}
+
+/**
+ * getFieldLabel
+ *
+ * @param {string} field
+ * @returns {string} Hebrew label of an item field
+ */
+export function getFieldLabel(field) {
+  return FIELD_LABELS[field] || field;
+}
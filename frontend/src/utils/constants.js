@@ -35,14 +35,188 @@ export const API_BASE = import.meta.env.VITE_APP_API_URL  || "http://localhost:3
  * Standardized API endpoints for accessing backend routes.
  * 
  * These should match the Express routes defined in server.js:
+ * - /api/auth
  * - /api/lists
  * - /api/items
  * - /api/categories
  * - /api/units
  * - /api/statistics
+ * - /api/trash
+ * - /api/templates
+ * - /api/recurrences
+ * - /api/pantry
+ * - /api/products
+ * - /api/realtime
  */
+export const API_AUTH = `${API_BASE}/api/auth`;
 export const API_LISTS = `${API_BASE}/api/lists`;
 export const API_ITEMS = `${API_BASE}/api/items`;
 export const API_CATEGORIES = `${API_BASE}/api/categories`;
 export const API_UNITS = `${API_BASE}/api/units`;
-export const API_STATISTICS = `${API_BASE}/api/statistics`;
\ No newline at end of file
+export const API_STATISTICS = `${API_BASE}/api/statistics`;
+export const API_TRASH = `${API_BASE}/api/trash`;
+export const API_TEMPLATES = `${API_BASE}/api/templates`;
+export const API_RECURRENCES = `${API_BASE}/api/recurrences`;
+export const API_PANTRY = `${API_BASE}/api/pantry`;
+export const API_PRODUCTS = `${API_BASE}/api/products`;
+export const API_REALTIME = `${API_BASE}/api/realtime`;
+
+/* ======================
+   Realtime
+   ====================== */
+/**
+ * Where live updates of lists and items come from (see realtime/realtimeManager.js):
+ * - "supabase" → Supabase Realtime (needs VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY)
+ * - "server"   → the event streams of the backend (/api/realtime), for local development and self-hosting
+ * Loaded from `VITE_REALTIME_PROVIDER`; defaults to Supabase when it is configured.
+ */
+export const REALTIME_PROVIDER =
+  import.meta.env.VITE_REALTIME_PROVIDER || (import.meta.env.VITE_SUPABASE_URL ? "supabase" : "server");
+
+/* ======================
+   Auth Storage
+   ====================== */
+/**
+ * localStorage keys for the signed-in session
+ * (access token issued by /api/auth and the public user object).
+ */
+export const AUTH_TOKEN_KEY = "shoppingList.token";
+export const AUTH_USER_KEY = "shoppingList.user";
+
+/* ======================
+   List Roles
+   ====================== */
+/**
+ * Hebrew labels for the roles a user can have on a shared list.
+ * OWNER is the creator of the list; EDITOR and VIEWER are granted by invite.
+ */
+export const ROLE_LABELS = {
+  OWNER: "בעלים",
+  EDITOR: "עורך",
+  VIEWER: "צופה",
+};
+
+/* ======================
+   Items View
+   ====================== */
+/**
+ * Pseudo category selected in the items sidebar to show the items of every
+ * category at once (loaded with a single `GET /api/lists/:id` request).
+ */
+export const ALL_CATEGORIES = { id: "all", name: "כל הקטגוריות" };
+
+/* ======================
+   Recurring Lists
+   ====================== */
+/**
+ * Hebrew labels for how often a recurring list is generated.
+ */
+export const RECURRENCE_FREQUENCY_LABELS = {
+  WEEKLY: "כל שבוע",
+  BIWEEKLY: "כל שבועיים",
+  MONTHLY: "כל חודש",
+};
+
+/**
+ * Hebrew day names by `dayOfWeek` (0 = Sunday).
+ * Monthly recurrences run on days 1 – MAX_RECURRENCE_DAY_OF_MONTH (days that exist in every month).
+ */
+export const WEEKDAY_LABELS = ["ראשון", "שני", "שלישי", "רביעי", "חמישי", "שישי", "שבת"];
+export const MAX_RECURRENCE_DAY_OF_MONTH = 28;
+
+/* ======================
+   Pantry
+   ====================== */
+/**
+ * Number of days ahead a pantry product counts as "expiring soon"
+ * (landing page section and side menu badge).
+ */
+export const EXPIRING_SOON_DAYS = 3;
+
+/* ======================
+   Product Autocomplete
+   ====================== */
+/**
+ * Delay (ms) after the last keystroke before product suggestions are fetched,
+ * and the max number of suggestions shown.
+ */
+export const PRODUCT_SUGGEST_DELAY_MS = 200;
+export const PRODUCT_SUGGEST_LIMIT = 8;
+
+/* ======================
+   Quick Add
+   ====================== */
+/**
+ * Delay (ms) after the last keystroke before a quick-add line is parsed for its preview.
+ */
+export const QUICK_ADD_PARSE_DELAY_MS = 300;
+
+/* ======================
+   Import
+   ====================== */
+/**
+ * Hebrew labels of how the category of an imported line was chosen (`categorySource`).
+ */
+export const IMPORT_CATEGORY_SOURCE_LABELS = {
+  history: "לפי קניות קודמות",
+  keyword: "לפי שם המוצר",
+  default: "לא זוהה",
+};
+
+/**
+ * Hebrew labels of why a row of an imported list file was skipped (`unresolved[].reason`).
+ */
+export const LIST_FILE_UNRESOLVED_LABELS = {
+  invalid: "שורה לא תקינה",
+  category: "קטגוריה לא מוכרת",
+  unit: "יחידת מידה לא מוכרת",
+};
+
+/* ======================
+   PDF Export
+   ====================== */
+/**
+ * Columns that can be printed in the PDF of a list, in print order.
+ * `width` is the pdfMake table column width.
+ */
+export const PDF_COLUMNS = [
+  { key: "name", label: "שם", width: "*" },
+  { key: "brand", label: "מותג", width: "auto" },
+  { key: "quantity", label: "כמות", width: "auto" },
+  { key: "unit", label: "יחידה", width: "auto" },
+  { key: "comments", label: "הערות", width: "*" },
+  { key: "unitPrice", label: "מחיר ליחידה", width: "auto" },
+  { key: "price", label: "מחיר", width: "auto" },
+];
+
+/**
+ * Hebrew labels of the PDF page layouts.
+ */
+export const PDF_LAYOUT_LABELS = {
+  standard: "רגיל",
+  compact: "דחוס",
+  twoColumns: "שני טורים",
+};
+
+/**
+ * Options the PDF export dialog starts with (the same output as before the dialog existed).
+ */
+export const DEFAULT_PDF_OPTIONS = {
+  columns: ["name", "brand", "quantity", "unit", "comments"],
+  excludeBought: false,
+  checkboxes: false,
+  layout: "standard",
+  categoryIcons: false,
+  totals: false,
+};
+
+/* ======================
+   Share
+   ====================== */
+/**
+ * Hebrew labels of how bought items appear in a shared list (`boughtItems` of the text export).
+ */
+export const SHARE_BOUGHT_ITEMS_LABELS = {
+  strike: "מוצרים שנקנו מסומנים בקו חוצה",
+  omit: "בלי מוצרים שנקנו",
+};
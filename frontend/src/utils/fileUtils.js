@@ -0,0 +1,42 @@
+/**
+ * fileUtils.js
+ *
+ * Helpers for the CSV / JSON list files (export & import).
+ */
+
+/**
+ * MIME types of the list file formats.
+ */
+export const LIST_FILE_TYPES = {
+  csv: "text/csv;charset=utf-8",
+  json: "application/json",
+};
+
+/**
+ * downloadFile
+ * Saves text content as a file through a temporary link.
+ *
+ * @param {string} content - File content
+ * @param {string} filename - File name including extension
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * getListFileFormat
+ * Detects the list file format from a file name.
+ *
+ * @param {string} filename
+ * @returns {"csv"|"json"|null} null for other file types
+ */
+export function getListFileFormat(filename) {
+  const extension = filename.split(".").pop().toLowerCase();
+  return extension in LIST_FILE_TYPES ? extension : null;
+}
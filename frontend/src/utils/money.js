@@ -0,0 +1,37 @@
+/**
+ * money.js
+ *
+ * Helpers for displaying prices and totals.
+ */
+
+const currencyFormatter = new Intl.NumberFormat("he-IL", {
+  style: "currency",
+  currency: "ILS",
+  maximumFractionDigits: 2,
+});
+
+/**
+ * formatPrice
+ * Formats an amount as a shekel price (e.g. "12.50 ₪").
+ *
+ * @param {number|null|undefined} amount - The amount to format
+ * @returns {string} The formatted price, or "-" when no amount is given
+ */
+export function formatPrice(amount) {
+  if (amount === null || amount === undefined) return "-";
+  return currencyFormatter.format(amount);
+}
+
+/**
+ * getItemSpend
+ * Money spent on an item: the paid price, or the estimate (unit price × quantity)
+ * when nothing was paid yet. Mirrors the backend statistics service.
+ *
+ * @param {{ quantity: number, unitPrice?: number|null, paidPrice?: number|null }} item
+ * @returns {number} The spend, or 0 when the item has no price
+ */
+export function getItemSpend(item) {
+  if (item.paidPrice !== null && item.paidPrice !== undefined) return item.paidPrice;
+  if (item.unitPrice !== null && item.unitPrice !== undefined) return item.unitPrice * item.quantity;
+  return 0;
+}
@@ -1,9 +1,13 @@
 import pdfMake from "pdfmake/build/pdfmake"; // Library for making pdf files
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server"; // renders category icons to SVG markup
+import * as LucideIcons from "lucide-react";
 
 // Fonts
 // * note that the actual tts files are not included in the project at all,
 //   instead it uses base64 constants of files as mentioned below)
-import { ASSISTANT_FONT_BASE64, ASSISTANT_BOLD_FONT_BASE64 } from "./constants";
+import { ASSISTANT_FONT_BASE64, ASSISTANT_BOLD_FONT_BASE64, PDF_COLUMNS, DEFAULT_PDF_OPTIONS } from "./constants";
+import { formatPrice, getItemSpend } from "./money";
 
 /**
  * pdfUtilsPdfMake.js
@@ -15,9 +19,10 @@ import { ASSISTANT_FONT_BASE64, ASSISTANT_BOLD_FONT_BASE64 } from "./constants";
  * - Provides RTL helpers for text and rows to ensure proper alignment and spacing.
  * - Maps shopping list state (categories + items) into a structured format ready for PDF.
  * - Generates styled PDF documents with headers, subheaders, and item tables.
+ * - Export options: columns, bought items, tick boxes, compact / two-column layout, category icons, totals.
  *
  * Usage:
- * - `generatePdfFromList(list)` → generates and downloads a PDF file for a given list.
+ * - `generatePdfFromList(list, options)` → generates and downloads a PDF file for a given list.
  *
  * Dependencies:
  * - pdfMake
@@ -66,66 +71,233 @@ function rtlRow(row) {
   return row.map(cell => (typeof cell === "string" ? rtlText(cell) : cell));
 }
 
+/**
+ * Font sizes, margins and spacing per page layout
+ */
+const LAYOUT_STYLES = {
+  standard: { header: 22, subheader: 16, table: 12, icon: 16, pageMargins: [40, 60, 40, 60], categoryMargin: [0, 10, 0, 5] },
+  compact: { header: 16, subheader: 12, table: 9, icon: 12, pageMargins: [20, 30, 20, 30], categoryMargin: [0, 6, 0, 2] },
+  twoColumns: { header: 18, subheader: 12, table: 9, icon: 12, pageMargins: [25, 40, 25, 40], categoryMargin: [0, 6, 0, 2] },
+};
+
+// Width of an A4 page in points (pdfMake's default page size)
+const A4_WIDTH = 595.28;
+
+// Color of the category icons (sky-700)
+const ICON_COLOR = "#0369a1";
+
+/**
+ * categoryIconSvg
+ * Renders the Lucide icon of a category as SVG markup for pdfMake.
+ *
+ * @param {string} iconName - Lucide icon name (e.g. "Carrot")
+ * @param {number} size - Icon size in points
+ * @returns {string} SVG markup
+ */
+function categoryIconSvg(iconName, size) {
+  const Icon = LucideIcons[iconName] || LucideIcons.Package;
+  return renderToStaticMarkup(createElement(Icon, { size, color: ICON_COLOR }));
+}
+
+/**
+ * checkbox
+ * An empty tick box drawn on a canvas, for ticking items off in the store.
+ *
+ * @param {number} size - Box size in points
+ * @returns {object} pdfMake canvas node
+ */
+function checkbox(size) {
+  return { canvas: [{ type: "rect", x: 0, y: 2, w: size, h: size, r: 1, lineWidth: 0.8 }] };
+}
+
+/**
+ * cellValue
+ * The printed value of an item in one of the PDF columns.
+ *
+ * @param {object} item - Item as passed to `generatePdfFromList`
+ * @param {string} key - Column key (see PDF_COLUMNS)
+ * @returns {string}
+ */
+function cellValue(item, key) {
+  switch (key) {
+    case "unitPrice":
+      return formatPrice(item.unitPrice);
+    case "price": {
+      const spend = getItemSpend(item);
+      return spend ? formatPrice(spend) : "-";
+    }
+    default:
+      return item[key] === null || item[key] === undefined ? "" : String(item[key]);
+  }
+}
+
+/**
+ * categoryBlock
+ * The title (with optional icon) and items table of one category.
+ *
+ * @param {object} cat - Category with its (already filtered) items
+ * @param {Array<object>} columns - Printed columns (from PDF_COLUMNS)
+ * @param {object} options - Export options
+ * @param {object} layoutStyle - Entry of LAYOUT_STYLES
+ * @returns {Array<object>} pdfMake content nodes
+ */
+function categoryBlock(cat, columns, options, layoutStyle) {
+  const title = rtlText(cat.name || "", { style: "subheader", bold: true });
+
+  // Columns are listed right-to-left, so the tick box comes last
+  const headerRow = [...columns.map(col => col.label).reverse(), ...(options.checkboxes ? [""] : [])];
+  const widths = [...columns.map(col => col.width).reverse(), ...(options.checkboxes ? [layoutStyle.table] : [])];
+  const rows = cat.items.map(item => [
+    ...columns.map(col => cellValue(item, col.key)).reverse(),
+    ...(options.checkboxes ? [checkbox(layoutStyle.table - 2)] : []),
+  ]);
+
+  return [
+    {
+      // Icon on the right of the category name
+      columns: options.categoryIcons
+        ? [title, { svg: categoryIconSvg(cat.iconName, layoutStyle.icon), width: layoutStyle.icon }]
+        : [title],
+      columnGap: 5,
+      margin: layoutStyle.categoryMargin,
+    },
+    {
+      table: {
+        headerRows: 1,
+        dontBreakRows: true,
+        widths,
+        body: [rtlRow(headerRow), ...rows.map(rtlRow)],
+      },
+      layout: "lightHorizontalLines",
+      style: "table",
+    },
+  ];
+}
+
+/**
+ * splitIntoColumns
+ * Splits the categories into two columns of about the same number of items.
+ *
+ * @param {Array<object>} categories
+ * @returns {[Array<object>, Array<object>]} The first (right) and second (left) column
+ */
+function splitIntoColumns(categories) {
+  const first = [];
+  const second = [];
+  let firstCount = 0;
+  let secondCount = 0;
+
+  categories.forEach(cat => {
+    // Every category also takes about two rows for its title and table header
+    const size = cat.items.length + 2;
+    if (firstCount <= secondCount) {
+      first.push(cat);
+      firstCount += size;
+    } else {
+      second.push(cat);
+      secondCount += size;
+    }
+  });
+
+  return [first, second];
+}
+
+/**
+ * totalsFooter
+ * Item counts and the estimated total of the printed items.
+ *
+ * @param {Array<object>} categories - Printed categories with their items
+ * @param {object} options - Export options
+ * @param {object} layoutStyle - Entry of LAYOUT_STYLES
+ * @returns {object} pdfMake content node
+ */
+function totalsFooter(categories, options, layoutStyle) {
+  const items = categories.flatMap(cat => cat.items);
+  const boughtCount = items.filter(item => item.bought).length;
+  const total = items.reduce((sum, item) => sum + getItemSpend(item), 0);
+  const unpricedCount = items.filter(item => !getItemSpend(item)).length;
+  const [left, , right] = layoutStyle.pageMargins;
+
+  return {
+    stack: [
+      { canvas: [{ type: "line", x1: 0, y1: 0, x2: A4_WIDTH - left - right, y2: 0, lineWidth: 0.5 }], margin: [0, 0, 0, 6] },
+      rtlText(`מוצרים: ${items.length}` + (options.excludeBought ? "" : ` (נקנו: ${boughtCount})`)),
+      rtlText(`סה"כ משוער: ${formatPrice(total)}`, { bold: true }),
+      ...(unpricedCount ? [rtlText(`${unpricedCount} מוצרים ללא מחיר`, { fontSize: 9, color: "#6b7280" })] : []),
+    ],
+    margin: [0, 15, 0, 0],
+    unbreakable: true,
+  };
+}
+
 /**
  * generatePdfFromList
  * Generates and downloads a PDF file for the given shopping list.
  *
  * Features:
  * - Adds a main title (list name).
- * - Renders each category as a subheader.
- * - Displays items in tables with columns: שם, מותג, כמות, יחידה, הערות.
+ * - Renders each category as a subheader, optionally with its icon.
+ * - Displays items in tables with the chosen columns (default: שם, מותג, כמות, יחידה, הערות),
+ *   optionally with a tick box per item.
+ * - Standard, compact or two-column layout, and an optional totals footer.
  * - Supports RTL layout and Assistant font.
  *
- * @param {object} list - Normalized list object from `mapItemsStateToList`.
- * @returns {void} Triggers a PDF download named after the list.
+ * @param {object} list - { name, categories: [{ name, iconName, items: [{ name, brand, quantity, unit,
+ *                        comments, unitPrice, paidPrice, bought }] }] }
+ * @param {object} [options] - Export options (see DEFAULT_PDF_OPTIONS):
+ *                             { columns, excludeBought, checkboxes, layout, categoryIcons, totals }
+ * @returns {boolean} False when there are no items to print, otherwise triggers a PDF download
+ *                    named after the list and returns true.
  */
-export function generatePdfFromList(list) {
-  if (!list || !Array.isArray(list.categories) || list.categories.length === 0) return;
-
-  const content = [];
+export function generatePdfFromList(list, options = DEFAULT_PDF_OPTIONS) {
+  if (!list || !Array.isArray(list.categories)) return false;
 
-  // print list title
-  content.push(rtlText(list.name || "רשימה", { style: "header", bold: true, margin: [0, 0, 0, 20] }));
+  const layoutStyle = LAYOUT_STYLES[options.layout] || LAYOUT_STYLES.standard;
+  const columns = PDF_COLUMNS.filter(col => options.columns.includes(col.key));
 
-  // iterate through each category
-  list.categories.forEach(cat => {
-    const items = Array.isArray(cat.items) ? cat.items : [];
+  // Drop bought items if asked to, and categories left without items
+  const categories = list.categories
+    .map(cat => ({
+      ...cat,
+      items: (Array.isArray(cat.items) ? cat.items : []).filter(item => !options.excludeBought || !item.bought),
+    }))
+    .filter(cat => cat.items.length > 0);
 
-    // print category name
-    content.push(rtlText(cat.name || "", { style: "subheader", bold: true, margin: [0, 10, 0, 5] }));
+  if (categories.length === 0 || columns.length === 0) return false;
 
-    // print table headers
-    const tableBody = [
-      rtlRow(["הערות", "יחידה", "כמות", "מותג", "שם"]), // כותרת
+  const content = [];
 
-      // print items
-      ...items.map(item =>
-        rtlRow([item.comments, item.unit, item.quantity, item.brand, item.name])
-      ),
-    ];
+  // print list title
+  content.push(rtlText(list.name || "רשימה", { style: "header", bold: true, margin: [0, 0, 0, 20] }));
 
+  // print categories, in one column or split into two (the first on the right)
+  if (options.layout === "twoColumns") {
+    const [first, second] = splitIntoColumns(categories);
     content.push({
-      table: {
-        headerRows: 1,
-        widths: ["*", "auto", "auto", "auto", "*"],
-        body: tableBody,
-      },
-      layout: "lightHorizontalLines",
-      style: "table",
+      columns: [second, first].map(column => ({
+        width: "*",
+        stack: column.flatMap(cat => categoryBlock(cat, columns, options, layoutStyle)),
+      })),
+      columnGap: 15,
     });
-  });
+  } else {
+    categories.forEach(cat => content.push(...categoryBlock(cat, columns, options, layoutStyle)));
+  }
+
+  if (options.totals) content.push(totalsFooter(categories, options, layoutStyle));
 
   const docDefinition = {
     content,
     defaultStyle: { font: "Assistant" },
     styles: {
-      header: { fontSize: 22, bold: true },
-      subheader: { fontSize: 16, bold: true },
-      table: { fontSize: 12 },
+      header: { fontSize: layoutStyle.header, bold: true },
+      subheader: { fontSize: layoutStyle.subheader, bold: true },
+      table: { fontSize: layoutStyle.table },
     },
-    pageMargins: [40, 60, 40, 60],
+    pageMargins: layoutStyle.pageMargins,
     rtl: true,
   };
 
   pdfMake.createPdf(docDefinition).download(`${list.name || "רשימה"}.pdf`);
-}
\ No newline at end of file
+  return true;
+}
@@ -0,0 +1,36 @@
+/**
+ * statisticsMetrics.js
+ *
+ * The measures the statistics charts can display.
+ * Each metric maps to the fields returned by /api/statistics:
+ * - valueKey / percentKey → per category
+ * - totalKey → per list
+ */
+
+import { formatPrice } from "./money";
+
+export const STAT_METRICS = {
+  count: {
+    label: "מוצרים",
+    valueKey: "quantity",
+    percentKey: "percent",
+    totalKey: "totalQuantity",
+    format: (value) => String(value),
+  },
+  units: {
+    label: "כמות",
+    valueKey: "units",
+    percentKey: "unitsPercent",
+    totalKey: "totalUnits",
+    format: (value) => String(Math.round(value * 100) / 100),
+  },
+  spend: {
+    label: "הוצאה",
+    valueKey: "spend",
+    percentKey: "spendPercent",
+    totalKey: "totalSpend",
+    format: formatPrice,
+  },
+};
+
+export const DEFAULT_STAT_METRIC = "count";
@@ -0,0 +1,68 @@
+/**
+ * authValidator.js
+ *
+ * Utility functions to validate login and signup forms.
+ * Error messages are returned.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * validateLogin
+ * Validates the login form before submitting it.
+ *
+ * @param {Object} data - The login form values
+ * @param {string} data.email - User email
+ * @param {string} data.password - User password
+ * @returns {Object} errors - An object mapping field names to Hebrew error messages
+ */
+export function validateLogin({ email, password }) {
+  const errors = {};
+
+  // Email and password are both required
+  if (!email?.trim()) errors.email = "שדה חובה";
+  if (!password) errors.password = "שדה חובה";
+
+  return errors;
+}
+
+/**
+ * validateSignup
+ * Validates the signup form before submitting it.
+ *
+ * @param {Object} data - The signup form values
+ * @param {string} data.name - Display name
+ * @param {string} data.email - User email
+ * @param {string} data.password - User password
+ * @returns {Object} errors - An object mapping field names to Hebrew error messages
+ */
+export function validateSignup({ name, email, password }) {
+  const errors = {};
+  const trimmedName = name?.trim() || "";
+  const trimmedEmail = email?.trim() || "";
+
+  // Name: required and max 50 chars
+  if (!trimmedName) {
+    errors.name = "שדה חובה";
+  } else if (trimmedName.length > 50) {
+    errors.name = "השדה יכול להכיל לכל היותר 50 תווים";
+  }
+
+  // Email: required and must be a valid address
+  if (!trimmedEmail) {
+    errors.email = "שדה חובה";
+  } else if (!EMAIL_PATTERN.test(trimmedEmail)) {
+    errors.email = "כתובת אימייל לא תקינה";
+  }
+
+  // Password: between 6 and 100 chars
+  if (!password) {
+    errors.password = "שדה חובה";
+  } else if (password.length < 6) {
+    errors.password = "הסיסמה חייבת להכיל לפחות 6 תווים";
+  } else if (password.length > 100) {
+    errors.password = "השדה יכול להכיל לכל היותר 100 תווים";
+  }
+
+  return errors;
+}
@@ -5,6 +5,19 @@
  * Error messages are returned.
  */
 
+/**
+ * isInvalidPrice
+ * Checks an optional price field. Empty values are allowed.
+ *
+ * @param {number|string|null|undefined} value - The price to check
+ * @returns {boolean} true if a value was entered and it is not a non-negative number
+ */
+const isInvalidPrice = (value) =>
+  value !== undefined &&
+  value !== null &&
+  value !== "" &&
+  (isNaN(value) || Number(value) < 0);
+
 /**
  * validateItemAddition
  * Validates the fields of an item before adding it to a list.
@@ -15,6 +28,8 @@
  * @param {number|string} item.quantity - Item quantity
  * @param {number} item.unitId - Unit ID
  * @param {string} [item.comments] - Optional comments
+ * @param {number|string} [item.unitPrice] - Optional estimated price per unit
+ * @param {number|string} [item.paidPrice] - Optional actual price paid
  * @returns {Object} errors - An object mapping field names to Hebrew error messages
  */
 export function validateItemAddition(item) {
@@ -52,6 +67,14 @@ export function validateItemAddition(item) {
     errors.comments = "השדה יכול להכיל לכל היותר 100 תווים";
   }
 
+  // Prices: optional, non-negative numbers
+  if (isInvalidPrice(item.unitPrice)) {
+    errors.unitPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+  if (isInvalidPrice(item.paidPrice)) {
+    errors.paidPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
   return errors;
 }
 
@@ -66,6 +89,8 @@ export function validateItemAddition(item) {
  * @param {number|string} item.quantity - Item quantity
  * @param {number} item.unitId - Unit ID
  * @param {string} [item.comments] - Optional comments
+ * @param {number|string} [item.unitPrice] - Optional estimated price per unit
+ * @param {number|string} [item.paidPrice] - Optional actual price paid
  * @returns {Object} errors - An object mapping field names to Hebrew error messages
  */
 export function validateItemUpdate(item) {
@@ -103,5 +128,13 @@ export function validateItemUpdate(item) {
     errors.comments = "השדה יכול להכיל לכל היותר 100 תווים";
   }
 
+  // Prices: optional, non-negative numbers
+  if (isInvalidPrice(item.unitPrice)) {
+    errors.unitPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+  if (isInvalidPrice(item.paidPrice)) {
+    errors.paidPrice = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
   return errors;
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * pantryValidator.js
+ *
+ * Utility functions to validate pantry (home inventory) products.
+ * Error messages are returned.
+ */
+
+/**
+ * isInvalidAmount
+ * Checks a required amount field.
+ *
+ * @param {number|string|null|undefined} value - The amount to check
+ * @returns {boolean} true if the value is missing or not a non-negative number
+ */
+const isInvalidAmount = (value) =>
+  value === undefined || value === null || value === "" || isNaN(value) || Number(value) < 0;
+
+/**
+ * validatePantryItem
+ * Validates the fields of a pantry product before saving it.
+ *
+ * @param {Object} pantryItem - The product to validate
+ * @param {string} pantryItem.name - Product name
+ * @param {number|string} pantryItem.quantity - Quantity on hand
+ * @param {number|string} pantryItem.minQuantity - Low-stock threshold
+ * @param {number} pantryItem.categoryId - Category ID
+ * @param {number} pantryItem.unitId - Unit ID
+ * @returns {Object} errors - An object mapping field names to Hebrew error messages
+ */
+export function validatePantryItem(pantryItem) {
+  const errors = {};
+  const name = pantryItem.name?.trim() || "";
+
+  if (!name) {
+    errors.name = "שדה חובה";
+  } else if (name.length > 50) {
+    errors.name = "השדה יכול להכיל לכל היותר 50 תווים";
+  }
+
+  if (isInvalidAmount(pantryItem.quantity)) {
+    errors.quantity = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  if (isInvalidAmount(pantryItem.minQuantity)) {
+    errors.minQuantity = "ערך השדה חייב להיות מספר חיובי או אפס";
+  }
+
+  if (!pantryItem.categoryId || Number(pantryItem.categoryId) === 0) {
+    errors.categoryId = "יש לבחור קטגוריה";
+  }
+
+  if (!pantryItem.unitId || Number(pantryItem.unitId) === 0) {
+    errors.unitId = "יש לבחור יחידת מידה";
+  }
+
+  return errors;
+}